@@ -0,0 +1,33 @@
+// api/admin/media.js
+// Content admin: upload a language variant's audio or captions. Authorization: Bearer <ADMIN_TOKEN>
+// • POST /api/admin/media  { meditation, language, kind: "audio", data: "<base64 MP3>" }
+//                        | { meditation, language, kind: "captions", data: "WEBVTT\n\n00:00:00.000 --> ..." }
+//                        → { meditation }  (a new version; the audio length is measured, captions must fit it)
+// Files land in the content store's media/ under content-hashed names, so links to older versions stay valid.
+
+import { ok, bad, parseBody, configFailed } from "../../lib/http.js";
+import { adminDenied, contentFailed, current } from "../../lib/admin.js";
+import { uploadMedia } from "../../lib/content.js";
+import { refreshCatalog } from "../../lib/catalog.js";
+
+// Base64 in JSON, under the platform's request body limit
+export const MAX_UPLOAD_BYTES = 4 * 1024 * 1024;
+
+export default async function handler(req, res) {
+  if (configFailed(res)) return;
+  if (adminDenied(req, res)) return;
+  if (req.method !== "POST") return bad(res, 405, "Use POST to upload media.");
+
+  let body;
+  try { body = await parseBody(req, { maxBytes: MAX_UPLOAD_BYTES }); } catch (err) {
+    return err.code === "TOO_LARGE" ? bad(res, 413, "Upload too large (4 MB including base64).") : bad(res, 400, "Invalid JSON body.");
+  }
+  try {
+    const { meditation: id, language, kind, data } = body || {};
+    const meditation = uploadMedia(String(id || ""), { language, kind, data });
+    refreshCatalog({ force: true });
+    return ok(res, { meditation: current(meditation) });
+  } catch (err) {
+    return contentFailed(res, err);
+  }
+}
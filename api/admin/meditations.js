@@ -0,0 +1,30 @@
+// api/admin/meditations.js
+// Content admin: list and create meditations (lib/content.js). Authorization: Bearer <ADMIN_TOKEN>
+// • GET  /api/admin/meditations → { meditations: [{ id, version, published, duration, pattern, languages, updatedAt }] }
+// • POST /api/admin/meditations  { id, duration, tags?, pattern?, published?, variants: { en: { name, script, aliases? } } }
+//                              → 201 { meditation }   (409 id taken, 422 { message, problems })
+// Audio and captions are uploaded per language through /api/admin/media; publish with PATCH /api/admin/meditations/<id>.
+
+import { ok, bad, parseBody, configFailed } from "../../lib/http.js";
+import { adminDenied, contentFailed, current } from "../../lib/admin.js";
+import { listMeditations, createMeditation } from "../../lib/content.js";
+import { refreshCatalog } from "../../lib/catalog.js";
+
+export default async function handler(req, res) {
+  if (configFailed(res)) return;
+  if (adminDenied(req, res)) return;
+
+  try {
+    if (req.method === "GET") return ok(res, { meditations: listMeditations() });
+    if (req.method === "POST") {
+      let body;
+      try { body = await parseBody(req, { maxBytes: 64 * 1024 }); } catch { return bad(res, 400, "Invalid JSON body."); }
+      const meditation = createMeditation(body);
+      refreshCatalog({ force: true });
+      return res.status(201).json({ meditation: current(meditation) });
+    }
+    return bad(res, 405, "Use GET to list or POST to create meditations.");
+  } catch (err) {
+    return contentFailed(res, err);
+  }
+}
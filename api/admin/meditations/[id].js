@@ -0,0 +1,40 @@
+// api/admin/meditations/[id].js
+// Content admin for one meditation. Authorization: Bearer <ADMIN_TOKEN>
+// • GET   /api/admin/meditations/<id> → { meditation, history: [{ version, at, action, language?, meditation }] }
+// • PATCH /api/admin/meditations/<id>  { duration?, tags?, pattern?, published?, variants?: { es: { name?, script?, aliases? } | null } }
+//                                    → { meditation }  (a new version; published: false unpublishes, true runs the publish checks)
+// Published changes reach every chat handler on the next request — no code change or redeploy.
+
+import { ok, bad, parseBody, getQuery, configFailed } from "../../../lib/http.js";
+import { adminDenied, contentFailed, current } from "../../../lib/admin.js";
+import { getMeditation, updateMeditation } from "../../../lib/content.js";
+import { refreshCatalog } from "../../../lib/catalog.js";
+
+function idFrom(req) {
+  const q = getQuery(req);
+  if (q.id) return String(q.id);
+  return decodeURIComponent(new URL(req.url || "/", "http://localhost").pathname.split("/").pop() || "");
+}
+
+export default async function handler(req, res) {
+  if (configFailed(res)) return;
+  if (adminDenied(req, res)) return;
+
+  try {
+    const id = idFrom(req);
+    if (req.method === "GET") {
+      const record = getMeditation(id);
+      return ok(res, { meditation: current(record), history: record.history });
+    }
+    if (req.method === "PATCH" || req.method === "PUT") {
+      let body;
+      try { body = await parseBody(req, { maxBytes: 64 * 1024 }); } catch { return bad(res, 400, "Invalid JSON body."); }
+      const meditation = updateMeditation(id, body);
+      refreshCatalog({ force: true });
+      return ok(res, { meditation: current(meditation) });
+    }
+    return bad(res, 405, "Use GET to read or PATCH to update a meditation.");
+  } catch (err) {
+    return contentFailed(res, err);
+  }
+}
@@ -0,0 +1,69 @@
+// api/audio/[id].js
+// Catalog audio with HTTP Range support, behind expiring signed links.
+// GET|HEAD /api/audio/calm_breath_3_en?exp=...&sig=...  (links come from get_meditation results and /api/library)
+// • 200 full file / 206 partial (single range: bytes=a-b, a-, -n) / 416 unsatisfiable
+// • 403 invalid or expired link, 404 unknown practice or no audio
+// • Content-Type from the file, ETag + Last-Modified, cacheable until the link expires (max 1 day)
+
+import { createReadStream } from "node:fs";
+import { withCORS, bad, getQuery, parseRange, configFailed } from "../../lib/http.js";
+import { PRACTICES, refreshCatalog } from "../../lib/catalog.js";
+import { audioInfo, verifyAudio } from "../../lib/audio.js";
+
+function idFrom(req) {
+  const q = getQuery(req);
+  if (q.id) return String(q.id);
+  const last = new URL(req.url || "/", "http://localhost").pathname.split("/").pop();
+  return decodeURIComponent(last || "");
+}
+
+export default function handler(req, res) {
+  withCORS(req, res, "GET, HEAD, OPTIONS");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET" && req.method !== "HEAD") return bad(res, 405, "Use GET to play audio. / Usa GET para reproducir el audio.");
+  if (configFailed(res)) return;
+  refreshCatalog();
+
+  const id = idFrom(req);
+  const practice = PRACTICES.find(p => p.id === id);
+  const info = practice?.audioFile ? audioInfo(practice.audioFile) : null;
+  if (!info) return bad(res, 404, "Audio not found. / Audio no encontrado.");
+
+  const q = getQuery(req);
+  const link = verifyAudio(id, q.exp, q.sig);
+  if (link === "expired") return bad(res, 403, "This audio link has expired. / Este enlace de audio ha expirado.");
+  if (link !== "ok") return bad(res, 403, "Invalid audio link. / Enlace de audio no válido.");
+
+  const etag = `"${info.bytes.toString(16)}-${Date.parse(info.modifiedAt).toString(16)}"`;
+  const maxAge = Math.max(0, Math.min(86400, Number(q.exp) - Math.floor(Date.now() / 1000)));
+  res.setHeader("Content-Type", info.contentType);
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("Cache-Control", `public, max-age=${maxAge}, immutable`);
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", info.modifiedAt);
+  res.setHeader("X-Audio-Duration", String(info.durationSeconds ?? ""));
+
+  if (req.headers["if-none-match"] === etag) { res.statusCode = 304; return res.end(); }
+
+  // If-Range with a stale validator → full file
+  const ifRange = req.headers["if-range"];
+  const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, info.bytes);
+  if (range === "unsatisfiable") {
+    res.setHeader("Content-Range", `bytes */${info.bytes}`);
+    res.statusCode = 416;
+    return res.end();
+  }
+
+  const { start, end } = range || { start: 0, end: info.bytes - 1 };
+  res.statusCode = range ? 206 : 200;
+  if (range) res.setHeader("Content-Range", `bytes ${start}-${end}/${info.bytes}`);
+  res.setHeader("Content-Length", String(end - start + 1));
+  if (req.method === "HEAD") return res.end();
+
+  const file = createReadStream(info.path, { start, end });
+  file.on("error", err => {
+    console.error("CalmaLink audio stream error:", err);
+    res.destroy?.(err);
+  });
+  return file.pipe(res);
+}
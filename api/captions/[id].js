@@ -0,0 +1,29 @@
+// api/captions/[id].js
+// WebVTT captions for a practice: GET /api/captions/calm_breath_3_en.vtt (the ".vtt" suffix is optional).
+// Same cues as the segments in get_meditation results; public and cacheable (scripts are not secret).
+
+import { withCORS, bad, getQuery, configFailed } from "../../lib/http.js";
+import { PRACTICES, refreshCatalog } from "../../lib/catalog.js";
+import { captionSegments, toVtt } from "../../lib/captions.js";
+
+function idFrom(req) {
+  const raw = getQuery(req).id || new URL(req.url || "/", "http://localhost").pathname.split("/").pop() || "";
+  return decodeURIComponent(String(raw)).replace(/\.vtt$/, "");
+}
+
+export default function handler(req, res) {
+  withCORS(req, res, "GET, OPTIONS");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return bad(res, 405, "Use GET to read captions. / Usa GET para leer los subtítulos.");
+  if (configFailed(res)) return;
+  refreshCatalog();
+
+  const id = idFrom(req);
+  const segments = PRACTICES.some(p => p.id === id) ? captionSegments(id) : null;
+  if (!segments) return bad(res, 404, "Captions not found. / Subtítulos no encontrados.");
+
+  res.setHeader("Content-Type", "text/vtt; charset=utf-8");
+  res.setHeader("Cache-Control", "public, max-age=3600");
+  res.statusCode = 200;
+  return res.end(toVtt(segments));
+}
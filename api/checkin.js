@@ -0,0 +1,65 @@
+// api/checkin.js
+// Stress check-ins (0–10) before and after a practice, from the frontend rating widget.
+// • POST /api/checkin  { practiceId, phase: "before"|"after", rating, sessionId, language? }
+//                      → { saved: { phase, rating, before?, change? }, message, checkin?, summary }
+// • GET  /api/checkin?sessionId=...     → { practices: [{ practiceId, completed, avgBefore, avgAfter, avgChange }] }
+// • GET  /api/checkin?scope=practices   → same aggregates across all users (no user ids)
+// Ratings are read and written through a live chat session (the id /api/chat issued), for the user its turns were
+// recorded under; the session's user is bound by the server when it starts, and a bare clientId is not accepted here
+
+import { withCORS, ok, bad, parseBody, getQuery, configFailed } from "../lib/http.js";
+import { PHASES, validRating, knownPractice, recordCheckin, userSummary, practiceSummary, ratingReply, nextCheckin, checkinPrompt } from "../lib/checkins.js";
+import { loadSession, saveSession, sessionUser, userOfSession } from "../lib/sessions.js";
+import { refreshCatalog } from "../lib/catalog.js";
+import { normalizeLocale, DEFAULT_LOCALE } from "../lib/i18n.js";
+
+export default async function handler(req, res) {
+  withCORS(req, res, "GET, POST, OPTIONS");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (configFailed(res)) return;
+  refreshCatalog();
+
+  try {
+    if (req.method === "GET") {
+      const query = getQuery(req);
+      if (query.scope === "practices") return ok(res, { practices: await practiceSummary() });
+      if (!query.sessionId) return bad(res, 400, "Missing sessionId.");
+      res.setHeader("Cache-Control", "no-store");
+      const user = await sessionUser(String(query.sessionId));
+      if (!user) return bad(res, 404, "Unknown or expired session.");
+      return ok(res, { practices: await userSummary(user) });
+    }
+
+    if (req.method === "POST") {
+      let body;
+      try { body = await parseBody(req, { maxBytes: 4096 }); } catch { return bad(res, 400, "Invalid JSON body."); }
+      const { practiceId, phase, sessionId } = body || {};
+      const rating = Number(body?.rating);
+      if (!knownPractice(practiceId)) return bad(res, 400, "Unknown practiceId.");
+      if (!PHASES.includes(phase)) return bad(res, 400, `phase must be one of: ${PHASES.join(", ")}.`);
+      if (!validRating(rating)) return bad(res, 400, "rating must be a whole number from 0 to 10.");
+
+      if (!sessionId) return bad(res, 400, "Missing sessionId.");
+      const session = await loadSession(String(sessionId));
+      if (!session) return bad(res, 404, "Unknown or expired session.");
+      const user = userOfSession(session);
+      const language = normalizeLocale(body.language || session.language) || DEFAULT_LOCALE;
+
+      const saved = await recordCheckin({ user, practiceId, language, phase, rating });
+      const next = nextCheckin({ practiceId }, saved);
+      session.checkin = next;
+      await saveSession(session);
+      return ok(res, {
+        saved,
+        message: ratingReply(saved, language),
+        ...(next ? { checkin: checkinPrompt(next.phase, practiceId, language) } : {}),
+        summary: await userSummary(user)
+      });
+    }
+  } catch (err) {
+    console.error("CalmaLink checkin error:", err);
+    return bad(res, 500, "Check-in store unavailable.");
+  }
+
+  return bad(res, 405, "Use GET or POST.");
+}
@@ -0,0 +1,34 @@
+// api/library.js
+// Public read-only view of the CalmaLink practice catalog (no chat needed).
+// GET /api/library?language=es&duration=3&tag=sleep
+// Listings are cached publicly, so they carry no signed audio links (audioUrl: null, audio without expiresAt);
+// a practice is played through chat, whose tool results sign a fresh link per request
+
+import { withCORS, ok, bad, getQuery, requestOrigin, configFailed } from "../lib/http.js";
+import { listPractices, meditationResult, withOrigin, refreshCatalog, LANGUAGES, DURATIONS, TAGS, CATEGORIES } from "../lib/catalog.js";
+
+export default function handler(req, res) {
+  withCORS(req, res, "GET, OPTIONS");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return bad(res, 405, "Use GET to read the library. / Usa GET para ver la biblioteca.");
+  if (configFailed(res)) return;
+  refreshCatalog();
+
+  const q = getQuery(req);
+  const language = q.language || undefined;
+  const tag = q.tag || undefined;
+  const category = q.category || undefined;
+  const duration = q.duration ? Number(q.duration) : undefined;
+
+  if (language && !LANGUAGES.includes(language)) return bad(res, 400, `Unknown language. Use one of: ${LANGUAGES.join(", ")}.`);
+  if (duration !== undefined && !Number.isInteger(duration)) return bad(res, 400, "Duration must be a whole number of minutes.");
+
+  const origin = requestOrigin(req);
+  const practices = listPractices({ language, duration, tag, category })
+    .map(p => withOrigin(meditationResult(p, { signed: false }), origin));
+  res.setHeader("Cache-Control", "public, max-age=300");
+  return ok(res, {
+    practices,
+    filters: { languages: LANGUAGES, durations: DURATIONS, tags: TAGS, categories: CATEGORIES }
+  });
+}
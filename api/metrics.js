@@ -0,0 +1,38 @@
+// api/metrics.js
+// Aggregated chat events (lib/events.js) for dashboards — counts and latency only, never message text.
+// GET /api/metrics?hours=24 | ?from=2025-01-01T00:00:00Z&to=...   Authorization: Bearer <METRICS_TOKEN>
+// → { window: { from, to }, source, total, answered, byEngine, byIntent, byTool, byLanguage, byOutcome, rates, latencyMs, latencyByEngine }
+
+import { ok, bad, getQuery, configFailed, bearerAuthorized } from "../lib/http.js";
+import { getConfig } from "../lib/config.js";
+import { metricsWindow, readEvents, readableSink, summarize } from "../lib/events.js";
+
+export default async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  if (req.method !== "GET") return bad(res, 405, "Use GET to read metrics.");
+  if (configFailed(res)) return;
+
+  const { token } = getConfig().metrics;
+  if (!token) return bad(res, 503, "Metrics are disabled (METRICS_TOKEN is not set).");
+  if (!bearerAuthorized(req, token)) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    return bad(res, 401, "Missing or invalid metrics token.");
+  }
+
+  const window = metricsWindow(getQuery(req));
+  if (window.error) return bad(res, 400, window.error);
+  const source = readableSink();
+  if (!source) return bad(res, 501, 'No readable event sink; add "store" or "file" to EVENT_SINKS.');
+
+  try {
+    const events = await readEvents(window);
+    return ok(res, {
+      window: { from: new Date(window.from).toISOString(), to: new Date(window.to).toISOString() },
+      source: source.name,
+      ...summarize(events)
+    });
+  } catch (err) {
+    console.error("CalmaLink metrics error:", err);
+    return bad(res, 500, "Event store unavailable.");
+  }
+}
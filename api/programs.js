@@ -0,0 +1,38 @@
+// api/programs.js
+// Multi-day programs (lib/programs.js): what each program holds and, for a user, where they are.
+// GET /api/programs?language=es                    → { programs: [{ id, name, days: [{ day, id, category, title, minutes }] }] }
+// GET /api/programs?language=es&sessionId=...      → + progress: { active, streak: { current, best }, programs: [{ id, day, days, done, doneToday, finished }] }
+// Progress is read through a live chat session (the id /api/chat issued), for the user its turns were recorded under;
+// the session's user is bound by the server when it starts, and a bare clientId is not accepted here
+
+import { withCORS, ok, bad, getQuery, configFailed } from "../lib/http.js";
+import { LANGUAGES, refreshCatalog } from "../lib/catalog.js";
+import { sessionUser } from "../lib/sessions.js";
+import { PROGRAMS, programName, programDays, programSummary } from "../lib/programs.js";
+
+export default async function handler(req, res) {
+  withCORS(req, res, "GET, OPTIONS");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "GET") return bad(res, 405, "Use GET to read programs. / Usa GET para ver los programas.");
+  if (configFailed(res)) return;
+  refreshCatalog();
+
+  const q = getQuery(req);
+  const language = q.language || "en";
+  if (!LANGUAGES.includes(language)) return bad(res, 400, `Unknown language. Use one of: ${LANGUAGES.join(", ")}.`);
+  const programs = PROGRAMS.map(p => ({ id: p.id, name: programName(p, language), days: programDays(p, language) }));
+
+  if (!q.sessionId) {
+    res.setHeader("Cache-Control", "public, max-age=300");
+    return ok(res, { programs });
+  }
+  try {
+    res.setHeader("Cache-Control", "no-store");
+    const user = await sessionUser(q.sessionId);
+    if (!user) return bad(res, 404, "Unknown or expired session.");
+    return ok(res, { programs, progress: await programSummary(user, { language }) });
+  } catch (err) {
+    console.error("CalmaLink programs error:", err);
+    return bad(res, 500, "Progress store unavailable.");
+  }
+}
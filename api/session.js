@@ -0,0 +1,41 @@
+// api/session.js
+// Conversation sessions for the chat handlers.
+// • POST   /api/session          → { sessionId } (new, empty session)
+// • GET    /api/session?id=...   → { sessionId, language, languageChosen, lastPractice, talkOnly, turns }
+// • DELETE /api/session?id=...   → ends the session (e.g. "clear chat")
+
+import { withCORS, ok, bad, getQuery, configFailed } from "../lib/http.js";
+import { newSession, saveSession, loadSession, deleteSession } from "../lib/sessions.js";
+
+export default async function handler(req, res) {
+  withCORS(req, res, "GET, POST, DELETE, OPTIONS");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (configFailed(res)) return;
+
+  try {
+    if (req.method === "POST") {
+      const session = await saveSession(newSession());
+      return ok(res, { sessionId: session.id });
+    }
+
+    const { id } = getQuery(req);
+    if (!id) return bad(res, 400, "Missing session id.");
+
+    if (req.method === "GET") {
+      const session = await loadSession(id);
+      if (!session) return bad(res, 404, "Session not found or expired.");
+      const { language, languageChosen = false, lastPractice, talkOnly, turns } = session;
+      return ok(res, { sessionId: session.id, language, languageChosen, lastPractice, talkOnly, turns: turns.map(({ role, content }) => ({ role, content })) });
+    }
+
+    if (req.method === "DELETE") {
+      await deleteSession(id);
+      return ok(res, { sessionId: id, deleted: true });
+    }
+  } catch (err) {
+    console.error("CalmaLink session error:", err);
+    return bad(res, 500, "Session store unavailable.");
+  }
+
+  return bad(res, 405, "Use GET, POST or DELETE.");
+}
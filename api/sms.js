@@ -0,0 +1,11 @@
+// api/sms.js
+// Twilio messaging webhook for the SMS / WhatsApp channel (lib/sms.js).
+// • POST application/x-www-form-urlencoded { From, Body, FromCountry?, … } signed with X-Twilio-Signature (TWILIO_AUTH_TOKEN)
+// • → TwiML: <Response><Message><Body>…</Body><Media>audio link</Media></Message></Response>, or an empty <Response/>
+// • STOP / BAJA opt the number out, START / ALTA back in, HELP / AYUDA explain the commands
+
+import { handleSms } from "../lib/sms.js";
+
+export default function handler(req, res) {
+  return handleSms(req, res);
+}
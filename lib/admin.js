@@ -0,0 +1,38 @@
+// lib/admin.js
+// Shared pieces of the content admin routes (api/admin/*).
+// • adminDenied(req, res): 503 without ADMIN_TOKEN, 401 without a matching "Authorization: Bearer <ADMIN_TOKEN>"
+// • contentFailed(res, err): content errors (lib/content.js) → 404 / 409 / 422 with the list of problems, else 500
+// • Responses are never cached; every successful write refreshes this instance's catalog right away
+
+import { bad, bearerAuthorized } from "./http.js";
+import { getConfig } from "./config.js";
+
+// true when the response was sent
+export function adminDenied(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  const { adminToken } = getConfig().content;
+  if (!adminToken) {
+    bad(res, 503, "The admin API is disabled (ADMIN_TOKEN is not set).");
+    return true;
+  }
+  if (!bearerAuthorized(req, adminToken)) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    bad(res, 401, "Missing or invalid admin token.");
+    return true;
+  }
+  return false;
+}
+
+const STATUS = { NOT_FOUND: 404, CONFLICT: 409, INVALID: 422 };
+
+export function contentFailed(res, err) {
+  const status = STATUS[err?.code];
+  if (status) return res.status(status).json({ message: err.message, ...(err.problems ? { problems: err.problems } : {}) });
+  console.error("CalmaLink admin error:", err);
+  return bad(res, 500, "Content store unavailable.");
+}
+
+// Record without its history (lists and write responses)
+export function current({ history, ...meditation }) {
+  return meditation;
+}
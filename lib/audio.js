@@ -0,0 +1,128 @@
+// lib/audio.js
+// Catalog audio served through /api/audio/:id instead of raw public files.
+// • Expiring links: /api/audio/<id>?exp=<unix seconds>&sig=<HMAC-SHA256(id.exp)> (AUDIO_SIGNING_SECRET)
+// • File metadata measured from the file itself: byte size + real MP3 duration (frame scan, cached per instance)
+// • Links are host-relative; routes make them absolute with AUDIO_BASE_URL or the request origin
+// • TTL / signing secret come from lib/config.js
+
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+import { readFileSync, statSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { getConfig } from "./config.js";
+
+export const MEDIA_DIR = fileURLToPath(new URL("../media/", import.meta.url));
+
+const CONTENT_TYPES = { ".mp3": "audio/mpeg", ".m4a": "audio/mp4", ".ogg": "audio/ogg", ".wav": "audio/wav" };
+
+// ---------- signing ----------
+// Without AUDIO_SIGNING_SECRET links only verify on the instance that made them (fine for local dev)
+let devSecret = null;
+function secret() {
+  const { signingSecret } = getConfig().audio;
+  if (signingSecret) return signingSecret;
+  if (!devSecret) {
+    devSecret = randomBytes(32).toString("hex");
+    console.warn("CalmaLink audio: AUDIO_SIGNING_SECRET not set; using a per-instance secret.");
+  }
+  return devSecret;
+}
+
+const sign = (id, exp) => createHmac("sha256", secret()).update(`${id}.${exp}`).digest("base64url");
+
+export function signAudio(id, { ttl = getConfig().audio.linkTtlSeconds, now = Date.now() } = {}) {
+  const exp = Math.floor(now / 1000) + ttl;
+  return {
+    url: `/api/audio/${encodeURIComponent(id)}?exp=${exp}&sig=${sign(id, exp)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+// → "ok" | "expired" | "invalid"
+export function verifyAudio(id, exp, sig, now = Date.now()) {
+  const e = Number(exp);
+  if (!Number.isInteger(e) || typeof sig !== "string") return "invalid";
+  const want = Buffer.from(sign(id, e));
+  const got = Buffer.from(sig);
+  if (want.length !== got.length || !timingSafeEqual(want, got)) return "invalid";
+  return e * 1000 > now ? "ok" : "expired";
+}
+
+// "/api/audio/..." → "https://host/api/audio/..." (already absolute URLs pass through)
+export function absoluteUrl(url, origin) {
+  return url && origin && url.startsWith("/") ? `${origin}${url}` : url;
+}
+
+// ---------- metadata ----------
+// MPEG audio Layer III: kbps by bitrate index, sample rates by version bits
+const BITRATES = {
+  v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+function id3Length(buf) {
+  if (buf.length < 10 || buf.toString("latin1", 0, 3) !== "ID3") return 0;
+  const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+  return 10 + size + (buf[5] & 0x10 ? 10 : 0);
+}
+
+// Sum of frame durations (works for CBR and VBR files)
+export function mp3Duration(buf) {
+  let i = id3Length(buf);
+  let seconds = 0;
+  while (i + 4 <= buf.length) {
+    if (buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) { i++; continue; }
+    const version = (buf[i + 1] >> 3) & 3;
+    const layer = (buf[i + 1] >> 1) & 3;
+    const bitrateIndex = buf[i + 2] >> 4;
+    const rateIndex = (buf[i + 2] >> 2) & 3;
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) { i++; continue; }
+    const mpeg1 = version === 3;
+    const rate = SAMPLE_RATES[version][rateIndex];
+    const kbps = BITRATES[mpeg1 ? "v1" : "v2"][bitrateIndex];
+    const padding = (buf[i + 2] >> 1) & 1;
+    seconds += (mpeg1 ? 1152 : 576) / rate;
+    i += Math.floor(((mpeg1 ? 144 : 72) * kbps * 1000) / rate) + padding;
+  }
+  return seconds;
+}
+
+const infoCache = new Map();
+
+// { file, path, contentType, bytes, durationSeconds, modifiedAt } or null when the file is missing
+// file: a name under media/, or an absolute path (uploads in the content store; names never change once written)
+export function audioInfo(file) {
+  if (infoCache.has(file)) return infoCache.get(file);
+  const full = path.resolve(MEDIA_DIR, file);
+  let info = null;
+  try {
+    const stat = statSync(full);
+    const ext = path.extname(file).toLowerCase();
+    info = {
+      file,
+      path: full,
+      contentType: CONTENT_TYPES[ext] || "application/octet-stream",
+      bytes: stat.size,
+      durationSeconds: ext === ".mp3" ? Math.round(mp3Duration(readFileSync(full)) * 10) / 10 : null,
+      modifiedAt: stat.mtime.toUTCString()
+    };
+  } catch (err) {
+    console.error(`CalmaLink audio: cannot read ${file}:`, err.message);
+  }
+  infoCache.set(file, info);
+  return info;
+}
+
+// Public payload for a practice's audio (null when it has none); signed: false describes the recording without a
+// playable link (cacheable listings)
+export function audioPayload(p, { signed = true } = {}) {
+  const info = p.audioFile ? audioInfo(p.audioFile) : null;
+  if (!info) return { audioUrl: null, audio: null };
+  if (!signed) return { audioUrl: null, audio: { contentType: info.contentType, bytes: info.bytes, durationSeconds: info.durationSeconds } };
+  const { url, expiresAt } = signAudio(p.id);
+  return {
+    audioUrl: url,
+    audio: { contentType: info.contentType, bytes: info.bytes, durationSeconds: info.durationSeconds, expiresAt }
+  };
+}
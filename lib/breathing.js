@@ -0,0 +1,49 @@
+// lib/breathing.js
+// Breathing patterns as data, and the timed pacer sequence the frontend animates (no audio file needed).
+// • PATTERNS: phases with seconds per breath — 4-6 calm breath, box 4-4-4-4, 4-7-8; catalog practices point at one via `pattern`
+// • pacerSequence(pattern, { minutes, language }) builds the steps on the fly for any length (MIN_MINUTES–MAX_MINUTES),
+//   rounded to whole cycles and capped at a pattern's maxCycles (4-7-8: 8 breaths, about 3 min);
+//   minutes is the length actually built: { pattern, label, minutes, cycles, cycleSeconds, totalSeconds, phases, steps }
+// • steps = [{ cycle, phase, cue, start, seconds }] with start offsets in seconds and cue labels in the practice language
+
+import { t } from "./i18n.js";
+
+// Phase names double as locale keys (breathing.<phase>)
+export const PHASES = ["inhale", "hold", "exhale", "holdOut"];
+
+export const PATTERNS = {
+  "4-6": { label: "4-6", phases: [["inhale", 4], ["exhale", 6]] },
+  box: { label: "4-4-4-4", phases: [["inhale", 4], ["hold", 4], ["exhale", 4], ["holdOut", 4]] },
+  "4-7-8": { label: "4-7-8", phases: [["inhale", 4], ["hold", 7], ["exhale", 8]], maxCycles: 8 }   // long holds: a few breaths, not minutes
+};
+
+export const MIN_MINUTES = 1;
+export const MAX_MINUTES = 20;
+
+export function clampMinutes(minutes) {
+  const n = Math.round(Number(minutes));
+  return Number.isFinite(n) && n > 0 ? Math.min(MAX_MINUTES, Math.max(MIN_MINUTES, n)) : null;
+}
+
+export function pacerSequence(patternId, { minutes, language = "en" } = {}) {
+  const pattern = PATTERNS[patternId];
+  if (!pattern) return null;
+  minutes = clampMinutes(minutes) || MIN_MINUTES;
+  const phases = pattern.phases.map(([phase, seconds]) => ({ phase, seconds, cue: t(language, `breathing.${phase}`) }));
+  const cycleSeconds = phases.reduce((sum, p) => sum + p.seconds, 0);
+  const cycles = Math.min(pattern.maxCycles || Infinity, Math.max(1, Math.round((minutes * 60) / cycleSeconds)));
+  const steps = [];
+  let start = 0;
+  for (let cycle = 1; cycle <= cycles; cycle++) {
+    for (const p of phases) {
+      steps.push({ cycle, phase: p.phase, cue: p.cue, start, seconds: p.seconds });
+      start += p.seconds;
+    }
+  }
+  return { pattern: patternId, label: pattern.label, minutes: Math.max(1, Math.round(start / 60)), cycles, cycleSeconds, totalSeconds: start, phases, steps };
+}
+
+// "This round is 1 min: 6 breaths of 4-6."
+export function pacerNote(pacer, lang = "en") {
+  return t(lang, "breathing.length", { minutes: pacer.minutes, cycles: pacer.cycles, pattern: pacer.label });
+}
@@ -0,0 +1,110 @@
+// lib/captions.js
+// Timed transcripts for every practice, served as WebVTT by /api/captions/:id and inlined as segments.
+// • Recorded practices: authored tracks in media/captions/<file>.vtt (edit these when a recording changes),
+//   or uploaded through the admin API (absolute paths in the content store)
+// • Script-only practices: the script split into sentences and spread over the practice length
+// • loadCaptions(practices) runs once at load: cues must be in order, non-overlapping and inside the audio
+//   duration — invalid tracks are logged and dropped (captionsUrl: null) instead of shipping wrong timing
+
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import { MEDIA_DIR, audioInfo } from "./audio.js";
+
+export const CAPTIONS_DIR = path.join(MEDIA_DIR, "captions");
+const TOLERANCE = 0.5; // seconds past the end of the audio still accepted (encoder padding)
+
+// ---------- WebVTT ----------
+const TIME_RE = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/;
+
+function parseTime(s) {
+  const m = TIME_RE.exec(s.trim());
+  if (!m) throw new Error(`bad timestamp "${s}"`);
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(m[4]) / 1000;
+}
+
+export function formatTime(sec) {
+  const ms = Math.round(sec * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+// "WEBVTT\n\n00:00:00.000 --> 00:00:04.000\nSit comfortably." → [{ start, end, text }]
+export function parseVtt(text) {
+  const blocks = String(text).replace(/\r/g, "").trim().split(/\n{2,}/);
+  if (!/^WEBVTT/.test(blocks[0] || "")) throw new Error("missing WEBVTT header");
+  const segments = [];
+  for (const block of blocks.slice(1)) {
+    const lines = block.split("\n");
+    const at = lines.findIndex(l => l.includes("-->"));
+    if (at === -1) continue; // NOTE / STYLE blocks
+    const [start, end] = lines[at].split("-->").map(s => parseTime(s.trim().split(/\s+/)[0]));
+    segments.push({ start, end, text: lines.slice(at + 1).join("\n").trim() });
+  }
+  return segments;
+}
+
+export function toVtt(segments) {
+  const cues = segments.map((s, i) => `${i + 1}\n${formatTime(s.start)} --> ${formatTime(s.end)}\n${s.text}`);
+  return `WEBVTT\n\n${cues.join("\n\n")}\n`;
+}
+
+// ---------- timing ----------
+const round = n => Math.round(n * 1000) / 1000;
+
+// Sentences spread over the practice length in proportion to their length (short gap between cues)
+export function scriptSegments(script, totalSeconds) {
+  const sentences = String(script).match(/[^.!?]+[.!?]+["”’]?|[^.!?]+$/g)?.map(s => s.trim()).filter(Boolean) || [];
+  const weight = sentences.reduce((n, s) => n + s.length, 0) || 1;
+  let t = 0;
+  return sentences.map(text => {
+    const span = (totalSeconds * text.length) / weight;
+    const seg = { start: round(t), end: round(t + span * 0.9), text };
+    t += span;
+    return seg;
+  });
+}
+
+// → list of problems ([] when valid)
+export function checkSegments(segments, duration) {
+  const problems = [];
+  if (!segments.length) problems.push("no cues");
+  segments.forEach((s, i) => {
+    if (!(s.end > s.start)) problems.push(`cue ${i + 1} ends before it starts`);
+    if (i && s.start < segments[i - 1].end) problems.push(`cue ${i + 1} overlaps cue ${i}`);
+    if (!s.text) problems.push(`cue ${i + 1} is empty`);
+    if (duration && s.end > duration + TOLERANCE) problems.push(`cue ${i + 1} ends at ${s.end}s, after the audio (${duration}s)`);
+  });
+  return problems;
+}
+
+// ---------- registry ----------
+const tracks = new Map();
+
+export function loadCaptions(practices) {
+  tracks.clear();
+  for (const p of practices) {
+    const audio = p.audioFile ? audioInfo(p.audioFile) : null;
+    const duration = audio?.durationSeconds || p.duration * 60;
+    try {
+      const segments = p.captionsFile
+        ? parseVtt(readFileSync(path.resolve(CAPTIONS_DIR, p.captionsFile), "utf8"))
+        : scriptSegments(p.script, duration);
+      const problems = checkSegments(segments, duration);
+      if (problems.length) throw new Error(problems.join("; "));
+      tracks.set(p.id, segments);
+    } catch (err) {
+      console.error(`CalmaLink captions: dropping ${p.id}: ${err.message}`);
+    }
+  }
+  return tracks;
+}
+
+export function captionSegments(id) { return tracks.get(id) || null; }
+
+// Tool-result fields (captionsUrl is host-relative, like audio links)
+export function captionsPayload(p) {
+  const segments = captionSegments(p.id);
+  return segments
+    ? { captionsUrl: `/api/captions/${encodeURIComponent(p.id)}.vtt`, segments }
+    : { captionsUrl: null, segments: [] };
+}
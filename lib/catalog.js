@@ -0,0 +1,434 @@
+// lib/catalog.js
+// CalmaLink practice catalog — the single source of truth for every chat handler and /api/library.
+// • One entry per practice + language (category, language, duration, tags, audio file under media/, captions, script)
+// • Built-in practices below + published meditations from the content store (lib/content.js, /api/admin/*);
+//   a published meditation replaces the built-in category of the same id. refreshCatalog() picks up changes.
+// • Tool enums, library text and meditation selection are all derived from PRACTICES
+// • Languages without a recording borrow one along the fallback chain (pt → es → en), flagged as audioLanguage
+// • Breathing practices name a pattern (lib/breathing.js); their results carry a timed pacer built to the requested length
+
+import { tokenize } from "./text.js";
+import { audioPayload, absoluteUrl } from "./audio.js";
+import { getConfig } from "./config.js";
+import { loadCaptions, captionsPayload } from "./captions.js";
+import { t, fallbackChain, languageName, joinList } from "./i18n.js";
+import { pacerSequence } from "./breathing.js";
+import { getContentStore, contentPractices } from "./content.js";
+
+const BUILT_IN = [
+  // ---------- calm breath ----------
+  {
+    id: "calm_breath_3_en",
+    category: "calm_breath",
+    pattern: "4-6",
+    language: "en",
+    duration: 3,
+    name: "Calm Breath",
+    aliases: ["calm breath", "calm_breath"],
+    tags: ["breathing", "stress", "anxiety"],
+    audioFile: "calmbreathenglish.mp3",
+    captionsFile: "calmbreathenglish.vtt",
+    script:
+      "Sit comfortably. Inhale 4, exhale 6. With each exhale, soften your shoulders and jaw. If thoughts arise, place them on a cloud and let them drift by. Return to your breath: inhale for 4, exhale for 6. When you’re ready, open your eyes and carry this calm with you."
+  },
+  {
+    id: "calm_breath_3_es",
+    category: "calm_breath",
+    pattern: "4-6",
+    language: "es",
+    duration: 3,
+    name: "Respiración Calma",
+    aliases: ["respiración calma", "respiracion calma"],
+    tags: ["breathing", "stress", "anxiety"],
+    audioFile: "spanishcalmbreath.mp3",
+    captionsFile: "spanishcalmbreath.vtt",
+    script:
+      "Siéntate con comodidad. Inhala 4, exhala 6. Con cada exhalación, suaviza hombros y mandíbula. Si surgen pensamientos, colócalos sobre una nube y déjalos pasar. Regresa a la respiración: inhala 4, exhala 6. Cuando estés listo, abre los ojos y lleva contigo esta calma."
+  },
+  {
+    id: "calm_breath_3_pt",
+    category: "calm_breath",
+    pattern: "4-6",
+    language: "pt",
+    duration: 3,
+    name: "Respiração Calma",
+    aliases: ["respiração calma", "respiracao calma"],
+    tags: ["breathing", "stress", "anxiety"],
+    audioFile: null,
+    script:
+      "Sente-se confortavelmente. Inspire em 4, expire em 6. A cada expiração, solte os ombros e a mandíbula. Se surgirem pensamentos, coloque-os sobre uma nuvem e deixe-os passar. Volte à respiração: inspire em 4, expire em 6. Quando estiver pronto, abra os olhos e leve esta calma com você."
+  },
+  {
+    id: "calm_breath_3_fr",
+    category: "calm_breath",
+    pattern: "4-6",
+    language: "fr",
+    duration: 3,
+    name: "Respiration Calme",
+    aliases: ["respiration calme"],
+    tags: ["breathing", "stress", "anxiety"],
+    audioFile: null,
+    script:
+      "Installez-vous confortablement. Inspirez sur 4, expirez sur 6. À chaque expiration, relâchez les épaules et la mâchoire. Si des pensées surgissent, posez-les sur un nuage et laissez-les s’éloigner. Revenez à votre respiration : inspirez sur 4, expirez sur 6. Quand vous êtes prêt, ouvrez les yeux et gardez ce calme avec vous."
+  },
+
+  // ---------- box breathing ----------
+  {
+    id: "box_breath_2_en",
+    category: "box_breath",
+    pattern: "box",
+    language: "en",
+    duration: 2,
+    name: "Box Breathing",
+    aliases: ["box breath", "box breathing", "box_breath"],
+    tags: ["breathing", "focus", "anxiety"],
+    audioFile: null,
+    script:
+      "Sit tall and let your hands rest. Breathe in for 4, hold for 4, breathe out for 4, hold for 4. Picture tracing the sides of a square as you go. Keep the breath soft and quiet. After a few rounds, let your breathing return to its own rhythm."
+  },
+  {
+    id: "box_breath_2_es",
+    category: "box_breath",
+    pattern: "box",
+    language: "es",
+    duration: 2,
+    name: "Respiración Cuadrada",
+    aliases: ["respiración cuadrada", "respiracion cuadrada"],
+    tags: ["breathing", "focus", "anxiety"],
+    audioFile: null,
+    script:
+      "Siéntate erguido y deja descansar las manos. Inhala en 4, sostén en 4, exhala en 4, sostén en 4. Imagina que recorres los lados de un cuadrado. Mantén la respiración suave y silenciosa. Después de unas rondas, deja que la respiración vuelva a su propio ritmo."
+  },
+  {
+    id: "box_breath_2_pt",
+    category: "box_breath",
+    pattern: "box",
+    language: "pt",
+    duration: 2,
+    name: "Respiração Quadrada",
+    aliases: ["respiração quadrada", "respiracao quadrada"],
+    tags: ["breathing", "focus", "anxiety"],
+    audioFile: null,
+    script:
+      "Sente-se com a coluna ereta e deixe as mãos descansarem. Inspire em 4, segure em 4, expire em 4, segure em 4. Imagine que percorre os lados de um quadrado. Mantenha a respiração suave e silenciosa. Depois de algumas rodadas, deixe a respiração voltar ao seu próprio ritmo."
+  },
+  {
+    id: "box_breath_2_fr",
+    category: "box_breath",
+    pattern: "box",
+    language: "fr",
+    duration: 2,
+    name: "Respiration Carrée",
+    aliases: ["respiration carrée", "respiration carree", "respiration au carré"],
+    tags: ["breathing", "focus", "anxiety"],
+    audioFile: null,
+    script:
+      "Asseyez-vous bien droit et laissez reposer vos mains. Inspirez sur 4, retenez sur 4, expirez sur 4, retenez sur 4. Imaginez que vous parcourez les côtés d’un carré. Gardez une respiration douce et silencieuse. Après quelques cycles, laissez votre souffle retrouver son propre rythme."
+  },
+
+  // ---------- 4-7-8 breathing ----------
+  {
+    id: "breath_478_2_en",
+    category: "breath_478",
+    pattern: "4-7-8",
+    language: "en",
+    duration: 2,
+    name: "4-7-8 Breathing",
+    aliases: ["4-7-8", "478", "relaxing breath", "breath_478"],
+    tags: ["breathing", "sleep", "anxiety"],
+    audioFile: null,
+    script:
+      "Rest the tip of your tongue behind your upper teeth. Breathe in quietly through your nose for 4, hold for 7, then breathe out slowly through your mouth for 8. Let the long exhale loosen your body a little more each round. If holding feels uncomfortable, shorten it; the slow exhale matters most."
+  },
+  {
+    id: "breath_478_2_es",
+    category: "breath_478",
+    pattern: "4-7-8",
+    language: "es",
+    duration: 2,
+    name: "Respiración 4-7-8",
+    aliases: ["respiración 4-7-8", "respiracion 4-7-8", "respiración relajante", "respiracion relajante"],
+    tags: ["breathing", "sleep", "anxiety"],
+    audioFile: null,
+    script:
+      "Apoya la punta de la lengua detrás de los dientes de arriba. Inhala en silencio por la nariz en 4, sostén en 7 y exhala despacio por la boca en 8. Deja que la exhalación larga afloje un poco más tu cuerpo en cada ronda. Si sostener te resulta incómodo, acórtalo; lo que más importa es la exhalación lenta."
+  },
+  {
+    id: "breath_478_2_pt",
+    category: "breath_478",
+    pattern: "4-7-8",
+    language: "pt",
+    duration: 2,
+    name: "Respiração 4-7-8",
+    aliases: ["respiração 4-7-8", "respiracao 4-7-8", "respiração relaxante", "respiracao relaxante"],
+    tags: ["breathing", "sleep", "anxiety"],
+    audioFile: null,
+    script:
+      "Apoie a ponta da língua atrás dos dentes de cima. Inspire em silêncio pelo nariz em 4, segure em 7 e expire devagar pela boca em 8. Deixe a expiração longa soltar um pouco mais o corpo a cada rodada. Se segurar for desconfortável, encurte; o mais importante é a expiração lenta."
+  },
+  {
+    id: "breath_478_2_fr",
+    category: "breath_478",
+    pattern: "4-7-8",
+    language: "fr",
+    duration: 2,
+    name: "Respiration 4-7-8",
+    aliases: ["respiration 4-7-8", "respiration relaxante"],
+    tags: ["breathing", "sleep", "anxiety"],
+    audioFile: null,
+    script:
+      "Posez la pointe de la langue derrière les dents du haut. Inspirez en silence par le nez sur 4, retenez sur 7, puis expirez lentement par la bouche sur 8. Laissez la longue expiration détendre un peu plus votre corps à chaque cycle. Si la rétention est inconfortable, raccourcissez-la ; c’est l’expiration lente qui compte le plus."
+  },
+
+  // ---------- grounding ----------
+  {
+    id: "grounding_3_en",
+    category: "grounding",
+    language: "en",
+    duration: 3,
+    name: "5-4-3-2-1 Grounding",
+    aliases: ["grounding", "5-4-3-2-1", "54321"],
+    tags: ["grounding", "panic", "anxiety"],
+    audioFile: null,
+    script:
+      "Look around and name five things you can see. Notice four things you can feel, like your feet on the floor. Listen for three sounds. Find two things you can smell. Notice one thing you can taste. Take one slow breath and notice that you are here, right now."
+  },
+  {
+    id: "grounding_3_es",
+    category: "grounding",
+    language: "es",
+    duration: 3,
+    name: "Anclaje 5-4-3-2-1",
+    aliases: ["anclaje", "enraizamiento", "5-4-3-2-1", "54321"],
+    tags: ["grounding", "panic", "anxiety"],
+    audioFile: null,
+    script:
+      "Mira a tu alrededor y nombra cinco cosas que puedes ver. Nota cuatro cosas que puedes sentir, como tus pies en el suelo. Escucha tres sonidos. Encuentra dos cosas que puedes oler. Nota una cosa que puedes saborear. Respira lento una vez y nota que estás aquí, ahora."
+  },
+  {
+    id: "grounding_3_pt",
+    category: "grounding",
+    language: "pt",
+    duration: 3,
+    name: "Ancoragem 5-4-3-2-1",
+    aliases: ["ancoragem", "aterramento", "5-4-3-2-1", "54321"],
+    tags: ["grounding", "panic", "anxiety"],
+    audioFile: null,
+    script:
+      "Olhe ao redor e nomeie cinco coisas que você pode ver. Perceba quatro coisas que você pode sentir, como os pés no chão. Escute três sons. Encontre duas coisas que você pode cheirar. Perceba uma coisa que você pode saborear. Respire devagar uma vez e perceba que você está aqui, agora."
+  },
+  {
+    id: "grounding_3_fr",
+    category: "grounding",
+    language: "fr",
+    duration: 3,
+    name: "Ancrage 5-4-3-2-1",
+    aliases: ["ancrage", "5-4-3-2-1", "54321"],
+    tags: ["grounding", "panic", "anxiety"],
+    audioFile: null,
+    script:
+      "Regardez autour de vous et nommez cinq choses que vous voyez. Remarquez quatre sensations dans votre corps, comme vos pieds sur le sol. Écoutez trois sons. Trouvez deux odeurs autour de vous. Remarquez un goût dans votre bouche. Respirez lentement une fois et remarquez que vous êtes ici, maintenant."
+  },
+
+  // ---------- body scan ----------
+  {
+    id: "body_scan_5_en",
+    category: "body_scan",
+    language: "en",
+    duration: 5,
+    name: "Body Scan",
+    aliases: ["body scan", "body_scan"],
+    tags: ["sleep", "relaxation"],
+    audioFile: null,
+    script:
+      "Lie down or sit back and close your eyes. Bring attention to your feet and let them grow heavy. Slowly move up through your legs, hips and belly, releasing any tension you find. Soften your chest, shoulders, arms and hands. Relax your neck, jaw and forehead. Rest here, breathing slowly, for as long as you like."
+  },
+  {
+    id: "body_scan_5_es",
+    category: "body_scan",
+    language: "es",
+    duration: 5,
+    name: "Escaneo Corporal",
+    aliases: ["escaneo corporal", "escaneo"],
+    tags: ["sleep", "relaxation"],
+    audioFile: null,
+    script:
+      "Acuéstate o recuéstate y cierra los ojos. Lleva la atención a tus pies y deja que se pongan pesados. Sube despacio por las piernas, la cadera y el abdomen, soltando la tensión que encuentres. Suaviza el pecho, los hombros, los brazos y las manos. Relaja el cuello, la mandíbula y la frente. Descansa aquí, respirando lento, el tiempo que quieras."
+  },
+  {
+    id: "body_scan_5_pt",
+    category: "body_scan",
+    language: "pt",
+    duration: 5,
+    name: "Escaneamento Corporal",
+    aliases: ["escaneamento corporal", "escaneamento"],
+    tags: ["sleep", "relaxation"],
+    audioFile: null,
+    script:
+      "Deite-se ou recoste-se e feche os olhos. Leve a atenção aos pés e deixe que fiquem pesados. Suba devagar pelas pernas, quadris e barriga, soltando qualquer tensão que encontrar. Suavize o peito, os ombros, os braços e as mãos. Relaxe o pescoço, a mandíbula e a testa. Descanse aqui, respirando devagar, pelo tempo que quiser."
+  },
+  {
+    id: "body_scan_5_fr",
+    category: "body_scan",
+    language: "fr",
+    duration: 5,
+    name: "Scan Corporel",
+    aliases: ["scan corporel", "balayage corporel"],
+    tags: ["sleep", "relaxation"],
+    audioFile: null,
+    script:
+      "Allongez-vous ou installez-vous confortablement et fermez les yeux. Portez votre attention sur vos pieds et laissez-les devenir lourds. Remontez lentement par les jambes, les hanches et le ventre, en relâchant les tensions que vous rencontrez. Détendez la poitrine, les épaules, les bras et les mains. Relâchez la nuque, la mâchoire et le front. Restez ici, en respirant lentement, aussi longtemps que vous le souhaitez."
+  }
+];
+
+// ---------- live catalog & derived enums (tool schemas) ----------
+// These arrays are updated in place, so tool schemas and importers always see the current catalog
+const uniq = arr => [...new Set(arr)];
+export const PRACTICES = [];
+export const CATEGORIES = [];
+export const LANGUAGES = [];
+export const DURATIONS = [];
+export const TAGS = [];
+export const DEFAULT_CATEGORY = "calm_breath";
+
+function rebuild(list) {
+  const replace = (arr, items) => arr.splice(0, arr.length, ...items);
+  replace(PRACTICES, list);
+  replace(CATEGORIES, uniq(list.map(p => p.category)));
+  replace(LANGUAGES, uniq(list.map(p => p.language)));
+  replace(DURATIONS, uniq(list.map(p => p.duration)).sort((a, b) => a - b));
+  replace(TAGS, uniq(list.flatMap(p => p.tags)).sort());
+  // Timed transcripts, checked against the audio whenever the catalog changes
+  loadCaptions(PRACTICES);
+}
+
+// Re-reads the content store when its revision changed (a stat per call); routes call this before using the catalog
+let loaded = null;
+export function refreshCatalog({ store = getContentStore(), force = false } = {}) {
+  const revision = store.revision();
+  if (!force && loaded?.store === store && loaded.revision === revision) return false;
+  loaded = { store, revision };
+  let published = [];
+  try { published = contentPractices(store); } catch (err) {
+    console.error("CalmaLink catalog: content store unreadable, serving built-in practices:", err.message);
+  }
+  const replaced = new Set(published.map(p => p.category));
+  rebuild([...BUILT_IN.filter(p => !replaced.has(p.category)), ...published]);
+  return true;
+}
+
+// Built-ins at load (config is not read at import time); the first refreshCatalog() adds published content
+rebuild(BUILT_IN);
+
+export function practiceTitle(p, minutes = p.duration) { return `${p.name} • ${minutes} min`; }
+
+// ---------- lookup ----------
+export function listPractices({ language, duration, tag, category } = {}) {
+  return PRACTICES.filter(p =>
+    (!language || p.language === language) &&
+    (!duration || p.duration === Number(duration)) &&
+    (!tag || p.tags.includes(tag)) &&
+    (!category || p.category === category)
+  );
+}
+
+function nearest(list, duration) {
+  if (!list.length) return null;
+  if (!duration) return list[0];
+  return [...list].sort((a, b) => Math.abs(a.duration - duration) - Math.abs(b.duration - duration))[0];
+}
+
+// Best match: same category along the language fallback chain (nearest duration) → default category → first entry
+export function findPractice({ category = DEFAULT_CATEGORY, language = "en", duration } = {}) {
+  for (const lang of fallbackChain(language)) {
+    const hit = nearest(listPractices({ category, language: lang }), duration);
+    if (hit) return hit;
+  }
+  return nearest(listPractices({ category: DEFAULT_CATEGORY, language }), duration) || PRACTICES[0];
+}
+
+// Practice whose recording plays for p: p itself, or the same practice in the next language that has audio
+export function audioSource(p) {
+  if (p.audioFile) return p;
+  for (const lang of fallbackChain(p.language).slice(1)) {
+    const hit = nearest(listPractices({ category: p.category, language: lang }).filter(v => v.audioFile), p.duration);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Category named in free text ("box breathing", "escaneo corporal"...), or null. Whole words, accent-folded.
+export function categoryFromText(text = "") {
+  const t = ` ${tokenize(text).join(" ")} `;
+  const hit = PRACTICES.find(p => p.aliases.some(a => t.includes(` ${tokenize(a).join(" ")} `)));
+  return hit ? hit.category : null;
+}
+
+// ---------- payloads & text ----------
+// audioUrl is a signed, host-relative /api/audio link (routes make it absolute); audio = { contentType, bytes, durationSeconds, expiresAt }
+// audioLanguage differs from language when the recording is borrowed; captions follow the recording
+// captionsUrl → /api/captions/<id>.vtt; segments = [{ start, end, text }] in seconds
+// pacer (pattern practices only) → pacerSequence for `minutes` (a custom length) or the practice's own duration;
+// a round of another length reports that length and leaves out the recording and captions, which run p.duration;
+// signed: false leaves out the audio link (see audioPayload)
+export function meditationResult(p, { minutes, signed = true } = {}) {
+  const pacer = p.pattern ? pacerSequence(p.pattern, { minutes: minutes || p.duration, language: p.language }) : null;
+  const custom = !!pacer && pacer.minutes !== p.duration;
+  const source = custom ? null : audioSource(p);
+  const duration = custom ? pacer.minutes : p.duration;
+  return {
+    id: p.id,
+    category: p.category,
+    title: practiceTitle(p, duration),
+    language: p.language,
+    duration,
+    tags: p.tags,
+    ...(custom ? { audioUrl: null, audio: null } : audioPayload(source || p, { signed })),
+    audioLanguage: source ? source.language : null,
+    ...(custom ? { captionsUrl: null, segments: [] } : captionsPayload(source || p)),
+    script: p.script,
+    pacer
+  };
+}
+
+// Host-relative links (audio, captions) → absolute links on the deployment that served the request
+// AUDIO_BASE_URL (config) wins over the request origin, e.g. a CDN in front of the media routes
+export function withOrigin(result, origin) {
+  origin = getConfig().audio.baseUrl?.replace(/\/$/, "") || origin;
+  return { ...result, audioUrl: absoluteUrl(result.audioUrl, origin), captionsUrl: absoluteUrl(result.captionsUrl, origin) };
+}
+
+// result: the payload being sent; the borrowed-recording note only when it carries that recording (a custom-length
+// round has none)
+export function meditationIntro(p, lang = p.language, result = null) {
+  const intro = t(lang, "meditation.intro", { name: p.name });
+  const audioLanguage = result ? result.audioLanguage : audioSource(p)?.language;
+  if (!audioLanguage || audioLanguage === p.language) return intro;
+  return `${intro} ${t(lang, "meditation.audioIn", { language: languageName(audioLanguage, lang).toLowerCase() })}`;
+}
+
+// Library text grouped by category + duration, listing the languages on offer
+export function libraryText(lang) {
+  const groups = new Map();
+  for (const p of PRACTICES) {
+    const key = `${p.category}:${p.duration}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  }
+  const lines = [...groups.values()].map(variants => {
+    const shown = variants.find(v => v.language === lang) || variants[0];
+    const langs = [shown, ...variants.filter(v => v !== shown)].map(v => languageName(v.language, lang));
+    return t(lang, "library.item", { name: shown.name, duration: shown.duration, languages: joinList(langs, lang) });
+  });
+  return [t(lang, "library.header"), ...lines, t(lang, "library.footer")].join("\n");
+}
+
+// One-line summary for the model prompt
+export function catalogSummary() {
+  return CATEGORIES.map(c => {
+    const variants = listPractices({ category: c });
+    const durations = uniq(variants.map(v => v.duration)).join("/");
+    const langs = uniq(variants.map(v => v.language)).join("/");
+    return `${c} (${durations} min; ${langs}; ${variants[0].tags.join(", ")})`;
+  }).join("; ");
+}
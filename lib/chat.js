@@ -0,0 +1,137 @@
+// lib/chat.js
+// Shared chat pipeline behind /api/chat (and the pinned /api/chat_v2, /api/chat_v3 routes):
+// CORS → parse → guard (sizes) → validate → guard (rate limits, model budget) → session → engine → session save → JSON or stream.
+// One structured event per request (lib/events.js): engine, intent, tool, language, latency, outcome — no message text.
+// Every reply has the same shape: { message, tool?, checkin?, engine, intent, sessionId?, clientToken? }
+// A new session is bound to one user for good: the client token it came with (body.clientToken / x-client-token) if the
+// server signed it, else a freshly issued token, sent back once as clientToken for the frontend to keep
+
+import { withCORS, ok, bad, parseBody, requestOrigin, configFailed } from "./http.js";
+import { openConversation, closeConversation } from "./sessions.js";
+import { streamFormat, openStream } from "./stream.js";
+import { detectCountry } from "./crisis_resources.js";
+import { ENGINES, selectEngine } from "./engines/index.js";
+import { withOrigin, refreshCatalog } from "./catalog.js";
+import { userOf, clientFromToken, issueClientToken } from "./checkins.js";
+import { detectLanguage } from "./intent.js";
+import { t, acceptedLocale, DEFAULT_LOCALE } from "./i18n.js";
+import { lastUserText } from "./text.js";
+import { validateChatBody } from "./validate.js";
+import { logEvent, outcomeOf } from "./events.js";
+import { guardConfig, bodyTooLarge, messageTooLong, checkRate, overBudget } from "./guard.js";
+
+// Language of the pipeline's own replies (bad JSON, limits, failures): the session's, else the message's, else the
+// browser's Accept-Language
+function replyLanguage(req, body, session) {
+  const text = typeof body?.message === "string" ? body.message : lastUserText(Array.isArray(body?.messages) ? body.messages : []);
+  return session?.language || detectLanguage(text) || acceptedLocale(req.headers?.["accept-language"]) || DEFAULT_LOCALE;
+}
+
+// Audio/captions links leave the engines host-relative; point them at the deployment that served the request
+function linkTool(tool, origin) {
+  return tool?.name === "get_meditation" ? { ...tool, result: withOrigin(tool.result, origin) } : tool;
+}
+
+// pinned: engine name to always use (legacy per-version routes); otherwise selectEngine decides
+export async function handleChat(req, res, { pinned } = {}) {
+  withCORS(req, res);
+  if (req.method === "OPTIONS") return res.status(200).end();
+  if (req.method !== "POST") return bad(res, 405, "Use POST to chat. / Usa POST para chatear.");
+  if (configFailed(res)) return;
+  refreshCatalog();
+  const started = Date.now();
+  const track = fields => logEvent({ ...fields, latencyMs: Date.now() - started });
+
+  const guard = guardConfig();
+  let body;
+  try { body = await parseBody(req, { maxBytes: guard.maxBodyBytes }); }
+  catch (err) {
+    const tooLarge = err.code === "TOO_LARGE";
+    await track({ outcome: tooLarge ? "too_large" : "invalid" });
+    const lang = replyLanguage(req, null);
+    return tooLarge ? bad(res, 413, t(lang, "request.tooLarge")) : bad(res, 400, t(lang, "request.invalidJson"));
+  }
+  if (bodyTooLarge(req, body, guard) || messageTooLong(body, guard)) {
+    await track({ outcome: "too_large" });
+    return bad(res, 413, t(replyLanguage(req, body), "request.tooLarge"));
+  }
+  const checked = validateChatBody(body, { maxMessageChars: guard.maxMessageChars || Infinity, maxTurns: guard.maxTurns || Infinity });
+  if (checked.error) {
+    await track({ outcome: "invalid" });
+    return bad(res, 400, checked.error);
+  }
+  body = checked.value;
+
+  let selected = pinned ? { name: pinned, engine: ENGINES[pinned], reason: "pinned" } : selectEngine(req, body);
+  const fallback = reason => ({ name: guard.fallbackEngine, engine: ENGINES[guard.fallbackEngine] || ENGINES.v2, reason });
+
+  const limited = await checkRate(req, body, guard);
+  if (limited && guard.overLimit === "reject") {
+    await track({ outcome: "rate_limited", intent: "rate_limited" });
+    res.setHeader("Retry-After", String(limited.retryAfter));
+    return res.status(429).json({ message: t(replyLanguage(req, body), "request.rateLimited"), intent: "rate_limited", retryAfter: limited.retryAfter });
+  }
+  if (limited) selected = fallback("rate_limited");
+  else if (selected.engine.usesModel && await overBudget(guard)) selected = fallback("budget");
+
+  const { name, engine, reason } = selected;
+  const problem = engine.misconfigured?.();
+  if (problem) return bad(res, 500, problem);
+  res.setHeader("X-CalmaLink-Engine", name);
+  if (reason === "rate_limited" || reason === "budget") res.setHeader("X-CalmaLink-Guard", reason);
+
+  // Session → engine → session save; anything that throws (store, engine, event sinks) becomes a 500 JSON body,
+  // or an "error" event once a stream is open
+  const format = streamFormat(req, body);
+  let stream = null;
+  let session = null;
+  try {
+    // Session mode ({ sessionId, message }) or legacy full transcript ({ messages })
+    const convo = await openConversation(body);
+    ({ session } = convo);
+    const messages = convo.messages.slice(-guard.maxTurns);
+    stream = format ? openStream(res, format) : null;
+    const origin = requestOrigin(req);
+    const token = body.clientToken || req.headers["x-client-token"];
+    let issued = null;
+    if (session && !session.user) {
+      if (!clientFromToken(token)) issued = issueClientToken();
+      session.user = userOf({ clientToken: issued || token, sessionId: session.id });
+    }
+    const user = session ? session.user : userOf({ clientToken: token });
+
+    const out = await engine.respond({
+      messages,
+      session,
+      country: detectCountry(req, body),
+      user,
+      onDelta: stream ? text => stream.send("delta", { text }) : null,
+      onTool: stream ? tool => stream.send("tool", linkTool(tool, origin)) : null
+    });
+
+    // The engine answered with its deterministic fallback (e.g. model provider down)
+    if (out.fallback && !res.headersSent) res.setHeader("X-CalmaLink-Fallback", out.fallback);
+
+    const payload = { message: out.message };
+    if (out.tool) payload.tool = linkTool(out.tool, origin);
+    if (out.checkin) payload.checkin = out.checkin;
+    payload.engine = name;
+    payload.intent = out.intent || "chat";
+    if (issued) payload.clientToken = issued;
+    const final = await closeConversation(convo, payload, out.state);
+    // The reply goes out first; waiting on the event afterwards keeps the function alive until it is written
+    const logged = track({
+      engine: name, reason, intent: payload.intent, tool: out.tool?.name, language: out.state?.language,
+      outcome: outcomeOf(out), quick: engine.usesModel ? !!out.quick : null, stream: !!stream
+    });
+    const sent = stream ? stream.finish(final) : ok(res, final);
+    await logged;
+    return sent;
+  } catch (err) {
+    console.error("CalmaLink chat failed:", err?.message || err);
+    await track({ engine: name, reason, intent: "error", outcome: "error", stream: !!stream }).catch(() => {});
+    const failed = t(replyLanguage(req, body, session), "request.failed");
+    if (stream) return stream.fail(failed);
+    return res.status(500).json({ message: failed, engine: name, intent: "error" });
+  }
+}
@@ -0,0 +1,199 @@
+// lib/checkins.js
+// Stress check-ins around a practice: a 0–10 rating before and after, paired per user and practice.
+// • Asked in chat (payload.checkin + question text) when a practice starts, again when it ends; answered by typing a
+//   number in chat, through v3's record_stress_rating tool, or POST /api/checkin from the frontend widget
+// • A session remembers the pending question (session.checkin = { phase, practiceId })
+// • Aggregates per user and per practice: completed pairs, average before / after / change (negative = calmer);
+//   the per-practice totals are store counters (incr), so concurrent ratings from different users are never lost
+// • An "after" rating for the day a multi-day program offered marks that day done (lib/programs.js)
+// User ids: "client:<id>" for a client token the server issued (stable across sessions; the frontend keeps it and sends
+// it back as clientToken), else "session:<sessionId>". A raw clientId from the request is never an identity.
+
+import { createHmac, randomUUID, randomBytes, timingSafeEqual } from "node:crypto";
+import { PRACTICES } from "./catalog.js";
+import { lastUserText } from "./text.js";
+import { t } from "./i18n.js";
+import { getStore } from "./store.js";
+import { completeProgramDay } from "./programs.js";
+import { getConfig } from "./config.js";
+
+export const PHASES = ["before", "after"];
+export const SCALE = { min: 0, max: 10 };
+const PAIR_WINDOW_MS = 1000 * 60 * 60 * 3;   // an "after" pairs with a "before" from the last 3 hours
+const USER_TTL = 60 * 60 * 24 * 180;
+
+const userKey = user => `checkin:user:${user}`;
+const totalKey = (practiceId, field) => `checkin:practice:${practiceId}:${field}`;
+const TOTAL_FIELDS = ["ratings", "completed", "sumBefore", "sumAfter"];
+const TOTALS_TTL = 60 * 60 * 24 * 365;   // renewed by every rating; a practice nobody rates for a year drops out
+
+// ---------- identity ----------
+// Client token = "<random id>.<HMAC-SHA256(id)>" (CLIENT_TOKEN_SECRET); without the secret tokens only verify on the
+// instance that issued them (fine for local dev)
+let devSecret = null;
+function secret() {
+  const configured = getConfig().identity.secret;
+  if (configured) return configured;
+  if (!devSecret) {
+    devSecret = randomBytes(32).toString("hex");
+    console.warn("CalmaLink identity: CLIENT_TOKEN_SECRET not set; using a per-instance secret.");
+  }
+  return devSecret;
+}
+const signId = id => createHmac("sha256", secret()).update(`client.${id}`).digest("base64url");
+
+export function issueClientToken() {
+  const id = randomUUID();
+  return `${id}.${signId(id)}`;
+}
+
+// → the id inside a token this server issued, else null
+export function clientFromToken(token) {
+  const [id, sig] = typeof token === "string" ? token.split(".") : [];
+  if (!id || !sig || !/^[0-9a-f-]{36}$/.test(id)) return null;
+  const given = Buffer.from(sig);
+  const expected = Buffer.from(signId(id));
+  return given.length === expected.length && timingSafeEqual(given, expected) ? id : null;
+}
+
+// Server-known ids only (a verified token, an SMS line); a session without one is its own user
+export const clientUser = id => `client:${id}`;
+export function userOf({ clientToken, sessionId } = {}) {
+  const id = clientFromToken(clientToken);
+  if (id) return clientUser(id);
+  return sessionId ? `session:${sessionId}` : null;
+}
+
+export function validRating(n) {
+  return Number.isInteger(n) && n >= SCALE.min && n <= SCALE.max;
+}
+
+// "7", "7/10", "7 out of 10", "un 4", "3 sur 10" → number; anything else → null
+export function parseRating(text = "") {
+  const m = /^\s*(?:un|una|um|uma|a|an)?\s*(\d{1,2})\s*(?:(?:\/|out of|de|sobre|em|sur)\s*10)?\s*[.!]?\s*$/i.exec(text);
+  const n = m ? Number(m[1]) : NaN;
+  return validRating(n) ? n : null;
+}
+
+// What the client renders (buttons 0–10) and posts back to /api/checkin
+export function checkinPrompt(phase, practiceId, language) {
+  return { phase, practiceId, language, question: t(language, `checkin.${phase}`), scale: SCALE, submitUrl: "/api/checkin" };
+}
+
+// ---------- storage ----------
+function emptyStats(language) {
+  return { language, ratings: 0, completed: 0, sumBefore: 0, sumAfter: 0 };
+}
+
+function addPair(stats, before, after) {
+  stats.completed += 1;
+  stats.sumBefore += before;
+  stats.sumAfter += after;
+}
+
+// → { phase, rating, before?, change?, program? } (change only when an "after" closes a pair; program when it marked
+//   a program day done)
+export async function recordCheckin({ user, practiceId, language, phase, rating }, { store = getStore(), now = Date.now() } = {}) {
+  const record = (await store.get(userKey(user))) || { pending: {}, practices: {} };
+  const stats = (record.practices[practiceId] ||= emptyStats(language));
+  stats.ratings += 1;
+  const saved = { phase, rating };
+  const totals = { ratings: 1 };
+
+  if (phase === "before") {
+    record.pending[practiceId] = { before: rating, at: now };
+  } else {
+    const open = record.pending[practiceId];
+    delete record.pending[practiceId];
+    if (open && now - open.at <= PAIR_WINDOW_MS) {
+      addPair(stats, open.before, rating);
+      Object.assign(totals, { completed: 1, sumBefore: open.before, sumAfter: rating });
+      Object.assign(saved, { before: open.before, change: rating - open.before });
+    }
+  }
+  await store.set(userKey(user), record, USER_TTL);
+  await Promise.all(Object.entries(totals).map(([field, by]) => store.incr(totalKey(practiceId, field), by, TOTALS_TTL)));
+  if (phase === "after") {
+    const program = await completeProgramDay(user, { practiceId, language, store, now });
+    if (program) saved.program = program;
+  }
+  return saved;
+}
+
+const round1 = n => Math.round(n * 10) / 10;
+function summarize(practiceId, s) {
+  const avg = v => (s.completed ? round1(v / s.completed) : null);
+  return {
+    practiceId,
+    language: s.language,
+    ratings: s.ratings,
+    completed: s.completed,
+    avgBefore: avg(s.sumBefore),
+    avgAfter: avg(s.sumAfter),
+    avgChange: avg(s.sumAfter - s.sumBefore)
+  };
+}
+
+// Calmest first (most negative average change); practices without a completed pair last
+const byChange = (a, b) => (a.avgChange ?? Infinity) - (b.avgChange ?? Infinity);
+
+export async function userSummary(user, { store = getStore() } = {}) {
+  const record = await store.get(userKey(user));
+  return Object.entries(record?.practices || {}).map(([id, s]) => summarize(id, s)).sort(byChange);
+}
+
+// Practices with at least one completed pair
+export async function practiceSummary({ store = getStore() } = {}) {
+  const rows = await Promise.all(PRACTICES.map(async p => {
+    if (!(await store.get(totalKey(p.id, "completed")))) return null;
+    const values = await Promise.all(TOTAL_FIELDS.map(field => store.get(totalKey(p.id, field))));
+    return summarize(p.id, { language: p.language, ...Object.fromEntries(TOTAL_FIELDS.map((field, i) => [field, Number(values[i]) || 0])) });
+  }));
+  return rows.filter(Boolean).sort(byChange);
+}
+
+export function knownPractice(id) {
+  return PRACTICES.some(p => p.id === id);
+}
+
+// ---------- chat ----------
+// Reply text for a saved rating (+ the program day it marked done)
+export function ratingReply(saved, language) {
+  if (saved.phase === "before") return t(language, "checkin.thanks");
+  const key = saved.change === undefined ? "checkin.noted" : saved.change < 0 ? "checkin.down" : saved.change > 0 ? "checkin.up" : "checkin.same";
+  const text = t(language, key, { before: saved.before, after: saved.rating });
+  return saved.program ? `${text} ${saved.program.message}` : text;
+}
+
+// Session state after a rating: "before" → ask "after" next, "after" → nothing pending
+export function nextCheckin(pending, saved) {
+  return saved.phase === "before" ? { phase: "after", practiceId: pending.practiceId } : null;
+}
+
+// A number typed while a check-in is pending → { message, intent, checkin?, state: { checkin } } or null
+export async function ratingTurn({ messages, session, user, language }) {
+  const pending = session?.checkin;
+  if (!pending || !user) return null;
+  const rating = parseRating(lastUserText(messages));
+  if (rating === null) return null;
+  const saved = await recordCheckin({ user, practiceId: pending.practiceId, language, phase: pending.phase, rating });
+  const next = nextCheckin(pending, saved);
+  return {
+    message: ratingReply(saved, language),
+    intent: "checkin",
+    ...(next ? { checkin: checkinPrompt(next.phase, next.practiceId, language) } : {}),
+    state: { checkin: next }
+  };
+}
+
+// A practice just started in a session → ask for the "before" rating with it
+export function askBefore(reply, { session, language }) {
+  const practiceId = reply.tool?.name === "get_meditation" ? reply.tool.result.id : null;
+  if (!session || !practiceId) return reply;
+  return {
+    ...reply,
+    message: `${reply.message} ${t(language, "checkin.before")}`,
+    checkin: checkinPrompt("before", practiceId, language),
+    state: { ...reply.state, checkin: { phase: "before", practiceId } }
+  };
+}
@@ -0,0 +1,281 @@
+// lib/config.js
+// Central deployment configuration: defaults ← optional JSON file (CALMALINK_CONFIG) ← environment variables.
+// • Environment: CALMALINK_ENV | VERCEL_ENV → "production" | "preview" | "development"; otherwise NODE_ENV=development|test
+//   is development and anything else, unset included, is production (the strict CORS list)
+// • CORS origins per environment (previews: this deployment's own VERCEL_URL / VERCEL_BRANCH_URL, not every
+//   *.vercel.app); entries may be exact ("https://calmalink.com"), wildcard ("https://*.squarespace.com",
+//   "http://localhost:*") or a regex ("/^https:\/\/calmalink-[a-z0-9-]+\.vercel\.app$/"). CORS_ORIGINS="a,b" replaces the list.
+// • Model provider (LLM_PROVIDER=openai|compatible|fake, LLM_BASE_URL, LLM_API_KEY, LLM_TIMEOUT_MS, LLM_MAX_RETRIES, LLM_FAKE_SCRIPT)
+// • Per-engine model settings (ENGINE_V3_MODEL, ENGINE_V3_TEMPERATURE, ENGINE_V3_PROMPT_FILE); crisis classifier model
+// • Engine routing: CHAT_ENGINE (default engine), CHAT_ENGINE_SPLIT="v2:80,v3:20" (sticky A/B split, lib/engines/index.js)
+// • Guardrails (lib/guard.js, 0 disables a limit): GUARD_MAX_BODY_BYTES, GUARD_MAX_MESSAGE_CHARS, GUARD_MAX_TURNS,
+//   GUARD_IP_PER_MINUTE, GUARD_SESSION_PER_MINUTE, GUARD_SMS_PER_MINUTE (per phone number), GUARD_DAILY_BUDGET_USD, GUARD_OVER_LIMIT=reject|fallback, GUARD_FALLBACK_ENGINE;
+//   GUARD_TRUSTED_PROXIES = proxies in front of the app that append to x-forwarded-for (1 on Vercel; 0 = use the socket address)
+// • Sessions: SESSION_TTL_SECONDS (idle expiry); model context: CONTEXT_TOKEN_BUDGET (lib/context.js)
+// • Output filter: OUTPUT_FILTER=off, OUTPUT_FILTER_MAX_SENTENCES, OUTPUT_FILTER_MAX_CHARS (lib/output_filter.js)
+// • Privacy: PII_REDACTION=off disables redaction before model calls, PII_REDACT_NAMES=on adds person names (lib/redact.js)
+// • Events: EVENT_SINKS="stdout,file,store", EVENT_LOG_FILE, EVENT_RETENTION_DAYS; METRICS_TOKEN guards /api/metrics
+// • Audio: AUDIO_BASE_URL (absolute links for audio/captions), AUDIO_LINK_TTL_SECONDS, AUDIO_SIGNING_SECRET
+// • Content: CONTENT_DIR (admin-managed meditations and uploads, default content/ next to media/); ADMIN_TOKEN guards /api/admin/*
+// • Identity: CLIENT_TOKEN_SECRET signs the client tokens that carry check-ins and program progress across sessions
+// • SMS / WhatsApp: TWILIO_AUTH_TOKEN verifies /api/sms webhooks; SMS_WEBHOOK_URL is the public URL Twilio signs (else the request URL)
+// • Loaded and validated once per cold start (first use); every problem is collected into one diagnostic
+//
+// Config file shape (all keys optional; "environments" holds per-environment overrides):
+// { "cors": { "origins": [...] }, "engines": { "v3": { "model": "gpt-4o", "temperature": 0.6, "prompt": "..." } },
+//   "crisis": { "classifier": "model", "model": "gpt-4o-mini" }, "audio": { "baseUrl": "https://cdn.example" },
+//   "environments": { "preview": { "cors": { "origins": ["https://*.squarespace.com"] } } } }
+
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+export const ENVIRONMENTS = ["production", "preview", "development"];
+const LOCAL_NODE_ENVS = ["development", "test"];
+export const LLM_PROVIDERS = ["openai", "compatible", "fake"];
+export const EVENT_SINKS = ["stdout", "file", "store"];
+export const CHAT_ENGINES = ["v1", "v2", "v3"];
+const MODEL_FREE_ENGINES = ["v1", "v2"];   // what an over-limit or over-budget turn may fall back to
+
+// Local development keeps stdout quiet; deployments also print one JSON line per event for the log drain
+export const DEFAULT_EVENT_SINKS = { production: ["stdout", "store"], preview: ["stdout", "store"], development: ["store"] };
+
+const PRODUCTION_ORIGINS = ["https://calmalink.com", "https://www.calmalink.com"];
+export const DEFAULT_ORIGINS = {
+  production: PRODUCTION_ORIGINS,
+  preview: [...PRODUCTION_ORIGINS, "https://*.squarespace.com"],
+  development: [...PRODUCTION_ORIGINS, "https://*.squarespace.com", "http://localhost:*", "http://127.0.0.1:*"]
+};
+// A preview is called from its own hostnames (the deployment's and the branch's URL), set by Vercel
+const deploymentOrigins = env => [env.VERCEL_URL, env.VERCEL_BRANCH_URL].filter(present).map(host => `https://${host}`);
+
+const DEFAULTS = {
+  cors: { origins: null },
+  openai: { apiKey: null, baseUrl: null },
+  llm: { provider: "openai", baseUrl: null, apiKey: null, timeoutMs: 20000, maxRetries: 1, fakeScript: null },
+  engines: { v3: { model: "gpt-4o", temperature: 0.6, prompt: null, promptFile: null } },
+  crisis: { classifier: "rules", model: "gpt-4o-mini" },
+  filter: { enabled: true, maxSentences: 6, maxChars: 900 },
+  privacy: { redact: true, redactNames: false },
+  events: { sinks: null, file: null, retentionDays: 14 },
+  metrics: { token: null },
+  audio: { baseUrl: null, linkTtlSeconds: 60 * 60 * 6, signingSecret: null },
+  content: { dir: null, adminToken: null },
+  sms: { authToken: null, webhookUrl: null },
+  identity: { secret: null },
+  chat: { engine: "v1", split: null },
+  guard: {
+    maxBodyBytes: 32 * 1024, maxMessageChars: 2000, maxTurns: 40, ipPerMinute: 30, sessionPerMinute: 12, smsPerMinute: 6,
+    dailyBudgetUsd: 5, overLimit: "reject", fallbackEngine: "v2", trustedProxies: 1
+  },
+  sessions: { ttlSeconds: 60 * 60 * 24 },   // 24h idle expiry
+  context: { tokenBudget: 3000 }
+};
+
+const GUARD_ENV = {
+  maxBodyBytes: "GUARD_MAX_BODY_BYTES", maxMessageChars: "GUARD_MAX_MESSAGE_CHARS", maxTurns: "GUARD_MAX_TURNS",
+  ipPerMinute: "GUARD_IP_PER_MINUTE", sessionPerMinute: "GUARD_SESSION_PER_MINUTE", smsPerMinute: "GUARD_SMS_PER_MINUTE",
+  dailyBudgetUsd: "GUARD_DAILY_BUDGET_USD"
+};
+
+const OFF = ["off", "false", "0", "no"];
+const isObject = v => v && typeof v === "object" && !Array.isArray(v);
+const present = v => v !== undefined && v !== "";
+
+function merge(base, over) {
+  if (!isObject(over)) return base;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over)) out[k] = isObject(v) && isObject(base?.[k]) ? merge(base[k], v) : v;
+  return out;
+}
+
+export function environmentOf(env = process.env) {
+  const name = env.CALMALINK_ENV || env.VERCEL_ENV || (LOCAL_NODE_ENVS.includes(env.NODE_ENV) ? "development" : "production");
+  return String(name).toLowerCase();
+}
+
+// ---------- origins ----------
+// Pattern → RegExp, or null when it is not a usable origin pattern
+export function originPattern(entry) {
+  if (typeof entry !== "string") return null;
+  const re = /^\/(.+)\/([a-z]*)$/.exec(entry);
+  if (re) { try { return new RegExp(re[1], re[2]); } catch { return null; } }
+  if (!/^https?:\/\/[^\s/?#]+$/.test(entry)) return null;
+  const escaped = entry.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/.:]+(?:\\.[^/.:]+)*");
+  return new RegExp(`^${escaped}$`);
+}
+
+export function originAllowed(origin, patterns = []) {
+  return !!origin && patterns.some(p => p.test(origin));
+}
+
+// ---------- loading ----------
+function readConfigFile(path, problems) {
+  if (!path) return {};
+  try {
+    const data = JSON.parse(readFileSync(resolve(path), "utf8"));
+    if (!isObject(data)) throw new Error("top level must be an object");
+    return data;
+  } catch (err) {
+    problems.push({ scope: "global", message: `config file ${path} is unusable (${err.code === "ENOENT" ? "not found" : err.message})` });
+    return {};
+  }
+}
+
+function fromEnv(env) {
+  const over = {
+    openai: {}, llm: {}, engines: {}, crisis: {}, filter: {}, privacy: {}, events: {}, metrics: {}, audio: {}, content: {}, sms: {}, cors: {},
+    chat: {}, guard: {}, sessions: {}, context: {}, identity: {}
+  };
+  if (present(env.OPENAI_API_KEY)) over.openai.apiKey = env.OPENAI_API_KEY;
+  if (present(env.OPENAI_BASE_URL)) over.openai.baseUrl = env.OPENAI_BASE_URL;
+  if (present(env.LLM_PROVIDER)) over.llm.provider = env.LLM_PROVIDER.toLowerCase();
+  if (present(env.LLM_BASE_URL)) over.llm.baseUrl = env.LLM_BASE_URL;
+  if (present(env.LLM_API_KEY)) over.llm.apiKey = env.LLM_API_KEY;
+  if (present(env.LLM_TIMEOUT_MS)) over.llm.timeoutMs = Number(env.LLM_TIMEOUT_MS);
+  if (present(env.LLM_MAX_RETRIES)) over.llm.maxRetries = Number(env.LLM_MAX_RETRIES);
+  if (present(env.LLM_FAKE_SCRIPT)) over.llm.fakeScript = env.LLM_FAKE_SCRIPT;
+  if (present(env.CORS_ORIGINS)) over.cors.origins = env.CORS_ORIGINS.split(",").map(s => s.trim()).filter(Boolean);
+  for (const [key, value] of Object.entries(env)) {
+    const m = /^ENGINE_([A-Z0-9]+)_(MODEL|TEMPERATURE|PROMPT_FILE)$/.exec(key);
+    if (!m || !present(value)) continue;
+    const engine = (over.engines[m[1].toLowerCase()] ||= {});
+    if (m[2] === "MODEL") engine.model = value;
+    else if (m[2] === "TEMPERATURE") engine.temperature = Number(value);
+    else engine.promptFile = value;
+  }
+  if (present(env.CRISIS_CLASSIFIER)) over.crisis.classifier = env.CRISIS_CLASSIFIER;
+  if (present(env.CRISIS_CLASSIFIER_MODEL)) over.crisis.model = env.CRISIS_CLASSIFIER_MODEL;
+  if (present(env.OUTPUT_FILTER)) over.filter.enabled = !OFF.includes(env.OUTPUT_FILTER.toLowerCase());
+  if (present(env.OUTPUT_FILTER_MAX_SENTENCES)) over.filter.maxSentences = Number(env.OUTPUT_FILTER_MAX_SENTENCES);
+  if (present(env.OUTPUT_FILTER_MAX_CHARS)) over.filter.maxChars = Number(env.OUTPUT_FILTER_MAX_CHARS);
+  if (present(env.PII_REDACTION)) over.privacy.redact = !OFF.includes(env.PII_REDACTION.toLowerCase());
+  if (present(env.PII_REDACT_NAMES)) over.privacy.redactNames = !OFF.includes(env.PII_REDACT_NAMES.toLowerCase());
+  if (present(env.EVENT_SINKS)) over.events.sinks = env.EVENT_SINKS.split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (present(env.EVENT_LOG_FILE)) over.events.file = env.EVENT_LOG_FILE;
+  if (present(env.EVENT_RETENTION_DAYS)) over.events.retentionDays = Number(env.EVENT_RETENTION_DAYS);
+  if (present(env.METRICS_TOKEN)) over.metrics.token = env.METRICS_TOKEN;
+  if (present(env.AUDIO_BASE_URL)) over.audio.baseUrl = env.AUDIO_BASE_URL;
+  if (present(env.AUDIO_LINK_TTL_SECONDS)) over.audio.linkTtlSeconds = Number(env.AUDIO_LINK_TTL_SECONDS);
+  if (present(env.AUDIO_SIGNING_SECRET)) over.audio.signingSecret = env.AUDIO_SIGNING_SECRET;
+  if (present(env.CONTENT_DIR)) over.content.dir = env.CONTENT_DIR;
+  if (present(env.ADMIN_TOKEN)) over.content.adminToken = env.ADMIN_TOKEN;
+  if (present(env.TWILIO_AUTH_TOKEN)) over.sms.authToken = env.TWILIO_AUTH_TOKEN;
+  if (present(env.SMS_WEBHOOK_URL)) over.sms.webhookUrl = env.SMS_WEBHOOK_URL;
+  if (present(env.CLIENT_TOKEN_SECRET)) over.identity.secret = env.CLIENT_TOKEN_SECRET;
+  if (present(env.CHAT_ENGINE)) over.chat.engine = env.CHAT_ENGINE.toLowerCase();
+  if (present(env.CHAT_ENGINE_SPLIT)) over.chat.split = env.CHAT_ENGINE_SPLIT;
+  for (const [key, name] of Object.entries(GUARD_ENV)) if (present(env[name])) over.guard[key] = Number(env[name]);
+  if (present(env.GUARD_OVER_LIMIT)) over.guard.overLimit = env.GUARD_OVER_LIMIT.toLowerCase();
+  if (present(env.GUARD_FALLBACK_ENGINE)) over.guard.fallbackEngine = env.GUARD_FALLBACK_ENGINE.toLowerCase();
+  if (present(env.GUARD_TRUSTED_PROXIES)) over.guard.trustedProxies = Number(env.GUARD_TRUSTED_PROXIES);
+  if (present(env.SESSION_TTL_SECONDS)) over.sessions.ttlSeconds = Number(env.SESSION_TTL_SECONDS);
+  if (present(env.CONTEXT_TOKEN_BUDGET)) over.context.tokenBudget = Number(env.CONTEXT_TOKEN_BUDGET);
+  return over;
+}
+
+// Collect every problem; scope "global" breaks every route, "llm" / "<engine>" only model engines
+function validate(config, problems) {
+  const push = (scope, message) => problems.push({ scope, message });
+  if (!ENVIRONMENTS.includes(config.environment)) push("global", `environment "${config.environment}" must be one of ${ENVIRONMENTS.join(", ")}`);
+
+  const origins = config.cors.origins;
+  if (!Array.isArray(origins) || !origins.length) push("global", "cors.origins must be a non-empty list");
+  else for (const o of origins) if (!originPattern(o)) push("global", `CORS origin "${o}" is not an origin, wildcard or /regex/`);
+
+  const { llm } = config;
+  if (!LLM_PROVIDERS.includes(llm.provider)) push("llm", `LLM_PROVIDER must be one of ${LLM_PROVIDERS.join(", ")}`);
+  if (llm.provider === "openai") {
+    if (!config.openai.apiKey) push("llm", "OPENAI_API_KEY is missing");
+    if (config.openai.baseUrl && !/^https?:\/\//.test(config.openai.baseUrl)) push("llm", "OPENAI_BASE_URL must be an http(s) URL");
+  }
+  if (llm.provider === "compatible" && !/^https?:\/\//.test(llm.baseUrl || "")) push("llm", "LLM_BASE_URL must be an http(s) URL for the compatible provider");
+  if (llm.provider === "fake" && llm.fakeScript) {
+    try { if (!Array.isArray(JSON.parse(readFileSync(resolve(llm.fakeScript), "utf8")))) throw new Error("not a JSON array"); }
+    catch (err) { push("llm", `LLM_FAKE_SCRIPT ${llm.fakeScript} is unusable (${err.code || err.message})`); }
+  }
+  if (!(Number.isInteger(llm.timeoutMs) && llm.timeoutMs > 0)) push("llm", "LLM_TIMEOUT_MS must be a positive whole number");
+  if (!(Number.isInteger(llm.maxRetries) && llm.maxRetries >= 0 && llm.maxRetries <= 5)) push("llm", "LLM_MAX_RETRIES must be a whole number from 0 to 5");
+
+  for (const [name, e] of Object.entries(config.engines)) {
+    if (typeof e.model !== "string" || !e.model) push(name, `engines.${name}.model must be a model name`);
+    if (typeof e.temperature !== "number" || !(e.temperature >= 0 && e.temperature <= 2)) push(name, `engines.${name}.temperature must be a number from 0 to 2`);
+    if (e.prompt != null && typeof e.prompt !== "string") push(name, `engines.${name}.prompt must be text`);
+  }
+  if (!["rules", "model"].includes(config.crisis.classifier)) push("global", 'CRISIS_CLASSIFIER must be "rules" or "model"');
+
+  for (const key of ["maxSentences", "maxChars"]) {
+    const v = config.filter[key];
+    if (!(Number.isInteger(v) && v >= 0)) push("global", `filter.${key} must be a whole number (0 disables it)`);
+  }
+
+  const { events } = config;
+  for (const s of events.sinks || []) if (!EVENT_SINKS.includes(s)) push("global", `EVENT_SINKS entries must be ${EVENT_SINKS.join(", ")} (got "${s}")`);
+  if (events.sinks?.includes("file") && !events.file) push("global", "EVENT_LOG_FILE is required for the file event sink");
+  if (!(Number.isInteger(events.retentionDays) && events.retentionDays > 0)) push("global", "EVENT_RETENTION_DAYS must be a positive whole number");
+
+  if (config.audio.baseUrl && !/^https?:\/\/[^\s/]+(\/[^\s]*)?$/.test(config.audio.baseUrl)) push("global", "AUDIO_BASE_URL must be an absolute http(s) URL");
+  if (config.sms.webhookUrl && !/^https?:\/\/[^\s/]+(\/[^\s]*)?$/.test(config.sms.webhookUrl)) push("global", "SMS_WEBHOOK_URL must be an absolute http(s) URL");
+  if (!(Number.isInteger(config.audio.linkTtlSeconds) && config.audio.linkTtlSeconds > 0)) push("global", "AUDIO_LINK_TTL_SECONDS must be a positive whole number");
+
+  const { chat, guard } = config;
+  if (!CHAT_ENGINES.includes(chat.engine)) push("global", `CHAT_ENGINE must be one of ${CHAT_ENGINES.join(", ")}`);
+  for (const part of chat.split ? String(chat.split).split(",") : []) {
+    const [name, weight] = part.trim().split(":");
+    if (!CHAT_ENGINES.includes(name?.trim()) || !(Number(weight) > 0)) push("global", `CHAT_ENGINE_SPLIT entries must be engine:weight with a positive weight (got "${part.trim()}")`);
+  }
+  for (const [key, name] of Object.entries(GUARD_ENV)) {
+    const v = guard[key];
+    if (!(typeof v === "number" && Number.isFinite(v) && v >= 0)) push("global", `${name} must be a number of 0 or more (0 disables it)`);
+  }
+  if (!["reject", "fallback"].includes(guard.overLimit)) push("global", 'GUARD_OVER_LIMIT must be "reject" or "fallback"');
+  if (!(Number.isInteger(guard.trustedProxies) && guard.trustedProxies >= 0 && guard.trustedProxies <= 10)) push("global", "GUARD_TRUSTED_PROXIES must be a whole number from 0 to 10");
+  if (!MODEL_FREE_ENGINES.includes(guard.fallbackEngine)) push("global", `GUARD_FALLBACK_ENGINE must be ${MODEL_FREE_ENGINES.join(" or ")} (an engine that does not call the model)`);
+  if (!(Number.isInteger(config.sessions.ttlSeconds) && config.sessions.ttlSeconds > 0)) push("global", "SESSION_TTL_SECONDS must be a positive whole number");
+  if (!(Number.isInteger(config.context.tokenBudget) && config.context.tokenBudget > 0)) push("global", "CONTEXT_TOKEN_BUDGET must be a positive whole number");
+}
+
+export function loadConfig(env = process.env) {
+  const problems = [];
+  const environment = environmentOf(env);
+  const file = readConfigFile(env.CALMALINK_CONFIG, problems);
+  const { environments, ...base } = file;
+  let config = merge(merge(structuredClone(DEFAULTS), base), environments?.[environment]);
+  config = merge(config, fromEnv(env));
+  config.environment = environment;
+  if (!config.cors.origins) {
+    config.cors.origins = environment === "production" || !DEFAULT_ORIGINS[environment] ? PRODUCTION_ORIGINS : [...DEFAULT_ORIGINS[environment], ...deploymentOrigins(env)];
+  }
+  if (!config.events.sinks) config.events.sinks = DEFAULT_EVENT_SINKS[environment] || DEFAULT_EVENT_SINKS.production;
+
+  // Prompt files are read once here so a bad path is reported at cold start
+  for (const [name, e] of Object.entries(config.engines)) {
+    if (!e.promptFile) continue;
+    try { config.engines[name] = { ...e, prompt: readFileSync(resolve(e.promptFile), "utf8") }; }
+    catch (err) { problems.push({ scope: name, message: `engines.${name}.promptFile ${e.promptFile} cannot be read (${err.code || err.message})` }); }
+  }
+
+  validate(config, problems);
+  config.cors.patterns = (config.cors.origins || []).map(originPattern).filter(Boolean);
+  // Disallowed origins get the first exact origin back (the browser then blocks them)
+  config.cors.fallback = (config.cors.origins || []).find(o => originPattern(o) && !o.includes("*") && !o.startsWith("/")) || "null";
+  config.problems = problems;
+  return config;
+}
+
+// One message for a set of scopes, or null when nothing in them is wrong
+export function diagnostic(config, scopes = ["global"]) {
+  const list = config.problems.filter(p => scopes.includes(p.scope));
+  if (!list.length) return null;
+  return `Server misconfigured: ${list.map(p => p.message).join("; ")}.`;
+}
+
+// One config per warm instance (validated on first use); tests can swap it, setConfig(null) reloads
+let shared = null;
+export function getConfig() {
+  if (!shared) {
+    shared = loadConfig();
+    if (shared.problems.length) console.error(`CalmaLink config (${shared.environment}): ${diagnostic(shared, shared.problems.map(p => p.scope))}`);
+  }
+  return shared;
+}
+export function setConfig(config) { shared = config; }
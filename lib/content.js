@@ -0,0 +1,246 @@
+// lib/content.js
+// Admin-managed meditations (/api/admin/*), merged into the catalog without a code change or redeploy.
+// • One record per meditation: id (its catalog category), duration, tags, optional breathing pattern, published flag,
+//   and per-language variants { name, script, aliases, audioFile, captionsFile }
+// • Every change is a new version; the record keeps its full history [{ version, at, action, language?, meditation }]
+// • Publishing needs every variant to have audio whose measured length matches the duration (± DURATION_TOLERANCE_SECONDS);
+//   breathing-pattern meditations may go without audio. Uploaded captions must fit the audio they belong to.
+// • fileContentStore(dir): meditations/<id>.json, uploads under media/ (content-hashed names, never overwritten),
+//   index.json rewritten on every change so every instance's catalog notices (lib/catalog.js refreshCatalog)
+// • contentPractices(store) → catalog entries for the published variants
+// Failures throw errors with err.code INVALID (err.problems lists them), NOT_FOUND or CONFLICT.
+
+import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync, renameSync } from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { getConfig } from "./config.js";
+import { audioInfo, mp3Duration } from "./audio.js";
+import { parseVtt, checkSegments } from "./captions.js";
+import { LOCALES } from "./i18n.js";
+import { PATTERNS } from "./breathing.js";
+
+export const DEFAULT_CONTENT_DIR = fileURLToPath(new URL("../content/", import.meta.url));
+export const DURATION_TOLERANCE_SECONDS = 30;
+export const MAX_DURATION = 60;
+export const MEDIA_KINDS = ["audio", "captions"];
+
+const ID = /^[a-z][a-z0-9_]{1,39}$/;
+const TAG = /^[a-z][a-z0-9_-]{0,29}$/;
+const MAX_NAME = 80;
+const MAX_SCRIPT = 4000;
+
+const isObject = v => v && typeof v === "object" && !Array.isArray(v);
+const text = (v, max) => typeof v === "string" && v.trim().length > 0 && v.length <= max;
+const fail = (code, message, problems) => Object.assign(new Error(message), { code, ...(problems ? { problems } : {}) });
+
+// ---------- file store ----------
+function readJson(file) {
+  try { return JSON.parse(readFileSync(file, "utf8")); } catch (err) {
+    if (err.code !== "ENOENT") console.error(`CalmaLink content: cannot read ${file}:`, err.message);
+    return null;
+  }
+}
+
+// Write to a temp file and rename, so readers never see half a record
+function writeJson(file, data) {
+  mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n");
+  renameSync(tmp, file);
+}
+
+export function fileContentStore(dir) {
+  const recordFile = id => path.join(dir, "meditations", `${id}.json`);
+  const indexFile = path.join(dir, "index.json");
+  return {
+    name: "file",
+    dir,
+    // Changes whenever any meditation is written (null: nothing stored yet)
+    revision() {
+      try { const s = statSync(indexFile); return `${s.mtimeMs}:${s.size}`; } catch { return null; }
+    },
+    list() {
+      let names = [];
+      try { names = readdirSync(path.join(dir, "meditations")).filter(n => n.endsWith(".json")); } catch { return []; }
+      return names.map(n => readJson(path.join(dir, "meditations", n))).filter(Boolean).sort((a, b) => a.id.localeCompare(b.id));
+    },
+    get(id) { return ID.test(id) ? readJson(recordFile(id)) : null; },
+    put(record) {
+      writeJson(recordFile(record.id), record);
+      const index = readJson(indexFile) || { meditations: {} };
+      index.meditations[record.id] = { version: record.version, published: record.published };
+      index.updatedAt = record.updatedAt;
+      writeJson(indexFile, index);
+    },
+    putMedia(name, data) {
+      mkdirSync(path.join(dir, "media"), { recursive: true });
+      writeFileSync(path.join(dir, "media", name), data);
+    },
+    mediaPath(name) { return path.join(dir, "media", name); }
+  };
+}
+
+// One store per warm instance; tests swap it, setContentStore(null) rebuilds from config
+let shared = null;
+export function getContentStore() {
+  return (shared ||= fileContentStore(path.resolve(getConfig().content.dir || DEFAULT_CONTENT_DIR)));
+}
+export function setContentStore(store) { shared = store; }
+
+// ---------- validation ----------
+function audioProblems(m, lang, store) {
+  const v = m.variants[lang];
+  if (!v.audioFile) return m.pattern ? [] : [`${lang}: audio is required to publish`];
+  const info = audioInfo(store.mediaPath(v.audioFile));
+  if (!info?.durationSeconds) return [`${lang}: audio file ${v.audioFile} cannot be read`];
+  const problems = [];
+  if (Math.abs(info.durationSeconds - m.duration * 60) > DURATION_TOLERANCE_SECONDS) {
+    problems.push(`${lang}: audio is ${info.durationSeconds}s long but the meditation is ${m.duration} min`);
+  }
+  if (v.captionsFile) {
+    try {
+      const issues = checkSegments(parseVtt(readFileSync(store.mediaPath(v.captionsFile), "utf8")), info.durationSeconds);
+      problems.push(...issues.map(issue => `${lang}: captions: ${issue}`));
+    } catch (err) {
+      problems.push(`${lang}: captions: ${err.message}`);
+    }
+  }
+  return problems;
+}
+
+// → list of problems ([] when valid); publish adds the audio / captions checks
+export function meditationProblems(m, { publish = !!m.published, store = getContentStore() } = {}) {
+  const problems = [];
+  if (!ID.test(m.id || "")) problems.push("id must be 2–40 lowercase letters, digits or _, starting with a letter");
+  if (!(Number.isInteger(m.duration) && m.duration >= 1 && m.duration <= MAX_DURATION)) problems.push(`duration must be a whole number of minutes from 1 to ${MAX_DURATION}`);
+  if (!Array.isArray(m.tags) || !m.tags.every(tag => typeof tag === "string" && TAG.test(tag))) problems.push("tags must be a list of short lowercase words");
+  if (m.pattern !== null && !PATTERNS[m.pattern]) problems.push(`pattern must be one of ${Object.keys(PATTERNS).join(", ")} or null`);
+  if (typeof m.published !== "boolean") problems.push("published must be true or false");
+  const langs = Object.keys(m.variants || {});
+  if (!langs.length) problems.push("at least one language variant is required");
+  const fieldsValid = !problems.length;
+  for (const lang of langs) {
+    const v = m.variants[lang];
+    const before = problems.length;
+    if (!LOCALES.includes(lang)) { problems.push(`unknown language "${lang}" (use ${LOCALES.join(", ")})`); continue; }
+    if (!text(v.name, MAX_NAME)) problems.push(`${lang}: name is required (up to ${MAX_NAME} characters)`);
+    if (!text(v.script, MAX_SCRIPT)) problems.push(`${lang}: script is required (up to ${MAX_SCRIPT} characters)`);
+    if (!Array.isArray(v.aliases) || !v.aliases.every(a => text(a, MAX_NAME))) problems.push(`${lang}: aliases must be a list of names`);
+    if (publish && fieldsValid && problems.length === before) problems.push(...audioProblems(m, lang, store));
+  }
+  return problems;
+}
+
+// ---------- changes ----------
+const FIELDS = ["id", "duration", "tags", "pattern", "published", "variants", "version", "createdAt", "updatedAt"];
+const snapshot = record => Object.fromEntries(FIELDS.map(k => [k, record[k]]));
+
+// Admin input onto a meditation: top-level fields replace, variants merge per language (null removes one);
+// audio and captions only change through uploads
+function applyInput(m, input) {
+  if (!isObject(input)) throw fail("INVALID", "Send a JSON object.", ["body must be a JSON object"]);
+  const next = { ...m, variants: { ...m.variants } };
+  for (const key of ["duration", "tags", "pattern", "published"]) if (key in input) next[key] = input[key];
+  if ("pattern" in input && input.pattern === undefined) next.pattern = null;
+  if (input.variants !== undefined) {
+    if (!isObject(input.variants)) throw fail("INVALID", "variants must be an object keyed by language.", ["variants must be an object keyed by language"]);
+    for (const [lang, v] of Object.entries(input.variants)) {
+      if (v === null) { delete next.variants[lang]; continue; }
+      const prev = next.variants[lang] || { name: "", script: "", aliases: [], audioFile: null, captionsFile: null };
+      next.variants[lang] = { ...prev };
+      for (const key of ["name", "script", "aliases"]) if (isObject(v) && key in v) next.variants[lang][key] = v[key];
+    }
+  }
+  return next;
+}
+
+function save(store, prev, next, { action, language, now }) {
+  const at = new Date(now).toISOString();
+  const record = { ...next, version: (prev?.version || 0) + 1, createdAt: prev?.createdAt || at, updatedAt: at };
+  record.history = [...(prev?.history || []), { version: record.version, at, action, ...(language ? { language } : {}), meditation: snapshot(record) }];
+  store.put(record);
+  return record;
+}
+
+function checked(next, store) {
+  const problems = meditationProblems(next, { store });
+  if (problems.length) throw fail("INVALID", next.published ? "The meditation cannot be published as it is." : "The meditation is not valid.", problems);
+  return next;
+}
+
+export function getMeditation(id, { store = getContentStore() } = {}) {
+  const record = store.get(String(id || ""));
+  if (!record) throw fail("NOT_FOUND", `No meditation "${id}".`);
+  return record;
+}
+
+export function listMeditations({ store = getContentStore() } = {}) {
+  return store.list().map(m => ({
+    id: m.id, version: m.version, published: m.published, duration: m.duration, pattern: m.pattern,
+    languages: Object.keys(m.variants), updatedAt: m.updatedAt
+  }));
+}
+
+// New meditations start unpublished unless the input says otherwise (and passes the publish checks)
+export function createMeditation(input, { store = getContentStore(), now = Date.now() } = {}) {
+  const id = isObject(input) ? input.id : undefined;
+  if (typeof id === "string" && store.get(id)) throw fail("CONFLICT", `A meditation "${id}" already exists.`);
+  const next = applyInput({ id, duration: undefined, tags: [], pattern: null, published: false, variants: {} }, input);
+  return save(store, null, checked(next, store), { action: "create", now });
+}
+
+export function updateMeditation(id, input, { store = getContentStore(), now = Date.now() } = {}) {
+  const prev = getMeditation(id, { store });
+  if (isObject(input) && "id" in input && input.id !== prev.id) throw fail("INVALID", "The id of a meditation cannot change.", ["id cannot change"]);
+  const next = applyInput(snapshot(prev), input);
+  const action = next.published === prev.published ? "update" : next.published ? "publish" : "unpublish";
+  return save(store, prev, checked(next, store), { action, now });
+}
+
+// Audio: base64 MP3 (its real length is measured). Captions: WebVTT text, checked against the variant's audio.
+export function uploadMedia(id, { language, kind, data } = {}, { store = getContentStore(), now = Date.now() } = {}) {
+  const prev = getMeditation(id, { store });
+  const variant = prev.variants[language];
+  if (!variant) throw fail("INVALID", `Add the "${language}" variant before uploading its media.`, [`no "${language}" variant`]);
+  if (!MEDIA_KINDS.includes(kind)) throw fail("INVALID", `kind must be one of ${MEDIA_KINDS.join(", ")}.`, ["unknown kind"]);
+  if (typeof data !== "string" || !data) throw fail("INVALID", "data is required.", ["data is required"]);
+
+  const next = snapshot(prev);
+  next.variants = { ...next.variants, [language]: { ...variant } };
+  if (kind === "audio") {
+    const bytes = Buffer.from(data, "base64");
+    if (!(mp3Duration(bytes) > 0)) throw fail("INVALID", "Audio must be an MP3 file (base64).", ["audio is not an MP3 file"]);
+    const name = `${id}_${language}_${createHash("sha256").update(bytes).digest("hex").slice(0, 12)}.mp3`;
+    store.putMedia(name, bytes);
+    next.variants[language].audioFile = name;
+  } else {
+    let segments;
+    try { segments = parseVtt(data); } catch (err) { throw fail("INVALID", `Captions are not valid WebVTT: ${err.message}.`, [err.message]); }
+    const audio = variant.audioFile ? audioInfo(store.mediaPath(variant.audioFile)) : null;
+    const issues = checkSegments(segments, audio?.durationSeconds || prev.duration * 60);
+    if (issues.length) throw fail("INVALID", "The captions do not fit the audio.", issues);
+    const name = `${id}_${language}_${createHash("sha256").update(data).digest("hex").slice(0, 12)}.vtt`;
+    store.putMedia(name, data);
+    next.variants[language].captionsFile = name;
+  }
+  return save(store, prev, checked(next, store), { action: kind, language, now });
+}
+
+// ---------- catalog entries ----------
+export function contentPractices(store = getContentStore()) {
+  return store.list().filter(m => m.published).flatMap(m => Object.entries(m.variants).map(([language, v]) => ({
+    id: `${m.id}_${m.duration}_${language}`,
+    category: m.id,
+    pattern: m.pattern,
+    language,
+    duration: m.duration,
+    name: v.name,
+    aliases: [...new Set([v.name.toLowerCase(), ...v.aliases])],
+    tags: m.tags,
+    audioFile: v.audioFile ? store.mediaPath(v.audioFile) : null,
+    captionsFile: v.captionsFile ? store.mediaPath(v.captionsFile) : null,
+    script: v.script,
+    version: m.version
+  })));
+}
@@ -0,0 +1,50 @@
+// lib/context.js
+// Token-budgeted context window for model input.
+// • Latest turns are kept verbatim, newest first, while they fit CONTEXT_TOKEN_BUDGET (lib/config.js context.tokenBudget)
+// • Older turns are folded into one short note (earlier user messages, clipped) within a quarter of the budget; it goes in
+//   as a user message quoting them, never as a system message, so old user text gets no more authority than it had
+// • Anything that still does not fit is dropped; the latest user turn and everything after it (e.g. the tool round or
+//   reply that answered it) are always kept, so the model never loses the message it is answering
+
+import { getConfig } from "./config.js";
+
+const PER_MESSAGE = 4;   // role/format overhead per message
+const CLIP = 160;        // characters kept per summarised turn
+const SUMMARY_HEAD = "(Context only: my earlier messages in this conversation, quoted.)";
+
+// ~4 characters per token (good enough for budgeting EN/ES/PT/FR text)
+export function estimateTokens(text = "") {
+  return Math.ceil(String(text).length / 4);
+}
+
+const cost = m => estimateTokens(m.content) + PER_MESSAGE;
+const clip = s => (s.length > CLIP ? `${s.slice(0, CLIP - 1).trimEnd()}…` : s);
+
+export function contextWindow(messages = [], { budget = getConfig().context.tokenBudget } = {}) {
+  const kept = [];
+  let used = 0;
+  const lastUser = messages.findLastIndex(m => m.role === "user");
+  const floor = lastUser >= 0 ? lastUser : messages.length - 1;
+  let i = messages.length - 1;
+  for (; i >= 0; i--) {
+    const c = cost(messages[i]);
+    if (i < floor && used + c > budget) break;
+    kept.unshift(messages[i]);
+    used += c;
+  }
+  const older = messages.slice(0, i + 1).filter(m => m.role === "user");
+  if (!older.length) return kept;
+
+  // Quoted note of what the user said earlier, newest kept first when space runs out
+  const room = Math.min(Math.floor(budget / 4), budget - used) - PER_MESSAGE;
+  const lines = [];
+  let size = estimateTokens(SUMMARY_HEAD);
+  for (const m of [...older].reverse()) {
+    const line = `> ${clip(m.content.replace(/\s+/g, " "))}`;
+    if (size + estimateTokens(line) > room) break;
+    lines.unshift(line);
+    size += estimateTokens(line);
+  }
+  if (!lines.length) return kept;
+  return [{ role: "user", content: `${SUMMARY_HEAD}\n${lines.join("\n")}` }, ...kept];
+}
@@ -0,0 +1,182 @@
+// lib/crisis.js
+// Crisis risk assessment (EN/ES/PT/FR) → { tier: "none" | "concern" | "acute", signals, source }
+// • Accent/apostrophe-insensitive, word-boundary matching ("quiero morir" = "quiero morír", "dont" = "don’t")
+// • Negation: "I don't want to die", "no quiero morir", "não quero morrer", "je n'ai pas envie de mourir" do not count —
+//   only when the negator governs the phrase (right before it, or through its own verb: "never going to", "nunca vou me");
+//   "no, I want to die", "I don't know, I want to die", "ya no sé quiero morir" still count
+// • Multi-turn: indirect signals spread over recent user turns can raise the tier
+// • Optional model classifier (async) can escalate, never downgrade, the rule result
+
+import { fold } from "./text.js";
+import { t } from "./i18n.js";
+
+export const TIERS = ["none", "concern", "acute"];
+const rank = t => TIERS.indexOf(t);
+const maxTier = (a, b) => (rank(a) >= rank(b) ? a : b);
+
+// Patterns are written against folded text
+const ACUTE = {
+  en: [
+    "kill myself", "killing myself", "suicide", "suicidal", "want to die", "wanna die", "wish i (was|were) dead",
+    "end my life", "end it all", "take my (own )?life", "hurt myself", "harm myself", "cut myself", "cutting myself",
+    "self ?-?harm", "overdose", "dont want to (live|be alive)", "better off dead", "no reason to live",
+    "not worth living", "going to jump", "plan to (die|end it)"
+  ],
+  es: [
+    "suicidio", "suicidarme", "suicida", "matarme", "quiero morir(me)?", "me quiero morir", "quitarme la vida",
+    "acabar con mi vida", "terminar con (todo|mi vida)", "hacerme dano", "danarme", "cortarme", "autolesion(arme)?",
+    "sobredosis", "no quiero (vivir|seguir viviendo)", "mejor (muerto|muerta)", "ojala (estuviera|estar) (muerto|muerta)",
+    "no tengo (razon|razones) para vivir", "tirarme (de|del|por)"
+  ],
+  pt: [
+    "suicidio", "suicidar(-me)?", "me suicidar", "suicida", "quero morrer", "vou me matar", "me matar", "matar-me",
+    "tirar (a )?minha (propria )?vida", "acabar com (a )?minha vida", "me machucar", "machucar-me", "me cortar", "cortar-me",
+    "automutilacao", "autolesao", "overdose", "nao quero (mais )?viver", "melhor (morto|morta)",
+    "nao tenho (motivo|motivos|razao|razoes) para viver", "me jogar (da|do|de|na)"
+  ],
+  fr: [
+    "suicide", "me suicider", "suicidaire", "(je )?veux mourir", "envie de mourir", "me tuer", "mettre fin a (mes jours|ma vie)",
+    "en finir( avec la vie)?", "me faire du mal", "me mutiler", "me scarifier", "automutilation", "overdose",
+    "(je )?ne veux plus vivre", "plus envie de vivre", "mieux (mort|morte)", "(aucune|pas de) raison de vivre", "me jeter (du|de la|sous|par)"
+  ]
+};
+
+const CONCERN = {
+  en: [
+    "nobody would (miss|care about) me", "no one would (miss|care about) me", "no one cares( about me)?", "nobody cares( about me)?",
+    "(im|i am) a burden", "burden (to|on) everyone", "cant go on", "cant do this anymore", "cant take (it|this) anymore",
+    "hopeless", "whats the point", "no point (in|to) (anything|living|trying)", "want to disappear", "wish i could disappear",
+    "tired of living", "tired of everything", "wish i (wasnt|werent) here", "sleep forever", "no way out", "give up on everything",
+    "everyone would be better (off )?without me", "dont care if i die"
+  ],
+  es: [
+    "nadie me extranaria", "no le importo a nadie", "a nadie le importo", "(soy|me siento) una carga", "no puedo mas",
+    "ya no puedo", "sin esperanza", "no tiene sentido (nada|vivir)", "nada tiene sentido", "quiero desaparecer",
+    "ojala (desapareciera|no estuviera aqui)", "cansad[oa] de vivir", "cansad[oa] de todo", "dormir para siempre",
+    "no hay salida", "todos estarian mejor sin mi", "rendirme con todo", "no me importa morir"
+  ],
+  pt: [
+    "ninguem (sentiria|vai sentir) (a )?minha falta", "ninguem se importa( comigo)?", "(sou|me sinto) um peso", "nao aguento mais",
+    "sem esperanca", "nada faz sentido", "nao (tem|ha) sentido (nada|viver)", "quero desaparecer", "queria desaparecer",
+    "cansad[oa] de viver", "cansad[oa] de tudo", "dormir para sempre", "nao (ha|tem) saida", "todos estariam melhor sem mim",
+    "desistir de tudo", "tanto faz se eu morrer"
+  ],
+  fr: [
+    "personne ne (me regretterait|tient a moi)", "tout le monde se fiche de moi", "(je suis|je me sens) un fardeau", "je nen peux plus",
+    "je ne peux plus continuer", "sans espoir", "a quoi bon", "plus rien na de sens", "(envie de|veux) disparaitre",
+    "fatigue(e)? de vivre", "fatigue(e)? de tout", "dormir pour toujours", "aucune issue", "tout le monde serait mieux sans moi",
+    "tout abandonner", "peu importe si je meurs"
+  ]
+};
+
+const LANGS = Object.keys(ACUTE);
+// Per language: Portuguese "no" is "in the" ("penso no suicídio"); English "no" is usually an answer ("no, I want to die")
+const NEGATORS = {
+  en: new Set(["not", "dont", "never", "wont", "wouldnt"]),
+  es: new Set(["no", "nunca", "jamas", "tampoco", "ni"]),
+  pt: new Set(["nao", "nunca", "jamais", "nem"]),
+  fr: new Set(["pas", "jamais"])
+};
+// Words that may stand between a negator and the phrase it governs: auxiliaries, "want to", clitic pronouns, a few adverbs.
+// Any other word ("know", "sé", "i") means the negator belongs to something else.
+const BRIDGES = {
+  en: new Set(["want", "to", "going", "gonna", "would", "will", "ever", "really", "even", "actually", "try", "plan"]),
+  es: new Set(["me", "te", "voy", "vas", "a", "quiero", "pienso"]),
+  pt: new Set(["me", "vou", "quero", "ia", "iria", "vai"]),
+  fr: new Set(["me", "vais", "veux", "vraiment"])
+};
+const MAX_BRIDGE = 3;
+const compile = list => list.map(p => new RegExp(`(^|[^a-z0-9])(${p})(?=$|[^a-z0-9])`, "g"));
+const RULES = [
+  ...LANGS.flatMap(lang => compile(ACUTE[lang]).map(re => ({ re, lang, level: "acute" }))),
+  ...LANGS.flatMap(lang => compile(CONCERN[lang]).map(re => ({ re, lang, level: "concern" })))
+];
+
+// Negated if, walking back from the phrase in its clause, a negator comes before any word that is not a bridge
+function negated(text, index, lang) {
+  const clause = text.slice(0, index).split(/[,.;:!?]| but | pero | mas | mais /).pop();
+  const words = clause.trim().split(/\s+/).filter(Boolean);
+  for (let i = words.length - 1; i >= Math.max(0, words.length - 1 - MAX_BRIDGE); i--) {
+    if (NEGATORS[lang].has(words[i])) return true;
+    if (!BRIDGES[lang].has(words[i])) return false;
+  }
+  return false;
+}
+
+// Signals in one message (negated matches dropped; a phrase shared by two languages, like "suicidio", counts once)
+export function detectSignals(text) {
+  const t = fold(text);
+  const out = [];
+  const seen = new Set();
+  for (const { re, lang, level } of RULES) {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(t))) {
+      const start = m.index + m[1].length;
+      const at = `${level}:${start}:${m[2]}`;
+      if (seen.has(at) || negated(t, start, lang)) continue;
+      seen.add(at);
+      out.push({ phrase: m[2], lang, level });
+    }
+  }
+  return out;
+}
+
+export const CONTEXT_TURNS = 5;
+
+// Rule-based tier over the last few user turns
+export function assessRisk(messages = []) {
+  const users = messages.filter(m => m?.role === "user" && typeof m.content === "string").slice(-CONTEXT_TURNS);
+  if (!users.length) return { tier: "none", signals: [], source: "rules" };
+
+  const perTurn = users.map((m, i) => detectSignals(m.content).map(s => ({ ...s, turn: i - (users.length - 1) })));
+  const cur = perTurn[perTurn.length - 1];
+  const prev = perTurn.slice(0, -1).flat();
+  const count = (list, level) => list.filter(s => s.level === level).length;
+
+  let tier = "none";
+  if (count(cur, "acute")) tier = "acute";
+  else if (count(cur, "concern") && (count(prev, "acute") || count(prev, "concern") >= 2)) tier = "acute";
+  else if (count(cur, "concern")) tier = "concern";
+  else if (count(prev, "concern") + 2 * count(prev, "acute") >= 3) tier = "concern";
+
+  return { tier, signals: [...prev, ...cur], source: "rules" };
+}
+
+// Rules first; an optional classifier (async (messages) → "none"|"concern"|"acute") may escalate
+export async function assessRiskWithModel(messages, classify) {
+  const rules = assessRisk(messages);
+  if (!classify || rules.tier === "acute") return rules;
+  try {
+    const tier = await classify(messages);
+    if (TIERS.includes(tier) && rank(tier) > rank(rules.tier)) return { ...rules, tier: maxTier(rules.tier, tier), source: "model" };
+  } catch (err) {
+    console.error("CalmaLink crisis classifier error:", err);
+  }
+  return rules;
+}
+
+// Model classifier over the Responses API (JSON answer, temperature 0)
+export function createModelClassifier(llm, model = "gpt-4o-mini") {
+  return async function classify(messages) {
+    const transcript = messages
+      .filter(m => m?.role === "user" && typeof m.content === "string")
+      .slice(-CONTEXT_TURNS)
+      .map(m => `User: ${m.content}`)
+      .join("\n");
+    const r = await llm.responses.create({
+      model,
+      temperature: 0,
+      input: [
+        { role: "system", content: 'Classify suicide/self-harm risk in this chat (English, Spanish, Portuguese or French). Reply only with JSON {"tier":"none"|"concern"|"acute"}. "acute" = intent, plan or wish to die/self-harm; "concern" = hopelessness, feeling like a burden, wanting to disappear; otherwise "none". Negated statements ("I don\'t want to die", "no quiero morir", "não quero morrer", "je ne veux pas mourir") are "none".' },
+        { role: "user", content: transcript }
+      ]
+    });
+    try { return JSON.parse((r?.output_text || "").trim())?.tier || "none"; } catch { return "none"; }
+  };
+}
+
+// Gentle check-in for the "concern" tier
+export function concernReply(lang) {
+  return t(lang, "crisis.concern");
+}
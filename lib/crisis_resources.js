@@ -0,0 +1,163 @@
+// lib/crisis_resources.js
+// Crisis resource directory keyed by ISO country code + handoff text/payload.
+// Country comes from (in order): explicit body.country → platform geo header → Accept-Language region.
+// Unknown countries get the international fallback (local emergency number + findahelpline.com).
+// Texts come from the locale catalog; name.pt / name.fr carry their preposition ("No México", "Au Mexique").
+
+import { t } from "./i18n.js";
+
+const H24 = "24/7";
+
+export const CRISIS_DIRECTORY = {
+  US: {
+    name: { en: "the U.S.", es: "EE. UU.", pt: "Nos EUA", fr: "Aux États-Unis" },
+    emergency: "911",
+    resources: [
+      { name: "988 Suicide & Crisis Lifeline", phone: "988", sms: "988", url: "https://988lifeline.org", hours: H24 },
+      { name: "Crisis Text Line", phone: null, sms: "741741", url: "https://www.crisistextline.org", hours: H24 }
+    ]
+  },
+  CA: {
+    name: { en: "Canada", es: "Canadá", pt: "No Canadá", fr: "Au Canada" },
+    emergency: "911",
+    resources: [
+      { name: "9-8-8 Suicide Crisis Helpline", phone: "988", sms: "988", url: "https://988.ca", hours: H24 }
+    ]
+  },
+  MX: {
+    name: { en: "Mexico", es: "México", pt: "No México", fr: "Au Mexique" },
+    emergency: "911",
+    resources: [
+      { name: "Línea de la Vida", phone: "800 911 2000", sms: null, url: "https://www.gob.mx/salud/conadic", hours: H24 },
+      { name: "SAPTEL", phone: "55 5259 8121", sms: null, url: "https://www.saptel.org.mx", hours: H24 }
+    ]
+  },
+  ES: {
+    name: { en: "Spain", es: "España", pt: "Na Espanha", fr: "En Espagne" },
+    emergency: "112",
+    resources: [
+      { name: "Línea 024 — Atención a la conducta suicida", phone: "024", sms: null, url: "https://www.sanidad.gob.es/linea024/home.htm", hours: H24 },
+      { name: "Teléfono de la Esperanza", phone: "717 003 717", sms: null, url: "https://telefonodelaesperanza.org", hours: H24 }
+    ]
+  },
+  AR: {
+    name: { en: "Argentina", es: "Argentina", pt: "Na Argentina", fr: "En Argentine" },
+    emergency: "911",
+    resources: [
+      { name: "Centro de Asistencia al Suicida", phone: "135", sms: null, url: "https://www.asistenciaalsuicida.org.ar", hours: H24 }
+    ]
+  },
+  CO: {
+    name: { en: "Colombia", es: "Colombia", pt: "Na Colômbia", fr: "En Colombie" },
+    emergency: "123",
+    resources: [
+      { name: "Línea 192 — Salud mental (opción 4)", phone: "192", sms: null, url: "https://www.minsalud.gov.co", hours: H24 },
+      { name: "Línea 106 (Bogotá)", phone: "106", sms: null, url: null, hours: H24 }
+    ]
+  },
+  CL: {
+    name: { en: "Chile", es: "Chile", pt: "No Chile", fr: "Au Chili" },
+    emergency: "131",
+    resources: [
+      { name: "Línea *4141 — Prevención del suicidio", phone: "*4141", sms: null, url: "https://www.minsal.cl", hours: H24 }
+    ]
+  },
+  PE: {
+    name: { en: "Peru", es: "Perú", pt: "No Peru", fr: "Au Pérou" },
+    emergency: "106",
+    resources: [
+      { name: "Línea 113 — Salud mental (opción 5)", phone: "113", sms: null, url: "https://www.gob.pe/minsa", hours: H24 }
+    ]
+  },
+  GB: {
+    name: { en: "the UK", es: "el Reino Unido", pt: "No Reino Unido", fr: "Au Royaume-Uni" },
+    emergency: "999",
+    resources: [
+      { name: "Samaritans", phone: "116 123", sms: null, url: "https://www.samaritans.org", hours: H24 }
+    ]
+  },
+  BR: {
+    name: { en: "Brazil", es: "Brasil", pt: "No Brasil", fr: "Au Brésil" },
+    emergency: "192",
+    resources: [
+      { name: "CVV — Centro de Valorização da Vida", phone: "188", sms: null, url: "https://cvv.org.br", hours: H24 }
+    ]
+  },
+  PT: {
+    name: { en: "Portugal", es: "Portugal", pt: "Em Portugal", fr: "Au Portugal" },
+    emergency: "112",
+    resources: [
+      { name: "SNS 24 — Aconselhamento psicológico", phone: "808 24 24 24", sms: null, url: "https://www.sns24.gov.pt", hours: H24 }
+    ]
+  },
+  FR: {
+    name: { en: "France", es: "Francia", pt: "Na França", fr: "En France" },
+    emergency: "112",
+    resources: [
+      { name: "3114 — Numéro national de prévention du suicide", phone: "3114", sms: null, url: "https://3114.fr", hours: H24 }
+    ]
+  }
+};
+
+const INTERNATIONAL = {
+  name: null,
+  emergency: null,
+  resources: [
+    { name: "Find A Helpline", phone: null, sms: null, url: "https://findahelpline.com", hours: null },
+    { name: "988 Suicide & Crisis Lifeline (U.S.)", phone: "988", sms: "988", url: "https://988lifeline.org", hours: H24 }
+  ]
+};
+
+const CODE_RE = /^[A-Z]{2}$/;
+const normCode = c => (typeof c === "string" && CODE_RE.test(c.trim().toUpperCase()) ? c.trim().toUpperCase() : null);
+
+// "es-MX,es;q=0.9,en;q=0.8" → "MX" (first tag that carries a region)
+function countryFromAcceptLanguage(header = "") {
+  for (const part of String(header).split(",")) {
+    const tag = part.split(";")[0].trim();
+    const region = tag.split("-")[1];
+    if (region && normCode(region)) return normCode(region);
+  }
+  return null;
+}
+
+export function detectCountry(req, body) {
+  const h = req?.headers || {};
+  return (
+    normCode(body?.country) ||
+    normCode(h["x-vercel-ip-country"]) ||
+    normCode(h["cf-ipcountry"]) ||
+    countryFromAcceptLanguage(h["accept-language"]) ||
+    null
+  );
+}
+
+export function crisisResources(country, lang = "en") {
+  const entry = CRISIS_DIRECTORY[country] || INTERNATIONAL;
+  const resources = [...entry.resources];
+  if (entry.emergency) {
+    resources.push({ name: t(lang, "crisis.emergencyServices"), phone: entry.emergency, sms: null, url: null, hours: H24 });
+  }
+  return { country: CRISIS_DIRECTORY[country] ? country : null, resources };
+}
+
+function lineText(r, lang) {
+  if (r.phone && r.sms) return t(lang, "crisis.callOrText", r);
+  if (r.phone) return t(lang, "crisis.call", r);
+  return t(lang, "crisis.text", r);
+}
+
+export function crisisMessage(lang, country) {
+  const entry = CRISIS_DIRECTORY[country];
+  if (!entry) return t(lang, "crisis.unknown");
+  const where = entry.name[lang] || entry.name.en;
+  return t(lang, "crisis.known", { where, line: lineText(entry.resources[0], lang), emergency: entry.emergency });
+}
+
+// Full handoff payload for the frontend (tap-to-call buttons)
+export function crisisHandoff(lang, country) {
+  return {
+    message: crisisMessage(lang, country),
+    tool: { name: "handoff_crisis", result: crisisResources(country, lang) }
+  };
+}
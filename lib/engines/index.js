@@ -0,0 +1,59 @@
+// lib/engines/index.js
+// Engine registry + selection for the single /api/chat router.
+// Every engine exports { name, respond(ctx) → { message, tool?, checkin?, intent, state?, fallback?, filtered?, quick?, outcome? },
+// misconfigured?(config), usesModel? }. quick / outcome only feed the event log (lib/events.js), never the client.
+// Selection (first that applies):
+// • x-calmalink-engine header or body.engine ("v1" | "v2" | "v3") — explicit override for QA / the frontend
+// • CHAT_ENGINE_SPLIT="v2:80,v3:20" — sticky A/B split, hashed on body.clientId / x-client-id / sessionId
+// • CHAT_ENGINE — fixed default ("v1" unless set)
+// Both are read and validated by lib/config.js (config.chat)
+
+import { createHash } from "node:crypto";
+import { getConfig } from "../config.js";
+import * as v1 from "./v1.js";
+import * as v2 from "./v2.js";
+import * as v3 from "./v3.js";
+
+export const ENGINES = { v1, v2, v3 };
+export const DEFAULT_ENGINE = "v1";
+
+// "v2:80,v3:20" → [{ name:"v2", weight:80 }, { name:"v3", weight:20 }] (unknown engines / bad weights dropped)
+export function parseSplit(spec = "") {
+  return String(spec)
+    .split(",")
+    .map(part => part.trim().split(":"))
+    .map(([name, w]) => ({ name: name?.trim(), weight: Number(w) }))
+    .filter(e => ENGINES[e.name] && Number.isFinite(e.weight) && e.weight > 0);
+}
+
+// Stable 0–99 bucket per client id
+export function bucketOf(id) {
+  return createHash("sha256").update(String(id)).digest().readUInt32BE(0) % 100;
+}
+
+// Weights are relative ("v2:1,v3:1" is 50/50)
+function pickWeighted(split, bucket) {
+  const total = split.reduce((n, e) => n + e.weight, 0);
+  let edge = 0;
+  for (const e of split) {
+    edge += (e.weight / total) * 100;
+    if (bucket < edge) return e.name;
+  }
+  return split[split.length - 1].name;
+}
+
+export function selectEngine(req, body, chat = getConfig().chat) {
+  const h = req?.headers || {};
+  const requested = h["x-calmalink-engine"] || body?.engine;
+  if (ENGINES[requested]) return { name: requested, engine: ENGINES[requested], reason: "override" };
+
+  const split = parseSplit(chat.split || "");
+  const clientId = body?.clientId || h["x-client-id"] || body?.sessionId;
+  if (split.length && clientId) {
+    const name = pickWeighted(split, bucketOf(clientId));
+    return { name, engine: ENGINES[name], reason: "split" };
+  }
+
+  const name = ENGINES[chat.engine] ? chat.engine : DEFAULT_ENGINE;
+  return { name, engine: ENGINES[name], reason: "default" };
+}
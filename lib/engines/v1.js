@@ -0,0 +1,83 @@
+// lib/engines/v1.js
+// CalmaLink robust deterministic engine (no loops, broad intent coverage) — served by /api/chat
+// - Starts a practice for many phrasings (EN/ES/PT/FR) incl. "english", "español", "play", "start", "listen", "yes/sí", etc.
+//   (word-boundary intent matching from lib/intent.js); the named practice, else one recommended for the user's need and time
+// - Lists library on request
+// - Multi-day programs: "continue my program", "what's today's session", "restart", "start <program>", "done" (lib/programs.js)
+// - Crisis language escalation (returns crisis text + country-aware resources)
+// - Short, empathetic replies when user just chats
+// - Stress check-in: a 0–10 rating before the practice and after it (lib/checkins.js)
+// - Returns audio via { tool: { name:"get_meditation", result:{...} } } which your frontend renders inline
+
+import { libraryText } from "../catalog.js";
+import { practiceReply } from "../recommend.js";
+import { crisisHandoff } from "../crisis_resources.js";
+import { assessRisk, concernReply } from "../crisis.js";
+import { lastIntent, conversationLanguage } from "../intent.js";
+import { t } from "../i18n.js";
+import { ratingTurn, askBefore } from "../checkins.js";
+import { programRequest, programTurn } from "../programs.js";
+
+// Short supportive default
+function supportiveReply(lang) {
+  return t(lang, "reply.invite");
+}
+
+function libraryReply(lang) {
+  return libraryText(lang);
+}
+
+function helpReply(lang) {
+  return t(lang, "help.basic");
+}
+
+// ---------------- engine ----------------
+export const name = "v1";
+
+export async function respond({ messages, session, country, user }) {
+  const { language: lang, chosen, guessed } = conversationLanguage(messages, session);
+  const intent = lastIntent(messages);
+  const state = { language: lang, languageChosen: chosen };
+
+  // 1) Crisis assessment (acute → full handoff, concern → gentle check-in)
+  const risk = assessRisk(messages);
+  if (risk.tier === "acute") {
+    return { ...crisisHandoff(lang, country), intent: "handoff_crisis", state };
+  }
+  if (risk.tier === "concern") {
+    return { message: concernReply(lang), intent: "crisis_check_in", state };
+  }
+
+  // 2) Stress rating typed while a check-in is pending ("7", "3/10")
+  const rated = await ratingTurn({ messages, session, user, language: lang });
+  if (rated) return { ...rated, state: { ...state, ...rated.state } };
+
+  // 3) Library request
+  if (intent.name === "get_library") {
+    return { message: libraryReply(lang), intent: intent.name, state };
+  }
+
+  // 4) Help
+  if (intent.name === "get_help") {
+    return { message: helpReply(lang), intent: intent.name, state };
+  }
+
+  // 5) Multi-day program: start a named one, continue, today's session, restart (after a "yes"), mark today done
+  //    (in the program's language when unsure)
+  const request = programRequest(intent, session);
+  if (request) {
+    const reply = await programTurn({ ...request, user, language: lang, guessed });
+    if (reply) return askBefore({ ...reply, state: { ...state, ...reply.state } }, { session, language: reply.state.language });
+  }
+
+  // 6) Start meditation (broad triggers incl. "english"/"español" + yes/ok): named or recommended, with the "before" check-in
+  if (intent.name === "get_meditation" || intent.name === "affirm") {
+    const { category, duration } = intent.slots;
+    const practice = practiceReply({ messages, language: lang, category, duration, preferCategory: session?.lastPractice?.category });
+    const reply = { ...practice, intent: "get_meditation", state };
+    return askBefore(reply, { session, language: lang });
+  }
+
+  // 7) Supportive default + gentle invite
+  return { message: supportiveReply(lang), intent: "chat", state };
+}
@@ -0,0 +1,71 @@
+// lib/engines/v2.js
+// CalmaLink deterministic engine: robust intents + respectful "talk only" mode (no push).
+
+import { libraryText } from "../catalog.js";
+import { practiceReply } from "../recommend.js";
+import { crisisHandoff } from "../crisis_resources.js";
+import { assessRisk, concernReply } from "../crisis.js";
+import { lastIntent, conversationLanguage } from "../intent.js";
+import { t } from "../i18n.js";
+import { ratingTurn, askBefore } from "../checkins.js";
+import { programRequest, programTurn } from "../programs.js";
+
+// Simple supportive replies (varied a bit)
+function supportiveReply(messages, lang) {
+  const count = messages.filter(m => m?.role === "user").length;
+  const v = t(lang, "reply.listen");
+  return v[count % v.length];
+}
+
+function libraryReply(lang) {
+  return libraryText(lang);
+}
+
+function helpReply(lang) {
+  return t(lang, "help.talkOnly");
+}
+
+// ---------------- engine ----------------
+export const name = "v2";
+
+export async function respond({ messages, session, country, user }) {
+  const { language: lang, chosen, guessed } = conversationLanguage(messages, session);
+  const intent = lastIntent(messages);
+  const state = { language: lang, languageChosen: chosen };
+
+  // Crisis tiers: acute → full handoff, concern → gentle check-in
+  const risk = assessRisk(messages);
+  if (risk.tier === "acute") return { ...crisisHandoff(lang, country), intent: "handoff_crisis", state };
+  if (risk.tier === "concern") return { message: concernReply(lang), intent: "crisis_check_in", state };
+
+  // A stress rating typed while a check-in is pending
+  const rated = await ratingTurn({ messages, session, user, language: lang });
+  if (rated) return { ...rated, state: { ...state, ...rated.state } };
+
+  if (intent.name === "get_library") return { message: libraryReply(lang), intent: intent.name, state };
+  if (intent.name === "get_help") return { message: helpReply(lang), intent: intent.name, state };
+
+  // Program commands are explicit requests, so they run even in "talk only" mode
+  const request = programRequest(intent, session);
+  if (request) {
+    const reply = await programTurn({ ...request, user, language: lang, guessed });
+    if (reply) return askBefore({ ...reply, state: { ...state, ...reply.state } }, { session, language: reply.state.language });
+  }
+
+  // Respect "talk only" / decline (remembered for the rest of the session)
+  if (intent.name === "decline") {
+    return { message: supportiveReply(messages, lang), intent: "decline", state: { ...state, talkOnly: true } };
+  }
+
+  // Start meditation if the user clearly asks for it (the named practice, else the recommended one).
+  // While the session is in "talk only" mode, a bare "yes/ok" is conversation, not a start.
+  if (intent.name === "get_meditation" || (intent.name === "affirm" && !session?.talkOnly)) {
+    const { category, duration } = intent.slots;
+    const practice = practiceReply({ messages, language: lang, category, duration, preferCategory: session?.lastPractice?.category });
+    const reply = { ...practice, intent: "get_meditation", state };
+    return askBefore(reply, { session, language: lang });
+  }
+
+  // Default: supportive conversation (no invite)
+  return { message: supportiveReply(messages, lang), intent: "chat", state };
+}
@@ -0,0 +1,428 @@
+// lib/engines/v3.js
+// CalmaLink hybrid engine (natural model chat + reliable tool playback)
+// • Natural, empathetic conversation in every supported locale (EN/ES/PT/FR); model, temperature and prompt from lib/config.js
+// • Deterministic quick intents so “english / español / play / start / yes / no / just talk” never miss
+// • "Play" without a named practice → recommend_practice (need, time, language → top pick + alternatives)
+// • Library / help shortcuts; tiered crisis assessment runs before everything else
+// • Returns inline audio via: { tool: { name:"get_meditation", result:{...} } }
+// • Multi-day programs (lib/programs.js): continue_program / program_today / restart_program tools; the deterministic
+//   "continue my program" / "what's today's session" / "restart" / "start <program>" never reach the model
+// • Breathing practices carry a timed pacer (lib/breathing.js) built to the minutes asked for ("a 1 minute one")
+// • Responses API tool loop: every function_call in output runs (several per turn, any tool) and goes back as
+//   function_call_output with its call_id, for at most MAX_TOOL_ROUNDS rounds; a crisis handoff call ends the turn
+// • Streams model text through onDelta / onTool when the pipeline opened a stream; while the output filter is on, model
+//   text is held back and the checked reply goes out whole at the end (unchecked words never reach the client)
+// • Stress check-ins: "before" asked when a practice starts, ask_stress_rating / record_stress_rating tools, typed ratings
+// • Personal details are replaced with placeholders before every model call and restored in the reply (lib/redact.js)
+// • Model text passes the output filter (lib/output_filter.js): medication, diagnosis, length, language, crisis cues
+// • Provider (lib/llm.js) failures or timeouts hand the turn to the deterministic v2 logic (out.fallback = "provider_error")
+
+import {
+  CATEGORIES, LANGUAGES,
+  findPractice, meditationResult, libraryText, catalogSummary
+} from "../catalog.js";
+import { crisisHandoff } from "../crisis_resources.js";
+import { assessRiskWithModel, createModelClassifier, concernReply } from "../crisis.js";
+import { lastIntent, conversationLanguage } from "../intent.js";
+import { t, LOCALES, languageName, joinList } from "../i18n.js";
+import { getLLM, providerFailed } from "../llm.js";
+import * as deterministic from "./v2.js";
+import { getConfig, diagnostic } from "../config.js";
+import { contextWindow } from "../context.js";
+import { filterReply } from "../output_filter.js";
+import { createRedactor, redacting, REDACTION_NOTE } from "../redact.js";
+import { NEEDS, recommendPractice, recommendationResult, recommendationIntro, practiceReply, namedIntro } from "../recommend.js";
+import { PATTERNS, MIN_MINUTES, MAX_MINUTES } from "../breathing.js";
+import { PHASES, checkinPrompt, recordCheckin, validRating, nextCheckin, ratingTurn, askBefore } from "../checkins.js";
+import { PROGRAM_IDS, programsSummary, programRequest, programTurn } from "../programs.js";
+
+// ---------- system prompt & tools ----------
+// Built-in prompt, built per turn so catalog changes (lib/content.js) reach the model; engines.v3.prompt /
+// ENGINE_V3_PROMPT_FILE replaces it per deployment
+export const systemPrompt = () => `
+You are CalmaLink, a warm, concise, trauma-informed, multilingual (${joinList(LOCALES.map(l => languageName(l)))}) mindfulness guide.
+
+STYLE
+- Speak naturally and empathetically. Reflect, validate, then offer one small next step.
+- Keep responses short (2–5 sentences) unless reading a brief script via tool.
+- Never diagnose or provide medical advice. If crisis language appears, call "handoff_crisis".
+
+CAPABILITIES
+- Available practices: ${catalogSummary()}.
+- If the user asks to play/listen/start a specific practice, call "get_meditation".
+- Breathing practices (${breathingSummary()}) can run any length from ${MIN_MINUTES} to ${MAX_MINUTES} minutes: pass the minutes the user asks for as duration (e.g. "a 1 minute one" → 1); 4-7-8 stops at 8 breaths (about 3 minutes). The app shows a timed pacer.
+- If they want a practice without naming one (or just name a language, e.g. "english"/"español"/"português"/"français"), call "recommend_practice" with what they need (sleep, anxiety, focus, grounding) and how many minutes they have, if they said.
+- Multi-day programs: ${programsSummary()}. To start or switch to one, or to go on with the current one ("continue my program"), call "continue_program" (pass program only when they name one). For "what's today's session" call "program_today"; to begin a program again from day 1, "restart_program" (it resets days done: pass confirmed only after the user agreed). One day unlocks per calendar day; it counts once the user rates it afterwards (ask_stress_rating "after").
+- If the user declines (e.g., "not now", "just talk"), continue supportive conversation without pushing a practice.
+- If they ask for the library or help, answer simply.
+- The app asks for a 0–10 stress rating when a practice starts. When the user says they finished, call "ask_stress_rating" with phase "after". If the user states a rating in words, save it with "record_stress_rating".
+
+LANGUAGE
+- Reply in the user’s language. If unclear, ask once which language they prefer.
+`;
+
+const tools = [
+  {
+    type: "function",
+    name: "get_meditation",
+    description: "Return a practice from the CalmaLink library (audio when available + script; breathing patterns add a timed pacer).",
+    parameters: {
+      type: "object",
+      properties: {
+        category: { type: "string", enum: CATEGORIES },
+        language: { type: "string", enum: LANGUAGES },
+        duration: { type: "integer", minimum: MIN_MINUTES, maximum: MAX_MINUTES, description: "Minutes; breathing patterns are built to any length, other practices use the nearest one." }
+      },
+      required: ["category","language","duration"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "recommend_practice",
+    description: "Pick the best practice for the user's need and available time; returns the top pick (played for the user) and alternatives.",
+    parameters: {
+      type: "object",
+      properties: {
+        need: { type: "string", enum: NEEDS },
+        minutes: { type: "integer", minimum: 1 },
+        language: { type: "string", enum: LANGUAGES }
+      },
+      required: ["language"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "continue_program",
+    description: "Play the user's next day of a multi-day program (today's session again if it is already done); with program, start or switch to that program.",
+    parameters: {
+      type: "object",
+      properties: {
+        program: { type: "string", enum: PROGRAM_IDS },
+        language: { type: "string", enum: LANGUAGES }
+      },
+      required: ["language"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "program_today",
+    description: "Tell the user which day and practice of their program is today's session, and their streak, without starting it.",
+    parameters: {
+      type: "object",
+      properties: { language: { type: "string", enum: LANGUAGES } },
+      required: ["language"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "restart_program",
+    description: "Start the user's current program (or the named one) over from day 1 and play day 1. Days already done are reset, so without confirmed it only returns a question to ask the user first.",
+    parameters: {
+      type: "object",
+      properties: {
+        program: { type: "string", enum: PROGRAM_IDS },
+        language: { type: "string", enum: LANGUAGES },
+        confirmed: { type: "boolean", description: "true only after the user agreed to lose their progress" }
+      },
+      required: ["language"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "handoff_crisis",
+    description: "Provide crisis handoff text.",
+    parameters: { type: "object", properties: {}, additionalProperties: false }
+  },
+  {
+    type: "function",
+    name: "get_library",
+    description: "List currently available meditations.",
+    parameters: { type: "object", properties: {}, additionalProperties: false }
+  },
+  {
+    type: "function",
+    name: "get_help",
+    description: "Explain how to use CalmaLink briefly.",
+    parameters: { type: "object", properties: {}, additionalProperties: false }
+  },
+  {
+    type: "function",
+    name: "ask_stress_rating",
+    description: "Ask how stressed the user feels from 0 (calm) to 10 (very stressed), before or after the current practice. The app shows a rating widget.",
+    parameters: {
+      type: "object",
+      properties: { phase: { type: "string", enum: PHASES } },
+      required: ["phase"],
+      additionalProperties: false
+    }
+  },
+  {
+    type: "function",
+    name: "record_stress_rating",
+    description: "Save a 0–10 stress rating the user gave for the current practice.",
+    parameters: {
+      type: "object",
+      properties: { phase: { type: "string", enum: PHASES }, rating: { type: "integer", minimum: 0, maximum: 10 } },
+      required: ["phase", "rating"],
+      additionalProperties: false
+    }
+  }
+];
+
+function breathingSummary() {
+  return CATEGORIES.map(c => findPractice({ category: c })).filter(p => p.pattern).map(p => `${p.category} ${PATTERNS[p.pattern].label}`).join(", ");
+}
+
+// The model gets the pacer's shape, not every timed step
+function forModel(result) {
+  if (!result.pacer) return result;
+  const { steps, ...pacer } = result.pacer;
+  return { ...result, pacer };
+}
+
+// Resolve get_meditation args against the catalog
+function meditationPayload(args = {}, fallbackLang = "en") {
+  const lang = LANGUAGES.includes(args.language) ? args.language : fallbackLang;
+  const med = findPractice({ category: args.category, language: lang, duration: args.duration });
+  return { lang, med, result: meditationResult(med, { minutes: args.duration }) };
+}
+
+// ---------- tool execution ----------
+// Model tool rounds per turn; one more call without tools forces a text answer
+export const MAX_TOOL_ROUNDS = 3;
+
+// One function_call → { output (sent back to the model), tool?, text?, intent?, handoff?, checkin?, checkinState? }
+// practiceId: the practice a stress rating refers to (shown this turn, pending check-in or last played)
+async function runTool(call, { messages, language, country, user, practiceId }) {
+  let args = {};
+  try { args = JSON.parse(call.arguments || "{}") || {}; } catch {}
+  switch (call.name) {
+    case "get_meditation": {
+      const { lang, med, result } = meditationPayload(args, language);
+      const tool = { name: "get_meditation", result };
+      return { output: { ...forModel(result), intro: namedIntro(med, result, lang, args.duration) }, tool, lang, intent: "get_meditation" };
+    }
+    case "recommend_practice": {
+      const lang = LANGUAGES.includes(args.language) ? args.language : language;
+      const rec = recommendPractice({ messages, language: lang, need: args.need, minutes: args.minutes });
+      const tool = { name: "get_meditation", result: recommendationResult(rec) };
+      return { output: { ...forModel(tool.result), intro: recommendationIntro(rec, lang, tool.result) }, tool, lang, intent: "get_meditation" };
+    }
+    case "continue_program":
+    case "program_today":
+    case "restart_program": {
+      const lang = LANGUAGES.includes(args.language) ? args.language : language;
+      const program = PROGRAM_IDS.includes(args.program) ? args.program : undefined;
+      const action = call.name === "program_today" ? "today" : call.name === "restart_program" ? "restart" : program ? "start" : "continue";
+      const reply = await programTurn({ action, program, user, language: lang, confirmed: args.confirmed === true });
+      if (!reply.tool) return { output: { message: reply.message }, text: reply.message, intent: reply.intent };
+      return { output: { ...forModel(reply.tool.result), intro: reply.message }, tool: reply.tool, lang, intent: reply.intent };
+    }
+    case "handoff_crisis":
+      return { handoff: crisisHandoff(language, country) };
+    case "get_library": {
+      const text = libraryText(language);
+      return { output: { library: text }, text, intent: "get_library" };
+    }
+    case "get_help": {
+      const text = t(language, "help.short");
+      return { output: { help: text }, text, intent: "get_help" };
+    }
+    case "ask_stress_rating": {
+      if (!practiceId) return { output: { error: "No practice to rate yet." } };
+      const phase = PHASES.includes(args.phase) ? args.phase : "after";
+      const checkin = checkinPrompt(phase, practiceId, language);
+      return { output: { question: checkin.question }, checkin, checkinState: { phase, practiceId } };
+    }
+    case "record_stress_rating": {
+      const rating = Number(args.rating);
+      if (!practiceId || !user) return { output: { error: "No practice or user to record a rating for." } };
+      if (!validRating(rating)) return { output: { error: "Rating must be a whole number from 0 to 10." } };
+      const phase = PHASES.includes(args.phase) ? args.phase : "after";
+      const saved = await recordCheckin({ user, practiceId, language, phase, rating });
+      const next = nextCheckin({ practiceId }, saved);
+      return { output: saved, intent: "checkin", checkinState: next, ...(next ? { checkin: checkinPrompt(next.phase, practiceId, language) } : {}) };
+    }
+    default:
+      return { output: { error: `Unknown tool "${call.name}"` } };
+  }
+}
+
+// Text of every message item in a Responses API result
+function outputText(response) {
+  if (response?.output_text?.trim()) return response.output_text.trim();
+  const parts = (response?.output || [])
+    .filter(item => item?.type === "message")
+    .flatMap(item => item.content || [])
+    .filter(c => c?.type === "output_text" && c.text)
+    .map(c => c.text);
+  return parts.join("").trim() || null;
+}
+
+// Model call; with onDelta, stream text deltas and resolve to the completed response
+async function createResponse(llm, params, onDelta) {
+  if (!onDelta) return llm.responses.create(params);
+  const events = await llm.responses.create({ ...params, stream: true });
+  let text = "";
+  let completed = null;
+  for await (const ev of events) {
+    if (ev.type === "response.output_text.delta") { text += ev.delta; onDelta(ev.delta); }
+    else if (ev.type === "response.completed") completed = ev.response;
+    else if (ev.type === "response.failed" || ev.type === "error") throw new Error(ev.response?.error?.message || ev.message || "Stream failed");
+  }
+  return { ...completed, output_text: text };
+}
+
+// ---------- deterministic quick intents (never miss) ----------
+// Shared engine (lib/intent.js); low-confidence matches are left to the model
+const QUICK_MIN_CONFIDENCE = 0.6;
+
+function quickIntent(messages, lang = "en", session = null) {
+  const intent = lastIntent(messages);
+  if (intent.name === "chat" || intent.confidence < QUICK_MIN_CONFIDENCE) return null;
+
+  // Start phrases, a named practice, or a language-only message ("english" / "español")
+  if (intent.name === "get_meditation") {
+    const { category, duration } = intent.slots;
+    return { name:"get_meditation", args:{ category, language:lang, duration } };
+  }
+
+  // Declines / talk-only
+  if (intent.name === "decline") return { name:null };
+
+  // Library / help
+  if (intent.name === "get_library" || intent.name === "get_help") return { name:intent.name };
+
+  // Program commands ("continue my program", "what's today's session", "restart" / "yes" to it, "start <program>")
+  const request = programRequest(intent, session);
+  if (request) return { name:"program", args:request };
+
+  return null;
+}
+
+// ---------- engine ----------
+export const name = "v3";
+export const usesModel = true;
+
+export function misconfigured(config = getConfig()) {
+  return diagnostic(config, ["global", "llm", name]);
+}
+
+export async function respond({ messages, session, country, user, onDelta, onTool }) {
+  const { engines, crisis, privacy, filter } = getConfig();
+  // One redactor per turn keeps placeholders stable across the classifier, tool rounds and regeneration
+  const llm = privacy.redact ? redacting(getLLM(), createRedactor({ names: privacy.redactNames })) : getLLM();
+  const { model, temperature, prompt } = engines.v3;
+
+  const { language, chosen, guessed } = conversationLanguage(messages, session);
+  const state = { language, languageChosen: chosen };
+
+  // 0) Crisis tiers first (rules; CRISIS_CLASSIFIER=model adds a model check that can only escalate)
+  const classify = crisis.classifier === "model" ? createModelClassifier(llm, crisis.model) : null;
+  const risk = await assessRiskWithModel(messages, classify);
+  if (risk.tier === "acute") return { ...crisisHandoff(language, country), intent: "handoff_crisis", state };
+  if (risk.tier === "concern") return { message: concernReply(language), intent: "crisis_check_in", state };
+
+  // 1) Deterministic quick intents (a typed stress rating first)
+  const rated = await ratingTurn({ messages, session, user, language });
+  if (rated) return { ...rated, state: { ...state, ...rated.state }, quick: true };
+  let qi = quickIntent(messages, language, session);
+  if (qi?.name === "get_meditation") {
+    const practice = practiceReply({ messages, ...qi.args, preferCategory: session?.lastPractice?.category });
+    return askBefore({ ...practice, intent: "get_meditation", state, quick: true }, { session, language });
+  }
+  if (qi?.name === "program") {
+    const reply = await programTurn({ ...qi.args, user, language, guessed });
+    if (reply) return askBefore({ ...reply, state: { ...state, ...reply.state }, quick: true }, { session, language: reply.state.language });
+    qi = null;   // "done" with no program day waiting: the model answers
+  }
+  if (qi?.name === "get_library") return { message: libraryText(language), intent: "get_library", state, quick: true };
+  if (qi?.name === "get_help") return { message: t(language, "help.short"), intent: "get_help", state, quick: true };
+  // qi === null or qi.name === null → continue to model conversation (a decline is remembered for the session)
+  const talkOnly = qi ? true : !!session?.talkOnly;
+  const context = [{ role: "system", content: prompt || systemPrompt() }];
+  if (privacy.redact) context.push({ role: "system", content: REDACTION_NOTE });
+  if (talkOnly) context.push({ role: "system", content: "The user asked to just talk. Do not offer or start a practice unless they ask for one." });
+  context.push({ role: "system", content: chosen
+    ? `The user chose ${languageName(language)} ("${language}"). Always reply in it.`
+    : `The user appears to write in ${languageName(language)} ("${language}").` });
+  const intent = qi ? "decline" : "model";
+  // Latest turns verbatim, older ones summarised or dropped (CONTEXT_TOKEN_BUDGET)
+  const history = contextWindow(messages);
+
+  try {
+    // 2) Natural conversation + tool loop: run every function_call, send function_call_output back, repeat (bounded)
+    let input = [...context, ...history];
+    let shown = null;        // tool payload for the client (last get_meditation)
+    let toolIntent = null;   // intent of the last tool that ran
+    let toolText = null;     // canned text if the model ends without words
+    let checkin = null;      // stress rating prompt for the client
+    let checkinState;        // pending check-in for the session (undefined = unchanged)
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+      const response = await createResponse(llm, {
+        model,
+        input,
+        tools,
+        tool_choice: round < MAX_TOOL_ROUNDS ? "auto" : "none",
+        temperature
+      }, filter.enabled ? null : onDelta);
+
+      const calls = (response?.output || []).filter(item => item?.type === "function_call");
+      if (!calls.length || round === MAX_TOOL_ROUNDS) {
+        // 3) Output filter on the model's own words (regenerate once, then a safe template)
+        const draft = outputText(response);
+        const regenerate = async note => outputText(await llm.responses.create({
+          model,
+          input: [...input, { role: "assistant", content: draft }, { role: "system", content: note }],
+          temperature
+        }));
+        const { text: checked, action } = draft
+          ? await filterReply(draft, { language, messages, engine: name, regenerate })
+          : { text: null, action: null };
+        const extra = { ...(action ? { filtered: action } : {}), ...(checkin ? { checkin } : {}) };
+        const withCheckin = s => (checkinState === undefined ? s : { ...s, checkin: checkinState });
+        const text = checked || toolText;
+        if (shown) {
+          const reply = { message: text || t(shown.lang, "meditation.ready"), tool: shown.tool, intent: "get_meditation", state: withCheckin(state), ...extra };
+          return checkinState === undefined ? askBefore(reply, { session, language }) : reply;
+        }
+        if (text) return { message: text, intent: toolIntent || intent, state: withCheckin({ ...state, talkOnly }), ...extra };
+        return { message: t(language, "reply.fallback"), intent, state: withCheckin(state), outcome: "fallback_message" };
+      }
+
+      const outputs = [];
+      for (const call of calls) {
+        const practiceId = shown?.tool.result.id || session?.checkin?.practiceId || session?.lastPractice?.id;
+        const ran = await runTool(call, { messages, language, country, user, practiceId });
+        // Crisis handoff is never paraphrased by the model
+        if (ran.handoff) return { ...ran.handoff, intent: "handoff_crisis", state };
+        if (ran.tool) { shown = ran; onTool?.(ran.tool); }
+        if (ran.text) toolText = ran.text;
+        if (ran.checkin !== undefined) checkin = ran.checkin;
+        if (ran.checkinState !== undefined) checkinState = ran.checkinState;
+        toolIntent = ran.intent || toolIntent;
+        outputs.push({ type: "function_call_output", call_id: call.call_id, output: JSON.stringify(ran.output) });
+      }
+      input = [
+        ...input,
+        ...calls.map(({ call_id, name, arguments: args }) => ({ type: "function_call", call_id, name, arguments: args })),
+        ...outputs
+      ];
+    }
+  } catch (err) {
+    // Provider failed or timed out (after retries): the deterministic engine answers this turn; our own bugs surface
+    if (!providerFailed(err)) throw err;
+    console.error("CalmaLink chat_v3 provider error, falling back:", err?.message || err);
+    try {
+      return { ...(await deterministic.respond({ messages, session, country, user })), fallback: "provider_error" };
+    } catch (fallbackErr) {
+      console.error("CalmaLink chat_v3 fallback error:", fallbackErr);
+      return { message: t(language, "reply.error"), intent: "error", state };
+    }
+  }
+}
@@ -0,0 +1,172 @@
+// lib/events.js
+// Privacy-preserving structured events for every chat turn — never message text, session ids, client ids or IPs.
+// • Fields: at, type, engine, reason (engine selection), intent, tool, language, latencyMs, outcome, quick, stream
+// • outcome: ok | declined | handoff | crisis_check_in | provider_fallback | fallback_message | filtered_<action> | error,
+//   or invalid | too_large | rate_limited for requests rejected before an engine ran
+// • Sinks (EVENT_SINKS, lib/config.js): stdout (one JSON line per event), file (JSON lines at EVENT_LOG_FILE),
+//   store (per-day lists in the shared store, appended with store.push); a failing sink is reported and never breaks chat
+// • readEvents(window) reads back from the store or file sink; summarize(events) feeds GET /api/metrics
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { getStore } from "./store.js";
+import { getConfig } from "./config.js";
+
+const CODE = /^[a-z0-9_:-]{1,64}$/i;   // intents, tools, engines, languages are short codes; anything else is dropped
+const code = v => (typeof v === "string" && CODE.test(v) ? v : null);
+
+// Whitelisted fields only, whatever the caller passes
+export function chatEvent(fields = {}, now = Date.now()) {
+  return {
+    at: new Date(now).toISOString(),
+    type: code(fields.type) || "chat",
+    engine: code(fields.engine),
+    reason: code(fields.reason),
+    intent: code(fields.intent),
+    tool: code(fields.tool),
+    language: code(fields.language),
+    latencyMs: Number.isFinite(fields.latencyMs) ? Math.max(0, Math.round(fields.latencyMs)) : null,
+    outcome: code(fields.outcome) || "ok",
+    quick: typeof fields.quick === "boolean" ? fields.quick : null,
+    stream: !!fields.stream
+  };
+}
+
+// Engine result → outcome (an engine may name its own, e.g. v3's "fallback_message")
+export function outcomeOf(out = {}) {
+  if (out.outcome) return out.outcome;
+  if (out.intent === "handoff_crisis") return "handoff";
+  if (out.intent === "crisis_check_in") return "crisis_check_in";
+  if (out.intent === "error") return "error";
+  if (out.fallback) return "provider_fallback";
+  if (out.filtered) return `filtered_${out.filtered}`;
+  if (out.intent === "decline") return "declined";
+  return "ok";
+}
+
+// ---------- sinks ----------
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STORE_KEEP = 5000;   // events per day in the store sink
+const dayKey = ms => `events:${new Date(ms).toISOString().slice(0, 10)}`;
+const inWindow = (e, { from, to }) => { const at = Date.parse(e.at); return at >= from && at <= to; };
+
+export function stdoutSink(print = line => process.stdout.write(line + "\n")) {
+  return { name: "stdout", async write(event) { print(JSON.stringify(event)); } };
+}
+
+export function fileSink(file) {
+  return {
+    name: "file",
+    async write(event) {
+      await fs.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      await fs.appendFile(file, JSON.stringify(event) + "\n");
+    },
+    async read(window) {
+      let raw = "";
+      try { raw = await fs.readFile(file, "utf8"); } catch { return []; }
+      return raw.split("\n").filter(Boolean).flatMap(line => { try { return [JSON.parse(line)]; } catch { return []; } }).filter(e => inWindow(e, window));
+    }
+  };
+}
+
+// store: a fixed store, or null to use the shared one at call time
+export function storeSink({ store = null, retentionDays = 14 } = {}) {
+  const current = () => store || getStore();
+  return {
+    name: "store",
+    async write(event) {
+      await current().push(dayKey(Date.parse(event.at)), event, retentionDays * 24 * 60 * 60, STORE_KEEP);
+    },
+    async read(window) {
+      const events = [];
+      for (let day = Math.floor(window.from / DAY_MS) * DAY_MS; day <= window.to; day += DAY_MS) {
+        events.push(...(await current().range(dayKey(day))));
+      }
+      return events.filter(e => inWindow(e, window));
+    }
+  };
+}
+
+export function createSinks(events = getConfig().events) {
+  return events.sinks.map(name => {
+    if (name === "stdout") return stdoutSink();
+    if (name === "file") return fileSink(events.file);
+    return storeSink({ retentionDays: events.retentionDays });
+  });
+}
+
+// One sink list per warm instance; tests swap it, setSinks(null) rebuilds from config
+let shared = null;
+export function getSinks() { return (shared ||= createSinks()); }
+export function setSinks(sinks) { shared = sinks; }
+
+// ---------- logging ----------
+export async function logEvent(fields, { sinks = getSinks(), now = Date.now() } = {}) {
+  const event = chatEvent(fields, now);
+  await Promise.all(sinks.map(sink => sink.write(event).catch(err => console.error(`CalmaLink events: ${sink.name} sink failed:`, err?.message || err))));
+  return event;
+}
+
+// First sink that can read events back (store before file, in configured order)
+export function readableSink(sinks = getSinks()) {
+  return sinks.find(s => typeof s.read === "function") || null;
+}
+
+export async function readEvents(window, { sinks = getSinks() } = {}) {
+  const sink = readableSink(sinks);
+  return sink ? sink.read(window) : [];
+}
+
+// ---------- aggregation ----------
+// ?from=…&to=… (ISO) or ?hours=N (default 24), clamped to the retention period → { from, to } in ms, or { error }
+export function metricsWindow({ from, to, hours } = {}, { now = Date.now(), retentionDays = getConfig().events.retentionDays } = {}) {
+  const end = to ? Date.parse(to) : now;
+  const span = hours !== undefined && hours !== "" ? Number(hours) * 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+  const start = from ? Date.parse(from) : end - span;
+  if (!Number.isFinite(end) || !Number.isFinite(start)) return { error: "from / to must be ISO dates." };
+  if (!(span > 0)) return { error: "hours must be a positive number." };
+  if (start > end) return { error: "from must be before to." };
+  return { from: Math.max(start, now - retentionDays * DAY_MS), to: Math.min(end, now) };
+}
+
+const countBy = (events, key) => events.reduce((acc, e) => {
+  const k = e[key] ?? "none";
+  acc[k] = (acc[k] || 0) + 1;
+  return acc;
+}, {});
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latency(events) {
+  const ms = events.map(e => e.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!ms.length) return { avg: null, p50: null, p95: null };
+  return { avg: Math.round(ms.reduce((a, b) => a + b, 0) / ms.length), p50: percentile(ms, 50), p95: percentile(ms, 95) };
+}
+
+const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+
+export function summarize(events) {
+  const answered = events.filter(e => e.engine);
+  const modelTurns = answered.filter(e => e.quick !== null);
+  const count = test => answered.filter(test).length;
+  return {
+    total: events.length,
+    answered: answered.length,
+    byEngine: countBy(answered, "engine"),
+    byIntent: countBy(answered, "intent"),
+    byTool: countBy(answered, "tool"),
+    byLanguage: countBy(answered, "language"),
+    byOutcome: countBy(events, "outcome"),
+    rates: {
+      quickIntent: rate(modelTurns.filter(e => e.quick).length, modelTurns.length),
+      declined: rate(count(e => e.outcome === "declined"), answered.length),
+      handoff: rate(count(e => e.outcome === "handoff"), answered.length),
+      fallback: rate(count(e => e.outcome === "provider_fallback" || e.outcome === "fallback_message"), answered.length)
+    },
+    latencyMs: latency(answered),
+    latencyByEngine: Object.fromEntries(Object.keys(countBy(answered, "engine")).map(name => [name, latency(answered.filter(e => e.engine === name))]))
+  };
+}
@@ -0,0 +1,137 @@
+// lib/guard.js
+// Abuse and cost guardrails in front of every chat engine.
+// • Size caps: request body bytes, characters per message, turns kept from a legacy { messages } transcript
+// • Per-minute request counters per client IP and per session (atomic store.incr, so concurrent requests all count);
+//   the client IP is the x-forwarded-for entry written by the nearest trusted proxy (GUARD_TRUSTED_PROXIES), never the
+//   client-supplied first entry
+// • Daily model-spend budget: every model call is metered (reported usage, else a character estimate) and added to a
+//   per-day counter of integer micro-USD with store.incr, so concurrent calls all count
+// • Over a rate limit → 429 with Retry-After in the request's language (or GUARD_OVER_LIMIT=fallback → deterministic
+//   engine); over budget → the deterministic engine answers instead of the model
+
+import { getStore } from "./store.js";
+import { getConfig } from "./config.js";
+
+// Limits come from lib/config.js (GUARD_* variables, validated there); 0 disables a limit
+export function guardConfig(config = getConfig()) {
+  return config.guard;
+}
+
+// ---------- sizes ----------
+export function bodyTooLarge(req, body, config = guardConfig()) {
+  const declared = Number(req.headers?.["content-length"]);
+  if (Number.isFinite(declared) && declared > config.maxBodyBytes) return true;
+  return Buffer.byteLength(JSON.stringify(body ?? {})) > config.maxBodyBytes;
+}
+
+export function messageTooLong(body, config = guardConfig()) {
+  const texts = typeof body?.message === "string" ? [body.message] : [];
+  if (Array.isArray(body?.messages)) texts.push(...body.messages.map(m => (typeof m?.content === "string" ? m.content : "")));
+  return texts.some(t => t.length > config.maxMessageChars);
+}
+
+// ---------- rate counters ----------
+// Each trusted proxy appends the address it saw, so the client is `trustedProxies` entries from the end;
+// anything before that is whatever the client sent
+export function clientIp(req, trustedProxies = guardConfig().trustedProxies) {
+  const h = req.headers || {};
+  const hops = String(h["x-forwarded-for"] || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (trustedProxies > 0 && hops.length >= trustedProxies) return hops[hops.length - trustedProxies];
+  return (trustedProxies > 0 && h["x-real-ip"]) || req.socket?.remoteAddress || "unknown";
+}
+
+// Take one of `perMinute` requests in the current minute (one counter per key and calendar minute). This is a fixed
+// window, not a sliding one: a burst at the end of one minute and another at the start of the next can pass up to
+// 2 × perMinute requests within a few seconds.
+export async function takeToken(key, perMinute, { store = getStore(), now = Date.now() } = {}) {
+  if (!perMinute) return { ok: true, remaining: Infinity, retryAfter: 0 };
+  const minute = Math.floor(now / 60000);
+  const count = await store.incr(`${key}:${minute}`, 1, 120);
+  if (count > perMinute) return { ok: false, remaining: 0, retryAfter: Math.max(1, Math.ceil(((minute + 1) * 60000 - now) / 1000)) };
+  return { ok: true, remaining: perMinute - count, retryAfter: 0 };
+}
+
+// → null when allowed, else { retryAfter } (seconds). A broken store fails open rather than blocking chat.
+export async function checkRate(req, body, config = guardConfig(), opts = {}) {
+  const checks = [[`guard:ip:${clientIp(req, config.trustedProxies)}`, config.ipPerMinute]];
+  if (typeof body?.sessionId === "string" && body.sessionId) checks.push([`guard:session:${body.sessionId}`, config.sessionPerMinute]);
+  try {
+    for (const [key, perMinute] of checks) {
+      const r = await takeToken(key, perMinute, opts);
+      if (!r.ok) return { retryAfter: r.retryAfter };
+    }
+  } catch (err) {
+    console.error("CalmaLink guard: rate limit unavailable:", err);
+  }
+  return null;
+}
+
+// ---------- spend ----------
+// USD per 1M tokens (input, output)
+export const MODEL_PRICES = {
+  "gpt-4o": [2.5, 10],
+  "gpt-4o-mini": [0.15, 0.6]
+};
+
+// Integer micro-USD per UTC day
+const dayKey = (now = Date.now()) => `guard:spend:micro:${new Date(now).toISOString().slice(0, 10)}`;
+
+export function estimateCost(model, { input_tokens = 0, output_tokens = 0 } = {}) {
+  const [inp, out] = MODEL_PRICES[model] || MODEL_PRICES["gpt-4o"];
+  return (input_tokens * inp + output_tokens * out) / 1e6;
+}
+
+// ~4 characters per token when the provider does not report usage
+function estimateUsage(params, outputText = "") {
+  return {
+    input_tokens: Math.ceil(JSON.stringify(params.input ?? "").length / 4),
+    output_tokens: Math.ceil(String(outputText).length / 4)
+  };
+}
+
+export async function recordSpend(model, usage, { store = getStore(), now = Date.now() } = {}) {
+  const micros = await store.incr(dayKey(now), Math.round(estimateCost(model, usage) * 1e6), 60 * 60 * 48);
+  return { usd: micros / 1e6 };
+}
+
+export async function spentToday({ store = getStore(), now = Date.now() } = {}) {
+  return (Number(await store.get(dayKey(now))) || 0) / 1e6;
+}
+
+// Without a readable spend record the deterministic engine answers (fail closed on cost)
+export async function overBudget(config = guardConfig(), opts = {}) {
+  if (!config.dailyBudgetUsd) return false;
+  try {
+    return (await spentToday(opts)) >= config.dailyBudgetUsd;
+  } catch (err) {
+    console.error("CalmaLink guard: spend unavailable:", err);
+    return true;
+  }
+}
+
+// Wrap a client so every responses.create call (plain or streamed) is added to today's spend
+export function metered(client, opts = {}) {
+  const record = (params, usage, text) => recordSpend(params.model, usage || estimateUsage(params, text), opts)
+    .catch(err => console.error("CalmaLink guard: spend not recorded:", err));
+  return {
+    responses: {
+      async create(params, ...rest) {
+        const r = await client.responses.create(params, ...rest);
+        if (!params?.stream) {
+          await record(params, r?.usage, r?.output_text);
+          return r;
+        }
+        return (async function* () {
+          let text = "";
+          let usage = null;
+          for await (const ev of r) {
+            if (ev.type === "response.output_text.delta") text += ev.delta;
+            else if (ev.type === "response.completed") usage = ev.response?.usage;
+            yield ev;
+          }
+          await record(params, usage, text);
+        })();
+      }
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// lib/http.js
+// Shared request/response helpers for the CalmaLink API routes.
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { getConfig, originAllowed, diagnostic } from "./config.js";
+
+// Allowed website origins come from lib/config.js (per environment, wildcards/patterns allowed); the allowed headers
+// are every custom request header the API reads, so browsers send them past the preflight
+const CORS_HEADERS = "Content-Type, X-CalmaLink-Engine, X-Client-Id, X-Client-Token";
+export function withCORS(req, res, methods = "POST, OPTIONS") {
+  const { cors } = getConfig();
+  const origin = req.headers.origin || "";
+  const allow = originAllowed(origin, cors.patterns) ? origin : cors.fallback;
+  res.setHeader("Access-Control-Allow-Origin", allow);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", CORS_HEADERS);
+}
+// Deployment-wide config problems → one 500 diagnostic (true when the response was sent)
+export function configFailed(res) {
+  const problem = diagnostic(getConfig());
+  if (problem) bad(res, 500, problem);
+  return !!problem;
+}
+export function ok(res, payload) { return res.status(200).json(payload); }
+export function bad(res, code, message) { return res.status(code).json({ message }); }
+
+// "Authorization: Bearer <token>" against a configured secret (constant-time over hashes of both)
+const digest = s => createHash("sha256").update(String(s)).digest();
+export function bearerAuthorized(req, token) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers?.authorization || "");
+  return !!m && !!token && timingSafeEqual(digest(m[1].trim()), digest(token));
+}
+
+// maxBytes: reject with err.code "TOO_LARGE" once the raw body passes the cap
+const tooLarge = () => Object.assign(new Error("Body too large"), { code: "TOO_LARGE" });
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    try {
+      if (typeof req.body === "string") return Buffer.byteLength(req.body) > maxBytes ? reject(tooLarge()) : resolve(req.body);
+      let data = "";
+      let bytes = 0;
+      req.on("data", c => {
+        bytes += c.length;
+        if (bytes > maxBytes) return reject(tooLarge()); // keep draining so the 413 can still be sent
+        data += c;
+      });
+      req.on("end", () => { if (bytes <= maxBytes) resolve(data); });
+      req.on("error", reject);
+    } catch (e) { reject(e); }
+  });
+}
+
+// JSON bodies (Vercel may have parsed them already)
+export async function parseBody(req, { maxBytes = Infinity } = {}) {
+  if (req.body && typeof req.body === "object") return req.body;
+  const raw = await readBody(req, maxBytes);
+  if (!raw) return {};
+  try { return JSON.parse(raw); } catch { throw new Error("Invalid JSON"); }
+}
+
+// application/x-www-form-urlencoded bodies (webhooks) → { name: value } with string values
+export async function parseForm(req, { maxBytes = Infinity } = {}) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return { ...req.body };
+  const raw = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : await readBody(req, maxBytes);
+  if (Buffer.byteLength(raw) > maxBytes) throw tooLarge();
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+// "https://preview-abc.vercel.app" — the host this request came in on (links must point back at this deployment)
+export function requestOrigin(req) {
+  const h = req.headers || {};
+  const host = String(h["x-forwarded-host"] || h.host || "").split(",")[0].trim();
+  if (!host) return "";
+  const proto = String(h["x-forwarded-proto"] || (/^(localhost|127\.0\.0\.1)(:\d+)?$/.test(host) ? "http" : "https")).split(",")[0].trim();
+  return `${proto}://${host}`;
+}
+
+// Query params (Vercel fills req.query; plain Node does not)
+export function getQuery(req) {
+  if (req.query && typeof req.query === "object") return req.query;
+  const url = new URL(req.url || "/", "http://localhost");
+  return Object.fromEntries(url.searchParams);
+}
+
+// "bytes=0-1023" → { start, end } | null (no/ignored header) | "unsatisfiable"
+export function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").split(",")[0].trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start, end;
+  if (m[1] === "") {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return "unsatisfiable";
+  return { start, end };
+}
@@ -0,0 +1,56 @@
+// lib/i18n.js
+// Message catalog keyed by locale (lib/locales/<code>.js) for every user-facing chat string.
+// • t(lang, key, vars) → string (or list of variants); missing locales/keys fall back to English
+// • LOCALES: supported conversation languages; FALLBACK_LANGUAGES: where to borrow content (e.g. audio) from
+// • Adding a locale = one file in lib/locales + an entry here (+ triggers/markers in lib/intent.js)
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+import pt from "./locales/pt.js";
+import fr from "./locales/fr.js";
+
+export const MESSAGES = { en, es, pt, fr };
+export const LOCALES = Object.keys(MESSAGES);
+export const DEFAULT_LOCALE = "en";
+
+// Closest languages first; English is always the last resort
+export const FALLBACK_LANGUAGES = { en: [], es: ["en"], pt: ["es", "en"], fr: ["en"] };
+
+export function fallbackChain(lang) {
+  const chain = [lang, ...(FALLBACK_LANGUAGES[lang] || []), DEFAULT_LOCALE];
+  return [...new Set(chain)];
+}
+
+export function normalizeLocale(lang) {
+  const code = String(lang || "").toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[code] ? code : null;
+}
+
+// First supported language in an Accept-Language header ("pt-BR,pt;q=0.9,en;q=0.8" → "pt"), else null
+export function acceptedLocale(header = "") {
+  for (const part of String(header).split(",")) {
+    const code = normalizeLocale(part.split(";")[0].trim());
+    if (code) return code;
+  }
+  return null;
+}
+
+export function t(lang, key, vars = {}) {
+  const msg = MESSAGES[lang]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key];
+  if (msg === undefined) return key;
+  const fill = s => s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+  return Array.isArray(msg) ? msg.map(fill) : typeof msg === "string" ? fill(msg) : msg;
+}
+
+// Name of a language as written in another ("es" in "pt" → "Espanhol")
+export function languageName(code, lang = DEFAULT_LOCALE) {
+  return t(lang, "languages")[code] || MESSAGES[DEFAULT_LOCALE].languages[code] || code;
+}
+
+// "English & Spanish" / "Español e Inglés" / "Inglês e Espanhol"
+export function joinList(list, lang = DEFAULT_LOCALE) {
+  if (list.length < 2) return list.join("");
+  const last = list[list.length - 1];
+  const and = lang === "es" && /^h?i/i.test(last) ? " e " : t(lang, "list.and");
+  return list.slice(0, -1).join(", ") + and + last;
+}
@@ -0,0 +1,280 @@
+// lib/intent.js
+// Shared deterministic intent engine for every chat handler.
+// • Tokenised, accent-folded, word-boundary matching ("listen" ≠ "list", "yesterday" ≠ "yes")
+// • detectIntent(text) → { name, slots: { language, category, duration, program }, confidence, matched }
+// • Trigger lists are plain data per language; createIntentEngine(custom) swaps them
+// • Language: marker-word scores over every locale; an explicit choice ("en français", "português") is remembered
+// Intent names: get_meditation, affirm, decline, get_library, get_help, chat (nothing matched),
+// and for multi-day programs (lib/programs.js): start_program, continue_program, program_today, restart_program, program_done
+
+import { tokenize, lastUserText } from "./text.js";
+import { categoryFromText } from "./catalog.js";
+import { programFromText } from "./programs.js";
+
+// Triggers are written folded (no accents/apostrophes). "standalone" ones only count as the whole message, so everyday
+// words ("stop", "start", "listen", "help", "later") are commands on their own but not inside a sentence
+// ("I can not stop thinking", "I want to start a new job", "can you just listen to me"); inside one, a start verb needs a
+// practice after it (START_VERBS below).
+export const DEFAULT_TRIGGERS = {
+  en: {
+    get_meditation: ["calm breath", "calm_breath", "play", "listen", "start", "begin", "audio", "track", "meditation", "meditate", "breathe", "breathing", "lets start", "lets begin"],
+    affirm: ["yes", "yeah", "yep", "ok", "okay", "sure", "go ahead", "lets do it", "please", "do it", "start it"],
+    decline: ["just talk", "i want to talk", "can we talk", "lets talk", "talk to me", "chat with me", "i want to chat", "just chat", "just listen", "listen to me",
+      "no meditation", "no meditations", "not now", "later", "maybe later", "no thanks", "no thank you", "skip", "stop", "stop it", "cancel", "pause",
+      "stop the meditation", "stop meditating", "stop the audio", "stop the track", "stop playing", "skip the meditation", "skip this one",
+      "cancel the meditation", "pause the meditation", "pause the audio", "dont want", "i dont want", "i dont want to", "dont want to meditate",
+      "dont want a meditation", "dont want meditation"],
+    get_library: ["library", "list", "show library", "show me the library", "open the library", "your library", "catalog", "meditation list",
+      "list of meditations", "what do you have", "what meditations", "show me the meditations"],
+    get_help: ["help", "how to use", "how do i use", "how does this work", "how does it work", "instructions", "what can you do", "what can i say"],
+    continue_program: ["continue my program", "continue the program", "continue program", "resume my program", "my program", "next session", "next day of my program"],
+    program_today: ["todays session", "todays practice", "todays meditation", "session for today", "today in my program"],
+    restart_program: ["restart my program", "restart the program", "restart program", "start my program over", "start the program over", "start over"],
+    program_done: ["done", "im done", "all done", "finished", "i finished", "i finished it", "i did it", "did todays session", "finished todays session"],
+    language: ["english", "ingles", "anglais"]
+  },
+  es: {
+    get_meditation: ["respiracion calma", "reproduce", "reproducir", "escuchar", "iniciar", "empezar", "pista", "meditacion", "meditar", "respira", "respiracion"],
+    affirm: ["si", "dale", "va", "claro", "por favor", "hazlo", "empecemos", "empieza", "inicia", "vale"],
+    decline: ["solo hablar", "quiero hablar", "podemos hablar", "hablemos", "platiquemos", "charlemos", "quiero charlar", "solo chatear", "solo escuchame", "escuchame",
+      "sin meditacion", "no meditacion", "no ahora", "mas tarde", "quizas luego", "no gracias", "omitir", "detener", "para", "cancelar", "pausa",
+      "detener la meditacion", "para la meditacion", "parar la meditacion", "cancelar la meditacion", "pausa la meditacion", "pausar la meditacion",
+      "omitir la meditacion", "no quiero", "no quiero meditar", "no quiero meditacion", "no quiero una meditacion"],
+    get_library: ["biblioteca", "lista", "lista de meditaciones", "muestra la biblioteca", "ver la biblioteca", "catalogo", "que tienes", "que meditaciones"],
+    get_help: ["ayuda", "como uso", "como funciona", "instrucciones", "que puedo decir"],
+    continue_program: ["continuar mi programa", "continua mi programa", "continuar el programa", "seguir mi programa", "seguir con mi programa", "sigue mi programa", "mi programa", "siguiente sesion"],
+    program_today: ["sesion de hoy", "que toca hoy", "practica de hoy", "meditacion de hoy"],
+    restart_program: ["reiniciar mi programa", "reiniciar el programa", "reinicia mi programa", "empezar de nuevo", "volver a empezar", "empezar de cero"],
+    program_done: ["hecho", "lo hice", "ya lo hice", "termine", "ya termine", "hice la sesion de hoy"],
+    language: ["espanol", "spanish", "castellano", "espagnol", "espanhol"]
+  },
+  pt: {
+    get_meditation: ["respiracao calma", "tocar", "ouvir", "comecar", "faixa", "meditacao", "meditar", "respirar", "respiracao"],
+    affirm: ["sim", "claro", "pode ser", "vamos", "bora", "beleza", "por favor"],
+    decline: ["so conversar", "quero conversar", "vamos conversar", "so falar", "quero falar", "sem meditacao", "agora nao", "mais tarde", "talvez depois",
+      "nao obrigado", "nao obrigada", "pular", "parar", "cancelar", "pausar", "parar a meditacao", "pausar a meditacao", "cancelar a meditacao",
+      "pular a meditacao", "nao quero", "nao quero meditar", "nao quero meditacao"],
+    get_library: ["biblioteca", "lista", "lista de meditacoes", "mostrar a biblioteca", "ver a biblioteca", "catalogo", "o que voce tem", "quais meditacoes"],
+    get_help: ["ajuda", "como usar", "como funciona", "instrucoes"],
+    continue_program: ["continuar meu programa", "continuar o programa", "continua meu programa", "seguir meu programa", "meu programa", "proxima sessao"],
+    program_today: ["sessao de hoje", "pratica de hoje", "meditacao de hoje", "o que tem hoje"],
+    restart_program: ["reiniciar meu programa", "reiniciar o programa", "recomecar meu programa", "recomecar", "comecar de novo"],
+    program_done: ["feito", "fiz", "ja fiz", "terminei", "acabei", "fiz a sessao de hoje"],
+    language: ["portugues", "portuguese", "portugais"]
+  },
+  fr: {
+    get_meditation: ["respiration calme", "jouer", "ecouter", "commencer", "demarrer", "piste", "meditation", "mediter", "respirer", "respiration"],
+    affirm: ["oui", "daccord", "bien sur", "allons-y", "vas-y", "volontiers", "sil vous plait", "sil te plait"],
+    decline: ["juste parler", "je veux parler", "on peut parler", "parlons", "discutons", "pas de meditation", "pas maintenant", "plus tard", "peut-etre plus tard",
+      "non merci", "passer", "arreter", "annuler", "arreter la meditation", "annuler la meditation", "passer la meditation", "je ne veux pas",
+      "je ne veux pas mediter", "je ne veux pas de meditation"],
+    get_library: ["bibliotheque", "liste", "liste des meditations", "voir la bibliotheque", "montre la bibliotheque", "montre-moi la bibliotheque", "catalogue", "quelles meditations"],
+    get_help: ["aide", "comment utiliser", "comment ca marche", "mode demploi"],
+    continue_program: ["continuer mon programme", "continuer le programme", "reprendre mon programme", "mon programme", "seance suivante"],
+    program_today: ["seance du jour", "seance daujourdhui", "pratique du jour", "meditation du jour"],
+    restart_program: ["recommencer mon programme", "recommencer le programme", "recommencer", "reprendre depuis le debut"],
+    program_done: ["fini", "jai fini", "termine", "cest fait", "jai fait la seance du jour"],
+    language: ["francais", "french", "frances", "francesa"]
+  },
+  // Everyday words and phrases that only mean a command on their own ("start over" ≠ "I want to start over with my life",
+  // "stop" ≠ "I can not stop thinking")
+  standalone: ["si", "va", "ok", "vale", "please", "do it", "my program", "mi programa", "meu programa", "mon programme", "next session", "siguiente sesion", "proxima sessao", "seance suivante",
+    "start over", "empezar de nuevo", "volver a empezar", "empezar de cero", "recomecar", "comecar de novo", "recommencer",
+    "done", "im done", "all done", "finished", "i finished", "i finished it", "i did it", "hecho", "lo hice", "ya lo hice", "termine", "ya termine",
+    "feito", "fiz", "ja fiz", "terminei", "acabei", "fini", "jai fini", "cest fait",
+    "play", "listen", "start", "begin", "audio", "track", "lets start", "lets begin", "reproduce", "reproducir", "escuchar", "iniciar", "empezar", "pista",
+    "tocar", "ouvir", "comecar", "faixa", "jouer", "ecouter", "commencer", "demarrer", "piste",
+    "later", "skip", "stop", "stop it", "cancel", "pause", "dont want", "i dont want", "i dont want to", "mas tarde", "omitir", "detener", "para", "cancelar", "pausa",
+    "no quiero", "mais tarde", "pular", "parar", "pausar", "nao quero", "plus tard", "passer", "arreter", "annuler", "je ne veux pas",
+    "library", "list", "biblioteca", "lista", "bibliotheque", "liste", "help", "ayuda", "ajuda", "aide"]
+};
+
+// When several intents match, the earlier one wins ("no meditation" is a decline, not a start;
+// "start over" restarts a program, not a practice)
+const PRECEDENCE = ["decline", "restart_program", "program_today", "continue_program", "program_done", "start_program", "get_library", "get_help", "get_meditation", "affirm"];
+
+// Marker words for language detection (folded; prefer words that belong to one language only)
+const MARKERS = {
+  en: new Set(["the", "i", "im", "you", "and", "want", "feel", "feeling", "please", "hello", "hi", "thanks", "thank", "talk", "play", "english", "what", "is", "are", "my", "today", "just", "can", "with", "stressed", "anxious", "sleep", "help", "library", "yes", "meditation", "breathing", "listen", "track", "start"]),
+  es: new Set(["el", "los", "las", "que", "y", "de", "mi", "muy", "pero", "con", "para", "estoy", "tengo", "quiero", "siento", "hablar", "gracias", "hola", "por", "favor", "ayuda", "biblioteca", "lista", "si", "dale", "claro", "ansiedad", "estres", "dormir", "cansado", "cansada", "trabajo", "bien", "mal", "esta", "eso", "esto", "porque", "espanol", "meditacion", "respiracion", "reproduce", "escuchar", "pista", "puedo", "solo", "nadie", "una", "uno"]),
+  pt: new Set(["eu", "voce", "nao", "estou", "tenho", "quero", "sinto", "preciso", "obrigado", "obrigada", "ola", "oi", "sim", "muito", "meu", "minha", "um", "uma", "com", "hoje", "agora", "isso", "tambem", "falar", "conversar", "ajuda", "portugues", "meditacao", "respiracao", "ouvir", "tocar", "estresse", "ansiedade", "trabalho", "ninguem", "voces"]),
+  fr: new Set(["je", "suis", "tu", "vous", "et", "le", "les", "des", "pas", "ne", "merci", "bonjour", "salut", "oui", "moi", "mon", "ma", "avec", "pour", "veux", "besoin", "cest", "jai", "tres", "mais", "parler", "ecouter", "aide", "bibliotheque", "respiration", "francais", "stresse", "fatigue", "fatiguee", "travail", "aujourdhui", "personne", "une"])
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, ten: 10,
+  un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, diez: 10,
+  um: 1, uma: 1, dois: 2, duas: 2, quatro: 4, dez: 10,
+  une: 1, deux: 2, trois: 3, quatre: 4, cinq: 5, dix: 10
+};
+const MINUTE_WORDS = new Set(["min", "mins", "minute", "minutes", "minuto", "minutos"]);
+
+// Does the phrase appear as a contiguous token run?
+function hasPhrase(tokens, phrase) {
+  const p = phrase.split(" ");
+  for (let i = 0; i + p.length <= tokens.length; i++) {
+    if (p.every((w, j) => tokens[i + j] === w)) return true;
+  }
+  return false;
+}
+
+// Language with the most marker words; null when nothing matches or the top scores tie
+export function detectLanguage(text) {
+  const tokens = tokenize(text);
+  const scores = Object.entries(MARKERS)
+    .map(([lang, set]) => [lang, tokens.filter(t => set.has(t)).length])
+    .sort((a, b) => b[1] - a[1]);
+  const [[top, best], [, second]] = scores;
+  return best > 0 && best > second ? top : null;
+}
+
+// Words that make a stated length a request for a practice ("give me a 1 minute one", "una de 2 minutos")
+const LENGTH_REQUEST = new Set(["one", "version", "round", "session", "exercise", "practice", "uno", "una", "otra", "otro", "ronda", "sesion", "ejercicio", "practica",
+  "outra", "outro", "rodada", "sessao", "exercicio", "pratica", "autre", "seance", "exercice", "tour"]);
+
+// Inside a sentence a start verb is a request only with a practice after it, past any of LINK_WORDS ("listen to the track",
+// "can you start something?", "escuchar la pista"); "I want to start a new job" is conversation. Scored as the verb alone.
+const START_VERBS = new Set(["play", "listen", "start", "begin", "reproduce", "reproducir", "escuchar", "iniciar", "empezar", "pon", "ponme",
+  "tocar", "ouvir", "comecar", "jouer", "ecouter", "commencer", "demarrer", "lancer"]);
+const LINK_WORDS = new Set(["to", "the", "a", "an", "my", "some", "la", "el", "una", "un", "mi", "o", "um", "uma", "meu", "le", "les", "une", "ma"]);
+const PRACTICE_WORDS = new Set(["it", "something", "one", "track", "audio", "practice", "exercise", "session", "pista", "practica", "ejercicio", "algo",
+  "faixa", "pratica", "exercicio", "piste", "laudio", "exercice", "seance"]);
+
+function startVerb(tokens) {
+  return tokens.find((t, i) => {
+    if (!START_VERBS.has(t)) return false;
+    let j = i + 1;
+    while (LINK_WORDS.has(tokens[j])) j++;
+    return PRACTICE_WORDS.has(tokens[j]);
+  }) || null;
+}
+
+// Verbs that make a named program a request to start (or resume) it ("start sleep week", "empezar la semana de sueño");
+// the name alone ("sleep week was hard") is just conversation
+const PROGRAM_VERBS = new Set(["start", "begin", "do", "try", "join", "play", "continue", "resume", "switch",
+  "empezar", "empieza", "empecemos", "comenzar", "comienza", "iniciar", "inicia", "hacer", "haz", "continuar", "seguir", "retomar",
+  "comecar", "comeca", "fazer", "faz", "commencer", "commence", "commencons", "demarrer", "lancer", "lance", "faire",
+  "fais", "continuer", "reprendre"]);
+
+// Words that turn a language name into a request ("in french", "en español", "em português", "speak english")
+const CHOICE_CUES = new Set(["in", "en", "em", "speak", "habla", "hablame", "hablemos", "fala", "fale", "parle", "parlez", "parlons", "switch"]);
+
+// "5 minutes", "un minuto", "only have a minute", "2min" → minutes; null when no time is given
+export function durationSlot(tokens) {
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    if (!MINUTE_WORDS.has(tokens[i + 1])) continue;
+    const n = /^\d+$/.test(tokens[i]) ? Number(tokens[i]) : NUMBER_WORDS[tokens[i]];
+    if (n) return n;
+  }
+  const glued = tokens.map(t => /^(\d+)min$/.exec(t)).find(Boolean);
+  return glued ? Number(glued[1]) : null;
+}
+
+export function createIntentEngine(triggers = DEFAULT_TRIGGERS) {
+  const standalone = new Set(triggers.standalone || []);
+  const langs = Object.keys(triggers).filter(k => k !== "standalone");
+
+  // Language named anywhere in the message ("in english please", "en español")
+  function explicitLanguage(tokens) {
+    return langs.find(lang => (triggers[lang].language || []).some(w => tokens.includes(w))) || null;
+  }
+
+  function detect(text = "") {
+    const tokens = tokenize(text);
+    const slots = {
+      language: explicitLanguage(tokens) || detectLanguage(text),
+      category: categoryFromText(text),
+      duration: durationSlot(tokens),
+      program: programFromText(text)
+    };
+    if (!tokens.length) return { name: "chat", slots, confidence: 0, matched: [] };
+
+    // Language-only messages ("english", "es") choose a language and start the practice
+    const whole = tokens.join(" ");
+    const only = langs.find(lang => whole === lang || (triggers[lang].language || []).includes(whole));
+    if (only) return { name: "get_meditation", slots: { ...slots, language: only }, confidence: 1, matched: [whole] };
+
+    // Best-scoring trigger per intent
+    const hits = {};
+    for (const lang of langs) {
+      for (const [name, list] of Object.entries(triggers[lang])) {
+        if (name === "language") continue;
+        for (const phrase of list) {
+          if (standalone.has(phrase) ? whole !== phrase : !hasPhrase(tokens, phrase)) continue;
+          const size = phrase.split(" ").length;
+          const score = whole === phrase ? 1 : Math.min(0.95, 0.5 + 0.5 * (size / tokens.length));
+          if (!hits[name] || score > hits[name].score) hits[name] = { score, phrase };
+        }
+      }
+    }
+    const verb = startVerb(tokens);
+    if (verb && !hits.get_meditation) hits.get_meditation = { score: 0.5 + 0.5 / tokens.length, phrase: verb };
+    // A named practice is a confident start even without a start verb
+    if (slots.category && !(hits.get_meditation?.score > 0.8)) hits.get_meditation = { score: 0.8, phrase: slots.category };
+    // So is a length with a reference to a practice ("a 1 minute one"); the practice itself is recommended
+    const asked = slots.duration && tokens.find((t, i) => LENGTH_REQUEST.has(t) && !MINUTE_WORDS.has(tokens[i + 1]));
+    if (asked && !(hits.get_meditation?.score > 0.7)) hits.get_meditation = { score: 0.7, phrase: asked };
+    // A named program with a start verb starts (or resumes) it
+    if (slots.program && tokens.some(t => PROGRAM_VERBS.has(t))) hits.start_program = { score: 0.8, phrase: slots.program };
+
+    const names = PRECEDENCE.filter(n => hits[n]);
+    if (!names.length) return { name: "chat", slots, confidence: 0, matched: [] };
+    const name = names[0];
+    const confidence = Math.round(hits[name].score * (names.length > 1 ? 0.85 : 1) * 100) / 100;
+    return { name, slots, confidence, matched: names.map(n => hits[n].phrase) };
+  }
+
+  // Newest user turn with a clear language, or null
+  function recentLanguage(messages = []) {
+    const users = messages.filter(m => m?.role === "user" && typeof m.content === "string").slice(-5).reverse();
+    for (const m of users) {
+      const lang = explicitLanguage(tokenize(m.content)) || detectLanguage(m.content);
+      if (lang) return lang;
+    }
+    return null;
+  }
+
+  // Newest user turn with a clear language wins; otherwise the fallback (e.g. the session's language)
+  function inferLanguage(messages = [], fallback = "en") {
+    return recentLanguage(messages) || fallback || "en";
+  }
+
+  // Explicit language choice in one message: the whole message is a language, or a cue word precedes it
+  function chosenLanguage(text = "") {
+    const tokens = tokenize(text);
+    const whole = tokens.join(" ");
+    for (const lang of langs) {
+      const names = [lang, ...(triggers[lang].language || [])];
+      if (names.includes(whole)) return lang;
+      if (tokens.some((tok, i) => i > 0 && names.includes(tok) && CHOICE_CUES.has(tokens[i - 1]))) return lang;
+    }
+    return null;
+  }
+
+  // Conversation language: a choice made now → a choice remembered in the session → detection → the session's language.
+  // guessed: nothing said it (the "en" default), so stored preferences such as a program's language may win
+  function conversationLanguage(messages = [], session = null) {
+    const picked = chosenLanguage(lastUserText(messages));
+    if (picked) return { language: picked, chosen: true };
+    if (session?.languageChosen && session.language) return { language: session.language, chosen: true };
+    const detected = recentLanguage(messages);
+    if (detected || session?.language) return { language: detected || session.language, chosen: false };
+    return { language: "en", chosen: false, guessed: true };
+  }
+
+  return {
+    detect,
+    inferLanguage,
+    chosenLanguage,
+    conversationLanguage,
+    // Intent of the latest user turn
+    lastIntent(messages) { return detect(lastUserText(messages)); }
+  };
+}
+
+const defaultEngine = createIntentEngine();
+export const detectIntent = defaultEngine.detect;
+export const lastIntent = defaultEngine.lastIntent;
+export const inferLanguage = defaultEngine.inferLanguage;
+export const chosenLanguage = defaultEngine.chosenLanguage;
+export const conversationLanguage = defaultEngine.conversationLanguage;
@@ -0,0 +1,215 @@
+// lib/llm.js
+// Model provider abstraction: everything the engines need is responses.create(params) in Responses API shape.
+// • openai     — OpenAI Responses API (OPENAI_API_KEY, optional OPENAI_BASE_URL)
+// • compatible — any OpenAI-compatible Chat Completions server (LLM_BASE_URL, e.g. a local llama.cpp / vLLM / Ollama),
+//                adapted to and from the Responses shape (messages, function calls, usage)
+// • fake       — scripted stand-in for tests and offline demos (LLM_FAKE_SCRIPT=steps.json)
+// Every provider is wrapped with a per-call timeout (LLM_TIMEOUT_MS, also between stream events) that aborts the
+// request through an AbortSignal (create(params, { signal })), and retries on
+// timeouts / 408 / 409 / 429 / 5xx / connection errors (LLM_MAX_RETRIES), then the guard's spend meter.
+// Callers treat a thrown error as "provider unavailable" — v3 hands the turn to the deterministic engine.
+
+import OpenAI from "openai";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { metered } from "./guard.js";
+import { getConfig } from "./config.js";
+
+// ---------- openai ----------
+export function createOpenAIProvider({ apiKey, baseUrl } = {}) {
+  const client = new OpenAI({ apiKey, maxRetries: 0, ...(baseUrl ? { baseURL: baseUrl } : {}) });
+  return { name: "openai", responses: { create: (params, options) => client.responses.create(params, options) } };
+}
+
+// ---------- OpenAI-compatible (Chat Completions) ----------
+// Responses input items → chat messages (consecutive function_call items become one assistant turn with tool_calls)
+export function toChatMessages(input = []) {
+  const out = [];
+  for (const item of input) {
+    if (item.type === "function_call") {
+      const call = { id: item.call_id, type: "function", function: { name: item.name, arguments: item.arguments || "{}" } };
+      const prev = out[out.length - 1];
+      if (prev?.role === "assistant" && prev.tool_calls) prev.tool_calls.push(call);
+      else out.push({ role: "assistant", content: null, tool_calls: [call] });
+    } else if (item.type === "function_call_output") {
+      out.push({ role: "tool", tool_call_id: item.call_id, content: item.output });
+    } else {
+      out.push({ role: item.role, content: item.content });
+    }
+  }
+  return out;
+}
+
+// Chat completion → Responses-shaped result
+export function fromChatCompletion(completion) {
+  const message = completion?.choices?.[0]?.message || {};
+  const output = (message.tool_calls || []).map(tc => ({
+    type: "function_call", id: tc.id, call_id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments || "{}"
+  }));
+  const text = message.content || "";
+  if (text) output.push({ type: "message", role: "assistant", content: [{ type: "output_text", text }] });
+  const u = completion?.usage;
+  return { output, output_text: text, usage: u ? { input_tokens: u.prompt_tokens || 0, output_tokens: u.completion_tokens || 0 } : undefined };
+}
+
+export function createCompatibleProvider({ baseUrl, apiKey } = {}) {
+  const client = new OpenAI({ baseURL: baseUrl, apiKey: apiKey || "not-needed", maxRetries: 0 });
+  async function complete(params, options) {
+    const tools = (params.tools || []).filter(t => t.type === "function")
+      .map(({ name, description, parameters }) => ({ type: "function", function: { name, description, parameters } }));
+    return fromChatCompletion(await client.chat.completions.create({
+      model: params.model,
+      messages: toChatMessages(params.input),
+      temperature: params.temperature,
+      ...(tools.length ? { tools, tool_choice: params.tool_choice } : {})
+    }, options));
+  }
+  return {
+    name: "compatible",
+    responses: {
+      // Streamed calls are answered in one chunk (local servers differ too much in streamed tool-call deltas)
+      async create(params, options) {
+        const r = await complete(params, options);
+        if (!params.stream) return r;
+        return (async function* () {
+          if (r.output_text) yield { type: "response.output_text.delta", delta: r.output_text };
+          yield { type: "response.completed", response: r };
+        })();
+      }
+    }
+  };
+}
+
+// ---------- scripted fake ----------
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error("Request was aborted."), { name: "AbortError" }));
+    }, { once: true });
+  });
+}
+
+// Steps: { text } | { call, args } | { calls: [{ call, args }], text? } | { error, status? } | { delayMs, ...step }
+// (a delay ends early with an AbortError when the caller's signal aborts, as the SDK does)
+// Like the real API it rejects a call that does not answer every earlier function_call with a function_call_output;
+// those protocol failures (and running out of steps) are also kept in fake.failures for tests.
+export function createFakeProvider({ script = [], whenEmpty = null } = {}) {
+  const fake = { name: "fake", calls: [], script: [...script], pending: [], failures: [] };
+  const fail = message => { fake.failures.push(message); return new Error(message); };
+  const respond = step => {
+    const n = fake.calls.length - 1;
+    const calls = step.calls || (step.call ? [step] : []);
+    const output = calls.map((c, i) => ({ type: "function_call", id: `fc_${n}_${i}`, call_id: `call_${n}_${i}`, name: c.call, arguments: JSON.stringify(c.args || {}) }));
+    if (step.text) output.push({ type: "message", role: "assistant", content: [{ type: "output_text", text: step.text }] });
+    return { output, output_text: step.text || "" };
+  };
+  fake.responses = {
+    async create(params, { signal } = {}) {
+      fake.calls.push(params);
+      const missing = fake.pending.filter(id => !params.input?.some(i => i.type === "function_call_output" && i.call_id === id));
+      if (missing.length) throw fail(`Fake LLM: no function_call_output for ${missing.join(", ")}`);
+      const step = fake.script.shift() || whenEmpty;
+      if (!step) throw fail(`Fake LLM: unscripted call #${fake.calls.length}`);
+      if (step.delayMs) await wait(step.delayMs, signal);
+      if (step.error) throw Object.assign(new Error(step.error), { status: step.status });
+      const r = respond(step);
+      fake.pending = r.output.filter(i => i.type === "function_call").map(i => i.call_id);
+      if (!params.stream) return r;
+      return (async function* () {
+        for (const word of (r.output_text.match(/\S+\s*/g) || [])) yield { type: "response.output_text.delta", delta: word };
+        yield { type: "response.completed", response: r };
+      })();
+    }
+  };
+  return fake;
+}
+
+// ---------- timeouts & retries ----------
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// On timeout the controller is aborted too, so the request itself stops instead of running on unobserved
+function withDeadline(promise, ms, controller) {
+  if (!ms) return promise;
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = Object.assign(new Error(`Model call timed out after ${ms} ms`), { code: "LLM_TIMEOUT" });
+      controller?.abort(err);
+      reject(err);
+    }, ms);
+    timer.unref?.();
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+export function retryable(err) {
+  if (err?.code === "LLM_TIMEOUT" || err?.name === "APIConnectionError" || err?.name === "APIConnectionTimeoutError") return true;
+  const s = Number(err?.status);
+  return s === 408 || s === 409 || s === 429 || s >= 500;
+}
+
+// The provider, not our code, failed: a timeout, an aborted call, a lost connection, 429 or 5xx (callers may answer
+// deterministically instead; anything else is a bug and should surface)
+const CONNECTION_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"]);
+export function providerFailed(err) {
+  if (retryable(err)) return true;
+  if (err?.name === "AbortError" || err?.name === "APIUserAbortError" || err?.code === "ABORT_ERR") return true;
+  return CONNECTION_CODES.has(err?.code) || CONNECTION_CODES.has(err?.cause?.code);
+}
+
+export function resilient(provider, { timeoutMs = 20000, maxRetries = 1, retryDelayMs = 250 } = {}) {
+  // A stream that goes quiet for longer than timeoutMs fails like a slow response
+  // (a consumer that stops reading early also aborts it, releasing the connection)
+  async function* idle(events, controller) {
+    const it = events[Symbol.asyncIterator]();
+    let done = false;
+    try {
+      for (;;) {
+        const next = await withDeadline(it.next(), timeoutMs, controller);
+        if ((done = next.done)) return;
+        yield next.value;
+      }
+    } finally {
+      if (!done) controller.abort();
+    }
+  }
+  return {
+    name: provider.name,
+    responses: {
+      async create(params) {
+        for (let attempt = 0; ; attempt++) {
+          const controller = new AbortController();
+          try {
+            const r = await withDeadline(provider.responses.create(params, { signal: controller.signal }), timeoutMs, controller);
+            return params?.stream ? idle(r, controller) : r;
+          } catch (err) {
+            if (attempt >= maxRetries || !retryable(err)) throw err;
+            await sleep(retryDelayMs * 2 ** attempt);
+          }
+        }
+      }
+    }
+  };
+}
+
+// ---------- selection ----------
+export function createProvider(config = getConfig()) {
+  const { llm, openai } = config;
+  if (llm.provider === "compatible") return createCompatibleProvider({ baseUrl: llm.baseUrl, apiKey: llm.apiKey });
+  if (llm.provider === "fake") {
+    const script = llm.fakeScript ? JSON.parse(readFileSync(resolve(llm.fakeScript), "utf8")) : [];
+    return createFakeProvider({ script, whenEmpty: { text: "(fake model) I'm here with you." } });
+  }
+  return createOpenAIProvider(openai);
+}
+
+// One provider per warm instance; tests can swap it (setLLM(null) rebuilds from config)
+let shared = null;
+export function getLLM() {
+  if (!shared) shared = createProvider();
+  const { timeoutMs, maxRetries } = getConfig().llm;
+  return metered(resilient(shared, { timeoutMs, maxRetries }));
+}
+export function setLLM(provider) { shared = provider; }
@@ -0,0 +1,80 @@
+// lib/locales/en.js
+// English messages — also the fallback for any key a locale is missing.
+
+export default {
+  languages: { en: "English", es: "Spanish", pt: "Portuguese", fr: "French" },
+  "list.and": " & ",
+
+  // practices & library
+  "meditation.intro": "Here is your {name} practice.",
+  "meditation.ready": "Here is your practice.",
+  "meditation.audioIn": "The recording is in {language}; the script is in English.",
+  "recommend.sleep": "It helps your body wind down for sleep.",
+  "recommend.anxiety": "It helps settle anxious energy.",
+  "recommend.focus": "It helps clear your head so you can focus.",
+  "recommend.grounding": "It helps bring you back to the present moment.",
+  "recommend.time": "It takes about {duration} minutes.",
+  "breathing.inhale": "Breathe in",
+  "breathing.hold": "Hold",
+  "breathing.exhale": "Breathe out",
+  "breathing.holdOut": "Hold, lungs empty",
+  "breathing.length": "This round is {minutes} min: {cycles} breaths of {pattern}.",
+  "library.header": "Current library:",
+  "library.item": "• {name} ({duration} min) — {languages}",
+  "library.footer": "More meditations are coming soon.",
+
+  // programs
+  "program.none": "You haven’t started a program yet. Try {programs}: say its name to begin.",
+  "program.notStarted": "You haven’t started {program} yet: say its name to begin with day 1.",
+  "program.day": "{program}: day {day} of {days}.",
+  "program.restarted": "Starting {program} over: day 1 of {days}.",
+  "program.confirmRestart": "Start {program} over from day 1? You’ve done {done} of {days} days, and that progress will be reset. Say “yes” to restart.",
+  "program.again": "You’ve already done today’s session, so here it is again.",
+  "program.today": "Today in {program}: day {day} of {days}, {name} ({duration} min). Say “continue my program” when you’re ready.",
+  "program.todayDone": "You’ve done today’s session of {program} (day {day} of {days}). Day {next} opens tomorrow.",
+  "program.markDone": "Say “done” when you’ve finished it and I’ll mark the day.",
+  "program.dayDone": "Day {day} of {days} of {program} done. Day {next} opens tomorrow.",
+  "program.streak": "You’re on a {streak}-day streak.",
+  "program.complete": "That was the last day of {program}. Well done for seeing it through.",
+  "program.finished": "You’ve completed all {days} days of {program}. Say “restart my program” to go again, or start another one.",
+
+  // conversation
+  "reply.invite": "Thanks for sharing. I’m here with you—one step at a time. Want to do a 3-minute Calm Breath now? Say “english”, “español”, “português” or “français” to choose language.",
+  "reply.listen": [
+    "Thanks for sharing. I’m here with you. What’s on your mind?",
+    "I hear you. That sounds like a lot. Want to tell me a bit more?",
+    "You’re not alone. What part feels heaviest right now?"
+  ],
+  "reply.fallback": "I’m here with you. Would you like to talk, or try a 3‑minute Calm Breath?",
+  "reply.error": "Sorry—something went wrong. We can just talk, or I can guide a 3‑minute Calm Breath.",
+  "filter.medical": "I can’t give advice about medication or diagnoses — a doctor or pharmacist is the right person for that. I’m here to listen, or I can guide a short breathing practice.",
+  "help.basic": "You can say: “english”, “español”, “português” or “français” • “play the meditation” • “listen to the track” • “show library”. If you need urgent help, call 911 or 988 (U.S.).",
+  "help.talkOnly": "You can say: “just talk” if you don’t want to meditate • “english”, “español”, “português” or “français” to pick a language • “play the meditation” to start • “show library” to see options. If you need urgent help, call 911 or 988 (U.S.).",
+  "help.short": "You can say “english”, “español”, “português” or “français”, “play the meditation”, “show library”, or just talk to me.",
+  "sms.help": "Reply STOP to stop messages, START to resume.",
+  "sms.stopped": "You won’t get any more messages from CalmaLink. Reply START to resume.",
+  "sms.started": "Welcome back to CalmaLink. Tell me how you’re feeling, or reply HELP for options.",
+  "sms.failed": "Sorry, something went wrong on our side. Please try again in a moment.",
+  "request.failed": "Something went wrong on our side. Please try again in a moment.",
+  "request.invalidJson": "The request body isn’t valid JSON.",
+  "request.tooLarge": "Your message is too long. Please send something shorter.",
+  "request.rateLimited": "You’re sending messages a little fast. Take a slow breath and try again in a moment.",
+
+  // stress check-in
+  "checkin.before": "Before you start: how stressed do you feel right now, from 0 (calm) to 10 (very stressed)?",
+  "checkin.after": "How stressed do you feel now, from 0 (calm) to 10 (very stressed)?",
+  "checkin.thanks": "Thank you. Press play when you’re ready — when you finish, tell me a number from 0 to 10 again.",
+  "checkin.down": "Thank you. You went from {before} to {after} — your body noticed the pause.",
+  "checkin.same": "Thank you. You’re at {after}, about the same as before — that’s okay; some days it takes a little longer.",
+  "checkin.up": "Thank you for telling me. You’re at {after}, a bit higher than before ({before}). Would you like to talk about it, or try a different practice?",
+  "checkin.noted": "Thank you, I’ve noted {after}.",
+
+  // crisis
+  "crisis.concern": "That sounds really heavy, and I’m glad you told me. Can I ask — are you safe right now? If you’re having thoughts of hurting yourself, I can share people you can reach any time.",
+  "crisis.known": "I’m really sorry you’re going through this. I can’t provide crisis support here, but I want you to get immediate help. In {where}, {line}, or call {emergency} if this is an emergency.",
+  "crisis.unknown": "I’m really sorry you’re going through this. I can’t provide crisis support here, but I want you to get immediate help. Please call your local emergency number, or find a helpline in your country at findahelpline.com. In the U.S., call or text 988.",
+  "crisis.callOrText": "call or text {phone} ({name})",
+  "crisis.call": "call {phone} ({name})",
+  "crisis.text": "text {sms} ({name})",
+  "crisis.emergencyServices": "Emergency services"
+};
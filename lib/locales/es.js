@@ -0,0 +1,80 @@
+// lib/locales/es.js
+// Spanish messages.
+
+export default {
+  languages: { en: "Inglés", es: "Español", pt: "Portugués", fr: "Francés" },
+  "list.and": " y ",
+
+  // practices & library
+  "meditation.intro": "Aquí tienes tu práctica de {name}.",
+  "meditation.ready": "Aquí tienes tu práctica.",
+  "meditation.audioIn": "La grabación está en {language}; el guion está en español.",
+  "recommend.sleep": "Ayuda a que tu cuerpo se prepare para dormir.",
+  "recommend.anxiety": "Ayuda a calmar la ansiedad.",
+  "recommend.focus": "Ayuda a despejar la mente para concentrarte.",
+  "recommend.grounding": "Ayuda a volver al momento presente.",
+  "recommend.time": "Dura unos {duration} minutos.",
+  "breathing.inhale": "Inhala",
+  "breathing.hold": "Sostén",
+  "breathing.exhale": "Exhala",
+  "breathing.holdOut": "Sostén sin aire",
+  "breathing.length": "Esta ronda dura {minutes} min: {cycles} respiraciones de {pattern}.",
+  "library.header": "Biblioteca actual:",
+  "library.item": "• {name} ({duration} min) — {languages}",
+  "library.footer": "Más meditaciones llegarán pronto.",
+
+  // programs
+  "program.none": "Aún no has empezado un programa. Prueba {programs}: di su nombre para empezar.",
+  "program.notStarted": "Aún no has empezado {program}: di su nombre para empezar por el día 1.",
+  "program.day": "{program}: día {day} de {days}.",
+  "program.restarted": "Empezamos {program} de nuevo: día 1 de {days}.",
+  "program.confirmRestart": "¿Empezar {program} de nuevo desde el día 1? Llevas {done} de {days} días y ese progreso se perderá. Di “sí” para reiniciar.",
+  "program.again": "Ya hiciste la sesión de hoy, así que aquí la tienes otra vez.",
+  "program.today": "Hoy en {program}: día {day} de {days}, {name} ({duration} min). Di “continuar mi programa” cuando quieras.",
+  "program.todayDone": "Ya hiciste la sesión de hoy de {program} (día {day} de {days}). El día {next} se abre mañana.",
+  "program.markDone": "Di “hecho” cuando termines y marco el día.",
+  "program.dayDone": "Día {day} de {days} de {program} hecho. El día {next} se abre mañana.",
+  "program.streak": "Llevas {streak} días seguidos.",
+  "program.complete": "Era el último día de {program}. ¡Bien hecho por llegar hasta aquí!",
+  "program.finished": "Has completado los {days} días de {program}. Di “reiniciar mi programa” para repetirlo o empieza otro.",
+
+  // conversation
+  "reply.invite": "Gracias por compartir. Estoy aquí contigo—un paso a la vez. ¿Quieres hacer una Respiración Calma de 3 minutos ahora? Di “español”, “english”, “português” o “français” para elegir idioma.",
+  "reply.listen": [
+    "Gracias por compartir. Estoy aquí contigo. ¿Qué tienes en mente?",
+    "Te escucho. Suena como mucho. ¿Quieres contarme un poco más?",
+    "No estás solo/a. ¿Qué parte se siente más pesada ahora?"
+  ],
+  "reply.fallback": "Estoy aquí contigo. ¿Quieres conversar o probar una Respiración Calma de 3 minutos?",
+  "reply.error": "Lo siento, algo falló. Podemos conversar o puedo guiar una Respiración Calma de 3 minutos.",
+  "filter.medical": "No puedo aconsejar sobre medicamentos ni hacer diagnósticos; para eso lo mejor es un médico o farmacéutico. Estoy aquí para escucharte, o puedo guiarte en una respiración breve.",
+  "help.basic": "Puedes decir: “español”, “english”, “português” o “français” • “reproduce la meditación” • “escuchar la pista” • “lista de meditaciones”. Si necesitas ayuda urgente, llama al 911 o al 988 en EE. UU.",
+  "help.talkOnly": "Puedes decir: “solo hablar” si no quieres meditar • “español”, “english”, “português” o “français” para elegir idioma • “reproduce la meditación” para empezar • “lista de meditaciones” para ver opciones. Si necesitas ayuda urgente, llama al 911 o al 988 en EE. UU.",
+  "help.short": "Puedes decir “español”, “english”, “português” o “français”, “reproduce la meditación”, “lista de meditaciones”, o simplemente háblame.",
+  "sms.help": "Responde BAJA o STOP para dejar de recibir mensajes y ALTA para volver.",
+  "sms.stopped": "No recibirás más mensajes de CalmaLink. Responde ALTA para volver.",
+  "sms.started": "Bienvenido de nuevo a CalmaLink. Cuéntame cómo te sientes o responde AYUDA para ver opciones.",
+  "sms.failed": "Lo siento, algo salió mal de nuestro lado. Inténtalo de nuevo en un momento.",
+  "request.failed": "Algo salió mal de nuestro lado. Inténtalo de nuevo en un momento.",
+  "request.invalidJson": "El cuerpo de la solicitud no es un JSON válido.",
+  "request.tooLarge": "Tu mensaje es demasiado largo. Envía algo más corto.",
+  "request.rateLimited": "Estás enviando mensajes un poco rápido. Respira despacio e inténtalo de nuevo en un momento.",
+
+  // stress check-in
+  "checkin.before": "Antes de empezar: ¿cuánto estrés sientes ahora, de 0 (calma) a 10 (mucho estrés)?",
+  "checkin.after": "¿Cuánto estrés sientes ahora, de 0 (calma) a 10 (mucho estrés)?",
+  "checkin.thanks": "Gracias. Pulsa reproducir cuando quieras; al terminar, dime otra vez un número del 0 al 10.",
+  "checkin.down": "Gracias. Pasaste de {before} a {after}: tu cuerpo notó la pausa.",
+  "checkin.same": "Gracias. Estás en {after}, más o menos como antes; está bien, algunos días cuesta un poco más.",
+  "checkin.up": "Gracias por contármelo. Estás en {after}, algo más que antes ({before}). ¿Quieres hablarlo o probar otra práctica?",
+  "checkin.noted": "Gracias, lo anoto: {after}.",
+
+  // crisis
+  "crisis.concern": "Eso suena muy pesado, y me alegra que me lo hayas contado. ¿Puedo preguntarte si estás a salvo ahora mismo? Si tienes pensamientos de hacerte daño, puedo compartirte a quién puedes llamar en cualquier momento.",
+  "crisis.known": "Siento que estés pasando por esto. No puedo ofrecer ayuda de crisis, pero quiero que obtengas apoyo inmediato. En {where}, {line}, o llama al {emergency} si es una emergencia.",
+  "crisis.unknown": "Siento que estés pasando por esto. No puedo ofrecer ayuda de crisis, pero quiero que obtengas apoyo inmediato. Llama a tu número local de emergencias, o busca una línea de ayuda en tu país en findahelpline.com. En EE. UU., llama o envía un texto al 988.",
+  "crisis.callOrText": "llama o envía un texto al {phone} ({name})",
+  "crisis.call": "llama al {phone} ({name})",
+  "crisis.text": "envía un texto al {sms} ({name})",
+  "crisis.emergencyServices": "Servicios de emergencia"
+};
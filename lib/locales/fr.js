@@ -0,0 +1,80 @@
+// lib/locales/fr.js
+// French messages.
+
+export default {
+  languages: { en: "Anglais", es: "Espagnol", pt: "Portugais", fr: "Français" },
+  "list.and": " et ",
+
+  // practices & library
+  "meditation.intro": "Voici votre pratique : {name}.",
+  "meditation.ready": "Voici votre pratique.",
+  "meditation.audioIn": "L’enregistrement est en {language} ; le texte est en français.",
+  "recommend.sleep": "Elle aide votre corps à se détendre avant de dormir.",
+  "recommend.anxiety": "Elle aide à apaiser l’anxiété.",
+  "recommend.focus": "Elle aide à vous éclaircir les idées pour vous concentrer.",
+  "recommend.grounding": "Elle aide à revenir au moment présent.",
+  "recommend.time": "Elle dure environ {duration} minutes.",
+  "breathing.inhale": "Inspirez",
+  "breathing.hold": "Retenez",
+  "breathing.exhale": "Expirez",
+  "breathing.holdOut": "Retenez, poumons vides",
+  "breathing.length": "Cette séance dure {minutes} min : {cycles} respirations en {pattern}.",
+  "library.header": "Bibliothèque actuelle :",
+  "library.item": "• {name} ({duration} min) — {languages}",
+  "library.footer": "D’autres méditations arrivent bientôt.",
+
+  // programs
+  "program.none": "Vous n’avez pas encore commencé de programme. Essayez {programs} : dites son nom pour commencer.",
+  "program.notStarted": "Vous n’avez pas encore commencé {program} : dites son nom pour commencer au jour 1.",
+  "program.day": "{program} : jour {day} sur {days}.",
+  "program.restarted": "On recommence {program} : jour 1 sur {days}.",
+  "program.confirmRestart": "Recommencer {program} au jour 1 ? Vous avez fait {done} jours sur {days}, et cette progression sera effacée. Dites « oui » pour recommencer.",
+  "program.again": "Vous avez déjà fait la séance du jour, la voici à nouveau.",
+  "program.today": "Aujourd’hui dans {program} : jour {day} sur {days}, {name} ({duration} min). Dites « continuer mon programme » quand vous êtes prêt.",
+  "program.todayDone": "Vous avez fait la séance du jour de {program} (jour {day} sur {days}). Le jour {next} s’ouvre demain.",
+  "program.markDone": "Dites « fini » quand vous avez terminé et je valide la journée.",
+  "program.dayDone": "Jour {day} sur {days} de {program} terminé. Le jour {next} s’ouvre demain.",
+  "program.streak": "Vous en êtes à {streak} jours d’affilée.",
+  "program.complete": "C’était le dernier jour de {program}. Bravo d’être allé jusqu’au bout.",
+  "program.finished": "Vous avez terminé les {days} jours de {program}. Dites « recommencer mon programme » pour le refaire, ou commencez-en un autre.",
+
+  // conversation
+  "reply.invite": "Merci de partager. Je suis là avec vous — un pas à la fois. Voulez-vous faire une Respiration Calme de 3 minutes maintenant ? Dites « français », « english », « español » ou « português » pour choisir la langue.",
+  "reply.listen": [
+    "Merci de partager. Je suis là avec vous. Qu’est-ce qui vous préoccupe ?",
+    "Je vous entends. Cela semble beaucoup. Voulez-vous m’en dire un peu plus ?",
+    "Vous n’êtes pas seul·e. Qu’est-ce qui pèse le plus en ce moment ?"
+  ],
+  "reply.fallback": "Je suis là avec vous. Voulez-vous parler, ou essayer une Respiration Calme de 3 minutes ?",
+  "reply.error": "Désolé, un problème est survenu. Nous pouvons simplement parler, ou je peux vous guider dans une Respiration Calme de 3 minutes.",
+  "filter.medical": "Je ne peux pas donner de conseils sur les médicaments ni poser de diagnostic ; un médecin ou un pharmacien est la bonne personne pour cela. Je suis là pour vous écouter, ou je peux vous guider dans une courte respiration.",
+  "help.basic": "Vous pouvez dire : « français », « english », « español » ou « português » • « écouter la méditation » • « jouer la piste » • « liste des méditations ». En cas d’urgence, appelez le numéro d’urgence local (3114 en France).",
+  "help.talkOnly": "Vous pouvez dire : « juste parler » si vous ne voulez pas méditer • « français », « english », « español » ou « português » pour choisir la langue • « écouter la méditation » pour commencer • « liste des méditations » pour voir les options. En cas d’urgence, appelez le numéro d’urgence local (3114 en France).",
+  "help.short": "Vous pouvez dire « français », « english », « español » ou « português », « écouter la méditation », « liste des méditations », ou simplement me parler.",
+  "sms.help": "Répondez STOP pour ne plus recevoir de messages, START pour reprendre.",
+  "sms.stopped": "Vous ne recevrez plus de messages de CalmaLink. Répondez START pour reprendre.",
+  "sms.started": "Bon retour sur CalmaLink. Dites-moi comment vous vous sentez, ou répondez AIDE pour les options.",
+  "sms.failed": "Désolé, un problème est survenu de notre côté. Réessayez dans un instant.",
+  "request.failed": "Un problème est survenu de notre côté. Réessayez dans un instant.",
+  "request.invalidJson": "Le corps de la requête n’est pas un JSON valide.",
+  "request.tooLarge": "Votre message est trop long. Envoyez quelque chose de plus court.",
+  "request.rateLimited": "Vous envoyez des messages un peu vite. Respirez lentement et réessayez dans un instant.",
+
+  // stress check-in
+  "checkin.before": "Avant de commencer : quel est votre niveau de stress en ce moment, de 0 (calme) à 10 (très stressé) ?",
+  "checkin.after": "Quel est votre niveau de stress maintenant, de 0 (calme) à 10 (très stressé) ?",
+  "checkin.thanks": "Merci. Lancez la lecture quand vous êtes prêt ; à la fin, donnez-moi à nouveau un chiffre de 0 à 10.",
+  "checkin.down": "Merci. Vous êtes passé de {before} à {after} : votre corps a remarqué la pause.",
+  "checkin.same": "Merci. Vous êtes à {after}, à peu près comme avant ; ce n’est pas grave, certains jours cela prend un peu plus de temps.",
+  "checkin.up": "Merci de me le dire. Vous êtes à {after}, un peu plus qu’avant ({before}). Voulez-vous en parler, ou essayer une autre pratique ?",
+  "checkin.noted": "Merci, c’est noté : {after}.",
+
+  // crisis
+  "crisis.concern": "Cela semble très lourd, et je suis content que vous m’en parliez. Puis-je vous demander — êtes-vous en sécurité en ce moment ? Si vous avez des pensées de vous faire du mal, je peux vous indiquer des personnes à contacter à tout moment.",
+  "crisis.known": "Je suis vraiment désolé que vous traversiez cela. Je ne peux pas offrir d’aide en situation de crise ici, mais je veux que vous obteniez de l’aide immédiatement. {where}, {line}, ou appelez le {emergency} en cas d’urgence.",
+  "crisis.unknown": "Je suis vraiment désolé que vous traversiez cela. Je ne peux pas offrir d’aide en situation de crise ici, mais je veux que vous obteniez de l’aide immédiatement. Appelez votre numéro d’urgence local, ou trouvez une ligne d’écoute dans votre pays sur findahelpline.com. En France, appelez le 3114.",
+  "crisis.callOrText": "appelez ou envoyez un SMS au {phone} ({name})",
+  "crisis.call": "appelez le {phone} ({name})",
+  "crisis.text": "envoyez un SMS au {sms} ({name})",
+  "crisis.emergencyServices": "Services d’urgence"
+};
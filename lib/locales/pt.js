@@ -0,0 +1,80 @@
+// lib/locales/pt.js
+// Portuguese (Brazil) messages.
+
+export default {
+  languages: { en: "Inglês", es: "Espanhol", pt: "Português", fr: "Francês" },
+  "list.and": " e ",
+
+  // practices & library
+  "meditation.intro": "Aqui está sua prática de {name}.",
+  "meditation.ready": "Aqui está sua prática.",
+  "meditation.audioIn": "A gravação está em {language}; o roteiro está em português.",
+  "recommend.sleep": "Ajuda seu corpo a desacelerar para dormir.",
+  "recommend.anxiety": "Ajuda a acalmar a ansiedade.",
+  "recommend.focus": "Ajuda a clarear a mente para você se concentrar.",
+  "recommend.grounding": "Ajuda a voltar ao momento presente.",
+  "recommend.time": "Leva cerca de {duration} minutos.",
+  "breathing.inhale": "Inspire",
+  "breathing.hold": "Segure",
+  "breathing.exhale": "Expire",
+  "breathing.holdOut": "Segure sem ar",
+  "breathing.length": "Esta rodada dura {minutes} min: {cycles} respirações de {pattern}.",
+  "library.header": "Biblioteca atual:",
+  "library.item": "• {name} ({duration} min) — {languages}",
+  "library.footer": "Mais meditações chegarão em breve.",
+
+  // programs
+  "program.none": "Você ainda não começou um programa. Experimente {programs}: diga o nome para começar.",
+  "program.notStarted": "Você ainda não começou {program}: diga o nome para começar pelo dia 1.",
+  "program.day": "{program}: dia {day} de {days}.",
+  "program.restarted": "Recomeçando {program}: dia 1 de {days}.",
+  "program.confirmRestart": "Recomeçar {program} do dia 1? Você já fez {done} de {days} dias e esse progresso será zerado. Diga “sim” para recomeçar.",
+  "program.again": "Você já fez a sessão de hoje, então aqui está ela de novo.",
+  "program.today": "Hoje em {program}: dia {day} de {days}, {name} ({duration} min). Diga “continuar meu programa” quando quiser.",
+  "program.todayDone": "Você já fez a sessão de hoje de {program} (dia {day} de {days}). O dia {next} abre amanhã.",
+  "program.markDone": "Diga “feito” quando terminar e eu marco o dia.",
+  "program.dayDone": "Dia {day} de {days} de {program} feito. O dia {next} abre amanhã.",
+  "program.streak": "Você está há {streak} dias seguidos.",
+  "program.complete": "Era o último dia de {program}. Parabéns por ir até o fim.",
+  "program.finished": "Você concluiu os {days} dias de {program}. Diga “reiniciar meu programa” para repetir ou comece outro.",
+
+  // conversation
+  "reply.invite": "Obrigado por compartilhar. Estou aqui com você—um passo de cada vez. Quer fazer uma Respiração Calma de 3 minutos agora? Diga “português”, “español”, “english” ou “français” para escolher o idioma.",
+  "reply.listen": [
+    "Obrigado por compartilhar. Estou aqui com você. O que está passando pela sua cabeça?",
+    "Eu te escuto. Parece muita coisa. Quer me contar um pouco mais?",
+    "Você não está sozinho/a. Qual parte está pesando mais agora?"
+  ],
+  "reply.fallback": "Estou aqui com você. Quer conversar ou experimentar uma Respiração Calma de 3 minutos?",
+  "reply.error": "Desculpe, algo deu errado. Podemos conversar, ou posso guiar uma Respiração Calma de 3 minutos.",
+  "filter.medical": "Não posso dar conselhos sobre medicamentos nem fazer diagnósticos; para isso, o melhor é um médico ou farmacêutico. Estou aqui para ouvir, ou posso guiar uma respiração curta.",
+  "help.basic": "Você pode dizer: “português”, “español”, “english” ou “français” • “tocar a meditação” • “ouvir a faixa” • “lista de meditações”. Se precisar de ajuda urgente, ligue para o número de emergência local (188 no Brasil, CVV).",
+  "help.talkOnly": "Você pode dizer: “só conversar” se não quiser meditar • “português”, “español”, “english” ou “français” para escolher o idioma • “tocar a meditação” para começar • “lista de meditações” para ver as opções. Se precisar de ajuda urgente, ligue para o número de emergência local (188 no Brasil, CVV).",
+  "help.short": "Você pode dizer “português”, “español”, “english” ou “français”, “tocar a meditação”, “lista de meditações”, ou simplesmente conversar comigo.",
+  "sms.help": "Responda STOP para parar de receber mensagens e START para voltar.",
+  "sms.stopped": "Você não receberá mais mensagens da CalmaLink. Responda START para voltar.",
+  "sms.started": "Bem-vindo de volta à CalmaLink. Conte como você está se sentindo ou responda AJUDA para ver opções.",
+  "sms.failed": "Desculpe, algo deu errado do nosso lado. Tente novamente em instantes.",
+  "request.failed": "Algo deu errado do nosso lado. Tente novamente em instantes.",
+  "request.invalidJson": "O corpo da requisição não é um JSON válido.",
+  "request.tooLarge": "Sua mensagem está longa demais. Envie algo mais curto.",
+  "request.rateLimited": "Você está enviando mensagens um pouco rápido. Respire devagar e tente novamente em instantes.",
+
+  // stress check-in
+  "checkin.before": "Antes de começar: quanto estresse você sente agora, de 0 (calma) a 10 (muito estresse)?",
+  "checkin.after": "Quanto estresse você sente agora, de 0 (calma) a 10 (muito estresse)?",
+  "checkin.thanks": "Obrigado. Aperte o play quando quiser; ao terminar, me diga de novo um número de 0 a 10.",
+  "checkin.down": "Obrigado. Você foi de {before} para {after}: seu corpo sentiu a pausa.",
+  "checkin.same": "Obrigado. Você está em {after}, mais ou menos como antes; tudo bem, alguns dias levam um pouco mais.",
+  "checkin.up": "Obrigado por me contar. Você está em {after}, um pouco acima de antes ({before}). Quer conversar sobre isso ou tentar outra prática?",
+  "checkin.noted": "Obrigado, anotei: {after}.",
+
+  // crisis
+  "crisis.concern": "Isso parece muito pesado, e fico feliz que você tenha me contado. Posso perguntar — você está em segurança agora? Se estiver pensando em se machucar, posso compartilhar com quem você pode falar a qualquer hora.",
+  "crisis.known": "Sinto muito que você esteja passando por isso. Não posso oferecer apoio em crise aqui, mas quero que você receba ajuda imediata. {where}, {line}, ou ligue para {emergency} se for uma emergência.",
+  "crisis.unknown": "Sinto muito que você esteja passando por isso. Não posso oferecer apoio em crise aqui, mas quero que você receba ajuda imediata. Ligue para o número de emergência local, ou encontre uma linha de apoio no seu país em findahelpline.com. No Brasil, ligue 188 (CVV).",
+  "crisis.callOrText": "ligue ou envie uma mensagem para {phone} ({name})",
+  "crisis.call": "ligue para {phone} ({name})",
+  "crisis.text": "envie uma mensagem para {sms} ({name})",
+  "crisis.emergencyServices": "Serviços de emergência"
+};
@@ -0,0 +1,133 @@
+// lib/output_filter.js
+// Post-generation checks on model replies before they reach the user.
+// • medication — dosages ("20 mg", "two pills") or advice to take / change a medication (EN/ES/PT/FR)
+// • diagnosis  — telling the user they have a condition ("you have depression", "tienes un trastorno")
+// • length     — more sentences / characters than the prompt allows (OUTPUT_FILTER_MAX_SENTENCES / _MAX_CHARS)
+// • language   — reply clearly written in another language than the conversation's
+// • crisis     — the last two user turns carry crisis cues but the reply does not check in on safety
+// v3 regenerates once with a corrective instruction; a second failure gets a safe template (safeReply).
+// Every intervention is recorded (checks, matched snippet, action — never the full reply) for review.
+
+import { fold, tokenize } from "./text.js";
+import { detectLanguage } from "./intent.js";
+import { detectSignals } from "./crisis.js";
+import { t } from "./i18n.js";
+import { getStore } from "./store.js";
+import { getConfig } from "./config.js";
+
+// Patterns are written against folded text
+const DOSE = /\b\d+(?:[.,]\d+)?\s?(?:mg|mcg|µg|ml|g|milligrams?|miligramos?|miligramas?|milligrammes?)\b|\b(?:\d+|one|two|three|una|dos|tres|um|duas|un|deux|trois)\s(?:pills?|tablets?|capsules?|pastillas?|tabletas?|comprimidos?|capsulas?|pilulas?|comprimes?|gelules?)\b/;
+const MEDS = "(?:medication|medicine|meds|pills?|tablets?|antidepressants?|ssris?|benzodiazepines?|benzos|sleeping pills?|melatonin|ibuprofen|paracetamol|acetaminophen|xanax|alprazolam|lorazepam|diazepam|valium|clonazepam|zoloft|sertraline|prozac|fluoxetine|lexapro|escitalopram|medicacion|medicamentos?|pastillas?|antidepresivos?|ansioliticos?|medicacao|remedios?|comprimidos?|medicaments?|cachets?|somniferes?|antidepresseurs?)";
+const ADVICE = "(?:take|taking|try|start|increase|double|reduce|lower|stop taking|skip|toma|tomar|tome|prueba|probar|aumenta|aumentar|reducir|deja de tomar|experimente|aumente|diminua|pare de tomar|prenez|prends|prendre|essayez|augmentez|diminuez|arretez)";
+const MEDICATION_ADVICE = new RegExp(`\\b${ADVICE}\\b(?:\\s+\\S+){0,3}?\\s+${MEDS}\\b`);
+
+const CONDITIONS = "(?:depression|clinical depression|an? (?:anxiety|panic|mood|eating|personality|bipolar) disorder|anxiety disorder|bipolar(?: disorder)?|ptsd|adhd|ocd|insomnia|a disorder|a mental illness|depresion|ansiedad generalizada|un trastorno(?: \\w+)?|trastorno \\w+|depressao|um transtorno(?: \\w+)?|transtorno \\w+|une depression|un trouble(?: \\w+)?|trouble \\w+)";
+const DIAGNOSIS = [
+  new RegExp(`\\byou (?:have|probably have|might have|may have|likely have|are suffering from|suffer from|sound like you have|seem to have)\\s+${CONDITIONS}\\b`),
+  new RegExp(`\\b(?:this|that|it) (?:sounds|looks|seems) like (?:clinical |major )?${CONDITIONS}\\b`),
+  new RegExp(`\\b(?:tienes|padeces|sufres de|parece que tienes|probablemente tienes)\\s+${CONDITIONS}\\b`),
+  new RegExp(`\\b(?:voce tem|voce sofre de|parece que voce tem|voce provavelmente tem)\\s+${CONDITIONS}\\b`),
+  new RegExp(`\\b(?:vous avez|tu as|vous souffrez d[e']|tu souffres d[e']|vous semblez avoir)\\s*${CONDITIONS}\\b`)
+];
+
+// Words that show the reply is checking in on safety / pointing to support
+const SAFETY_WORDS = ["safe", "safety", "support", "crisis", "hotline", "helpline", "reach out", "someone you trust", "emergency",
+  "a salvo", "seguro", "segura", "apoyo", "ayuda profesional", "linea", "emergencia", "alguien de confianza",
+  "seguranca", "em seguranca", "apoio", "cvv", "en securite", "soutien", "urgence", "quelquun de confiance", "3114"];
+
+export function filterConfig(config = getConfig()) {
+  return config.filter;
+}
+
+const CUE_TURNS = 2;
+const sentences = text => String(text).split(/(?<=[.!?…])\s+/).filter(s => s.trim());
+
+// → [{ check, detail }] (empty when the reply is fine)
+export function reviewReply(text, { language, messages = [], limits = filterConfig() } = {}) {
+  const issues = [];
+  const folded = fold(text);
+
+  const dose = DOSE.exec(folded) || MEDICATION_ADVICE.exec(folded);
+  if (dose) issues.push({ check: "medication", detail: dose[0] });
+
+  const diagnosis = DIAGNOSIS.map(re => re.exec(folded)).find(Boolean);
+  if (diagnosis) issues.push({ check: "diagnosis", detail: diagnosis[0] });
+
+  const count = sentences(text).length;
+  if ((limits.maxSentences && count > limits.maxSentences) || (limits.maxChars && text.length > limits.maxChars)) {
+    issues.push({ check: "length", detail: `${count} sentences, ${text.length} chars` });
+  }
+
+  const replyLanguage = tokenize(text).length >= 4 ? detectLanguage(text) : null;
+  if (language && replyLanguage && replyLanguage !== language) issues.push({ check: "language", detail: `${replyLanguage} ≠ ${language}` });
+
+  const recent = messages.filter(m => m?.role === "user" && typeof m.content === "string").slice(-CUE_TURNS);
+  const cue = recent.flatMap(m => detectSignals(m.content))[0];
+  if (cue && !SAFETY_WORDS.some(w => folded.includes(w))) issues.push({ check: "crisis", detail: cue.phrase });
+
+  return issues;
+}
+
+// System note for the single regeneration attempt
+const CORRECTIONS = {
+  medication: "Do not mention medications, supplements or doses; suggest talking to a doctor or pharmacist instead.",
+  diagnosis: "Do not label or diagnose the user with any condition; reflect their feelings instead.",
+  length: "Answer in 2–5 short sentences.",
+  language: "Reply only in the user's language.",
+  crisis: "The user has shown signs of distress: gently check whether they are safe right now and mention that support is available."
+};
+
+export function correctionNote(issues, language) {
+  const notes = [...new Set(issues.map(i => i.check))].map(c => CORRECTIONS[c]);
+  return `Your previous draft was not sent. Rewrite it. ${notes.join(" ")} Language: "${language}".`;
+}
+
+// Template when the regenerated reply still fails (most serious check decides)
+export function safeReply(issues, language) {
+  const checks = new Set(issues.map(i => i.check));
+  if (checks.has("crisis")) return t(language, "crisis.concern");
+  if (checks.has("medication") || checks.has("diagnosis")) return t(language, "filter.medical");
+  return t(language, "reply.fallback");
+}
+
+// ---------- review log ----------
+const LOG_KEEP = 500;
+const logKey = (now = Date.now()) => `filter:log:${new Date(now).toISOString().slice(0, 10)}`;
+
+export async function recordIntervention(entry, { store = getStore(), now = Date.now() } = {}) {
+  const record = { at: new Date(now).toISOString(), ...entry };
+  console.warn("CalmaLink output filter:", JSON.stringify(record));
+  try {
+    const key = logKey(now);
+    const list = (await store.get(key)) || [];
+    list.push(record);
+    await store.set(key, list.slice(-LOG_KEEP), 60 * 60 * 24 * 14);
+  } catch (err) {
+    console.error("CalmaLink output filter: intervention not recorded:", err);
+  }
+  return record;
+}
+
+export async function listInterventions({ store = getStore(), now = Date.now() } = {}) {
+  return (await store.get(logKey(now))) || [];
+}
+
+// Review → regenerate once → template. regenerate(note) resolves to new text (or throws).
+// → { text, action: null | "regenerated" | "template" }
+export async function filterReply(text, { language, messages, engine, regenerate, limits = filterConfig() }) {
+  if (!limits.enabled) return { text, action: null };
+  const issues = reviewReply(text, { language, messages, limits });
+  if (!issues.length) return { text, action: null };
+
+  let retry = null;
+  try { retry = await regenerate(correctionNote(issues, language)); } catch {}
+  const retryIssues = retry ? reviewReply(retry, { language, messages, limits }) : issues;
+  const action = retry && !retryIssues.length ? "regenerated" : "template";
+  await recordIntervention({
+    engine, language, action,
+    checks: issues.map(i => i.check),
+    details: issues.map(i => i.detail),
+    ...(action === "template" ? { retryChecks: retryIssues.map(i => i.check) } : {})
+  });
+  return { text: action === "regenerated" ? retry : safeReply([...issues, ...retryIssues], language), action };
+}
@@ -0,0 +1,265 @@
+// lib/programs.js
+// Multi-day guided programs: ordered sequences of catalog practices ("7 Days of Calmer Mornings", "Semana de sueño").
+// • A day names a catalog category (+ minutes for breathing patterns); it plays in the conversation's language
+// • One day per calendar day (UTC): asking again the same day replays today's session instead of moving on
+// • Per-user progress (days done, last day, language) and a streak of consecutive days, kept with the user's
+//   check-ins identity (lib/checkins.js userOf) so progress follows a server-issued client token across sessions
+// • programTurn(action) answers "continue my program", "what's today's session", "restart", "start <program>" and "done",
+//   for every engine and v3's program tools; a session played is a get_meditation tool with result.program attached
+// • Playing a day only offers it: the day counts once the user says "done" or rates it afterwards (an "after" check-in)
+// • Restarting a program with days done asks first; a "yes" on the next turn (session.pendingRestart) confirms it
+
+import { findPractice, meditationResult, meditationIntro } from "./catalog.js";
+import { pacerNote } from "./breathing.js";
+import { tokenize } from "./text.js";
+import { t, joinList } from "./i18n.js";
+import { getStore } from "./store.js";
+
+export const PROGRAMS = [
+  {
+    id: "calmer_mornings",
+    names: { en: "7 Days of Calmer Mornings", es: "7 días de mañanas tranquilas", pt: "7 dias de manhãs mais calmas", fr: "7 jours de matins plus calmes" },
+    aliases: ["calmer mornings", "calm mornings", "mananas tranquilas", "mananas mas tranquilas", "manhas mais calmas", "manhas calmas", "matins plus calmes", "matins calmes"],
+    days: [
+      { category: "calm_breath", minutes: 3 },
+      { category: "box_breath", minutes: 2 },
+      { category: "grounding" },
+      { category: "calm_breath", minutes: 5 },
+      { category: "box_breath", minutes: 4 },
+      { category: "grounding" },
+      { category: "calm_breath", minutes: 7 }
+    ]
+  },
+  {
+    id: "sleep_week",
+    names: { en: "Sleep Week", es: "Semana de sueño", pt: "Semana do sono", fr: "Semaine du sommeil" },
+    aliases: ["sleep week", "week of sleep", "semana de sueno", "semana del sueno", "semana do sono", "semaine du sommeil"],
+    days: [
+      { category: "breath_478", minutes: 2 },
+      { category: "body_scan" },
+      { category: "breath_478", minutes: 3 },
+      { category: "body_scan" },
+      { category: "calm_breath", minutes: 5 },
+      { category: "body_scan" },
+      { category: "breath_478", minutes: 3 }
+    ]
+  }
+];
+export const PROGRAM_IDS = PROGRAMS.map(p => p.id);
+// action → intent reported for the turn
+export const ACTIONS = { start: "start_program", continue: "continue_program", today: "program_today", restart: "restart_program", done: "program_done" };
+const ACTION_OF = Object.fromEntries(Object.entries(ACTIONS).map(([action, intent]) => [intent, action]));
+
+const USER_TTL = 60 * 60 * 24 * 180;
+const progressKey = user => `program:user:${user}`;
+const dayOf = now => new Date(now).toISOString().slice(0, 10);
+const dayBefore = day => dayOf(Date.parse(day) - 24 * 60 * 60 * 1000);
+
+export function findProgram(id) {
+  return PROGRAMS.find(p => p.id === id) || null;
+}
+
+export function programName(program, lang = "en") {
+  return program.names[lang] || program.names.en;
+}
+
+// Program named in free text ("start sleep week", "la semana de sueño"), or null. Whole words, accent-folded.
+export function programFromText(text = "") {
+  const folded = ` ${tokenize(text).join(" ")} `;
+  const hit = PROGRAMS.find(p => [...Object.values(p.names), ...p.aliases].some(a => folded.includes(` ${tokenize(a).join(" ")} `)));
+  return hit ? hit.id : null;
+}
+
+// One-line summary for the model prompt
+export function programsSummary() {
+  return PROGRAMS.map(p => `${p.id} (${programName(p)}, ${p.days.length} days)`).join(", ");
+}
+
+// ---------- progress ----------
+// { active, programs: { [id]: { done, lastDay, language, startedAt, offered } }, streak: { current, best, lastDay } }
+// offered: { day, on, practiceId } — the day played but not yet marked done
+export async function loadProgress(user, { store = getStore() } = {}) {
+  const saved = user ? await store.get(progressKey(user)) : null;
+  return saved || { active: null, programs: {}, streak: { current: 0, best: 0, lastDay: null } };
+}
+
+async function saveProgress(user, progress, store) {
+  if (user) await store.set(progressKey(user), progress, USER_TTL);
+}
+
+// Streak as of `today`: it lapses once a whole day passes without a session
+export function currentStreak(streak, today) {
+  return streak.lastDay === today || streak.lastDay === dayBefore(today) ? streak.current : 0;
+}
+
+// Where a user stands in a program today → { day, days, doneToday, finished }
+export function programStatus(program, entry, today) {
+  const days = program.days.length;
+  const done = entry?.done || 0;
+  const doneToday = !!entry && entry.lastDay === today;
+  return { day: doneToday ? done : Math.min(done + 1, days), days, doneToday, finished: done >= days && !doneToday };
+}
+
+function completeDay(progress, program, today) {
+  const entry = progress.programs[program.id];
+  entry.done += 1;
+  entry.lastDay = today;
+  entry.offered = null;
+  const { streak } = progress;
+  if (streak.lastDay !== today) {
+    streak.current = streak.lastDay === dayBefore(today) ? streak.current + 1 : 1;
+    streak.best = Math.max(streak.best, streak.current);
+    streak.lastDay = today;
+  }
+}
+
+// The active program's offered day, if it can still be marked done today (played today or late yesterday, UTC)
+function offeredDay(progress, today, practiceId) {
+  const program = findProgram(progress.active);
+  const entry = program && progress.programs[program.id];
+  const offered = entry?.offered;
+  if (!offered || entry.lastDay === today || entry.done + 1 !== offered.day) return null;
+  if (offered.on !== today && offered.on !== dayBefore(today)) return null;
+  if (practiceId && practiceId !== offered.practiceId) return null;
+  return { program, entry };
+}
+
+// "Day 2 of 7 done" + the streak, or the last-day note
+function dayDoneText(program, progress, lang, today) {
+  const name = programName(program, lang);
+  const { day, days } = programStatus(program, progress.programs[program.id], today);
+  if (day === days) return t(lang, "program.complete", { program: name });
+  const parts = [t(lang, "program.dayDone", { program: name, day, days, next: day + 1 })];
+  const streak = currentStreak(progress.streak, today);
+  if (streak >= 2) parts.push(t(lang, "program.streak", { streak }));
+  return parts.join(" ");
+}
+
+// Mark the offered day done (an "after" check-in for its practice, or "done" in chat)
+// → { id, name, day, days, streak, language, message } or null when nothing is waiting to be marked
+export async function completeProgramDay(user, { practiceId, language, store = getStore(), now = Date.now() } = {}) {
+  if (!user) return null;
+  const today = dayOf(now);
+  const progress = await loadProgress(user, { store });
+  const found = offeredDay(progress, today, practiceId);
+  if (!found) return null;
+  const { program, entry } = found;
+  const lang = language || entry.language;
+  completeDay(progress, program, today);
+  await saveProgress(user, progress, store);
+  const { day, days } = programStatus(program, entry, today);
+  const streak = currentStreak(progress.streak, today);
+  return { id: program.id, name: programName(program, lang), day, days, streak, language: lang, message: dayDoneText(program, progress, lang, today) };
+}
+
+// Practice + payload for one program day in a language
+function daySession(program, day, language) {
+  const { category, minutes } = program.days[day - 1];
+  const med = findPractice({ category, language, duration: minutes });
+  const result = meditationResult(med, { minutes: med.pattern ? minutes : undefined });
+  const intro = meditationIntro(med, language, result);
+  return { med, result, intro: result.pacer && minutes ? `${intro} ${pacerNote(result.pacer, language)}` : intro };
+}
+
+// Day-by-day plan in a language (what /api/programs lists)
+export function programDays(program, language = "en") {
+  return program.days.map((d, i) => {
+    const { med, result } = daySession(program, i + 1, language);
+    return { day: i + 1, id: med.id, category: med.category, title: result.title, minutes: d.minutes || med.duration };
+  });
+}
+
+function programList(lang) {
+  return joinList(PROGRAMS.map(p => programName(p, lang)), lang);
+}
+
+// ---------- chat ----------
+// Intent (lib/intent.js) → { action, program?, confirmed? } or null; "yes" right after a restart question confirms it
+export function programRequest(intent, session = null) {
+  if (intent.name === "affirm" && session?.pendingRestart) return { action: "restart", program: session.pendingRestart, confirmed: true };
+  const action = ACTION_OF[intent.name];
+  return action ? { action, program: intent.slots.program } : null;
+}
+
+// action: "start" (a named program: resume it, or begin again once finished) | "continue" | "today" | "restart" | "done"
+// guessed: the conversation gave no language cue, so the program's own language wins
+// confirmed: the user said yes to restarting (without it, a restart that would lose days done only asks)
+// → { message, tool?, intent, state: { language, pendingRestart? } }, or null for "done" with no program day waiting
+export async function programTurn({ action, program: programId, user, language = "en", guessed = false, confirmed = false }, { store = getStore(), now = Date.now() } = {}) {
+  const today = dayOf(now);
+  if (action === "done") {
+    const marked = await completeProgramDay(user, { language: guessed ? undefined : language, store, now });
+    return marked && { message: marked.message, intent: ACTIONS.done, state: { language: marked.language } };
+  }
+  const progress = await loadProgress(user, { store });
+  const program = findProgram(programId) || findProgram(progress.active);
+  const intent = ACTIONS[action];
+  const entry = program ? progress.programs[program.id] : null;
+  const lang = guessed && entry?.language ? entry.language : language;
+  const state = { language: lang };
+  if (!program) return { message: t(lang, "program.none", { programs: programList(lang) }), intent, state };
+
+  const name = programName(program, lang);
+  let status = programStatus(program, entry, today);
+  const streak = () => currentStreak(progress.streak, today);
+
+  if (action === "today") {
+    if (!entry) return { message: t(lang, "program.notStarted", { program: name }), intent, state };
+    if (status.finished) return { message: t(lang, "program.finished", { program: name, days: status.days }), intent, state };
+    const parts = [];
+    if (status.doneToday) {
+      parts.push(status.day < status.days
+        ? t(lang, "program.todayDone", { program: name, day: status.day, days: status.days, next: status.day + 1 })
+        : t(lang, "program.finished", { program: name, days: status.days }));
+    } else {
+      const { med } = daySession(program, status.day, lang);
+      parts.push(t(lang, "program.today", { program: name, day: status.day, days: status.days, name: med.name, duration: program.days[status.day - 1].minutes || med.duration }));
+    }
+    if (streak() >= 2) parts.push(t(lang, "program.streak", { streak: streak() }));
+    return { message: parts.join(" "), intent, state };
+  }
+
+  if (action === "continue" && status.finished) {
+    return { message: t(lang, "program.finished", { program: name, days: status.days }), intent, state };
+  }
+  if (action === "restart" && !confirmed && entry?.done && !status.finished) {
+    const message = t(lang, "program.confirmRestart", { program: name, done: entry.done, days: status.days });
+    return { message, intent, state: { ...state, pendingRestart: program.id } };
+  }
+  const restart = action === "restart" || !entry || (action === "start" && status.finished);
+  if (restart) progress.programs[program.id] = { done: 0, lastDay: null, language: lang, startedAt: new Date(now).toISOString(), offered: null };
+  progress.active = program.id;
+  const current = progress.programs[program.id];
+  status = programStatus(program, current, today);
+
+  const parts = [restart && action === "restart"
+    ? t(lang, "program.restarted", { program: name, days: status.days })
+    : t(lang, "program.day", { program: name, day: status.day, days: status.days })];
+  if (status.doneToday) parts.push(t(lang, "program.again"));
+  const session = daySession(program, status.day, lang);
+  parts.push(session.intro);
+  if (!status.doneToday) {
+    current.offered = { day: status.day, on: today, practiceId: session.med.id };
+    current.language = lang;
+    parts.push(t(lang, "program.markDone"));
+  }
+  await saveProgress(user, progress, store);
+
+  const result = { ...session.result, program: { id: program.id, name, day: status.day, days: status.days, streak: streak() } };
+  return { message: parts.join(" "), tool: { name: "get_meditation", result }, intent, state };
+}
+
+// Progress for the frontend / API: every program the user started, with today's status and the streak
+export async function programSummary(user, { store = getStore(), now = Date.now(), language = "en" } = {}) {
+  const today = dayOf(now);
+  const progress = await loadProgress(user, { store });
+  return {
+    active: progress.active,
+    streak: { current: currentStreak(progress.streak, today), best: progress.streak.best },
+    programs: Object.entries(progress.programs).map(([id, entry]) => {
+      const program = findProgram(id);
+      if (!program) return null;
+      return { id, name: programName(program, language), done: entry.done, lastDay: entry.lastDay, ...programStatus(program, entry, today) };
+    }).filter(Boolean)
+  };
+}
@@ -0,0 +1,166 @@
+// lib/recommend.js
+// Practice recommendation from what the user said — shared by every engine and v3's recommend_practice tool.
+// • Need (sleep, anxiety, focus, grounding) from cue phrases in the latest user turns (EN/ES/PT/FR, accent-folded)
+// • Available time from "5 minutes" / "un minuto" / "only have a minute", or "quick" / "rápido" (→ SHORT_MINUTES)
+// • Every catalog category is ranked (need tags, fits the time, has audio) in the conversation's language;
+//   breathing patterns are built to the time the user has, so they always fit
+// • recommendationResult(rec) = meditationResult(top pick) + recommendation: { need, minutes, reasons, alternatives }
+
+import { tokenize } from "./text.js";
+import { durationSlot } from "./intent.js";
+import { t } from "./i18n.js";
+import { pacerSequence, pacerNote } from "./breathing.js";
+import {
+  CATEGORIES, DEFAULT_CATEGORY,
+  findPractice, audioSource, meditationResult, meditationIntro, practiceTitle
+} from "./catalog.js";
+
+export const NEEDS = ["sleep", "anxiety", "focus", "grounding"];
+
+// Catalog tags that serve each need (the first one counts most)
+const NEED_TAGS = {
+  sleep: ["sleep", "relaxation"],
+  anxiety: ["anxiety", "stress"],
+  focus: ["focus"],
+  grounding: ["grounding", "panic"]
+};
+
+// Cue phrases, written folded. On a tie the more specific need wins (NEED_PRECEDENCE).
+export const NEED_CUES = {
+  sleep: [
+    "sleep", "cant sleep", "asleep", "insomnia", "bedtime", "in bed", "awake", "wide awake", "fall asleep",
+    "dormir", "no puedo dormir", "insomnio", "desvelado", "desvelada", "en la cama",
+    "nao consigo dormir", "insonia", "sono", "na cama",
+    "sommeil", "endormir", "insomnie", "au lit", "narrive pas a dormir"
+  ],
+  anxiety: [
+    "anxious", "anxiety", "worried", "worry", "nervous", "stressed", "stress", "overwhelmed", "on edge", "tense",
+    "ansiedad", "ansioso", "ansiosa", "nervioso", "nerviosa", "estres", "estresado", "estresada", "agobiado", "agobiada", "preocupado", "preocupada",
+    "ansiedade", "nervoso", "nervosa", "estresse", "estressado", "estressada", "preocupacao",
+    "anxieux", "anxieuse", "anxiete", "angoisse", "stresse", "stressee", "nerveux", "nerveuse", "inquiet", "inquiete"
+  ],
+  focus: [
+    "focus", "concentrate", "concentration", "distracted", "study", "studying", "exam", "meeting", "presentation", "clear my head",
+    "concentrarme", "concentrar", "concentracion", "enfocarme", "distraido", "distraida", "estudiar", "examen", "reunion", "presentacion",
+    "concentracao", "foco", "focar", "estudar", "prova", "reuniao", "apresentacao",
+    "concentrer", "me concentrer", "distrait", "distraite", "etudier"
+  ],
+  grounding: [
+    "panic", "panic attack", "panicking", "spiraling", "spiralling", "dissociating", "feel unreal", "out of my body", "ground me", "grounding",
+    "panico", "ataque de panico", "crisis de panico", "me siento irreal", "anclaje",
+    "crise de panico", "ancoragem",
+    "panique", "crise de panique", "attaque de panique", "ancrage"
+  ]
+};
+const NEED_PRECEDENCE = ["grounding", "sleep", "focus", "anxiety"];
+
+// "quick" / "short" without a number → a short practice
+const SHORT_CUES = ["quick", "short", "brief", "little time", "not much time", "rapido", "rapida", "corto", "breve", "poco tiempo",
+  "rapidinho", "pouco tempo", "rapide", "court", "peu de temps"];
+export const SHORT_MINUTES = 2;
+
+// User turns considered for the need / time (newest first)
+const RECENT_TURNS = 3;
+const MAX_ALTERNATIVES = 2;
+const OVERTIME_PENALTY = 2;   // per minute a practice runs past the time the user has
+
+const padded = text => ` ${tokenize(text).join(" ")} `;
+const hasCue = (text, cue) => text.includes(` ${cue} `);
+// Minutes a practice takes for someone who has `minutes`: a pattern stretches or shrinks (within its maxCycles), a script
+// does not
+const lengthFor = (p, minutes) => (p.pattern && minutes ? pacerSequence(p.pattern, { minutes }).minutes : p.duration);
+
+export function needFromText(text = "") {
+  const folded = padded(text);
+  const counts = NEED_PRECEDENCE.map(need => [need, NEED_CUES[need].filter(c => hasCue(folded, c)).length]);
+  const best = Math.max(...counts.map(([, n]) => n));
+  return best ? counts.find(([, n]) => n === best)[0] : null;
+}
+
+export function minutesFromText(text = "") {
+  const minutes = durationSlot(tokenize(text));
+  if (minutes) return minutes;
+  const folded = padded(text);
+  return SHORT_CUES.some(c => hasCue(folded, c)) ? SHORT_MINUTES : null;
+}
+
+function recentUserTexts(messages = []) {
+  return messages.filter(m => m?.role === "user" && typeof m.content === "string").slice(-RECENT_TURNS).reverse().map(m => m.content);
+}
+
+// Newest turn that says something wins ("I can't sleep" → "yes" still recommends for sleep)
+export function extractNeeds(messages = []) {
+  const texts = recentUserTexts(messages);
+  const first = fn => texts.map(fn).find(Boolean) || null;
+  return { need: first(needFromText), minutes: first(minutesFromText) };
+}
+
+// → [{ practice, score, reasons }] best first; one entry per category, in the requested language
+export function rankPractices({ need, minutes, language = "en", preferCategory = DEFAULT_CATEGORY } = {}) {
+  return CATEGORIES.map(category => {
+    const practice = findPractice({ category, language, duration: minutes || undefined });
+    const reasons = [];
+    let score = 0;
+    const needScore = need ? NEED_TAGS[need].reduce((sum, tag, i) => sum + (practice.tags.includes(tag) ? (i ? 1 : 3) : 0), 0) : 0;
+    if (needScore) { score += needScore; reasons.push(need); }
+    if (!need && category === preferCategory) { score += 1; reasons.push("usual"); }
+    if (minutes) {
+      const length = lengthFor(practice, minutes);
+      if (length <= minutes) { score += 2; reasons.push("fits_time"); }
+      else score -= OVERTIME_PENALTY * (length - minutes);
+    }
+    if (audioSource(practice)) { score += 0.5; reasons.push("audio"); }
+    return { practice, score, reasons };
+  }).sort((a, b) => b.score - a.score);
+}
+
+// Explicit need / minutes (e.g. tool arguments) override what the conversation says
+export function recommendPractice({ messages = [], language = "en", need, minutes, preferCategory } = {}) {
+  const said = extractNeeds(messages);
+  need = NEEDS.includes(need) ? need : said.need;
+  minutes = Number.isInteger(minutes) && minutes > 0 ? minutes : said.minutes;
+  const [top, ...rest] = rankPractices({ need, minutes, language, preferCategory });
+  return { need, minutes, language, pick: top.practice, reasons: top.reasons, alternatives: rest.slice(0, MAX_ALTERNATIVES) };
+}
+
+// ---------- payloads & text ----------
+export function recommendationResult(rec) {
+  return {
+    ...meditationResult(rec.pick, { minutes: rec.minutes }),
+    recommendation: {
+      need: rec.need,
+      minutes: rec.minutes,
+      reasons: rec.reasons,
+      alternatives: rec.alternatives.map(({ practice: p, reasons }) => ({
+        id: p.id, category: p.category, title: practiceTitle(p), language: p.language, duration: p.duration, reasons
+      }))
+    }
+  };
+}
+
+// Intro + why it was picked ("It helps your body wind down for sleep. It takes about 5 minutes." / "This round is 1 min: …")
+export function recommendationIntro(rec, lang = rec.language, result = meditationResult(rec.pick, { minutes: rec.minutes, signed: false })) {
+  const parts = [meditationIntro(rec.pick, lang, result)];
+  if (rec.need && rec.reasons.includes(rec.need)) parts.push(t(lang, `recommend.${rec.need}`));
+  if (rec.minutes && rec.pick.pattern) parts.push(pacerNote(pacerSequence(rec.pick.pattern, { minutes: rec.minutes }), lang));
+  else if (rec.minutes) parts.push(t(lang, "recommend.time", { duration: rec.pick.duration }));
+  return parts.join(" ");
+}
+
+// Intro for a named practice; a custom length of a breathing pattern is spelled out ("This round is 1 min: 6 breaths of 4-6.")
+export function namedIntro(med, result, lang, duration) {
+  const intro = meditationIntro(med, lang, result);
+  return duration && result.pacer ? `${intro} ${pacerNote(result.pacer, lang)}` : intro;
+}
+
+// Reply for a "play" turn: a named practice as asked, otherwise the recommendation for what the user said
+export function practiceReply({ messages, language, category, duration, preferCategory }) {
+  if (category) {
+    const med = findPractice({ category, language, duration: duration || undefined });
+    const result = meditationResult(med, { minutes: duration });
+    return { message: namedIntro(med, result, language, duration), tool: { name: "get_meditation", result } };
+  }
+  const rec = recommendPractice({ messages, language, minutes: duration || undefined, preferCategory });
+  const result = recommendationResult(rec);
+  return { message: recommendationIntro(rec, language, result), tool: { name: "get_meditation", result } };
+}
@@ -0,0 +1,189 @@
+// lib/redact.js
+// Personal details are swapped for placeholders before any text reaches a model, and swapped back in the reply.
+// • Emails, phone numbers, street addresses (EN/ES), IDs (SSN, DNI/NIE, CURP, card numbers, "passport / DNI / cuenta …"),
+//   and with PII_REDACT_NAMES=on person names after cues ("my name is", "my boss", "me llamo", "mi hermana")
+// • One redactor per request: the same value always gets the same placeholder ([EMAIL_1], [NAME_2]…) across turns,
+//   tool rounds and regenerations; a name seen once is replaced wherever it appears again
+// • redacting(llm, redactor) wraps a provider: message content and function_call arguments are redacted on the way out,
+//   output text (also streamed deltas) and function_call arguments are restored on the way back
+// Tool outputs (function_call_output) are the app's own data and pass unchanged.
+
+import { getConfig } from "./config.js";
+
+export const KINDS = ["EMAIL", "ID", "PHONE", "ADDRESS", "NAME"];
+const PLACEHOLDER = new RegExp(`\\[(?:${KINDS.join("|")})_\\d+\\]`, "g");
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// IDs: keyword + value, then well-known formats (checked before phones so "123-45-6789" is an ID)
+const ID_NUMBER = "(?:number|no\\.?|num\\.?|#|número|numero|nº)";
+const ID_PATTERNS = [
+  new RegExp(`\\b(?:passport|license|licence|id|ssn|social security|pasaporte|licencia|dni|nie|cedula|cédula|curp|rfc|nss)(?:\\s+${ID_NUMBER})?\\s*(?:is|es|:|#)?\\s*([A-Z0-9][A-Z0-9-]{4,})\\b`, "gi"),
+  new RegExp(`\\b${ID_NUMBER} de (?:cuenta|póliza|poliza|afiliado|afiliación|seguro|expediente|pasaporte|licencia)\\s*:?\\s*([A-Z0-9][A-Z0-9-]{4,})\\b`, "gi"),
+  new RegExp(`\\b(?:account|policy|member|patient|insurance|cuenta|poliza|póliza|expediente|afiliado|seguro)\\s+${ID_NUMBER}\\s*(?:is|es|:)?\\s*([A-Z0-9][A-Z0-9-]{4,})\\b`, "gi"),
+  /\b\d{3}-\d{2}-\d{4}\b/g,                                   // US SSN
+  /\b[XYZ]\d{7}[A-Z]\b/gi,                                    // NIE
+  /\b\d{8}-?[A-HJ-NP-TV-Z]\b/gi,                              // DNI
+  /\b[A-Z]{4}\d{6}[HM][A-Z]{5}[A-Z0-9]\d\b/gi,                // CURP
+  /\b(?:\d[ -]?){12,18}\d\b/g                                 // card / account numbers (13–19 digits)
+];
+
+const PHONE = /(?<![\w@/])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?![\w@/])/g;
+const DATE_LIKE = /^\d{1,4}[.-]\d{1,2}[.-]\d{1,4}$/;
+const digits = s => s.replace(/\D/g, "");
+
+const EN_STREET = "(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|circle|highway|hwy)";
+// Words that make "5 minutes down the road" a distance, not an address
+const NOT_STREET_WORDS = new Set(["the", "a", "an", "to", "from", "down", "up", "of", "my", "minutes", "mins", "min", "miles", "km", "blocks", "times", "hours", "days", "and", "on", "in", "at"]);
+const ADDRESS_PATTERNS = [
+  new RegExp(`\\b\\d{1,5}\\s+(?:[\\w'.-]+\\s+){1,4}?${EN_STREET}\\b\\.?(?:,?\\s*(?:apt|apartment|suite|unit|#)\\.?\\s*\\w+)?`, "gi"),
+  /\b(?:calle|c\/|avenida|avda\.?|av\.|paseo|plaza|carrera|calzada|camino|ronda|colonia|col\.)\s+(?:[\wáéíóúñü.'-]+\s+){0,4}?(?:n[º°o]\.?\s*)?\d{1,5}(?:\s*,?\s*\d{1,2}\s*[º°]?\s*[a-z]?\b)?/giu
+];
+
+// Names follow a cue; only the capitalised words after it are replaced (no "i" flag: \p{Lu} must stay upper case)
+const NAME = "(\\p{Lu}[\\p{Ll}'-]+(?:\\s+\\p{Lu}[\\p{Ll}'-]+)?)";
+const cues = list => `(?:${list.map(w => `[${w[0].toUpperCase()}${w[0]}]${w.slice(1)}`).join("|")})`;
+const INTRO_CUES = cues(["my name is", "call me", "i am", "i'm", "i’m", "im", "this is", "me llamo", "mi nombre es", "soy"]);
+const RELATIONS = "(?:husband|wife|partner|boyfriend|girlfriend|boss|manager|friend|mom|mum|mother|dad|father|sister|brother|son|daughter|cousin|aunt|uncle|therapist|doctor|coworker|colleague|roommate|ex|esposo|esposa|marido|mujer|pareja|novio|novia|jefe|jefa|amigo|amiga|mamá|mama|madre|papá|papa|padre|hermano|hermana|hijo|hija|primo|prima|tía|tia|tío|tio|terapeuta|doctora|médico|medico|compañero|compañera|ex)";
+const NAME_PATTERNS = [
+  new RegExp(`\\b${INTRO_CUES}\\s+${NAME}`, "gu"),
+  new RegExp(`\\b${cues(["my", "mi"])}\\s+${RELATIONS},?\\s+${NAME}`, "gu"),
+  new RegExp(`\\b${NAME}\\s*,\\s*(?:my|mi)\\s+${RELATIONS}\\b`, "gu")
+];
+// Capitalised words after a cue that are not names ("I'm English", "soy Mexicana", "I'm Fine")
+const NOT_NAMES = new Set(["english", "spanish", "portuguese", "french", "ingles", "inglés", "espanol", "español", "mexicano", "mexicana", "latino", "latina",
+  "fine", "okay", "ok", "sorry", "not", "so", "just", "really", "very", "here", "back", "done", "tired", "sad", "happy", "good", "bien", "mal", "yo"]);
+
+export function redactionConfig(config = getConfig()) {
+  return config.privacy;
+}
+
+export function createRedactor({ names = redactionConfig().redactNames } = {}) {
+  const byValue = new Map();   // normalised value → placeholder
+  const byPlaceholder = new Map();
+  const counts = {};
+  const knownNames = [];       // original name strings; they (and their first word) are replaced wherever they appear again
+
+  // Formatting (spaces, dashes, case) never makes a new placeholder; an ID keeps its letters (DNI 12345678Z ≠ account 12345678)
+  const keyOf = (kind, value) => {
+    if (kind === "PHONE") return `PHONE:${digits(value)}`;
+    if (kind === "ID") return `ID:${value.toUpperCase().replace(/[^A-Z0-9]/g, "")}`;
+    return `${kind}:${value.toLowerCase()}`;
+  };
+  function placeholder(kind, value) {
+    const key = keyOf(kind, value);
+    if (!byValue.has(key)) {
+      counts[kind] = (counts[kind] || 0) + 1;
+      const ph = `[${kind}_${counts[kind]}]`;
+      byValue.set(key, ph);
+      byPlaceholder.set(ph, value);
+      if (kind === "NAME") knownNames.push(value);
+    }
+    return byValue.get(key);
+  }
+
+  // Replace group 1 when the pattern has one (cue + value), else the whole match
+  function replaceAll(text, re, kind, keep = () => true) {
+    return text.replace(re, (match, ...rest) => {
+      const group = typeof rest[0] === "string" && rest.length > 2 ? rest[0] : null;
+      const value = group ?? match;
+      if (value.startsWith("[") || !keep(value)) return match;
+      return group ? match.replace(group, placeholder(kind, group)) : placeholder(kind, match);
+    });
+  }
+
+  function redact(text) {
+    if (typeof text !== "string" || !text) return text;
+    let out = replaceAll(text, EMAIL, "EMAIL");
+    for (const re of ID_PATTERNS) out = replaceAll(out, re, "ID", v => /\d/.test(v));
+    out = replaceAll(out, PHONE, "PHONE", v => { const n = digits(v).length; return n >= 7 && n <= 15 && !DATE_LIKE.test(v.trim()); });
+    for (const re of ADDRESS_PATTERNS) {
+      out = replaceAll(out, re, "ADDRESS", v => !v.toLowerCase().split(/\s+/).some(w => NOT_STREET_WORDS.has(w)));
+    }
+    if (names) {
+      for (const re of NAME_PATTERNS) out = replaceAll(out, re, "NAME", v => !NOT_NAMES.has(v.split(/\s+/)[0].toLowerCase()));
+      for (const name of [...knownNames].sort((a, b) => b.length - a.length)) {
+        const ph = placeholder("NAME", name);
+        for (const form of new Set([name, name.split(/\s+/)[0]])) {
+          const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+          out = out.replace(new RegExp(`(?<![\\p{L}\\[])${escaped}(?![\\p{L}])`, "gu"), ph);
+        }
+      }
+    }
+    return out;
+  }
+
+  function restore(text) {
+    if (typeof text !== "string" || !text) return text;
+    return text.replace(PLACEHOLDER, ph => byPlaceholder.get(ph) ?? ph);
+  }
+
+  // Counts per kind (no values) — e.g. for logs
+  function summary() { return { ...counts }; }
+
+  return { redact, restore, summary };
+}
+
+// ---------- provider wrapper ----------
+function redactInput(input, redactor) {
+  if (typeof input === "string") return redactor.redact(input);
+  return (input || []).map(item => {
+    if (item?.type === "function_call") return { ...item, arguments: redactor.redact(item.arguments) };
+    if (typeof item?.content === "string") return { ...item, content: redactor.redact(item.content) };
+    if (Array.isArray(item?.content)) return { ...item, content: item.content.map(c => (typeof c?.text === "string" ? { ...c, text: redactor.redact(c.text) } : c)) };
+    return item;
+  });
+}
+
+function restoreResponse(response, redactor) {
+  if (!response) return response;
+  return {
+    ...response,
+    output_text: redactor.restore(response.output_text),
+    output: (response.output || []).map(item => {
+      if (item?.type === "function_call") return { ...item, arguments: redactor.restore(item.arguments) };
+      if (item?.type === "message") return { ...item, content: (item.content || []).map(c => (typeof c?.text === "string" ? { ...c, text: redactor.restore(c.text) } : c)) };
+      return item;
+    })
+  };
+}
+
+// Streamed deltas: hold back a trailing "[NAME_" until the placeholder is complete
+const PARTIAL = /\[[A-Z_0-9]{0,12}$/;
+async function* restoreStream(events, redactor) {
+  let pending = "";
+  const flush = () => {
+    const text = redactor.restore(pending);
+    pending = "";
+    return { type: "response.output_text.delta", delta: text };
+  };
+  for await (const ev of events) {
+    if (ev?.type === "response.output_text.delta") {
+      pending += ev.delta;
+      const partial = PARTIAL.exec(pending);
+      const ready = partial ? pending.slice(0, partial.index) : pending;
+      if (!ready) continue;
+      pending = partial ? partial[0] : "";
+      yield { ...ev, delta: redactor.restore(ready) };
+      continue;
+    }
+    if (pending) yield flush();
+    yield ev?.type === "response.completed" ? { ...ev, response: restoreResponse(ev.response, redactor) } : ev;
+  }
+  if (pending) yield flush();
+}
+
+export function redacting(provider, redactor) {
+  return {
+    ...provider,
+    responses: {
+      async create(params) {
+        const r = await provider.responses.create({ ...params, input: redactInput(params.input, redactor) });
+        return params?.stream ? restoreStream(r, redactor) : restoreResponse(r, redactor);
+      }
+    }
+  };
+}
+
+// Told to the model whenever redaction is on
+export const REDACTION_NOTE = "Personal details in this conversation were replaced with placeholders such as [NAME_1], [EMAIL_1] or [PHONE_1]. Use a placeholder exactly as written if you need to refer to it; never guess what it stands for.";
@@ -0,0 +1,104 @@
+// lib/sessions.js
+// Server-side conversation sessions: the browser sends { sessionId, message } instead of the whole transcript.
+// A session stores the turns, the language (and whether the user chose it), the last practice offered, the "just talk" flag
+// a pending stress check-in question (lib/checkins.js), a program restart waiting for "yes" (one turn only, lib/programs.js)
+// and the user id its turns are recorded under — set once by the channel when the session starts (lib/chat.js, lib/sms.js)
+// and never changed afterwards — so per-user reads can go through the session.
+// Turns live in their own store list (store.push), so overlapping requests on one session each append theirs instead of
+// one save overwriting the other's; the rest of the session is a plain document (the last save wins).
+// Legacy { messages: [...] } bodies still work and simply run without a session.
+
+import { randomUUID } from "node:crypto";
+import { getStore } from "./store.js";
+import { getConfig } from "./config.js";
+
+// Idle expiry in seconds (SESSION_TTL_SECONDS, lib/config.js)
+export const sessionTtl = () => getConfig().sessions.ttlSeconds;
+export const MAX_TURNS = 40;
+
+const ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const key = id => `session:${id}`;
+const turnsKey = id => `session:${id}:turns`;
+
+export function newSession() {
+  const at = new Date().toISOString();
+  return { id: randomUUID(), createdAt: at, updatedAt: at, turns: [], language: null, languageChosen: false, lastPractice: null, talkOnly: false, checkin: null, pendingRestart: null, user: null };
+}
+
+export async function loadSession(id, store = getStore()) {
+  if (typeof id !== "string" || !ID_RE.test(id)) return null;
+  const session = await store.get(key(id));
+  if (!session) return null;
+  const turns = await store.range(turnsKey(id));
+  return { ...session, turns: turns.length ? turns : session.turns || [] };
+}
+
+// Saves everything but the turns (appendTurn stores those as they happen)
+export async function saveSession(session, store = getStore()) {
+  session.updatedAt = new Date().toISOString();
+  const { turns, ...state } = session;
+  await store.set(key(session.id), state, sessionTtl());
+  return session;
+}
+
+export async function appendTurn(session, role, content, store = getStore()) {
+  const turn = { role, content, at: new Date().toISOString() };
+  await store.push(turnsKey(session.id), turn, sessionTtl(), MAX_TURNS);
+  session.turns = [...session.turns, turn].slice(-MAX_TURNS);
+}
+
+// User id a session's turns are recorded under ("client:…" for a server-issued token or an SMS line, else "session:<id>")
+export function userOfSession(session) {
+  return session.user || `session:${session.id}`;
+}
+
+// …behind a live session id, or null
+export async function sessionUser(id, store = getStore()) {
+  const session = await loadSession(id, store);
+  return session ? userOfSession(session) : null;
+}
+
+export async function deleteSession(id, store = getStore()) {
+  if (typeof id !== "string" || !ID_RE.test(id)) return;
+  await store.delete(key(id));
+  await store.delete(turnsKey(id));
+}
+
+// Model/handler-facing transcript
+export function sessionMessages(session) {
+  return session.turns.map(t => ({ role: t.role, content: t.content }));
+}
+
+// Resolve a request body into { session, messages }.
+// • { sessionId?, message } → session mode (unknown or expired ids start a fresh session)
+// • { messages }            → legacy stateless mode (session = null)
+export async function openConversation(body, store = getStore()) {
+  if (typeof body?.message === "string" || body?.sessionId) {
+    const session = (await loadSession(body.sessionId, store)) || newSession();
+    if (typeof body.message === "string" && body.message.trim()) await appendTurn(session, "user", body.message, store);
+    return { session, messages: sessionMessages(session), store };
+  }
+  const messages = Array.isArray(body?.messages) ? body.messages : [];
+  return { session: null, messages, store };
+}
+
+// Record the assistant reply + state changes, persist, and return the payload to send
+export async function closeConversation(convo, payload, state = {}) {
+  const { session, store } = convo;
+  if (!session) return payload;
+
+  if (payload?.message) await appendTurn(session, "assistant", payload.message, store);
+  const med = payload?.tool?.name === "get_meditation" ? payload.tool.result : null;
+  if (med) {
+    session.lastPractice = { id: med.id, category: med.category, duration: med.duration, language: med.language };
+    session.talkOnly = false;
+  }
+  if (state.language) session.language = state.language;
+  if (typeof state.languageChosen === "boolean") session.languageChosen = state.languageChosen;
+  if (typeof state.talkOnly === "boolean") session.talkOnly = state.talkOnly;
+  if (state.checkin !== undefined) session.checkin = state.checkin;
+  session.pendingRestart = state.pendingRestart || null;
+
+  await saveSession(session, store);
+  return { ...payload, sessionId: session.id };
+}
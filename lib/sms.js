@@ -0,0 +1,194 @@
+// lib/sms.js
+// SMS / WhatsApp channel behind POST /api/sms (Twilio messaging webhooks).
+// • Form-encoded Twilio payloads (From, Body, …); X-Twilio-Signature = base64 HMAC-SHA1(TWILIO_AUTH_TOKEN, URL + sorted params)
+// • One server-side session per phone number (lib/sessions.js), found through a line record keyed by a hash of the number;
+//   "whatsapp:+34…" and "+34…" are separate lines, as Twilio treats them
+// • Whole-message keywords: STOP / BAJA / … opt the line out (silence until START / ALTA), HELP / AYUDA → how to use it
+// • Turns run through the same engines and guards as /api/chat (rate-limited per number by GUARD_SMS_PER_MINUTE);
+//   if the store or the engine fails, a short localized apology goes back instead. The reply is TwiML with one <Message>:
+//   a get_meditation result becomes its intro + title with the audio as <Media> (the script when there is no recording)
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+import { bad, parseForm, requestOrigin, configFailed } from "./http.js";
+import { getConfig } from "./config.js";
+import { getStore } from "./store.js";
+import { openConversation, closeConversation, deleteSession, sessionTtl } from "./sessions.js";
+import { ENGINES, selectEngine } from "./engines/index.js";
+import { withOrigin, refreshCatalog } from "./catalog.js";
+import { clientUser } from "./checkins.js";
+import { detectCountry } from "./crisis_resources.js";
+import { logEvent, outcomeOf } from "./events.js";
+import { guardConfig, takeToken, overBudget } from "./guard.js";
+import { fold } from "./text.js";
+import { t } from "./i18n.js";
+
+export const MAX_SMS_CHARS = 1600;   // Twilio's limit for one outgoing message body
+
+// ---------- signatures ----------
+export function twilioSignature(authToken, url, params = {}) {
+  const data = url + Object.keys(params).sort().map(k => k + params[k]).join("");
+  return createHmac("sha1", authToken).update(data, "utf8").digest("base64");
+}
+
+export function signatureValid(signature, authToken, url, params) {
+  const given = Buffer.from(String(signature || ""));
+  const expected = Buffer.from(twilioSignature(authToken, url, params));
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// The URL Twilio signed: SMS_WEBHOOK_URL behind proxies that rewrite the host, else this request's URL
+export function webhookUrl(req, config = getConfig().sms) {
+  return config.webhookUrl || `${requestOrigin(req)}${req.url || "/api/sms"}`;
+}
+
+// ---------- keywords ----------
+// word → language of the reply (null: the line's language)
+const KEYWORDS = {
+  stop: { stop: null, stopall: null, unsubscribe: null, cancel: null, end: null, quit: null, baja: "es", parar: "es", cancelar: "es", arret: "fr" },
+  start: { start: null, unstop: null, alta: "es" },
+  help: { help: "en", info: null, ayuda: "es", ajuda: "pt", aide: "fr" }
+};
+
+// "STOP", " Baja. ", "¡Ayuda!" → { keyword, language } | null
+export function smsKeyword(text = "") {
+  const word = fold(text).replace(/[^a-z]/g, "");
+  for (const [keyword, words] of Object.entries(KEYWORDS)) {
+    if (Object.hasOwn(words, word)) return { keyword, language: words[word] };
+  }
+  return null;
+}
+
+// ---------- lines ----------
+// { sessionId, stopped, language } per phone number; opted-out lines never expire
+const lineId = from => createHash("sha256").update(String(from).replace(/\s+/g, "")).digest("hex").slice(0, 32);
+const lineKey = id => `sms:line:${id}`;
+
+async function saveLine(id, line, store) {
+  await store.set(lineKey(id), line, line.stopped ? undefined : sessionTtl());
+}
+
+// ---------- replies ----------
+const xml = s => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+const clip = s => (s.length > MAX_SMS_CHARS ? `${s.slice(0, MAX_SMS_CHARS - 1).trimEnd()}…` : s);
+
+// Engine result → { body, media: [url] } for one text message
+export function smsReply(out, origin) {
+  const med = out.tool?.name === "get_meditation" ? withOrigin(out.tool.result, origin) : null;
+  if (!med) return { body: clip(out.message || ""), media: [] };
+  const practice = med.audioUrl ? med.title : `${med.title}\n${med.script}`;
+  return { body: clip([out.message, practice].filter(Boolean).join("\n\n")), media: med.audioUrl ? [med.audioUrl] : [] };
+}
+
+// null → an empty <Response/> (Twilio sends nothing back)
+export function twiml(reply) {
+  const head = '<?xml version="1.0" encoding="UTF-8"?>';
+  if (!reply) return `${head}<Response/>`;
+  const media = reply.media.map(url => `<Media>${xml(url)}</Media>`).join("");
+  return `${head}<Response><Message><Body>${xml(reply.body)}</Body>${media}</Message></Response>`;
+}
+
+function sendTwiml(res, reply) {
+  res.setHeader("Content-Type", "text/xml; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).end(twiml(reply));
+}
+
+// ---------- webhook ----------
+export async function handleSms(req, res, { store = getStore() } = {}) {
+  if (req.method !== "POST") return bad(res, 405, "Use POST for the SMS webhook.");
+  if (configFailed(res)) return;
+  const config = getConfig().sms;
+  if (!config.authToken) return bad(res, 503, "The SMS channel is disabled (TWILIO_AUTH_TOKEN is not set).");
+  const started = Date.now();
+  const track = fields => logEvent({ type: "sms", ...fields, latencyMs: Date.now() - started });
+
+  const guard = guardConfig();
+  let form;
+  try { form = await parseForm(req, { maxBytes: guard.maxBodyBytes }); }
+  catch (err) { return err.code === "TOO_LARGE" ? bad(res, 413, "Payload too large.") : bad(res, 400, "Invalid form body."); }
+  if (!signatureValid(req.headers["x-twilio-signature"], config.authToken, webhookUrl(req, config), form)) {
+    return bad(res, 403, "Invalid Twilio signature.");
+  }
+  if (!form.From) return bad(res, 400, "Missing From.");
+  refreshCatalog();
+
+  const id = lineId(form.From);
+  const text = String(form.Body || "").trim();
+  const key = smsKeyword(text);
+  let line = null;
+  let language = key?.language || "en";
+  // A store or engine failure still gets a reply, unless the line could not be read (it may have opted out)
+  try {
+    line = (await store.get(lineKey(id))) || { sessionId: null, stopped: false, language: null };
+    language = key?.language || line.language || "en";
+
+    if (key?.keyword === "stop") {
+      await deleteSession(line.sessionId, store);
+      await saveLine(id, { sessionId: null, stopped: true, language }, store);
+      await track({ intent: "sms_stop", language, outcome: "opted_out" });
+      return sendTwiml(res, { body: t(language, "sms.stopped"), media: [] });
+    }
+    if (key?.keyword === "start") {
+      await saveLine(id, { ...line, stopped: false, language }, store);
+      await track({ intent: "sms_start", language });
+      return sendTwiml(res, { body: t(language, "sms.started"), media: [] });
+    }
+    if (line.stopped) {
+      await track({ outcome: "opted_out" });
+      return sendTwiml(res, null);
+    }
+    if (key?.keyword === "help" || !text) {
+      await track({ intent: "help", language });
+      return sendTwiml(res, { body: `${t(language, "help.short")} ${t(language, "sms.help")}`, media: [] });
+    }
+
+    // One counter per line (GUARD_SMS_PER_MINUTE; every webhook comes from Twilio's addresses, so the per-IP limit
+    // does not apply); over it, stay silent rather than pay for more messages
+    const limited = await takeToken(`guard:sms:${id}`, guard.smsPerMinute, { store }).catch(() => ({ ok: true }));
+    if (!limited.ok) {
+      await track({ intent: "rate_limited", outcome: "rate_limited" });
+      return sendTwiml(res, null);
+    }
+
+    const clientId = `sms-${id}`;
+    let selected = selectEngine({ headers: {} }, { clientId });
+    if (selected.engine.usesModel && await overBudget(guard)) {
+      selected = { name: guard.fallbackEngine, engine: ENGINES[guard.fallbackEngine] || ENGINES.v2, reason: "budget" };
+    }
+    const { name, engine, reason } = selected;
+    const problem = engine.misconfigured?.();
+    if (problem) return bad(res, 500, problem);
+
+    const convo = await openConversation({ sessionId: line.sessionId, message: text.slice(0, guard.maxMessageChars || undefined) }, store);
+    const { session } = convo;
+    if (!session.user) session.user = clientUser(clientId);   // the sender's line, bound once when the session starts
+    const user = session.user;
+    const out = await engine.respond({
+      messages: convo.messages.slice(-guard.maxTurns),
+      session,
+      country: detectCountry(null, { country: form.FromCountry }),   // the sender's country, not where Twilio's servers are
+      user,
+      onDelta: null,
+      onTool: null
+    });
+
+    const reply = smsReply(out, requestOrigin(req));
+    const payload = { message: out.message };
+    if (out.tool) payload.tool = out.tool;
+    payload.engine = name;
+    payload.intent = out.intent || "chat";
+    await closeConversation(convo, payload, out.state);
+    await saveLine(id, { sessionId: session.id, stopped: false, language: session.language || line.language }, store);
+    const logged = track({
+      engine: name, reason, intent: payload.intent, tool: out.tool?.name, language: out.state?.language,
+      outcome: outcomeOf(out), quick: engine.usesModel ? !!out.quick : null
+    });
+    const sent = sendTwiml(res, reply);
+    await logged;
+    return sent;
+  } catch (err) {
+    console.error("CalmaLink sms failed:", err?.message || err);
+    await track({ intent: "error", language, outcome: "error" }).catch(() => {});
+    return sendTwiml(res, line && !line.stopped ? { body: t(language, "sms.failed"), media: [] } : null);
+  }
+}
@@ -0,0 +1,167 @@
+// lib/store.js
+// Pluggable key/value store with TTL expiry (JSON values, async API).
+// • memory — per-instance Map (default; fine for local dev and tests)
+// • file   — one JSON file per key under a directory
+// • redis  — any Redis-compatible REST endpoint (Upstash / Vercel KV style: POST ["SET", key, value, "EX", ttl])
+// Every store exposes: get(key) → value|null, set(key, value, ttlSeconds?), delete(key),
+// incr(key, by?, ttlSeconds?) → the new integer (a missing key counts from 0; the ttl is renewed on every call),
+// push(key, value, ttlSeconds?, keep?) appends to a list holding the last `keep` items, range(key) → [items] oldest first
+// (lists are their own keys: read them with range, not get)
+
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const now = () => Date.now();
+const expiry = ttl => (ttl ? now() + ttl * 1000 : null);
+
+// ---------- memory ----------
+export function createMemoryStore() {
+  const map = new Map();
+  const live = key => {
+    const hit = map.get(key);
+    return hit && !(hit.expiresAt && hit.expiresAt <= now()) ? hit.value : null;
+  };
+  return {
+    kind: "memory",
+    async get(key) {
+      const hit = map.get(key);
+      if (!hit) return null;
+      if (hit.expiresAt && hit.expiresAt <= now()) { map.delete(key); return null; }
+      return structuredClone(hit.value);
+    },
+    async set(key, value, ttl) {
+      map.set(key, { value: structuredClone(value), expiresAt: expiry(ttl) });
+    },
+    async delete(key) { map.delete(key); },
+    async incr(key, by = 1, ttl) {
+      const value = (Number(live(key)) || 0) + by;
+      map.set(key, { value, expiresAt: expiry(ttl) });
+      return value;
+    },
+    async push(key, value, ttl, keep = Infinity) {
+      const items = live(key) || [];
+      items.push(structuredClone(value));
+      map.set(key, { value: items.slice(-keep), expiresAt: expiry(ttl) });
+    },
+    async range(key) { return structuredClone(live(key) || []); }
+  };
+}
+
+// ---------- file ----------
+export function createFileStore(dir = path.join(os.tmpdir(), "calmalink-store")) {
+  const fileFor = key => path.join(dir, encodeURIComponent(key) + ".json");
+  const listFor = key => path.join(dir, encodeURIComponent(key) + ".jsonl");
+  const pending = new Map();   // key → the last queued incr
+  return {
+    kind: "file",
+    async get(key) {
+      let raw;
+      try { raw = await fs.readFile(fileFor(key), "utf8"); } catch { return null; }
+      try {
+        const hit = JSON.parse(raw);
+        if (hit.expiresAt && hit.expiresAt <= now()) { await fs.rm(fileFor(key), { force: true }); return null; }
+        return hit.value;
+      } catch { return null; }
+    },
+    async set(key, value, ttl) {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = fileFor(key) + "." + process.pid + ".tmp";
+      await fs.writeFile(tmp, JSON.stringify({ value, expiresAt: expiry(ttl) }));
+      await fs.rename(tmp, fileFor(key));
+    },
+    async delete(key) { await Promise.all([fs.rm(fileFor(key), { force: true }), fs.rm(listFor(key), { force: true })]); },
+    // Atomic within one process (calls are chained); the file store is for a single local instance
+    incr(key, by = 1, ttl) {
+      const run = (pending.get(key) || Promise.resolve()).then(async () => {
+        const value = (Number(await this.get(key)) || 0) + by;
+        await this.set(key, value, ttl);
+        return value;
+      });
+      const settled = run.catch(() => {});
+      pending.set(key, settled);
+      settled.then(() => { if (pending.get(key) === settled) pending.delete(key); });
+      return run;
+    },
+    // One appended line per item, each with its own expiry; `keep` is applied when the list is read back
+    async push(key, value, ttl, keep) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(listFor(key), JSON.stringify({ value, expiresAt: expiry(ttl), keep }) + "\n");
+    },
+    async range(key) {
+      let raw;
+      try { raw = await fs.readFile(listFor(key), "utf8"); } catch { return []; }
+      const lines = raw.split("\n").filter(Boolean).flatMap(line => { try { return [JSON.parse(line)]; } catch { return []; } });
+      const live = lines.filter(hit => !(hit.expiresAt && hit.expiresAt <= now()));
+      return live.slice(-(lines[lines.length - 1]?.keep || Infinity)).map(hit => hit.value);
+    }
+  };
+}
+
+// ---------- redis (REST) ----------
+export function createRedisStore({ url, token, fetchImpl = globalThis.fetch } = {}) {
+  if (!url) throw new Error("Redis store needs a REST url.");
+  async function command(args) {
+    const r = await fetchImpl(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify(args)
+    });
+    if (!r.ok) throw new Error(`Redis store error: HTTP ${r.status}`);
+    const data = await r.json();
+    if (data?.error) throw new Error(`Redis store error: ${data.error}`);
+    return data?.result ?? null;
+  }
+  return {
+    kind: "redis",
+    async get(key) {
+      const raw = await command(["GET", key]);
+      if (raw == null) return null;
+      try { return JSON.parse(raw); } catch { return null; }
+    },
+    async set(key, value, ttl) {
+      const args = ["SET", key, JSON.stringify(value)];
+      if (ttl) args.push("EX", String(Math.ceil(ttl)));
+      await command(args);
+    },
+    async delete(key) { await command(["DEL", key]); },
+    async incr(key, by = 1, ttl) {
+      const value = Number(await command(["INCRBY", key, String(by)]));
+      if (ttl) await command(["EXPIRE", key, String(Math.ceil(ttl))]);
+      return value;
+    },
+    async push(key, value, ttl, keep) {
+      await command(["RPUSH", key, JSON.stringify(value)]);
+      await Promise.all([
+        keep ? command(["LTRIM", key, String(-keep), "-1"]) : null,
+        ttl ? command(["EXPIRE", key, String(Math.ceil(ttl))]) : null
+      ]);
+    },
+    async range(key) {
+      const raw = (await command(["LRANGE", key, "0", "-1"])) || [];
+      return raw.flatMap(item => { try { return [JSON.parse(item)]; } catch { return []; } });
+    }
+  };
+}
+
+// ---------- selection from env ----------
+// STORE_BACKEND=memory|file|redis, STORE_DIR, REDIS_REST_URL/REDIS_REST_TOKEN (or KV_REST_API_URL/KV_REST_API_TOKEN)
+export function createStoreFromEnv(env = process.env) {
+  const kind = (env.STORE_BACKEND || "memory").toLowerCase();
+  if (kind === "file") return createFileStore(env.STORE_DIR || undefined);
+  if (kind === "redis") {
+    return createRedisStore({
+      url: env.REDIS_REST_URL || env.KV_REST_API_URL,
+      token: env.REDIS_REST_TOKEN || env.KV_REST_API_TOKEN
+    });
+  }
+  return createMemoryStore();
+}
+
+// One shared store per warm instance; tests can swap it
+let shared = null;
+export function getStore() {
+  if (!shared) shared = createStoreFromEnv();
+  return shared;
+}
+export function setStore(store) { shared = store; }
@@ -0,0 +1,52 @@
+// lib/stream.js
+// Opt-in streaming for chat replies: Server-Sent Events or chunked NDJSON.
+// Event types (same for model replies and deterministic quick intents):
+// • delta → { text }           model text as it arrives (one full chunk for canned replies)
+// • tool  → { name, result }   tool payload, e.g. get_meditation
+// • done  → final JSON payload { message, tool?, sessionId? } — the authoritative reply
+// • error → { message }        stream-level failure before done
+
+// ?stream / body.stream / Accept header → "sse" | "ndjson" | null
+export function streamFormat(req, body) {
+  const s = body?.stream;
+  if (s === "ndjson") return "ndjson";
+  if (s === true || s === "sse") return "sse";
+  const accept = String(req.headers?.accept || "");
+  if (accept.includes("text/event-stream")) return "sse";
+  if (accept.includes("application/x-ndjson")) return "ndjson";
+  return null;
+}
+
+export function openStream(res, format) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", format === "sse" ? "text/event-stream; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  const stream = {
+    format,
+    textSent: false,
+    toolSent: false,
+    send(type, data) {
+      if (type === "delta") stream.textSent = true;
+      if (type === "tool") stream.toolSent = true;
+      if (format === "sse") res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      else res.write(JSON.stringify({ type, ...data }) + "\n");
+    },
+    // Fill in whatever the client has not seen yet, then close with the final payload
+    finish(payload) {
+      if (!stream.textSent && payload?.message) stream.send("delta", { text: payload.message });
+      if (!stream.toolSent && payload?.tool) stream.send("tool", payload.tool);
+      stream.send("done", payload);
+      res.end();
+    },
+    // The turn failed after the stream opened: no done event, just the error
+    fail(message) {
+      stream.send("error", { message });
+      res.end();
+    }
+  };
+  return stream;
+}
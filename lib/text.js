@@ -0,0 +1,23 @@
+// lib/text.js
+// Text normalisation shared by the intent engine and crisis assessment.
+
+// Lowercase, strip accents, drop apostrophes, keep clause punctuation
+export function fold(s = "") {
+  return String(s)
+    .toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[’'`´]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Folded word tokens ("¿Cómo uso?" → ["como", "uso"]; "calm_breath" and "5-4-3-2-1" stay whole)
+export function tokenize(s = "") {
+  return fold(s).replace(/[^a-z0-9_\-\s]/g, " ").split(/\s+/).filter(Boolean);
+}
+
+// Last user message text in a transcript ("" if none)
+export function lastUserText(messages = []) {
+  const u = [...messages].reverse().find(m => m?.role === "user" && typeof m.content === "string");
+  return u ? u.content : "";
+}
@@ -0,0 +1,79 @@
+// lib/validate.js
+// Strict schema for chat request bodies → normalised body or a clear 400 message.
+// • Known keys only: message, messages, sessionId, stream, engine, clientId (A/B split bucket only), clientToken, country
+// • Roles whitelisted (user, assistant) — client-sent "system"/"tool" turns never reach the model
+// • Content parts ([{ type: "text" | "input_text" | "output_text", text }]) flattened to plain text; other parts dropped
+// • Lengths capped: characters per message (guard config), turns per transcript, id sizes
+
+import { ENGINES } from "./engines/index.js";
+
+export const ALLOWED_KEYS = ["message", "messages", "sessionId", "stream", "engine", "clientId", "clientToken", "country"];
+export const ROLES = ["user", "assistant"];
+const TEXT_PARTS = new Set(["text", "input_text", "output_text"]);
+const STREAM_VALUES = [true, false, "sse", "ndjson"];
+
+// string | parts[] → string, or null when the shape is not content at all
+export function contentText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return null;
+  return content
+    .map(part => (typeof part === "string" ? part : TEXT_PARTS.has(part?.type) && typeof part.text === "string" ? part.text : ""))
+    .filter(Boolean)
+    .join("\n");
+}
+
+const fail = error => ({ error });
+
+// → { value } with the normalised body, or { error } describing the first problem
+export function validateChatBody(body, { maxMessageChars = 2000, maxTurns = 40 } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return fail("Request body must be a JSON object.");
+
+  const unknown = Object.keys(body).filter(k => !ALLOWED_KEYS.includes(k));
+  if (unknown.length) return fail(`Unknown field(s): ${unknown.join(", ")}. Allowed: ${ALLOWED_KEYS.join(", ")}.`);
+
+  const value = {};
+  for (const key of ["sessionId", "clientId", "clientToken"]) {
+    if (body[key] === undefined || body[key] === null) continue;
+    if (typeof body[key] !== "string" || body[key].length > 128) return fail(`${key} must be a string of at most 128 characters.`);
+    value[key] = body[key];
+  }
+  if (body.country !== undefined && body.country !== null) {
+    if (typeof body.country !== "string" || !/^[A-Za-z]{2}$/.test(body.country)) return fail("country must be a two-letter ISO code.");
+    value.country = body.country;
+  }
+  if (body.engine !== undefined) {
+    if (!ENGINES[body.engine]) return fail(`engine must be one of: ${Object.keys(ENGINES).join(", ")}.`);
+    value.engine = body.engine;
+  }
+  if (body.stream !== undefined) {
+    if (!STREAM_VALUES.includes(body.stream)) return fail('stream must be true, false, "sse" or "ndjson".');
+    value.stream = body.stream;
+  }
+
+  if (body.message !== undefined) {
+    const text = contentText(body.message);
+    if (text === null) return fail("message must be a string or an array of text parts.");
+    if (!text.trim()) return fail("message must not be empty.");
+    if (text.length > maxMessageChars) return fail(`message is longer than ${maxMessageChars} characters.`);
+    value.message = text;
+  }
+
+  if (body.messages !== undefined) {
+    if (!Array.isArray(body.messages)) return fail("messages must be an array.");
+    const messages = [];
+    for (const [i, m] of body.messages.entries()) {
+      if (!m || typeof m !== "object") return fail(`messages[${i}] must be an object with role and content.`);
+      if (!ROLES.includes(m.role)) return fail(`messages[${i}].role must be one of: ${ROLES.join(", ")}.`);
+      const text = contentText(m.content);
+      if (text === null) return fail(`messages[${i}].content must be a string or an array of text parts.`);
+      if (text.length > maxMessageChars) return fail(`messages[${i}].content is longer than ${maxMessageChars} characters.`);
+      if (text.trim()) messages.push({ role: m.role, content: text });
+    }
+    value.messages = messages.slice(-maxTurns);
+  }
+
+  if (value.message === undefined && !value.messages?.some(m => m.role === "user")) {
+    return fail("Send { message } (with an optional sessionId) or { messages: [...] } with at least one user turn.");
+  }
+  return { value };
+}
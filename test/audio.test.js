@@ -0,0 +1,88 @@
+// test/audio.test.js
+// Signed audio links, MP3 metadata, Range parsing and the /api/audio route's guards.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signAudio, verifyAudio, audioInfo, absoluteUrl } from "../lib/audio.js";
+import { parseRange, requestOrigin } from "../lib/http.js";
+import { findPractice, meditationResult } from "../lib/catalog.js";
+import handler from "../api/audio/[id].js";
+
+process.env.AUDIO_SIGNING_SECRET ||= "test-secret";
+
+const params = url => Object.fromEntries(new URL(url, "http://x").searchParams);
+
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end() { return this; }
+  };
+}
+
+test("signed links verify, expire and reject tampering", () => {
+  const now = Date.now();
+  const { url, expiresAt } = signAudio("calm_breath_3_en", { ttl: 60, now });
+  const { exp, sig } = params(url);
+  assert.match(url, /^\/api\/audio\/calm_breath_3_en\?exp=\d+&sig=/);
+  assert.equal(Date.parse(expiresAt), Number(exp) * 1000);
+  assert.equal(verifyAudio("calm_breath_3_en", exp, sig, now), "ok");
+  assert.equal(verifyAudio("calm_breath_3_en", exp, sig, now + 61_000), "expired");
+  assert.equal(verifyAudio("calm_breath_3_es", exp, sig, now), "invalid");
+  assert.equal(verifyAudio("calm_breath_3_en", Number(exp) + 3600, sig, now), "invalid");
+  assert.equal(verifyAudio("calm_breath_3_en", exp, undefined, now), "invalid");
+});
+
+test("metadata comes from the files themselves", () => {
+  const en = audioInfo("calmbreathenglish.mp3");
+  assert.equal(en.contentType, "audio/mpeg");
+  assert.equal(en.bytes, 2309714);
+  assert.ok(Math.abs(en.durationSeconds - 144.4) < 0.5, String(en.durationSeconds));
+  assert.equal(audioInfo("missing.mp3"), null);
+});
+
+test("meditation results carry a signed link + metadata, or nulls without audio", () => {
+  const withAudio = meditationResult(findPractice({ category: "calm_breath", language: "es" }));
+  assert.match(withAudio.audioUrl, /^\/api\/audio\/calm_breath_3_es\?/);
+  assert.deepEqual(Object.keys(withAudio.audio).sort(), ["bytes", "contentType", "durationSeconds", "expiresAt"]);
+  const without = meditationResult(findPractice({ category: "box_breath" }));
+  assert.equal(without.audioUrl, null);
+  assert.equal(without.audio, null);
+});
+
+test("links are made absolute with the request host", () => {
+  assert.equal(requestOrigin({ headers: { host: "preview-abc.vercel.app" } }), "https://preview-abc.vercel.app");
+  assert.equal(requestOrigin({ headers: { host: "localhost:3000" } }), "http://localhost:3000");
+  assert.equal(requestOrigin({ headers: { "x-forwarded-host": "calmalink.app", "x-forwarded-proto": "https", host: "internal" } }), "https://calmalink.app");
+  assert.equal(absoluteUrl("/api/audio/x?exp=1", "https://h"), "https://h/api/audio/x?exp=1");
+  assert.equal(absoluteUrl("https://cdn/x.mp3", "https://h"), "https://cdn/x.mp3");
+});
+
+test("range parsing", () => {
+  assert.deepEqual(parseRange("bytes=0-99", 1000), { start: 0, end: 99 });
+  assert.deepEqual(parseRange("bytes=900-", 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange("bytes=-100", 1000), { start: 900, end: 999 });
+  assert.deepEqual(parseRange("bytes=990-5000", 1000), { start: 990, end: 999 });
+  assert.equal(parseRange("bytes=1000-", 1000), "unsatisfiable");
+  assert.equal(parseRange("bytes=50-10", 1000), "unsatisfiable");
+  assert.equal(parseRange(undefined, 1000), null);
+  assert.equal(parseRange("items=0-1", 1000), null);
+});
+
+test("route rejects unknown ids, bad and expired signatures", () => {
+  const call = (id, query) => {
+    const res = fakeRes();
+    handler({ method: "GET", headers: {}, query: { id, ...query } }, res);
+    return res;
+  };
+  assert.equal(call("box_breath_2_en", {}).code, 404);
+  assert.equal(call("nope", {}).code, 404);
+  assert.equal(call("calm_breath_3_en", { exp: "1", sig: "x" }).code, 403);
+
+  const { url } = signAudio("calm_breath_3_en", { ttl: -10 });
+  const expired = call("calm_breath_3_en", params(url));
+  assert.equal(expired.code, 403);
+  assert.match(expired.body.message, /expired/);
+});
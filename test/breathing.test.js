@@ -0,0 +1,87 @@
+// test/breathing.test.js
+// Breathing patterns: timed pacer steps, localized cues, custom lengths and the get_meditation payload.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { PATTERNS, pacerSequence, clampMinutes, MAX_MINUTES } from "../lib/breathing.js";
+import { findPractice, meditationResult, PRACTICES } from "../lib/catalog.js";
+import { practiceReply } from "../lib/recommend.js";
+import { handleChat } from "../lib/chat.js";
+import { setLLM, createFakeProvider } from "../lib/llm.js";
+
+process.env.OPENAI_API_KEY ||= "test-key";
+after(() => setLLM(null));
+
+test("a pacer is whole cycles of timed steps with running start offsets", () => {
+  const pacer = pacerSequence("4-6", { minutes: 1 });
+  assert.deepEqual([pacer.cycles, pacer.cycleSeconds, pacer.totalSeconds], [6, 10, 60]);
+  assert.equal(pacer.steps.length, 12);
+  assert.deepEqual(pacer.steps.slice(0, 3), [
+    { cycle: 1, phase: "inhale", cue: "Breathe in", start: 0, seconds: 4 },
+    { cycle: 1, phase: "exhale", cue: "Breathe out", start: 4, seconds: 6 },
+    { cycle: 2, phase: "inhale", cue: "Breathe in", start: 10, seconds: 4 }
+  ]);
+  const last = pacer.steps.at(-1);
+  assert.equal(last.start + last.seconds, pacer.totalSeconds);
+});
+
+test("box and 4-7-8 patterns carry their holds, cued in the practice language", () => {
+  assert.deepEqual(pacerSequence("box", { minutes: 2, language: "es" }).phases.map(p => [p.phase, p.seconds, p.cue]), [
+    ["inhale", 4, "Inhala"], ["hold", 4, "Sostén"], ["exhale", 4, "Exhala"], ["holdOut", 4, "Sostén sin aire"]
+  ]);
+  const relax = pacerSequence("4-7-8", { minutes: 3, language: "fr" });
+  assert.equal(relax.label, "4-7-8");
+  assert.deepEqual([relax.cycles, relax.minutes], [8, 3]);
+  assert.deepEqual(relax.steps.slice(0, 3).map(s => s.cue), ["Inspirez", "Retenez", "Expirez"]);
+  assert.equal(pacerSequence("nope"), null);
+});
+
+test("lengths are clamped to whole minutes in range", () => {
+  assert.equal(clampMinutes(0.6), 1);
+  assert.equal(clampMinutes(500), MAX_MINUTES);
+  assert.equal(clampMinutes("x"), null);
+  assert.equal(pacerSequence("4-6", { minutes: 500 }).minutes, MAX_MINUTES);
+  assert.equal(pacerSequence("4-7-8", { minutes: 0 }).minutes, 1);
+  assert.deepEqual(["cycles", "totalSeconds", "minutes"].map(k => pacerSequence("4-7-8", { minutes: MAX_MINUTES })[k]), [8, 152, 3]);
+});
+
+test("every pattern practice returns a pacer; other practices do not", () => {
+  for (const p of PRACTICES) {
+    const { pacer } = meditationResult(p);
+    if (!p.pattern) { assert.equal(pacer, null, p.id); continue; }
+    assert.ok(PATTERNS[p.pattern], p.id);
+    assert.equal(pacer.minutes, p.duration, p.id);
+  }
+  const custom = meditationResult(findPractice({ category: "calm_breath", language: "pt" }), { minutes: 5 });
+  assert.deepEqual([custom.pacer.minutes, custom.pacer.cycles, custom.pacer.steps[0].cue], [5, 30, "Inspire"]);
+});
+
+test("a custom-length result reports the length built and carries no fixed-length audio or captions", () => {
+  const p = findPractice({ category: "calm_breath", language: "en" });
+  const own = meditationResult(p, { minutes: p.duration });
+  assert.ok(own.audioUrl && own.segments.length, "the catalog length keeps its recording");
+  const short = meditationResult(p, { minutes: 1 });
+  assert.deepEqual([short.duration, short.title, short.pacer.minutes], [1, "Calm Breath • 1 min", 1]);
+  assert.deepEqual([short.audioUrl, short.audio, short.audioLanguage, short.captionsUrl, short.segments], [null, null, null, null, []]);
+});
+
+test("a named practice with a custom length says how long the round is", () => {
+  const reply = practiceReply({ messages: [], language: "es", category: "breath_478", duration: 4 });
+  assert.deepEqual([reply.tool.result.pacer.minutes, reply.tool.result.duration], [3, 3]);
+  assert.match(reply.message, /Esta ronda dura 3 min: 8 respiraciones de 4-7-8\./);
+  assert.doesNotMatch(practiceReply({ messages: [], language: "en", category: "box_breath" }).message, /This round/);
+});
+
+test("v3 sends the model the pacer shape and the client every step", async () => {
+  const fake = createFakeProvider({ script: [
+    { call: "get_meditation", args: { category: "calm_breath", language: "en", duration: 7 } },
+    { text: "Here is a 7 minute calm breath." }
+  ] });
+  setLLM(fake);
+  const res = { headers: {}, code: 200, body: null, setHeader() {}, status(c) { this.code = c; return this; }, json(b) { this.body = b; return this; }, end() { return this; } };
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v3" }, body: { messages: [{ role: "user", content: "I need to slow my breathing for a while" }] } }, res);
+  assert.equal(res.body.tool.result.pacer.steps.length, 84);
+  const output = JSON.parse(fake.calls[1].input.find(i => i.type === "function_call_output").output);
+  assert.deepEqual([output.pacer.minutes, output.pacer.cycles, output.pacer.steps], [7, 42, undefined]);
+  assert.match(output.intro, /This round is 7 min: 42 breaths of 4-6\./);
+});
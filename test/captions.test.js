@@ -0,0 +1,71 @@
+// test/captions.test.js
+// Timed transcripts: WebVTT round trip, load-time validation against audio duration, payload + route.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseVtt, toVtt, scriptSegments, checkSegments, captionSegments, formatTime } from "../lib/captions.js";
+import { PRACTICES, meditationResult } from "../lib/catalog.js";
+import { audioInfo } from "../lib/audio.js";
+import handler from "../api/captions/[id].js";
+
+test("every practice has a valid caption track", () => {
+  for (const p of PRACTICES) {
+    const segments = captionSegments(p.id);
+    assert.ok(segments?.length, `${p.id} has no captions`);
+    const duration = p.audioFile ? audioInfo(p.audioFile).durationSeconds : p.duration * 60;
+    assert.deepEqual(checkSegments(segments, duration), [], p.id);
+  }
+});
+
+test("recorded tracks cover the script and stay inside the audio", () => {
+  for (const p of PRACTICES.filter(p => p.audioFile)) {
+    const segments = captionSegments(p.id);
+    assert.equal(segments.map(s => s.text).join(" "), p.script, p.id);
+    assert.ok(segments.at(-1).end <= audioInfo(p.audioFile).durationSeconds, p.id);
+  }
+});
+
+test("WebVTT round trip", () => {
+  const segments = [{ start: 0.5, end: 4, text: "Sit comfortably." }, { start: 65.25, end: 3725.001, text: "Inhala 4, exhala 6." }];
+  const vtt = toVtt(segments);
+  assert.match(vtt, /^WEBVTT\n\n1\n00:00:00\.500 --> 00:00:04\.000\nSit comfortably\.\n/);
+  assert.deepEqual(parseVtt(vtt), segments);
+  assert.deepEqual(parseVtt("WEBVTT\n\nNOTE hi\n\n00:01.000 --> 00:02.000 align:start\nHola"), [{ start: 1, end: 2, text: "Hola" }]);
+  assert.throws(() => parseVtt("00:01.000 --> 00:02.000\nHola"), /WEBVTT/);
+  assert.equal(formatTime(3600 + 61.5), "01:01:01.500");
+});
+
+test("validation catches overlaps, inverted cues and cues past the audio", () => {
+  const problems = checkSegments([
+    { start: 0, end: 5, text: "a" },
+    { start: 4, end: 3, text: "b" },
+    { start: 6, end: 200, text: "c" }
+  ], 150);
+  assert.equal(problems.length, 3, problems.join("; "));
+  assert.deepEqual(checkSegments([], 10), ["no cues"]);
+});
+
+test("script-only practices are spread over the practice length", () => {
+  const segments = scriptSegments("One. Two two two. Three!", 60);
+  assert.deepEqual(segments.map(s => s.text), ["One.", "Two two two.", "Three!"]);
+  assert.equal(segments[0].start, 0);
+  assert.ok(segments.at(-1).end <= 60);
+  assert.deepEqual(checkSegments(segments, 60), []);
+});
+
+test("tool results carry captionsUrl + segments", () => {
+  const r = meditationResult(PRACTICES.find(p => p.id === "calm_breath_3_es"));
+  assert.equal(r.captionsUrl, "/api/captions/calm_breath_3_es.vtt");
+  assert.deepEqual(Object.keys(r.segments[0]), ["start", "end", "text"]);
+});
+
+test("captions route serves WebVTT", () => {
+  const res = { headers: {}, statusCode: 0, out: "", setHeader(k, v) { this.headers[k] = v; }, status(c) { this.statusCode = c; return this; }, json(b) { this.out = b; return this; }, end(b) { this.out = b; return this; } };
+  handler({ method: "GET", headers: {}, url: "/api/captions/grounding_3_en.vtt" }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Content-Type"], "text/vtt; charset=utf-8");
+  assert.match(res.out, /^WEBVTT\n\n1\n00:00:00\.000 --> /);
+
+  handler({ method: "GET", headers: {}, query: { id: "nope" } }, res);
+  assert.equal(res.statusCode, 404);
+});
@@ -0,0 +1,223 @@
+// test/checkins.test.js
+// Stress check-ins: rating parsing, before/after pairing, aggregates, the chat flow and /api/checkin.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { parseRating, userOf, issueClientToken, clientFromToken, recordCheckin, userSummary, practiceSummary } from "../lib/checkins.js";
+import { setConfig } from "../lib/config.js";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { setStore, createMemoryStore, createFileStore, createRedisStore } from "../lib/store.js";
+import { handleChat } from "../lib/chat.js";
+import { setLLM, createFakeProvider } from "../lib/llm.js";
+import { t } from "../lib/i18n.js";
+import handler from "../api/checkin.js";
+
+process.env.OPENAI_API_KEY ||= "test-key";
+
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end() { return this; }
+  };
+}
+
+async function chat(engine, body) {
+  const res = fakeRes();
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": engine }, body }, res);
+  assert.equal(res.code, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+async function call(method, { body, query = {} } = {}) {
+  const res = fakeRes();
+  await handler({ method, headers: {}, body, query }, res);
+  return res;
+}
+
+beforeEach(() => setStore(createMemoryStore()));
+
+test("ratings are parsed from short answers only", () => {
+  assert.equal(parseRating("7"), 7);
+  assert.equal(parseRating(" 7/10 "), 7);
+  assert.equal(parseRating("3 out of 10."), 3);
+  assert.equal(parseRating("un 4"), 4);
+  assert.equal(parseRating("3 sur 10"), 3);
+  assert.equal(parseRating("0"), 0);
+  assert.equal(parseRating("11"), null);
+  assert.equal(parseRating("I slept 7 hours"), null);
+  assert.equal(parseRating(""), null);
+});
+
+test("user ids come from a server-signed client token, never a bare client id", () => {
+  const token = issueClientToken();
+  const id = clientFromToken(token);
+  assert.ok(id);
+  assert.equal(userOf({ clientToken: token, sessionId: "s1" }), `client:${id}`);
+  assert.equal(userOf({ clientToken: "abc-1", sessionId: "s1" }), "session:s1");
+  assert.equal(userOf({ clientToken: `${id}.${"x".repeat(43)}`, sessionId: "s1" }), "session:s1");
+  assert.equal(userOf({ clientToken: `victim-123.${token.split(".")[1]}`, sessionId: "s1" }), "session:s1");
+  assert.equal(userOf({ clientId: "abc-1", sessionId: "s1" }), "session:s1");
+  assert.equal(userOf({}), null);
+});
+
+test("client tokens are signed with CLIENT_TOKEN_SECRET", () => {
+  setConfig(null);
+  process.env.CLIENT_TOKEN_SECRET = "one-secret";
+  const token = issueClientToken();
+  assert.ok(clientFromToken(token));
+  process.env.CLIENT_TOKEN_SECRET = "another-secret";
+  setConfig(null);
+  assert.equal(clientFromToken(token), null);
+  delete process.env.CLIENT_TOKEN_SECRET;
+  setConfig(null);
+});
+
+test("an after rating pairs with a recent before and feeds both aggregates", async () => {
+  const now = Date.now();
+  const user = "client:a";
+  assert.deepEqual(await recordCheckin({ user, practiceId: "box_breath_2_en", language: "en", phase: "before", rating: 8 }, { now }), { phase: "before", rating: 8 });
+  assert.deepEqual(
+    await recordCheckin({ user, practiceId: "box_breath_2_en", language: "en", phase: "after", rating: 5 }, { now: now + 60_000 }),
+    { phase: "after", rating: 5, before: 8, change: -3 }
+  );
+  await recordCheckin({ user, practiceId: "calm_breath_3_en", language: "en", phase: "before", rating: 6 }, { now });
+  const late = await recordCheckin({ user, practiceId: "calm_breath_3_en", language: "en", phase: "after", rating: 2 }, { now: now + 4 * 3600_000 });
+  assert.equal(late.change, undefined);
+
+  const mine = await userSummary(user);
+  assert.deepEqual(mine.map(p => [p.practiceId, p.completed, p.avgChange]), [["box_breath_2_en", 1, -3], ["calm_breath_3_en", 0, null]]);
+  const all = await practiceSummary();
+  assert.deepEqual(all.map(p => [p.practiceId, p.avgBefore, p.avgAfter]), [["box_breath_2_en", 8, 5]]);
+});
+
+test("concurrent pairs from different users all reach the per-practice totals", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "calmalink-checkins-"));
+  try {
+    for (const store of [createMemoryStore(), createFileStore(dir)]) {
+      const users = Array.from({ length: 6 }, (_, i) => `client:u${i}`);
+      for (const user of users) await recordCheckin({ user, practiceId: "box_breath_2_en", language: "en", phase: "before", rating: 8 }, { store });
+      await Promise.all(users.map(user => recordCheckin({ user, practiceId: "box_breath_2_en", language: "en", phase: "after", rating: 4 }, { store })));
+      const [total] = await practiceSummary({ store });
+      assert.deepEqual([total.ratings, total.completed, total.avgChange], [12, 6, -4], store.kind);
+    }
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  const sent = [];
+  const redis = createRedisStore({ url: "https://kv.example", fetchImpl: async (url, init) => {
+    sent.push(JSON.parse(init.body));
+    return { ok: true, json: async () => ({ result: sent.length === 1 ? 3 : 1 }) };
+  } });
+  assert.equal(await redis.incr("k", 2, 60), 3);
+  assert.deepEqual(sent, [["INCRBY", "k", "2"], ["EXPIRE", "k", "60"]]);
+});
+
+test("deterministic engines ask before, take typed ratings and report the change", async () => {
+  for (const engine of ["v1", "v2"]) {
+    const started = await chat(engine, { message: "play calm breath" });
+    const { clientToken } = started;
+    assert.equal(started.tool.name, "get_meditation");
+    assert.equal(started.checkin.phase, "before");
+    assert.equal(started.checkin.practiceId, started.tool.result.id);
+    assert.ok(started.message.endsWith(t("en", "checkin.before")));
+
+    const before = await chat(engine, { sessionId: started.sessionId, message: "7" });
+    assert.equal(before.clientToken, undefined);
+    assert.equal(before.intent, "checkin");
+    assert.equal(before.checkin.phase, "after");
+
+    const after = await chat(engine, { sessionId: started.sessionId, message: "3" });
+    assert.equal(after.intent, "checkin");
+    assert.equal(after.message, t("en", "checkin.down", { before: 7, after: 3 }));
+    assert.equal(after.checkin, undefined);
+
+    const [summary] = await userSummary(userOf({ clientToken }));
+    assert.equal(summary.avgChange, -4);
+  }
+});
+
+test("a number without a pending check-in is ordinary chat", async () => {
+  const out = await chat("v1", { message: "7" });
+  assert.notEqual(out.intent, "checkin");
+});
+
+test("v3 records a rating through record_stress_rating", async () => {
+  const started = await chat("v1", { message: "play calm breath" });
+  await chat("v1", { sessionId: started.sessionId, message: "8" });
+  setLLM(createFakeProvider({ script: [
+    { call: "record_stress_rating", args: { phase: "after", rating: 4 } },
+    { text: "Nice work — that is a real drop." }
+  ] }));
+  const out = await chat("v3", { sessionId: started.sessionId, message: "I feel a lot lighter now, maybe a four" });
+  setLLM(null);
+  assert.equal(out.intent, "checkin");
+  const [summary] = await userSummary(userOf({ clientToken: started.clientToken }));
+  assert.deepEqual([summary.avgBefore, summary.avgAfter], [8, 4]);
+});
+
+test("POST /api/checkin validates, records and advances the session", async () => {
+  const started = await chat("v1", { message: "play box breathing" });
+  const sessionId = started.sessionId;
+  assert.equal((await call("POST", { body: { practiceId: "nope", phase: "before", rating: 5, sessionId } })).code, 400);
+  assert.equal((await call("POST", { body: { practiceId: "box_breath_2_en", phase: "during", rating: 5, sessionId } })).code, 400);
+  assert.equal((await call("POST", { body: { practiceId: "box_breath_2_en", phase: "before", rating: 12, sessionId } })).code, 400);
+  assert.equal((await call("POST", { body: { practiceId: "box_breath_2_en", phase: "before", rating: 5, clientId: "w" } })).code, 400);
+  assert.equal((await call("POST", { body: { practiceId: "box_breath_2_en", phase: "before", rating: 5, sessionId: "0f8fad5b-d9cb-469f-a165-70867728950e" } })).code, 404);
+
+  // A clientId in the body does not pick whose ratings are written
+  const before = await call("POST", { body: { practiceId: started.tool.result.id, phase: "before", rating: 6, clientId: "someone-else", sessionId } });
+  assert.equal(before.code, 200);
+  assert.equal(before.body.checkin.phase, "after");
+
+  const after = await call("POST", { body: { practiceId: started.tool.result.id, phase: "after", rating: 6, sessionId, language: "es" } });
+  assert.equal(after.body.saved.change, 0);
+  assert.equal(after.body.message, t("es", "checkin.same", { before: 6, after: 6 }));
+  assert.equal((await userSummary(userOf({ clientToken: started.clientToken })))[0].completed, 1);
+  assert.deepEqual(await userSummary("client:someone-else"), []);
+
+  // The widget answered the session's pending question, so a typed "4" is no longer a rating
+  const next = await chat("v1", { sessionId, message: "4" });
+  assert.notEqual(next.intent, "checkin");
+});
+
+test("GET /api/checkin returns the session's and per-practice aggregates", async () => {
+  const { sessionId, clientToken } = await chat("v1", { message: "hello" });
+  const user = userOf({ clientToken });
+  await recordCheckin({ user, practiceId: "box_breath_2_en", language: "en", phase: "before", rating: 9 });
+  await recordCheckin({ user, practiceId: "box_breath_2_en", language: "en", phase: "after", rating: 4 });
+  const mine = await call("GET", { query: { sessionId } });
+  assert.equal(mine.headers["Cache-Control"], "no-store");
+  assert.equal(mine.body.practices[0].avgChange, -5);
+  assert.equal((await call("GET", { query: { clientId: "g" } })).code, 400);
+  assert.equal((await call("GET", { query: { sessionId: "0f8fad5b-d9cb-469f-a165-70867728950e" } })).code, 404);
+  const all = await call("GET", { query: { scope: "practices" } });
+  assert.equal(all.body.practices[0].completed, 1);
+  assert.ok(!JSON.stringify(all.body).includes(user));
+  assert.equal((await call("GET")).code, 400);
+  assert.equal((await call("DELETE")).code, 405);
+});
+
+test("a session is bound to its user once: a client id or another client's token cannot point it at someone else", async () => {
+  await recordCheckin({ user: "client:victim-123", practiceId: "box_breath_2_en", language: "en", phase: "before", rating: 9 });
+  await recordCheckin({ user: "client:victim-123", practiceId: "box_breath_2_en", language: "en", phase: "after", rating: 2 });
+  const started = await chat("v1", { message: "hi", clientId: "victim-123" });
+  assert.notEqual(userOf({ clientToken: started.clientToken }), "client:victim-123");
+  assert.deepEqual((await call("GET", { query: { sessionId: started.sessionId } })).body.practices, []);
+
+  // A later turn carrying another client's valid token does not rebind the session
+  const other = await chat("v1", { message: "hello" });
+  await recordCheckin({ user: userOf({ clientToken: other.clientToken }), practiceId: "box_breath_2_en", language: "en", phase: "before", rating: 5 });
+  await chat("v1", { sessionId: started.sessionId, message: "hi again", clientToken: other.clientToken, clientId: "victim-123" });
+  assert.deepEqual((await call("GET", { query: { sessionId: started.sessionId } })).body.practices, []);
+
+  // A returning client keeps its identity in a new session
+  const again = await chat("v1", { message: "hello", clientToken: other.clientToken });
+  assert.equal(again.clientToken, undefined);
+  assert.equal((await call("GET", { query: { sessionId: again.sessionId } })).body.practices.length, 1);
+});
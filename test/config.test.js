@@ -0,0 +1,183 @@
+// test/config.test.js
+// Central config: layering (defaults ← file ← env), origin patterns, per-engine models and the single diagnostic.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { loadConfig, diagnostic, originPattern, originAllowed, setConfig, DEFAULT_ORIGINS } from "../lib/config.js";
+import { withCORS } from "../lib/http.js";
+import { misconfigured } from "../lib/engines/v3.js";
+import { withOrigin } from "../lib/catalog.js";
+
+const dir = mkdtempSync(join(tmpdir(), "calmalink-config-"));
+after(() => { rmSync(dir, { recursive: true, force: true }); setConfig(null); });
+
+function file(name, data) {
+  const path = join(dir, name);
+  writeFileSync(path, typeof data === "string" ? data : JSON.stringify(data));
+  return path;
+}
+
+function corsFor(config, origin) {
+  setConfig(config);
+  const headers = {};
+  withCORS({ headers: { origin } }, { setHeader: (k, v) => { headers[k] = v; } });
+  return headers["Access-Control-Allow-Origin"];
+}
+
+test("defaults are valid apart from the missing OpenAI key", () => {
+  const config = loadConfig({ NODE_ENV: "test" });
+  assert.equal(config.environment, "development");
+  assert.equal(config.engines.v3.model, "gpt-4o");
+  assert.equal(config.engines.v3.temperature, 0.6);
+  assert.equal(diagnostic(config), null);
+  assert.equal(diagnostic(config, ["llm"]), "Server misconfigured: OPENAI_API_KEY is missing.");
+  assert.deepEqual(loadConfig({ VERCEL_ENV: "production" }).cors.origins, DEFAULT_ORIGINS.production);
+});
+
+test("an unset environment is production, with the strict origin list", () => {
+  for (const env of [{}, { NODE_ENV: "staging" }, { NODE_ENV: "production" }]) {
+    const config = loadConfig(env);
+    assert.equal(config.environment, "production");
+    assert.deepEqual(config.cors.origins, DEFAULT_ORIGINS.production);
+  }
+  assert.equal(corsFor(loadConfig({}), "http://localhost:3000"), "https://calmalink.com");
+  assert.deepEqual(loadConfig({ CALMALINK_ENV: "staging" }).cors.origins, DEFAULT_ORIGINS.production);
+});
+
+test("a preview allows its own Vercel hostnames, not every vercel.app site", () => {
+  const preview = loadConfig({ VERCEL_ENV: "preview", VERCEL_URL: "calmalink-a1b2c3d4e-team.vercel.app", VERCEL_BRANCH_URL: "calmalink-git-main-team.vercel.app" });
+  assert.equal(corsFor(preview, "https://calmalink-a1b2c3d4e-team.vercel.app"), "https://calmalink-a1b2c3d4e-team.vercel.app");
+  assert.equal(corsFor(preview, "https://calmalink-git-main-team.vercel.app"), "https://calmalink-git-main-team.vercel.app");
+  assert.equal(corsFor(preview, "https://evil.vercel.app"), "https://calmalink.com");
+  assert.equal(corsFor(loadConfig({ NODE_ENV: "development" }), "https://evil.vercel.app"), "https://calmalink.com");
+});
+
+test("wildcard and regex origins", () => {
+  const star = originPattern("https://*.squarespace.com");
+  assert.ok(star.test("https://calmalink-preview.squarespace.com"));
+  assert.ok(star.test("https://a.b.squarespace.com"));
+  assert.ok(!star.test("https://squarespace.com.evil.io"));
+  assert.ok(!star.test("https://evil.io/x.squarespace.com"));
+  assert.ok(originPattern("http://localhost:*").test("http://localhost:3000"));
+  const re = originPattern("/^https:\\/\\/calmalink-[a-z0-9-]+\\.vercel\\.app$/");
+  assert.ok(originAllowed("https://calmalink-git-main.vercel.app", [re]));
+  assert.equal(originPattern("calmalink.com"), null);
+  assert.equal(originPattern("/([/"), null);
+});
+
+test("CORS echoes allowed origins and falls back to the first exact origin", () => {
+  const preview = loadConfig({ CALMALINK_ENV: "preview" });
+  assert.equal(corsFor(preview, "https://calmalink-preview.squarespace.com"), "https://calmalink-preview.squarespace.com");
+  const production = loadConfig({ CALMALINK_ENV: "production" });
+  assert.equal(corsFor(production, "https://calmalink-preview.squarespace.com"), "https://calmalink.com");
+  const custom = loadConfig({ CORS_ORIGINS: "https://*.example.org, https://app.example.org" });
+  assert.equal(corsFor(custom, "https://evil.io"), "https://app.example.org");
+});
+
+test("CORS allows the custom headers the chat reads", () => {
+  const headers = {};
+  withCORS({ headers: {} }, { setHeader: (k, v) => { headers[k] = v; } });
+  const allowed = headers["Access-Control-Allow-Headers"].toLowerCase().split(/,\s*/);
+  for (const name of ["content-type", "x-calmalink-engine", "x-client-id", "x-client-token"]) assert.ok(allowed.includes(name), name);
+});
+
+test("file settings layer under env, with per-environment overrides", () => {
+  const prompt = file("prompt.txt", "You are a test prompt.");
+  const path = file("config.json", {
+    engines: { v3: { model: "gpt-4o-mini", temperature: 0.3 } },
+    audio: { baseUrl: "https://cdn.calmalink.com" },
+    environments: { preview: { cors: { origins: ["https://*.squarespace.com"] } } }
+  });
+  const config = loadConfig({ CALMALINK_CONFIG: path, CALMALINK_ENV: "preview", ENGINE_V3_TEMPERATURE: "0.9", ENGINE_V3_PROMPT_FILE: prompt });
+  assert.equal(config.engines.v3.model, "gpt-4o-mini");
+  assert.equal(config.engines.v3.temperature, 0.9);
+  assert.equal(config.engines.v3.prompt, "You are a test prompt.");
+  assert.equal(config.audio.baseUrl, "https://cdn.calmalink.com");
+  assert.deepEqual(config.cors.origins, ["https://*.squarespace.com"]);
+  assert.equal(config.problems.length, 1); // only the missing key
+});
+
+test("every problem ends up in one diagnostic", () => {
+  const config = loadConfig({
+    CALMALINK_CONFIG: file("broken.json", "{ not json"),
+    CORS_ORIGINS: "calmalink.com",
+    ENGINE_V3_TEMPERATURE: "hot",
+    AUDIO_BASE_URL: "cdn.calmalink.com",
+    CRISIS_CLASSIFIER: "maybe"
+  });
+  const global = diagnostic(config);
+  assert.match(global, /^Server misconfigured: config file .*broken\.json is unusable/);
+  assert.match(global, /CORS origin "calmalink\.com"/);
+  assert.match(global, /AUDIO_BASE_URL/);
+  assert.match(global, /CRISIS_CLASSIFIER/);
+  assert.doesNotMatch(global, /temperature|OPENAI_API_KEY/);
+
+  const v3 = misconfigured(config);
+  assert.match(v3, /OPENAI_API_KEY is missing/);
+  assert.match(v3, /engines\.v3\.temperature must be a number from 0 to 2/);
+  assert.equal(misconfigured(loadConfig({ OPENAI_API_KEY: "k" })), null);
+});
+
+test("a missing config file or prompt file is reported, not thrown", () => {
+  const config = loadConfig({ OPENAI_API_KEY: "k", CALMALINK_CONFIG: join(dir, "nope.json"), ENGINE_V3_PROMPT_FILE: join(dir, "nope.txt") });
+  assert.match(diagnostic(config), /nope\.json is unusable \(not found\)/);
+  assert.match(misconfigured(config), /promptFile .*nope\.txt cannot be read \(ENOENT\)/);
+});
+
+test("AUDIO_BASE_URL replaces the request origin in media links", () => {
+  setConfig(loadConfig({ AUDIO_BASE_URL: "https://cdn.calmalink.com/" }));
+  const linked = withOrigin({ audioUrl: "/api/audio/x?exp=1&sig=s", captionsUrl: "/api/captions/x.vtt" }, "https://calmalink.vercel.app");
+  assert.equal(linked.audioUrl, "https://cdn.calmalink.com/api/audio/x?exp=1&sig=s");
+  assert.equal(linked.captionsUrl, "https://cdn.calmalink.com/api/captions/x.vtt");
+  setConfig(loadConfig({}));
+  assert.equal(withOrigin({ audioUrl: "/a", captionsUrl: null }, "https://h").audioUrl, "https://h/a");
+});
+
+test("event sinks default per environment and are validated", () => {
+  assert.deepEqual(loadConfig({ NODE_ENV: "test" }).events.sinks, ["store"]);
+  assert.deepEqual(loadConfig({ VERCEL_ENV: "production" }).events.sinks, ["stdout", "store"]);
+  assert.deepEqual(loadConfig({ EVENT_SINKS: "stdout, FILE", EVENT_LOG_FILE: "/tmp/e.jsonl" }).events.sinks, ["stdout", "file"]);
+  assert.match(diagnostic(loadConfig({ EVENT_SINKS: "file" })), /EVENT_LOG_FILE is required/);
+  assert.match(diagnostic(loadConfig({ EVENT_SINKS: "kafka" })), /EVENT_SINKS entries must be stdout, file, store \(got "kafka"\)/);
+  assert.match(diagnostic(loadConfig({ EVENT_RETENTION_DAYS: "0" })), /EVENT_RETENTION_DAYS/);
+  assert.equal(loadConfig({ METRICS_TOKEN: "t" }).metrics.token, "t");
+});
+
+test("PII redaction is on by default and names are opt-in", () => {
+  assert.deepEqual(loadConfig({}).privacy, { redact: true, redactNames: false });
+  assert.deepEqual(loadConfig({ PII_REDACTION: "OFF", PII_REDACT_NAMES: "on" }).privacy, { redact: false, redactNames: true });
+});
+
+test("the content store and admin token come from the environment", () => {
+  assert.deepEqual(loadConfig({}).content, { dir: null, adminToken: null });
+  assert.deepEqual(loadConfig({ CONTENT_DIR: "/srv/content", ADMIN_TOKEN: "a" }).content, { dir: "/srv/content", adminToken: "a" });
+});
+
+test("the SMS webhook token and public URL come from the environment", () => {
+  assert.deepEqual(loadConfig({}).sms, { authToken: null, webhookUrl: null });
+  const config = loadConfig({ TWILIO_AUTH_TOKEN: "t", SMS_WEBHOOK_URL: "https://calmalink.com/api/sms" });
+  assert.deepEqual(config.sms, { authToken: "t", webhookUrl: "https://calmalink.com/api/sms" });
+  assert.ok(loadConfig({ SMS_WEBHOOK_URL: "/api/sms" }).problems.some(p => /SMS_WEBHOOK_URL/.test(p.message)));
+});
+
+test("guard limits, engine routing, session expiry and the context budget are read and validated here", () => {
+  const defaults = loadConfig({});
+  assert.deepEqual([defaults.guard.ipPerMinute, defaults.guard.overLimit, defaults.chat.engine, defaults.sessions.ttlSeconds, defaults.context.tokenBudget], [30, "reject", "v1", 86400, 3000]);
+  const config = loadConfig({
+    GUARD_IP_PER_MINUTE: "0", GUARD_OVER_LIMIT: "Fallback", CHAT_ENGINE: "V2", CHAT_ENGINE_SPLIT: "v2:80,v3:20",
+    SESSION_TTL_SECONDS: "600", CONTEXT_TOKEN_BUDGET: "1200"
+  });
+  assert.equal(diagnostic(config), null);
+  assert.deepEqual([config.guard.ipPerMinute, config.guard.overLimit, config.chat.engine, config.chat.split, config.sessions.ttlSeconds, config.context.tokenBudget], [0, "fallback", "v2", "v2:80,v3:20", 600, 1200]);
+
+  const bad = diagnostic(loadConfig({
+    GUARD_MAX_TURNS: "lots", GUARD_OVER_LIMIT: "drop", GUARD_FALLBACK_ENGINE: "v3", CHAT_ENGINE: "v9", CHAT_ENGINE_SPLIT: "v2:80,v3:x",
+    SESSION_TTL_SECONDS: "-1", CONTEXT_TOKEN_BUDGET: "big", GUARD_TRUSTED_PROXIES: "1.5"
+  }));
+  for (const name of ["GUARD_MAX_TURNS", "GUARD_TRUSTED_PROXIES", "GUARD_OVER_LIMIT", "GUARD_FALLBACK_ENGINE", "CHAT_ENGINE must", 'CHAT_ENGINE_SPLIT entries .*"v3:x"', "SESSION_TTL_SECONDS", "CONTEXT_TOKEN_BUDGET"]) {
+    assert.match(bad, new RegExp(name));
+  }
+});
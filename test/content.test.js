@@ -0,0 +1,180 @@
+// test/content.test.js
+// Content admin API: token, create / update / publish / unpublish, audio + captions uploads, version history,
+// and chat, library and audio routes picking up published meditations without a code change.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileContentStore, setContentStore, createMeditation, updateMeditation } from "../lib/content.js";
+import { refreshCatalog, findPractice, categoryFromText, meditationResult } from "../lib/catalog.js";
+import { setConfig, loadConfig } from "../lib/config.js";
+import { handleChat } from "../lib/chat.js";
+import meditations from "../api/admin/meditations.js";
+import meditation from "../api/admin/meditations/[id].js";
+import media from "../api/admin/media.js";
+import library from "../api/library.js";
+import audio from "../api/audio/[id].js";
+
+const dir = mkdtempSync(join(tmpdir(), "calmalink-content-"));
+const AUTH = { authorization: "Bearer adm1n" };
+
+before(() => {
+  setConfig(loadConfig({ OPENAI_API_KEY: "k", ADMIN_TOKEN: "adm1n" }));
+  setContentStore(fileContentStore(dir));
+});
+after(() => { rmSync(dir, { recursive: true, force: true }); setContentStore(null); setConfig(null); });
+
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null, ended: false,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end() { this.ended = true; return this; }
+  };
+}
+
+async function call(handler, { method = "GET", headers = AUTH, body, query = {}, url = "/" } = {}) {
+  const res = fakeRes();
+  await handler({ method, headers, body, query, url }, res);
+  return res;
+}
+
+// Silent MPEG-2 Layer III frames (8 kbps, 22.05 kHz): 26 bytes and 576 samples each
+function mp3(seconds) {
+  const frames = Math.round((seconds * 22050) / 576);
+  const frame = Buffer.alloc(26);
+  frame.set([0xff, 0xf3, 0x10, 0xc4]);
+  return Buffer.concat(Array.from({ length: frames }, () => frame)).toString("base64");
+}
+
+const vtt = cues => `WEBVTT\n\n${cues.map(([a, b, text]) => `00:00:${a}.000 --> 00:00:${b}.000\n${text}`).join("\n\n")}\n`;
+
+const UNWIND = {
+  id: "evening_unwind",
+  duration: 3,
+  tags: ["sleep", "relaxation"],
+  variants: {
+    en: { name: "Evening Unwind", script: "Settle into your seat. Let the day fall away with each breath." },
+    es: { name: "Descanso Nocturno", script: "Acomódate. Deja que el día se aleje con cada respiración.", aliases: ["descanso nocturno"] }
+  }
+};
+
+test("the admin API needs the admin token", async () => {
+  setConfig(loadConfig({ OPENAI_API_KEY: "k" }));
+  assert.equal((await call(meditations)).code, 503);
+  setConfig(loadConfig({ OPENAI_API_KEY: "k", ADMIN_TOKEN: "adm1n" }));
+  assert.equal((await call(meditations, { headers: {} })).code, 401);
+  const wrong = await call(meditations, { headers: { authorization: "Bearer nope" } });
+  assert.equal(wrong.code, 401);
+  assert.equal(wrong.headers["Cache-Control"], "no-store");
+  assert.equal((await call(meditations)).code, 200);
+});
+
+test("create validates input and starts unpublished", async () => {
+  const invalid = await call(meditations, { method: "POST", body: { id: "Bad Id", duration: 0, variants: { de: { name: "x", script: "y" } } } });
+  assert.equal(invalid.code, 422);
+  assert.equal(invalid.body.problems.length, 3);
+  assert.match(invalid.body.problems.join("\n"), /id must be.*\n.*duration must be.*\n.*unknown language "de"/);
+
+  const created = await call(meditations, { method: "POST", body: UNWIND });
+  assert.equal(created.code, 201);
+  assert.deepEqual([created.body.meditation.version, created.body.meditation.published], [1, false]);
+  assert.equal(created.body.meditation.history, undefined);
+  assert.equal((await call(meditations, { method: "POST", body: UNWIND })).code, 409);
+
+  const list = await call(meditations);
+  assert.deepEqual(list.body.meditations.map(m => [m.id, m.published, m.languages]), [["evening_unwind", false, ["en", "es"]]]);
+  assert.equal(categoryFromText("play evening unwind"), null);
+});
+
+test("publishing needs audio whose length matches in every language", async () => {
+  const publish = () => call(meditation, { method: "PATCH", query: { id: "evening_unwind" }, body: { published: true } });
+  let res = await publish();
+  assert.equal(res.code, 422);
+  assert.deepEqual(res.body.problems, ["en: audio is required to publish", "es: audio is required to publish"]);
+
+  assert.equal((await call(media, { method: "POST", body: { meditation: "evening_unwind", language: "en", kind: "audio", data: "bm90IGF1ZGlv" } })).code, 422);
+  for (const language of ["en", "es"]) {
+    res = await call(media, { method: "POST", body: { meditation: "evening_unwind", language, kind: "audio", data: mp3(language === "en" ? 180 : 60) } });
+    assert.equal(res.code, 200);
+  }
+  res = await publish();
+  assert.equal(res.code, 422);
+  assert.match(res.body.problems.join(" "), /es: audio is 60s long but the meditation is 3 min/);
+
+  res = await call(media, { method: "POST", body: { meditation: "evening_unwind", language: "es", kind: "audio", data: mp3(175) } });
+  assert.equal(res.code, 200);
+  res = await publish();
+  assert.equal(res.code, 200);
+  assert.deepEqual([res.body.meditation.published, res.body.meditation.version], [true, 5]);
+});
+
+test("captions are checked against the uploaded audio", async () => {
+  const upload = data => call(media, { method: "POST", body: { meditation: "evening_unwind", language: "en", kind: "captions", data } });
+  assert.equal((await upload("not a vtt")).code, 422);
+  const late = await upload(vtt([["05", "10", "Settle in."]]).replace("00:00:05.000 --> 00:00:10.000", "00:04:05.000 --> 00:04:10.000"));
+  assert.equal(late.code, 422);
+  assert.match(late.body.problems[0], /after the audio/);
+  assert.equal((await upload(vtt([["00", "04", "Settle into your seat."], ["05", "09", "Let the day fall away."]]))).code, 200);
+});
+
+test("chat, library and audio pick up published meditations", async () => {
+  const res = fakeRes();
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v1" }, body: { messages: [{ role: "user", content: "play evening unwind" }] } }, res);
+  const result = res.body.tool.result;
+  assert.deepEqual([result.id, result.category, result.title], ["evening_unwind_3_en", "evening_unwind", "Evening Unwind • 3 min"]);
+  assert.equal(result.audio.durationSeconds, 180);
+  assert.deepEqual(result.segments.map(s => s.text), ["Settle into your seat.", "Let the day fall away."]);
+
+  const lib = await call(library, { headers: {}, query: { language: "es" } });
+  const listed = lib.body.practices.find(p => p.id === "evening_unwind_3_es");
+  assert.ok(listed);
+  assert.equal(lib.headers["Cache-Control"], "public, max-age=300");
+  assert.deepEqual([listed.audioUrl, listed.audio.contentType, listed.audio.expiresAt], [null, "audio/mpeg", undefined], "a cached listing carries no signed link");
+
+  const [, query] = result.audioUrl.split("?");
+  const played = await call(audio, { method: "HEAD", headers: {}, query: { id: result.id, ...Object.fromEntries(new URLSearchParams(query)) } });
+  assert.equal(played.code, 200);
+  assert.equal(played.headers["Content-Type"], "audio/mpeg");
+});
+
+test("edits, unpublishing and the version history", async () => {
+  let res = await call(meditation, { method: "PATCH", query: { id: "evening_unwind" }, body: { variants: { es: { name: "Calma Nocturna" } } } });
+  assert.equal(res.code, 200);
+  assert.equal(findPractice({ category: "evening_unwind", language: "es" }).name, "Calma Nocturna");
+  assert.equal((await call(meditation, { method: "PATCH", query: { id: "evening_unwind" }, body: { duration: 10 } })).code, 422);
+
+  res = await call(meditation, { method: "PATCH", query: { id: "evening_unwind" }, body: { published: false } });
+  assert.equal(res.body.meditation.published, false);
+  assert.equal(categoryFromText("play evening unwind"), null);
+
+  res = await call(meditation, { url: "/api/admin/meditations/evening_unwind" });
+  assert.deepEqual(res.body.history.map(h => [h.version, h.action, h.language ?? null]), [
+    [1, "create", null], [2, "audio", "en"], [3, "audio", "es"], [4, "audio", "es"], [5, "publish", null],
+    [6, "captions", "en"], [7, "update", null], [8, "unpublish", null]
+  ]);
+  assert.equal(res.body.history[6].meditation.variants.es.name, "Calma Nocturna");
+  assert.equal(res.body.history[0].meditation.variants.es.name, "Descanso Nocturno");
+  assert.equal((await call(meditation, { query: { id: "nope" } })).code, 404);
+});
+
+test("breathing-pattern meditations publish without audio and can replace a built-in practice", () => {
+  const store = fileContentStore(dir);
+  createMeditation({
+    id: "box_breath", duration: 3, pattern: "box", tags: ["breathing", "focus"], published: true,
+    variants: { en: { name: "Square Breathing", script: "Trace a square with your breath." } }
+  }, { store });
+  assert.equal(findPractice({ category: "box_breath" }).name, "Box Breathing");
+  // Another writer (or instance) changed the store: the next refresh sees it
+  assert.equal(refreshCatalog(), true);
+  const p = findPractice({ category: "box_breath", language: "en" });
+  assert.deepEqual([p.name, meditationResult(p).pacer.label, meditationResult(p).audioUrl], ["Square Breathing", "4-4-4-4", null]);
+  assert.equal(findPractice({ category: "box_breath", language: "es" }).language, "en");
+
+  updateMeditation("box_breath", { published: false }, { store });
+  refreshCatalog();
+  assert.equal(findPractice({ category: "box_breath", language: "es" }).name, "Respiración Cuadrada");
+});
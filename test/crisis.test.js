@@ -0,0 +1,46 @@
+// test/crisis.test.js
+// Labelled EN/ES/PT/FR crisis cases (test/fixtures/crisis_cases.jsonl) against the rule-based assessor.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { assessRisk, assessRiskWithModel, detectSignals } from "../lib/crisis.js";
+
+const cases = readFileSync(new URL("./fixtures/crisis_cases.jsonl", import.meta.url), "utf8")
+  .split("\n").filter(Boolean).map(line => JSON.parse(line));
+const asMessages = turns => turns.flatMap(content => [{ role: "user", content }, { role: "assistant", content: "…" }]).slice(0, -1);
+
+for (const c of cases) {
+  test(`crisis tier: ${c.id}`, () => {
+    assert.equal(assessRisk(asMessages(c.turns)).tier, c.tier);
+  });
+}
+
+test("assistant turns never count as signals", () => {
+  const r = assessRisk([{ role: "assistant", content: "If you want to die, call 988." }, { role: "user", content: "thanks" }]);
+  assert.equal(r.tier, "none");
+});
+
+test("signals report the matched phrase and language", () => {
+  assert.deepEqual(detectSignals("no le importo a nadie"), [{ phrase: "no le importo a nadie", lang: "es", level: "concern" }]);
+  assert.deepEqual(detectSignals("je n’en peux plus"), [{ phrase: "je nen peux plus", lang: "fr", level: "concern" }]);
+  // Shared by Spanish and Portuguese: one signal, not two
+  assert.equal(detectSignals("penso no suicidio").length, 1);
+});
+
+test("model classifier escalates but never downgrades", async () => {
+  const up = await assessRiskWithModel([{ role: "user", content: "I gave away my things today" }], async () => "acute");
+  assert.equal(up.tier, "acute");
+  assert.equal(up.source, "model");
+  const down = await assessRiskWithModel([{ role: "user", content: "I want to die" }], async () => "none");
+  assert.equal(down.tier, "acute");
+});
+
+test("classifier failures fall back to the rules", async () => {
+  const orig = console.error;
+  console.error = () => {};
+  try {
+    const r = await assessRiskWithModel([{ role: "user", content: "nobody would miss me" }], async () => { throw new Error("offline"); });
+    assert.equal(r.tier, "concern");
+  } finally { console.error = orig; }
+});
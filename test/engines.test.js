@@ -0,0 +1,151 @@
+// test/engines.test.js
+// Engine selection for /api/chat (override, sticky A/B split, default), the shared response shape and v3's tool loop.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { selectEngine, parseSplit, ENGINES } from "../lib/engines/index.js";
+import { handleChat } from "../lib/chat.js";
+import { setLLM } from "../lib/llm.js";
+import { MAX_TOOL_ROUNDS } from "../lib/engines/v3.js";
+import { setStore, createMemoryStore } from "../lib/store.js";
+import { loadConfig } from "../lib/config.js";
+import { t } from "../lib/i18n.js";
+
+const req = (headers = {}) => ({ headers });
+const routing = env => loadConfig(env).chat;
+
+function fakeRes() {
+  return {
+    headers: {}, code: 0, body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end() { return this; }
+  };
+}
+
+test("header and body overrides win", () => {
+  assert.equal(selectEngine(req({ "x-calmalink-engine": "v2" }), {}, routing({})).name, "v2");
+  assert.equal(selectEngine(req(), { engine: "v3" }, routing({ CHAT_ENGINE: "v1" })).name, "v3");
+  assert.equal(selectEngine(req({ "x-calmalink-engine": "v9" }), {}, routing({})).name, "v1");
+});
+
+test("split parsing drops unknown engines and bad weights", () => {
+  assert.deepEqual(parseSplit("v2:80, v3:20, v9:5, v1:x"), [{ name: "v2", weight: 80 }, { name: "v3", weight: 20 }]);
+  assert.deepEqual(parseSplit(""), []);
+});
+
+test("split is sticky per client and roughly follows the weights", () => {
+  const env = routing({ CHAT_ENGINE_SPLIT: "v2:80,v3:20" });
+  const counts = { v2: 0, v3: 0 };
+  for (let i = 0; i < 500; i++) {
+    const a = selectEngine(req(), { clientId: `client-${i}` }, env);
+    assert.equal(a.reason, "split");
+    assert.equal(selectEngine(req({ "x-client-id": `client-${i}` }), {}, env).name, a.name);
+    counts[a.name]++;
+  }
+  assert.ok(counts.v2 > 350 && counts.v3 > 50, JSON.stringify(counts));
+});
+
+test("without a client id the configured default applies", () => {
+  assert.deepEqual(
+    { name: selectEngine(req(), {}, routing({ CHAT_ENGINE_SPLIT: "v2:1", CHAT_ENGINE: "v2" })).name, reason: "default" },
+    { name: "v2", reason: "default" }
+  );
+  assert.equal(selectEngine(req(), {}, routing({})).name, "v1");
+});
+
+test("every engine exposes respond()", () => {
+  for (const [name, engine] of Object.entries(ENGINES)) {
+    assert.equal(engine.name, name);
+    assert.equal(typeof engine.respond, "function");
+  }
+});
+
+test("deterministic engines share the normalised response shape", async () => {
+  for (const engine of ["v1", "v2"]) {
+    const res = fakeRes();
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": engine }, body: { messages: [{ role: "user", content: "play box breathing" }] } }, res);
+    assert.equal(res.code, 200);
+    assert.equal(res.body.engine, engine);
+    assert.equal(res.body.intent, "get_meditation");
+    assert.equal(res.body.tool.name, "get_meditation");
+    assert.equal(typeof res.body.message, "string");
+  }
+});
+
+test("v3 answers deterministically when the provider fails, but a bug in our code is not hidden behind the fallback", async () => {
+  const orig = console.error;
+  console.error = () => {};
+  const failing = err => ({ name: "failing", responses: { async create() { throw err; } } });
+  const messages = [{ role: "user", content: "I keep replaying the meeting" }];
+  try {
+    setLLM(failing(Object.assign(new Error("upstream"), { status: 503 })));
+    assert.equal((await ENGINES.v3.respond({ messages, session: null })).fallback, "provider_error");
+    setLLM(failing(new TypeError("Cannot read properties of undefined (reading 'output')")));
+    await assert.rejects(ENGINES.v3.respond({ messages, session: null }), TypeError);
+  } finally { setLLM(null); console.error = orig; }
+});
+
+test("a session store outage answers 500 with the reply shape", async () => {
+  const orig = console.error;
+  console.error = () => {};
+  setStore({ ...createMemoryStore(), async get() { throw new Error("store down"); } });
+  try {
+    const res = fakeRes();
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2" }, body: { sessionId: "0f8fad5b-d9cb-469f-a165-70867728950e", message: "hi" } }, res);
+    assert.equal(res.code, 500);
+    assert.deepEqual([res.body.engine, res.body.intent], ["v2", "error"]);
+    assert.match(res.body.message, /^Something went wrong/);
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2" }, body: { sessionId: "0f8fad5b-d9cb-469f-a165-70867728950e", message: "hola, no me siento bien" } }, res);
+    assert.equal(res.body.message, t("es", "request.failed"));
+  } finally { setStore(null); console.error = orig; }
+});
+
+test("a failure after the engine ran answers 500, or an error event once streaming", async () => {
+  const orig = console.error;
+  console.error = () => {};
+  setStore({ ...createMemoryStore(), async set() { throw new Error("store down"); } });
+  try {
+    const res = fakeRes();
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2" }, body: { message: "play box breathing" } }, res);
+    assert.deepEqual([res.code, res.body.intent], [500, "error"]);
+
+    const streamed = { ...fakeRes(), raw: "", ended: false, write(chunk) { this.raw += chunk; }, end() { this.ended = true; return this; } };
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2" }, body: { message: "play box breathing", stream: "ndjson" } }, streamed);
+    const events = streamed.raw.split("\n").filter(Boolean).map(l => JSON.parse(l));
+    assert.deepEqual(events.map(e => e.type), ["error"]);
+    assert.match(events[0].message, /^Something went wrong/);
+    assert.ok(streamed.ended);
+  } finally { setStore(null); console.error = orig; }
+});
+
+test("v3 returns every tool result as function_call_output and stops after MAX_TOOL_ROUNDS", async () => {
+  const calls = [];
+  setLLM({
+    responses: {
+      async create(params) {
+        calls.push(params);
+        const n = calls.length;
+        return { output: [
+          { type: "function_call", id: `fc_${n}a`, call_id: `c${n}a`, name: "get_library", arguments: "{}" },
+          { type: "function_call", id: `fc_${n}b`, call_id: `c${n}b`, name: "no_such_tool", arguments: "{" }
+        ], output_text: "" };
+      }
+    }
+  });
+  const out = await ENGINES.v3.respond({ messages: [{ role: "user", content: "what kinds of things could I try here?" }], session: null });
+  setLLM(null);
+
+  assert.equal(calls.length, MAX_TOOL_ROUNDS + 1);
+  assert.deepEqual(calls.map(c => c.tool_choice), [...Array(MAX_TOOL_ROUNDS).fill("auto"), "none"]);
+  const input = calls[1].input;
+  assert.deepEqual(input.filter(i => i.type === "function_call").map(i => i.call_id), ["c1a", "c1b"]);
+  const outputs = input.filter(i => i.type === "function_call_output");
+  assert.deepEqual(outputs.map(o => o.call_id), ["c1a", "c1b"]);
+  assert.match(JSON.parse(outputs[0].output).library, /Calm Breath/);
+  assert.match(JSON.parse(outputs[1].output).error, /Unknown tool/);
+  assert.ok(!input.some(i => i.role === "tool"));
+  assert.equal(out.intent, "get_library");
+  assert.match(out.message, /Calm Breath/);
+});
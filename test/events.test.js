@@ -0,0 +1,201 @@
+// test/events.test.js
+// Structured chat events (no message text), sinks, aggregation and the token-protected /api/metrics route.
+
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { chatEvent, outcomeOf, fileSink, storeSink, setSinks, summarize, metricsWindow, logEvent } from "../lib/events.js";
+import { setStore, createMemoryStore, createFileStore, createRedisStore } from "../lib/store.js";
+import { setConfig, loadConfig } from "../lib/config.js";
+import { handleChat } from "../lib/chat.js";
+import { setLLM, createFakeProvider } from "../lib/llm.js";
+import handler from "../api/metrics.js";
+
+process.env.OPENAI_API_KEY ||= "test-key";
+
+const dir = mkdtempSync(join(tmpdir(), "calmalink-events-"));
+after(() => { rmSync(dir, { recursive: true, force: true }); setSinks(null); setConfig(null); });
+
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end() { return this; }
+  };
+}
+
+// Captures events in memory and can read them back like the store / file sinks
+function captureSink() {
+  const events = [];
+  return { name: "capture", events, async write(e) { events.push(e); }, async read() { return events; } };
+}
+
+async function chat(engine, body) {
+  const res = fakeRes();
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": engine }, body }, res);
+  return res;
+}
+
+let sink;
+beforeEach(() => { setStore(createMemoryStore()); sink = captureSink(); setSinks([sink]); });
+
+test("events keep whitelisted code fields only", () => {
+  const e = chatEvent({ engine: "v3", intent: "I can't sleep at all", tool: "get_meditation", message: "secret", latencyMs: 12.6, quick: "yes" }, 0);
+  assert.deepEqual(e, {
+    at: "1970-01-01T00:00:00.000Z", type: "chat", engine: "v3", reason: null, intent: null, tool: "get_meditation",
+    language: null, latencyMs: 13, outcome: "ok", quick: null, stream: false
+  });
+});
+
+test("outcomes come from the engine result", () => {
+  assert.equal(outcomeOf({ intent: "handoff_crisis" }), "handoff");
+  assert.equal(outcomeOf({ intent: "decline" }), "declined");
+  assert.equal(outcomeOf({ intent: "get_meditation", fallback: "provider_error" }), "provider_fallback");
+  assert.equal(outcomeOf({ intent: "model", filtered: "template" }), "filtered_template");
+  assert.equal(outcomeOf({ intent: "model", outcome: "fallback_message" }), "fallback_message");
+  assert.equal(outcomeOf({ intent: "get_library" }), "ok");
+});
+
+test("the file sink appends JSON lines and reads a window back", async () => {
+  const file = join(dir, "logs", "events.jsonl");
+  const fs = fileSink(file);
+  await logEvent({ engine: "v1", intent: "chat" }, { sinks: [fs], now: Date.parse("2025-03-01T10:00:00Z") });
+  await logEvent({ engine: "v2", intent: "chat" }, { sinks: [fs], now: Date.parse("2025-03-02T10:00:00Z") });
+  assert.equal(readFileSync(file, "utf8").trim().split("\n").length, 2);
+  const read = await fs.read({ from: Date.parse("2025-03-02T00:00:00Z"), to: Date.parse("2025-03-03T00:00:00Z") });
+  assert.deepEqual(read.map(e => e.engine), ["v2"]);
+});
+
+test("the store sink reads across days", async () => {
+  const store = createMemoryStore();
+  const ss = storeSink({ store });
+  for (const at of ["2025-03-01T23:00:00Z", "2025-03-02T01:00:00Z", "2025-03-04T01:00:00Z"]) {
+    await logEvent({ engine: "v1" }, { sinks: [ss], now: Date.parse(at) });
+  }
+  const read = await ss.read({ from: Date.parse("2025-03-01T22:00:00Z"), to: Date.parse("2025-03-02T22:00:00Z") });
+  assert.equal(read.length, 2);
+});
+
+test("the store sink appends one event without reading the day back", async () => {
+  for (const store of [createMemoryStore(), createFileStore(join(dir, "store"))]) {
+    const ss = storeSink({ store: { ...store, get: null, set: null } });
+    const now = Date.parse("2025-03-05T10:00:00Z");
+    await Promise.all(["v1", "v2", "v3"].map(engine => logEvent({ engine }, { sinks: [ss], now })));
+    const read = await ss.read({ from: now - 1000, to: now + 1000 });
+    assert.deepEqual(read.map(e => e.engine).sort(), ["v1", "v2", "v3"], store.kind);
+  }
+
+  const sent = [];
+  const redis = createRedisStore({ url: "https://kv.example", fetchImpl: async (url, init) => {
+    sent.push(JSON.parse(init.body));
+    return { ok: true, json: async () => ({ result: sent.at(-1)[0] === "LRANGE" ? ['{"engine":"v1"}'] : 1 }) };
+  } });
+  await redis.push("events:2025-03-05", { engine: "v1" }, 60, 5000);
+  assert.deepEqual(await redis.range("events:2025-03-05"), [{ engine: "v1" }]);
+  assert.deepEqual(sent.map(c => c[0]), ["RPUSH", "LTRIM", "EXPIRE", "LRANGE"]);
+  assert.deepEqual(sent[1], ["LTRIM", "events:2025-03-05", "-5000", "-1"]);
+});
+
+test("the reply does not wait for the event sinks", async () => {
+  let release;
+  const slow = { name: "slow", write: () => new Promise(r => { release = r; }) };
+  setSinks([slow]);
+  const res = fakeRes();
+  const done = handleChat({ method: "POST", headers: { "x-calmalink-engine": "v1" }, body: { message: "hello" } }, res);
+  while (!release) await new Promise(r => setImmediate(r));
+  assert.equal(res.code, 200);
+  assert.ok(res.body?.message, "the reply was sent while the event was still being written");
+  release();
+  await done;
+});
+
+test("a failing sink never breaks logging", async () => {
+  const broken = { name: "broken", async write() { throw new Error("disk full"); } };
+  const good = captureSink();
+  const event = await logEvent({ engine: "v1" }, { sinks: [broken, good] });
+  assert.equal(good.events[0], event);
+});
+
+test("summaries count dimensions, rates and latency", () => {
+  const events = [
+    chatEvent({ engine: "v3", intent: "get_meditation", tool: "get_meditation", language: "en", latencyMs: 10, quick: true }),
+    chatEvent({ engine: "v3", intent: "model", language: "es", latencyMs: 900, quick: false, outcome: "fallback_message" }),
+    chatEvent({ engine: "v2", intent: "decline", language: "es", latencyMs: 5, outcome: "declined" }),
+    chatEvent({ engine: "v1", intent: "handoff_crisis", language: "en", latencyMs: 7, outcome: "handoff" }),
+    chatEvent({ outcome: "rate_limited", latencyMs: 1 })
+  ];
+  const s = summarize(events);
+  assert.equal(s.total, 5);
+  assert.equal(s.answered, 4);
+  assert.deepEqual(s.byEngine, { v3: 2, v2: 1, v1: 1 });
+  assert.deepEqual(s.byLanguage, { en: 2, es: 2 });
+  assert.equal(s.byOutcome.rate_limited, 1);
+  assert.deepEqual(s.rates, { quickIntent: 0.5, declined: 0.25, handoff: 0.25, fallback: 0.25 });
+  assert.deepEqual(s.latencyMs, { avg: 231, p50: 7, p95: 900 });
+  assert.deepEqual(s.latencyByEngine.v3, { avg: 455, p50: 10, p95: 900 });
+});
+
+test("metric windows default to 24 hours and stay inside the retention period", () => {
+  const now = Date.parse("2025-03-10T12:00:00Z");
+  assert.deepEqual(metricsWindow({}, { now, retentionDays: 14 }), { from: now - 86400000, to: now });
+  assert.equal(metricsWindow({ hours: "2" }, { now, retentionDays: 14 }).from, now - 7200000);
+  assert.equal(metricsWindow({ from: "2024-01-01T00:00:00Z" }, { now, retentionDays: 14 }).from, now - 14 * 86400000);
+  assert.ok(metricsWindow({ from: "yesterday" }, { now }).error);
+  assert.ok(metricsWindow({ hours: "-1" }, { now }).error);
+  assert.ok(metricsWindow({ from: "2025-03-09T00:00:00Z", to: "2025-03-08T00:00:00Z" }, { now }).error);
+});
+
+test("every chat turn logs one event without message text", async () => {
+  await chat("v1", { messages: [{ role: "user", content: "play box breathing, my boss Ana is awful" }] });
+  await chat("v3", { messages: [{ role: "user", content: "show library" }] });
+  await chat("v1", { messages: [{ role: "bot", content: "hi" }] });
+  const [played, library, invalid] = sink.events;
+  assert.equal(sink.events.length, 3);
+  assert.deepEqual(
+    [played.engine, played.intent, played.tool, played.language, played.outcome, played.quick],
+    ["v1", "get_meditation", "get_meditation", "en", "ok", null]
+  );
+  assert.ok(Number.isInteger(played.latencyMs));
+  assert.deepEqual([library.engine, library.intent, library.quick], ["v3", "get_library", true]);
+  assert.deepEqual([invalid.engine, invalid.outcome], [null, "invalid"]);
+  assert.doesNotMatch(JSON.stringify(sink.events), /boss|Ana\b|awful/);
+});
+
+test("provider failures and empty model replies are visible as outcomes", async () => {
+  setLLM(createFakeProvider({ script: [{ error: "down", status: 503 }, { error: "down", status: 503 }] }));
+  await chat("v3", { messages: [{ role: "user", content: "rough day at work honestly" }] });
+  setLLM(createFakeProvider({ script: [{ text: "" }] }));
+  await chat("v3", { messages: [{ role: "user", content: "rough day at work honestly" }] });
+  setLLM(null);
+  assert.deepEqual(sink.events.map(e => [e.outcome, e.quick]), [["provider_fallback", false], ["fallback_message", false]]);
+});
+
+test("GET /api/metrics needs the token and aggregates the window", async () => {
+  const get = async (headers = {}, query = {}) => {
+    const res = fakeRes();
+    await handler({ method: "GET", headers, query }, res);
+    return res;
+  };
+  setConfig(loadConfig({ OPENAI_API_KEY: "k" }));
+  assert.equal((await get()).code, 503);
+
+  setConfig(loadConfig({ OPENAI_API_KEY: "k", METRICS_TOKEN: "s3cret" }));
+  assert.equal((await get()).code, 401);
+  assert.equal((await get({ authorization: "Bearer nope" })).code, 401);
+  assert.equal((await get({ authorization: "Bearer s3cret" }, { hours: "x" })).code, 400);
+
+  await chat("v1", { messages: [{ role: "user", content: "play box breathing" }] });
+  await chat("v2", { messages: [{ role: "user", content: "just talk please" }] });
+  const res = await get({ authorization: "Bearer s3cret" }, { hours: "1" });
+  assert.equal(res.code, 200);
+  assert.equal(res.headers["Cache-Control"], "no-store");
+  assert.equal(res.body.source, "capture");
+  assert.equal(res.body.answered, 2);
+  assert.deepEqual(res.body.byEngine, { v1: 1, v2: 1 });
+  assert.equal(res.body.rates.declined, 0.5);
+  setConfig(null);
+});
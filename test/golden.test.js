@@ -0,0 +1,112 @@
+// test/golden.test.js
+// Golden-conversation regression harness: replays recorded bilingual transcripts through each chat engine.
+// • Fixtures: test/fixtures/golden_conversations.jsonl — one conversation per line
+//   { id, engines?, headers?, stream?, turns: [{ user, model?: [fake provider steps, see lib/llm.js], expect, by?: { v3: {...} } }] }
+// • expect keys: intent, tool (name or null), result (subset of tool.result), message / notMessage (regex), modelCalls,
+//   fallback (X-CalmaLink-Fallback header, JSON turns only), notStreamed (regex over the streamed deltas), status (default 200)
+// • The model is the scripted fake provider (JSON and streaming) — fully offline; running out of steps is a failure
+// • Prints a conversation × engine pass/fail matrix at the end
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { handleChat } from "../lib/chat.js";
+import { setStore, createMemoryStore } from "../lib/store.js";
+import { setLLM, createFakeProvider } from "../lib/llm.js";
+
+const ENGINES = ["v1", "v2", "v3"];
+const CONVERSATIONS = readFileSync(new URL("./fixtures/golden_conversations.jsonl", import.meta.url), "utf8")
+  .split("\n").filter(l => l.trim()).map(l => JSON.parse(l));
+
+process.env.OPENAI_API_KEY ||= "test-key";
+
+// ---------- fake req / res ----------
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null, raw: "",
+    setHeader(k, v) { this.headers[k] = v; },
+    flushHeaders() {},
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    write(chunk) { this.raw += chunk; },
+    end() { return this; }
+  };
+}
+
+// NDJSON stream → final "done" payload (+ streamed: every delta's text, in order)
+function streamedPayload(res) {
+  const events = res.raw.split("\n").filter(Boolean).map(l => JSON.parse(l));
+  const done = events.find(e => e.type === "done");
+  assert.ok(done, "stream ended without a done event");
+  const { type, ...payload } = done;
+  return { ...payload, streamed: events.filter(e => e.type === "delta").map(e => e.text).join("") };
+}
+
+function check(payload, expect, model, where) {
+  if ("intent" in expect) assert.equal(payload.intent, expect.intent, `${where}: intent`);
+  if ("tool" in expect) assert.equal(payload.tool?.name ?? null, expect.tool, `${where}: tool`);
+  for (const [k, v] of Object.entries(expect.result || {})) {
+    assert.deepEqual(payload.tool?.result?.[k], v, `${where}: tool.result.${k}`);
+  }
+  for (const re of [].concat(expect.message || [])) {
+    assert.match(payload.message, new RegExp(re, "i"), `${where}: message`);
+  }
+  for (const re of [].concat(expect.notMessage || [])) {
+    assert.doesNotMatch(payload.message, new RegExp(re, "i"), `${where}: message`);
+  }
+  for (const re of [].concat(expect.notStreamed || [])) {
+    assert.doesNotMatch(payload.streamed, new RegExp(re, "i"), `${where}: streamed text`);
+  }
+  if ("modelCalls" in expect) assert.equal(model.calls.length, expect.modelCalls, `${where}: model calls`);
+  assert.deepEqual(model.failures, [], `${where}: model protocol`);
+  assert.equal(model.script.length, 0, `${where}: unused model steps`);
+}
+
+// ---------- replay ----------
+async function replay(convo, engine) {
+  setStore(createMemoryStore());
+  let sessionId;
+  for (const [i, turn] of convo.turns.entries()) {
+    const model = createFakeProvider({ script: engine === "v3" ? turn.model || [] : [] });
+    setLLM(model);
+
+    const res = fakeRes();
+    const body = { sessionId, message: turn.user, ...(convo.stream ? { stream: "ndjson" } : {}) };
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": engine, ...convo.headers }, body }, res);
+
+    const payload = convo.stream ? streamedPayload(res) : res.body;
+    const expect = { ...turn.expect, ...turn.by?.[engine] };
+    assert.equal(res.code, expect.status || 200, `turn ${i + 1}: status`);
+    assert.equal(payload.engine, engine);
+    if (!convo.stream) assert.equal(res.headers["X-CalmaLink-Fallback"], expect.fallback, `turn ${i + 1}: fallback`);
+    check(payload, expect, model, `turn ${i + 1} (“${turn.user}”)`);
+    sessionId = payload.sessionId;
+  }
+}
+
+const matrix = new Map();
+
+for (const convo of CONVERSATIONS) {
+  for (const engine of convo.engines || ENGINES) {
+    test(`${convo.id} [${engine}]`, async () => {
+      const row = matrix.get(convo.id) || matrix.set(convo.id, {}).get(convo.id);
+      row[engine] = "FAIL";
+      await replay(convo, engine);
+      row[engine] = "pass";
+    });
+  }
+}
+
+after(() => {
+  const width = Math.max(...CONVERSATIONS.map(c => c.id.length), 12);
+  const lines = [["conversation".padEnd(width), ...ENGINES.map(e => e.padEnd(4))].join("  ")];
+  for (const c of CONVERSATIONS) {
+    const row = matrix.get(c.id) || {};
+    lines.push([c.id.padEnd(width), ...ENGINES.map(e => (row[e] || "-").padEnd(4))].join("  "));
+  }
+  const totals = ENGINES.map(e => {
+    const cells = [...matrix.values()].map(r => r[e]).filter(Boolean);
+    return `${e} ${cells.filter(x => x === "pass").length}/${cells.length}`;
+  });
+  console.log(`\nGolden conversations\n${lines.join("\n")}\n${totals.join("  ")}`);
+});
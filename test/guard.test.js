@@ -0,0 +1,166 @@
+// test/guard.test.js
+// Guardrails: token buckets, size caps, spend metering and how the chat pipeline reacts when over a limit.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { guardConfig, clientIp, takeToken, checkRate, messageTooLong, bodyTooLarge, recordSpend, spentToday, overBudget, metered, estimateCost } from "../lib/guard.js";
+import { createMemoryStore, setStore } from "../lib/store.js";
+import { handleChat } from "../lib/chat.js";
+import { setConfig, loadConfig } from "../lib/config.js";
+import { t } from "../lib/i18n.js";
+
+let store;
+beforeEach(() => { store = createMemoryStore(); setStore(store); });
+
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end() { return this; }
+  };
+}
+
+async function withEnv(vars, fn) {
+  setConfig(loadConfig({ ...process.env, ...vars }));
+  try { return await fn(); } finally { setConfig(null); }
+}
+
+const chat = (body, headers = {}) => {
+  const res = fakeRes();
+  return handleChat({ method: "POST", headers: { "x-forwarded-for": "203.0.113.7", ...headers }, body }, res).then(() => res);
+};
+
+test("a key's requests run out, then reset the next minute", async () => {
+  const now = 1_000_000;
+  for (let i = 0; i < 3; i++) assert.equal((await takeToken("k", 3, { store, now })).ok, true);
+  const empty = await takeToken("k", 3, { store, now });
+  assert.equal(empty.ok, false);
+  assert.equal(empty.retryAfter, 20);
+  assert.equal((await takeToken("k", 3, { store, now: now + 20_000 })).ok, true);
+  assert.equal((await takeToken("other", 3, { store, now })).ok, true);
+});
+
+test("the window is the calendar minute: a burst either side of the boundary passes twice the limit", async () => {
+  const boundary = 60_000 * 50;
+  for (let i = 0; i < 3; i++) assert.equal((await takeToken("edge", 3, { store, now: boundary - 1000 })).ok, true);
+  assert.equal((await takeToken("edge", 3, { store, now: boundary - 500 })).ok, false);
+  for (let i = 0; i < 3; i++) assert.equal((await takeToken("edge", 3, { store, now: boundary + 1000 })).ok, true);
+  assert.equal((await takeToken("edge", 3, { store, now: boundary + 1500 })).ok, false);
+});
+
+test("concurrent requests are all counted", async () => {
+  const now = 2_000_000;
+  const taken = await Promise.all(Array.from({ length: 6 }, () => takeToken("burst", 3, { store, now })));
+  assert.equal(taken.filter(r => r.ok).length, 3);
+});
+
+test("the client IP is the entry the trusted proxy wrote, not the first one", () => {
+  const req = { headers: { "x-forwarded-for": "1.2.3.4, 198.51.100.7", "x-real-ip": "198.51.100.7" }, socket: { remoteAddress: "10.0.0.2" } };
+  assert.equal(clientIp(req, 1), "198.51.100.7");
+  assert.equal(clientIp({ headers: { "x-forwarded-for": "1.2.3.4, 198.51.100.7, 10.0.0.9" } }, 2), "198.51.100.7");
+  assert.equal(clientIp(req, 0), "10.0.0.2");
+  assert.equal(clientIp({ headers: {}, socket: { remoteAddress: "10.0.0.2" } }, 1), "10.0.0.2");
+});
+
+test("per-session limits apply on top of per-IP limits", async () => {
+  const config = { ...guardConfig(loadConfig({})), ipPerMinute: 100, sessionPerMinute: 2 };
+  const req = { headers: { "x-forwarded-for": "198.51.100.1, 10.0.0.1" } };
+  const body = { sessionId: "s-1" };
+  assert.equal(await checkRate(req, body, config, { store }), null);
+  assert.equal(await checkRate(req, body, config, { store }), null);
+  assert.ok((await checkRate(req, body, config, { store }))?.retryAfter > 0);
+  assert.equal(await checkRate(req, { sessionId: "s-2" }, config, { store }), null);
+});
+
+test("size caps", () => {
+  const config = { ...guardConfig(loadConfig({})), maxMessageChars: 10, maxBodyBytes: 100 };
+  assert.equal(messageTooLong({ message: "short" }, config), false);
+  assert.equal(messageTooLong({ message: "x".repeat(11) }, config), true);
+  assert.equal(messageTooLong({ messages: [{ role: "user", content: "x".repeat(11) }] }, config), true);
+  assert.equal(bodyTooLarge({ headers: { "content-length": "5000" } }, {}, config), true);
+  assert.equal(bodyTooLarge({ headers: {} }, { message: "y".repeat(200) }, config), true);
+});
+
+test("metered clients add reported or estimated usage to today's spend", async () => {
+  const client = {
+    responses: {
+      async create(params) {
+        if (!params.stream) return { output_text: "hi", usage: { input_tokens: 1000, output_tokens: 100 } };
+        return (async function* () {
+          yield { type: "response.output_text.delta", delta: "x".repeat(400) };
+          yield { type: "response.completed", response: {} };
+        })();
+      }
+    }
+  };
+  const m = metered(client, { store });
+  await m.responses.create({ model: "gpt-4o", input: [] });
+  assert.ok(Math.abs((await spentToday({ store })) - estimateCost("gpt-4o", { input_tokens: 1000, output_tokens: 100 })) < 1e-12);
+
+  for await (const ev of await m.responses.create({ model: "gpt-4o", input: [], stream: true })) assert.ok(ev.type);
+  assert.ok((await spentToday({ store })) > 0.0035, "streamed output estimated from text");
+});
+
+test("concurrent spend is all counted, in whole micro-dollars", async () => {
+  const usage = { input_tokens: 1000, output_tokens: 100 };
+  await Promise.all(Array.from({ length: 8 }, () => recordSpend("gpt-4o", usage, { store })));
+  assert.equal(await spentToday({ store }), 0.028);
+});
+
+test("budget check", async () => {
+  const config = { ...guardConfig(loadConfig({})), dailyBudgetUsd: 0.01 };
+  assert.equal(await overBudget(config, { store }), false);
+  await recordSpend("gpt-4o", { input_tokens: 0, output_tokens: 1000 }, { store });
+  assert.equal(await overBudget(config, { store }), true);
+  assert.equal(await overBudget({ ...config, dailyBudgetUsd: 0 }, { store }), false);
+});
+
+test("over the rate limit → 429 with Retry-After, in the request's language", async () => {
+  await withEnv({ GUARD_IP_PER_MINUTE: "2" }, async () => {
+    assert.equal((await chat({ message: "hello" })).code, 200);
+    assert.equal((await chat({ message: "hello" })).code, 200);
+    const res = await chat({ message: "hello" });
+    assert.equal(res.code, 429);
+    assert.ok(Number(res.headers["Retry-After"]) > 0);
+    assert.equal(res.body.message, t("en", "request.rateLimited"));
+    assert.equal(res.body.intent, "rate_limited");
+    assert.equal((await chat({ message: "hola, estoy muy cansada" })).body.message, t("es", "request.rateLimited"));
+    assert.equal((await chat({ message: "ok" }, { "accept-language": "fr-CA,fr;q=0.9" })).body.message, t("fr", "request.rateLimited"));
+  });
+});
+
+test("fallback mode answers over-limit requests with the deterministic engine", async () => {
+  await withEnv({ GUARD_IP_PER_MINUTE: "1", GUARD_OVER_LIMIT: "fallback" }, async () => {
+    await chat({ message: "hello" }, { "x-calmalink-engine": "v1" });
+    const res = await chat({ message: "play calm breath" }, { "x-calmalink-engine": "v1" });
+    assert.equal(res.code, 200);
+    assert.equal(res.body.engine, "v2");
+    assert.equal(res.headers["X-CalmaLink-Guard"], "rate_limited");
+  });
+});
+
+test("over the daily budget the model engine is skipped", async () => {
+  await withEnv({ GUARD_DAILY_BUDGET_USD: "0.001", OPENAI_API_KEY: "test-key" }, async () => {
+    await recordSpend("gpt-4o", { input_tokens: 1000, output_tokens: 1000 }, { store });
+    const res = await chat({ message: "play box breathing" }, { "x-calmalink-engine": "v3" });
+    assert.equal(res.code, 200);
+    assert.equal(res.body.engine, "v2");
+    assert.equal(res.body.tool.name, "get_meditation");
+    assert.equal(res.headers["X-CalmaLink-Guard"], "budget");
+  });
+});
+
+test("oversized messages are rejected before any engine runs", async () => {
+  const res = await chat({ message: "x".repeat(5000) });
+  assert.equal(res.code, 413);
+  assert.equal(res.body.message, t("en", "request.tooLarge"));
+  assert.equal((await chat({ message: `olá, ${"x".repeat(5000)}` }, { "accept-language": "pt-BR" })).body.message, t("pt", "request.tooLarge"));
+});
+
+test("an unreadable body is answered in the browser's language", async () => {
+  const res = fakeRes();
+  await handleChat({ method: "POST", headers: { "accept-language": "es-MX,es;q=0.9,en;q=0.8" }, body: "{not json" }, res);
+  assert.deepEqual([res.code, res.body.message], [400, t("es", "request.invalidJson")]);
+});
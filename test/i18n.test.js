@@ -0,0 +1,85 @@
+// test/i18n.test.js
+// Locale catalog completeness, language detection beyond EN/ES, remembered choices and the audio fallback chain.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MESSAGES, LOCALES, t, fallbackChain, joinList, languageName } from "../lib/i18n.js";
+import { detectLanguage, chosenLanguage, conversationLanguage } from "../lib/intent.js";
+import { findPractice, meditationResult, meditationIntro, LANGUAGES } from "../lib/catalog.js";
+import { crisisMessage } from "../lib/crisis_resources.js";
+
+const user = content => ({ role: "user", content });
+
+test("every locale defines every English key with the same placeholders", () => {
+  const placeholders = v => JSON.stringify(v).match(/\{\w+\}/g)?.sort() || [];
+  for (const lang of LOCALES) {
+    for (const [key, value] of Object.entries(MESSAGES.en)) {
+      assert.ok(key in MESSAGES[lang], `${lang} is missing ${key}`);
+      assert.deepEqual(placeholders(MESSAGES[lang][key]), placeholders(value), `${lang}.${key}`);
+    }
+  }
+});
+
+test("t() interpolates and falls back to English", () => {
+  assert.equal(t("pt", "meditation.intro", { name: "X" }), "Aqui está sua prática de X.");
+  assert.equal(t("de", "meditation.intro", { name: "X" }), "Here is your X practice.");
+  assert.equal(t("fr", "no.such.key"), "no.such.key");
+  assert.equal(t("es", "reply.listen").length, 3);
+});
+
+test("names and lists read naturally per locale", () => {
+  assert.equal(languageName("es", "pt"), "Espanhol");
+  assert.equal(joinList(["Español", "Inglés"], "es"), "Español e Inglés");
+  assert.equal(joinList(["Inglés", "Portugués"], "es"), "Inglés y Portugués");
+  assert.equal(joinList(["Français", "Anglais"], "fr"), "Français et Anglais");
+});
+
+test("every practice exists in every locale", () => {
+  assert.deepEqual([...LANGUAGES].sort(), [...LOCALES].sort());
+});
+
+test("detection covers Portuguese and French", () => {
+  assert.equal(detectLanguage("eu quero uma meditação de respiração"), "pt");
+  assert.equal(detectLanguage("não estou bem hoje, preciso de ajuda"), "pt");
+  assert.equal(detectLanguage("je suis très stressé aujourd'hui"), "fr");
+  assert.equal(detectLanguage("je veux une méditation"), "fr");
+  assert.equal(detectLanguage("quiero una meditación"), "es");
+  assert.equal(detectLanguage("I want a meditation"), "en");
+  assert.equal(detectLanguage("ok"), null);
+});
+
+test("explicit choices are recognised and remembered", () => {
+  assert.equal(chosenLanguage("français"), "fr");
+  assert.equal(chosenLanguage("en português por favor"), "pt");
+  assert.equal(chosenLanguage("can you speak spanish"), "es");
+  assert.equal(chosenLanguage("I'm learning spanish"), null);
+
+  const session = { language: "fr", languageChosen: true };
+  assert.deepEqual(conversationLanguage([user("ok thanks, I feel better")], session), { language: "fr", chosen: true });
+  assert.deepEqual(conversationLanguage([user("in english please")], session), { language: "en", chosen: true });
+  assert.deepEqual(conversationLanguage([user("ok thanks, I feel better")], { language: "fr" }), { language: "en", chosen: false });
+});
+
+test("practices without a recording borrow one along the fallback chain", () => {
+  assert.deepEqual(fallbackChain("pt"), ["pt", "es", "en"]);
+  const pt = findPractice({ category: "calm_breath", language: "pt" });
+  const r = meditationResult(pt);
+  assert.equal(r.language, "pt");
+  assert.equal(r.audioLanguage, "es");
+  assert.match(r.audioUrl, /calm_breath_3_es/);
+  assert.match(r.captionsUrl, /calm_breath_3_es/);
+  assert.match(meditationIntro(pt, "pt"), /gravação está em espanhol/);
+
+  const fr = meditationResult(findPractice({ category: "calm_breath", language: "fr" }));
+  assert.equal(fr.audioLanguage, "en");
+  const box = meditationResult(findPractice({ category: "box_breath", language: "fr" }));
+  assert.equal(box.audioLanguage, null);
+  assert.equal(box.audioUrl, null);
+});
+
+test("crisis text is localized with local grammar", () => {
+  assert.match(crisisMessage("pt", "BR"), /No Brasil, ligue para 188/);
+  assert.match(crisisMessage("fr", "FR"), /En France, appelez le 3114/);
+  assert.match(crisisMessage("fr", "MX"), /Au Mexique/);
+  assert.match(crisisMessage("pt", null), /findahelpline\.com/);
+});
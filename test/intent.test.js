@@ -0,0 +1,81 @@
+// test/intent.test.js
+// Shared intent engine: word boundaries, accent folding, slots and custom trigger lists.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectIntent, inferLanguage, createIntentEngine, DEFAULT_TRIGGERS } from "../lib/intent.js";
+
+const cases = [
+  ["listen to the track", "get_meditation"],
+  ["show library", "get_library"],
+  ["yesterday was rough", "chat"],
+  ["yes", "affirm"],
+  ["sí", "affirm"],
+  ["si pudiera dormir mejor", "chat"],
+  ["english", "get_meditation"],
+  ["es", "get_meditation"],
+  ["this test is fine", "chat"],
+  ["no meditation", "decline"],
+  ["¿Cómo uso esto?", "get_help"],
+  ["box breathing", "get_meditation"],
+  ["solo quiero hablar", "decline"],
+  ["give me a 1 minute one", "get_meditation"],
+  ["dame otra de 2 minutos", "get_meditation"],
+  ["4-7-8 please", "get_meditation"],
+  ["I only have one minute", "chat"],
+  ["I cried for 10 minutes", "chat"],
+  ["continue my program", "continue_program"],
+  ["¿Qué toca hoy?", "program_today"],
+  ["what's today's session?", "program_today"],
+  ["start over", "restart_program"],
+  ["how is my program going", "chat"],
+  ["start 7 days of calmer mornings", "start_program"],
+  ["7 days of calmer mornings", "chat"],
+  ["sleep week was hard", "chat"],
+  ["¡Hecho!", "program_done"],
+  ["I'm done with work for today", "chat"],
+  ["my next session with my therapist", "chat"],
+  ["stop", "decline"],
+  ["stop the meditation", "decline"],
+  ["I dont want to feel like this anymore", "chat"],
+  ["I can not stop thinking", "chat"],
+  ["can you just listen to me", "decline"],
+  ["I want to start a new job", "chat"],
+  ["I need help sleeping", "chat"],
+  ["play it", "get_meditation"],
+  ["escuchar la pista", "get_meditation"],
+  ["can you start something?", "get_meditation"],
+  ["help", "get_help"],
+  ["no puedo parar de pensar", "chat"],
+  ["não consigo parar de pensar", "chat"],
+  ["je n'arrive pas à arrêter de pleurer", "chat"],
+  ["I can't do it anymore", "chat"],
+  ["I went to the library yesterday", "chat"]
+];
+
+for (const [text, name] of cases) {
+  test(`intent: ${text}`, () => assert.equal(detectIntent(text).name, name));
+}
+
+test("slots carry language, category, duration and program", () => {
+  assert.deepEqual(detectIntent("give me a 2 minute box breathing in english").slots, { language: "en", category: "box_breath", duration: 2, program: null });
+  assert.deepEqual(detectIntent("escaneo corporal de cinco minutos").slots, { language: "es", category: "body_scan", duration: 5, program: null });
+  assert.deepEqual(detectIntent("quiero empezar la semana de sueño").slots, { language: "es", category: null, duration: null, program: "sleep_week" });
+});
+
+test("confidence is highest for whole-message matches", () => {
+  assert.equal(detectIntent("english").confidence, 1);
+  assert.ok(detectIntent("I used to play guitar to relax but now I am anxious").confidence < 0.6);
+});
+
+test("language inference prefers the newest clear turn", () => {
+  const messages = [{ role: "user", content: "hola, estoy cansada" }, { role: "user", content: "ok" }];
+  assert.equal(inferLanguage(messages), "es");
+  assert.equal(inferLanguage([{ role: "user", content: "ok" }], "es"), "es");
+});
+
+test("trigger lists are configurable per language", () => {
+  const engine = createIntentEngine({ ...DEFAULT_TRIGGERS, en: { ...DEFAULT_TRIGGERS.en, get_library: ["menu"] } });
+  assert.equal(engine.detect("open the menu").name, "get_library");
+  assert.equal(engine.detect("show library").name, "chat");
+});
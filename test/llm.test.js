@@ -0,0 +1,118 @@
+// test/llm.test.js
+// Provider layer: timeouts and retries, the Chat Completions adapter, the scripted fake and provider selection.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resilient, retryable, providerFailed, createFakeProvider, createProvider, toChatMessages, fromChatCompletion } from "../lib/llm.js";
+import { loadConfig, diagnostic } from "../lib/config.js";
+
+const quick = { timeoutMs: 50, maxRetries: 2, retryDelayMs: 1 };
+
+test("transient failures are retried, then succeed", async () => {
+  const fake = createFakeProvider({ script: [{ error: "busy", status: 429 }, { error: "down", status: 502 }, { text: "hello" }] });
+  const r = await resilient(fake, quick).responses.create({ input: [] });
+  assert.equal(r.output_text, "hello");
+  assert.equal(fake.calls.length, 3);
+});
+
+test("client errors are not retried", async () => {
+  const fake = createFakeProvider({ script: [{ error: "bad request", status: 400 }, { text: "never" }] });
+  await assert.rejects(resilient(fake, quick).responses.create({ input: [] }), /bad request/);
+  assert.equal(fake.calls.length, 1);
+});
+
+test("slow calls time out and count as retryable", async () => {
+  const fake = createFakeProvider({ script: [{ delayMs: 200, text: "late" }, { delayMs: 200, text: "late" }] });
+  await assert.rejects(resilient(fake, { ...quick, maxRetries: 1 }).responses.create({ input: [] }), err => err.code === "LLM_TIMEOUT");
+  assert.equal(fake.calls.length, 2);
+  assert.ok(retryable({ name: "APIConnectionError" }));
+  assert.ok(!retryable(new Error("TypeError in caller")));
+});
+
+test("only provider-side failures count as the provider failing", () => {
+  for (const err of [{ code: "LLM_TIMEOUT" }, { status: 503 }, { status: 429 }, { name: "AbortError" }, { name: "APIConnectionError" },
+    { code: "ECONNRESET" }, Object.assign(new TypeError("fetch failed"), { cause: { code: "ENOTFOUND" } })]) {
+    assert.ok(providerFailed(err), JSON.stringify(err));
+  }
+  for (const err of [new TypeError("Cannot read properties of undefined"), { status: 400 }, { status: 401 }, new SyntaxError("Unexpected token")]) {
+    assert.ok(!providerFailed(err), String(err.message || err.status));
+  }
+});
+
+test("a timed-out call is aborted through its signal, not left running", async () => {
+  const signals = [];
+  // Like the SDK: the request runs until its signal aborts it
+  const hanging = { name: "hanging", responses: { create(params, { signal }) {
+    signals.push(signal);
+    return new Promise((_, reject) => {
+      const request = setTimeout(() => reject(new Error("should have been aborted")), 5000);
+      signal.addEventListener("abort", () => { clearTimeout(request); reject(signal.reason); });
+    });
+  } } };
+  await assert.rejects(resilient(hanging, { ...quick, maxRetries: 1 }).responses.create({ input: [] }), err => err.code === "LLM_TIMEOUT");
+  assert.equal(signals.length, 2);
+  assert.ok(signals.every(s => s.aborted && s.reason.code === "LLM_TIMEOUT"));
+});
+
+test("a stream that stalls between events times out", async () => {
+  const stalled = {
+    name: "stalled",
+    responses: {
+      async create(params, { signal }) {
+        stalled.signal = signal;
+        return (async function* () {
+          yield { type: "response.output_text.delta", delta: "hi" };
+          await new Promise(r => setTimeout(r, 200));
+          yield { type: "response.completed", response: {} };
+        })();
+      }
+    }
+  };
+  const events = await resilient(stalled, quick).responses.create({ input: [], stream: true });
+  const seen = [];
+  await assert.rejects((async () => { for await (const ev of events) seen.push(ev.type); })(), err => err.code === "LLM_TIMEOUT");
+  assert.deepEqual(seen, ["response.output_text.delta"]);
+  assert.ok(stalled.signal.aborted);
+});
+
+test("the fake rejects a turn that drops a function_call_output", async () => {
+  const fake = createFakeProvider({ script: [{ call: "get_help" }, { text: "ok" }] });
+  const first = await fake.responses.create({ input: [] });
+  await assert.rejects(fake.responses.create({ input: [] }), /no function_call_output for call_0_0/);
+  assert.equal(fake.failures.length, 1);
+  assert.equal(first.output[0].call_id, "call_0_0");
+});
+
+test("Responses input maps onto chat messages and back", () => {
+  const messages = toChatMessages([
+    { role: "system", content: "be kind" },
+    { role: "user", content: "hi" },
+    { type: "function_call", call_id: "a", name: "get_help", arguments: "{}" },
+    { type: "function_call", call_id: "b", name: "get_library", arguments: "{}" },
+    { type: "function_call_output", call_id: "a", output: "{\"help\":\"x\"}" },
+    { type: "function_call_output", call_id: "b", output: "{\"library\":\"y\"}" }
+  ]);
+  assert.equal(messages.length, 5);
+  assert.deepEqual(messages[2].tool_calls.map(c => c.id), ["a", "b"]);
+  assert.deepEqual(messages.slice(3).map(m => [m.role, m.tool_call_id]), [["tool", "a"], ["tool", "b"]]);
+
+  const r = fromChatCompletion({
+    choices: [{ message: { content: "Sure.", tool_calls: [{ id: "t1", type: "function", function: { name: "get_meditation", arguments: "{\"category\":\"box_breath\"}" } }] } }],
+    usage: { prompt_tokens: 10, completion_tokens: 3 }
+  });
+  assert.deepEqual(r.output.map(i => i.type), ["function_call", "message"]);
+  assert.equal(r.output[0].call_id, "t1");
+  assert.equal(r.output_text, "Sure.");
+  assert.deepEqual(r.usage, { input_tokens: 10, output_tokens: 3 });
+});
+
+test("provider selection and its diagnostics", () => {
+  assert.equal(createProvider(loadConfig({ LLM_PROVIDER: "fake" })).name, "fake");
+  assert.equal(createProvider(loadConfig({ LLM_PROVIDER: "compatible", LLM_BASE_URL: "http://localhost:8080/v1" })).name, "compatible");
+  assert.equal(createProvider(loadConfig({ OPENAI_API_KEY: "k" })).name, "openai");
+
+  assert.equal(diagnostic(loadConfig({ LLM_PROVIDER: "fake" }), ["llm"]), null);
+  assert.match(diagnostic(loadConfig({ LLM_PROVIDER: "compatible" }), ["llm"]), /LLM_BASE_URL must be an http\(s\) URL/);
+  assert.match(diagnostic(loadConfig({ LLM_PROVIDER: "claude-ish" }), ["llm"]), /LLM_PROVIDER must be one of openai, compatible, fake/);
+  assert.match(diagnostic(loadConfig({ OPENAI_API_KEY: "k", LLM_TIMEOUT_MS: "soon", LLM_MAX_RETRIES: "9" }), ["llm"]), /LLM_TIMEOUT_MS.*; LLM_MAX_RETRIES/);
+});
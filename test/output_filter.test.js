@@ -0,0 +1,83 @@
+// test/output_filter.test.js
+// Post-generation filter: each check, the regenerate-once / template flow and the review log.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { reviewReply, filterReply, safeReply, listInterventions } from "../lib/output_filter.js";
+import { createMemoryStore, setStore } from "../lib/store.js";
+
+const limits = { enabled: true, maxSentences: 6, maxChars: 900 };
+const checks = (text, opts = {}) => reviewReply(text, { language: "en", limits, ...opts }).map(i => i.check);
+
+beforeEach(() => setStore(createMemoryStore()));
+
+test("medication and dosage advice", () => {
+  assert.deepEqual(checks("Try 10mg of melatonin tonight."), ["medication"]);
+  assert.deepEqual(checks("You could take a sleeping pill before bed."), ["medication"]);
+  assert.deepEqual(checks("Puedes tomar dos pastillas antes de dormir.", { language: "es" }), ["medication"]);
+  assert.deepEqual(checks("Prenez un somnifère ce soir, cela vous aidera à dormir.", { language: "fr" }), ["medication"]);
+  assert.deepEqual(checks("If you have questions about medication, a doctor is the right person to ask."), []);
+});
+
+test("diagnostic language", () => {
+  assert.deepEqual(checks("It sounds like you have an anxiety disorder."), ["diagnosis"]);
+  assert.deepEqual(checks("This sounds like clinical depression to me."), ["diagnosis"]);
+  assert.deepEqual(checks("Creo que tienes un trastorno de ansiedad.", { language: "es" }), ["diagnosis"]);
+  assert.deepEqual(checks("Feeling anxious before a big day is really common."), []);
+});
+
+test("length limits", () => {
+  const long = Array.from({ length: 8 }, (_, i) => `This is sentence number ${i + 1}.`).join(" ");
+  assert.deepEqual(checks(long), ["length"]);
+  assert.deepEqual(checks("word ".repeat(300).trim()), ["length"]);
+  assert.deepEqual(reviewReply(long, { language: "en", limits: { ...limits, maxSentences: 0 } }), []);
+});
+
+test("language mismatch needs a clearly detected other language", () => {
+  assert.deepEqual(checks("That sounds hard, and I am here with you.", { language: "es" }), ["language"]);
+  assert.deepEqual(checks("Okay.", { language: "es" }), []);
+  assert.deepEqual(checks("Estoy aquí contigo, ¿quieres contarme más?", { language: "es" }), []);
+});
+
+test("missed crisis cues", () => {
+  const messages = [{ role: "user", content: "I feel like a burden to everyone" }, { role: "user", content: "anyway, tell me something nice" }];
+  assert.deepEqual(checks("Sunsets are lovely this time of year.", { messages }), ["crisis"]);
+  assert.deepEqual(checks("Before that: are you safe right now? Support is available any time.", { messages }), []);
+  assert.deepEqual(checks("Sunsets are lovely this time of year.", { messages: [{ role: "user", content: "tell me something nice" }] }), []);
+});
+
+test("a clean regeneration replaces the draft and is recorded", async () => {
+  let note = null;
+  const out = await filterReply("Take 20 mg of sertraline.", {
+    language: "en", messages: [], engine: "v3", limits,
+    regenerate: async n => { note = n; return "That sounds heavy. A doctor can talk medication through with you."; }
+  });
+  assert.equal(out.action, "regenerated");
+  assert.match(out.text, /doctor/);
+  assert.match(note, /Do not mention medications/);
+  const [entry] = await listInterventions();
+  assert.deepEqual([entry.action, entry.checks, entry.details], ["regenerated", ["medication"], ["20 mg"]]);
+  assert.equal(JSON.stringify(entry).includes("sertraline"), false);
+});
+
+test("a second failure falls back to the safe template", async () => {
+  const out = await filterReply("You have depression.", {
+    language: "es", messages: [], engine: "v3", limits,
+    regenerate: async () => { throw new Error("provider down"); }
+  });
+  assert.equal(out.action, "template");
+  assert.match(out.text, /médico o farmacéutico/);
+  const [entry] = await listInterventions();
+  assert.deepEqual(entry.retryChecks, ["diagnosis"]);
+});
+
+test("templates pick the most serious check", () => {
+  assert.match(safeReply([{ check: "length" }, { check: "crisis" }], "en"), /safe/i);
+  assert.match(safeReply([{ check: "medication" }], "pt"), /farmacêutico/);
+  assert.match(safeReply([{ check: "language" }], "fr"), /./);
+});
+
+test("disabled filter passes text through", async () => {
+  const out = await filterReply("Take 20 mg.", { language: "en", limits: { ...limits, enabled: false }, regenerate: async () => "x" });
+  assert.deepEqual(out, { text: "Take 20 mg.", action: null });
+});
@@ -0,0 +1,242 @@
+// test/programs.test.js
+// Multi-day programs: one day per calendar day, marking days done, streaks, restarts, the program's language, and the
+// chat / v3 tools.
+
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { PROGRAMS, programFromText, programTurn, programSummary, currentStreak } from "../lib/programs.js";
+import { findPractice } from "../lib/catalog.js";
+import { recordCheckin, userOf } from "../lib/checkins.js";
+import { setStore, createMemoryStore } from "../lib/store.js";
+import { handleChat } from "../lib/chat.js";
+import { setLLM, createFakeProvider } from "../lib/llm.js";
+import programs from "../api/programs.js";
+
+process.env.OPENAI_API_KEY ||= "test-key";
+
+let store;
+beforeEach(() => { store = createMemoryStore(); setStore(store); });
+after(() => setLLM(null));
+
+function fakeRes() {
+  return { headers: {}, code: 200, body: null, setHeader() {}, status(c) { this.code = c; return this; }, json(b) { this.body = b; return this; }, end() { return this; } };
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const MON = Date.parse("2026-03-02T08:00:00Z");
+const turn = (action, opts = {}, now = MON) => programTurn({ user: "client:abc", language: "en", action, ...opts }, { store, now });
+// Play the day, then say "done"
+const play = async (action, opts = {}, now = MON) => {
+  const reply = await turn(action, opts, now);
+  reply.done = await turn("done", {}, now);
+  return reply;
+};
+
+test("every program day is a catalog practice in every language", () => {
+  for (const program of PROGRAMS) {
+    assert.equal(program.days.length, 7, program.id);
+    for (const day of program.days) {
+      for (const language of ["en", "es", "pt", "fr"]) assert.equal(findPractice({ ...day, language }).category, day.category, `${program.id} ${day.category}`);
+    }
+  }
+  assert.equal(programFromText("let's do the sleep week"), "sleep_week");
+  assert.equal(programFromText("7 dias de manhãs mais calmas"), "calmer_mornings");
+  assert.equal(programFromText("I had a rough week"), null);
+});
+
+test("a day counts once it is marked done or rated afterwards, not when it is played", async () => {
+  assert.equal(await turn("done"), null);
+  let reply = await turn("start", { program: "calmer_mornings" });
+  assert.deepEqual(reply.tool.result.program, { id: "calmer_mornings", name: "7 Days of Calmer Mornings", day: 1, days: 7, streak: 0 });
+  assert.match(reply.message, /^7 Days of Calmer Mornings: day 1 of 7\. Here is your Calm Breath practice\. This round is 3 min.* Say “done” when you’ve finished it/);
+  let summary = await programSummary("client:abc", { store, now: MON });
+  assert.deepEqual(summary.programs.map(p => [p.done, p.doneToday]), [[0, false]]);
+  assert.match((await turn("continue")).message, /day 1 of 7\. Here is/);
+
+  reply = await turn("done");
+  assert.deepEqual([reply.intent, reply.message], ["program_done", "Day 1 of 7 of 7 Days of Calmer Mornings done. Day 2 opens tomorrow."]);
+  assert.equal(await turn("done"), null);
+
+  // Next day: an "after" rating for the offered practice marks it; a rating for another practice does not
+  reply = await turn("continue", {}, MON + DAY);
+  const other = await recordCheckin({ user: "client:abc", practiceId: "calm_breath_3_en", language: "en", phase: "after", rating: 4 }, { store, now: MON + DAY });
+  assert.equal(other.program, undefined);
+  const rated = await recordCheckin({ user: "client:abc", practiceId: reply.tool.result.id, language: "en", phase: "after", rating: 3 }, { store, now: MON + DAY });
+  assert.deepEqual([rated.program.day, rated.program.streak], [2, 2]);
+  assert.equal(rated.program.message, "Day 2 of 7 of 7 Days of Calmer Mornings done. Day 3 opens tomorrow. You’re on a 2-day streak.");
+  summary = await programSummary("client:abc", { store, now: MON + DAY });
+  assert.deepEqual(summary.programs.map(p => [p.done, p.doneToday]), [[2, true]]);
+});
+
+test("one day per calendar day: asking again replays it, the next day moves on and grows the streak", async () => {
+  let reply = await play("start", { program: "calmer_mornings" });
+  assert.equal(reply.tool.result.program.day, 1);
+
+  reply = await turn("continue");
+  assert.equal(reply.tool.result.program.day, 1);
+  assert.match(reply.message, /already done today’s session/);
+  assert.match((await turn("today")).message, /day 1 of 7\)\. Day 2 opens tomorrow\./);
+
+  reply = await play("continue", {}, MON + DAY);
+  assert.deepEqual([reply.tool.result.category, reply.tool.result.pacer.minutes, reply.tool.result.program.streak], ["box_breath", 2, 1]);
+  assert.match(reply.done.message, /You’re on a 2-day streak\./);
+
+  // A missed day resets the streak but not the place in the program
+  assert.equal((await turn("today", {}, MON + 3 * DAY)).message, "Today in 7 Days of Calmer Mornings: day 3 of 7, 5-4-3-2-1 Grounding (3 min). Say “continue my program” when you’re ready.");
+  reply = await play("continue", {}, MON + 3 * DAY);
+  assert.deepEqual([reply.tool.result.program.day, reply.tool.result.program.streak], [3, 0]);
+  const summary = await programSummary("client:abc", { store, now: MON + 3 * DAY });
+  assert.deepEqual(summary.streak, { current: 1, best: 2 });
+  assert.deepEqual(summary.programs.map(p => [p.id, p.done, p.doneToday]), [["calmer_mornings", 3, true]]);
+});
+
+test("finishing, restarting and switching programs", async () => {
+  let reply;
+  for (let d = 0; d < 7; d++) reply = await play(d ? "continue" : "start", { program: d ? undefined : "sleep_week" }, MON + d * DAY);
+  assert.equal(reply.done.message, "That was the last day of Sleep Week. Well done for seeing it through.");
+  assert.deepEqual((await programSummary("client:abc", { store, now: MON + 6 * DAY })).streak, { current: 7, best: 7 });
+  assert.equal(currentStreak({ current: 7, lastDay: "2026-03-08" }, "2026-03-10"), 0);
+
+  reply = await turn("continue", {}, MON + 7 * DAY);
+  assert.equal(reply.tool, undefined);
+  assert.match(reply.message, /^You’ve completed all 7 days of Sleep Week\./);
+  reply = await play("restart", {}, MON + 7 * DAY);
+  assert.match(reply.message, /^Starting Sleep Week over: day 1 of 7\./);
+  assert.match(reply.done.message, /8-day streak/);
+
+  reply = await play("start", { program: "calmer_mornings" }, MON + 8 * DAY);
+  assert.equal(reply.tool.result.program.day, 1);
+  reply = await turn("start", { program: "sleep_week" }, MON + 9 * DAY);
+  assert.equal(reply.tool.result.program.day, 2);
+});
+
+test("restarting a program with days done asks first; only a yes on the next turn resets it", async () => {
+  let sessionId;
+  const chat = async message => {
+    const res = fakeRes();
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2" }, body: { sessionId, message } }, res);
+    sessionId = res.body.sessionId;
+    return res.body;
+  };
+  const user = userOf({ clientToken: (await chat("start sleep week")).clientToken });
+  await chat("done");
+  let reply = await chat("start over");
+  assert.deepEqual([reply.intent, reply.tool], ["restart_program", undefined]);
+  assert.match(reply.message, /^Start Sleep Week over from day 1\? You’ve done 1 of 7 days/);
+  await chat("actually, never mind");
+  assert.equal((await chat("yes")).intent, "get_meditation");
+  assert.equal((await programSummary(user, { store })).programs[0].done, 1);
+
+  await chat("start over");
+  reply = await chat("yes");
+  assert.deepEqual([reply.intent, reply.tool.result.program.day], ["restart_program", 1]);
+  assert.match(reply.message, /^Starting Sleep Week over: day 1 of 7\./);
+  assert.equal((await programSummary(user, { store })).programs[0].done, 0);
+
+  // Without confirmed (what v3's restart_program tool passes until the user agrees) it only asks
+  await play("start", { program: "calmer_mornings" });
+  assert.match((await turn("restart")).message, /^Start 7 Days of Calmer Mornings over from day 1\?/);
+  assert.equal((await turn("restart", { confirmed: true })).tool.result.program.day, 1);
+});
+
+test("without a language cue the program keeps the language it was started in", async () => {
+  await play("start", { program: "sleep_week", language: "pt" });
+  let reply = await turn("continue", { guessed: true }, MON + DAY);
+  assert.deepEqual([reply.state.language, reply.tool.result.language], ["pt", "pt"]);
+  assert.match(reply.message, /^Semana do sono: dia 2 de 7\./);
+  assert.match((await turn("done", { guessed: true }, MON + DAY)).message, /^Dia 2 de 7 de Semana do sono feito\./);
+  reply = await turn("today", { language: "fr" }, MON + DAY);
+  assert.match(reply.message, /^Vous avez fait la séance du jour de Semaine du sommeil/);
+});
+
+test("progress follows the client across sessions in every engine", async () => {
+  for (const engine of ["v1", "v2", "v3"]) {
+    setStore(createMemoryStore());
+    setLLM(createFakeProvider({ script: [] }));
+    let token;
+    const chat = async message => {
+      const res = fakeRes();
+      await handleChat({ method: "POST", headers: { "x-calmalink-engine": engine, "x-client-token": token }, body: { message } }, res);
+      token ||= res.body.clientToken;
+      return res.body;
+    };
+    const started = await chat("Empezar la Semana de sueño");
+    assert.equal(started.tool.result.program.day, 1, engine);
+    const done = await chat("¡Hecho!");
+    assert.deepEqual([done.intent, done.tool], ["program_done", undefined], engine);
+    assert.match(done.message, /^Día 1 de 7 de Semana de sueño hecho\./, engine);
+    // A new session with no language cue: the program's Spanish
+    const next = await chat("next session");
+    assert.equal(next.sessionId === started.sessionId, false);
+    assert.deepEqual([next.intent, next.tool.result.language], ["continue_program", "es"], engine);
+    assert.match(next.message, /^Semana de sueño: día 1 de 7\. Ya hiciste la sesión de hoy/, engine);
+  }
+});
+
+test("v3 tools start a program and report today's session", async () => {
+  const fake = createFakeProvider({ script: [
+    { call: "continue_program", args: { program: "calmer_mornings", language: "en" } },
+    { text: "Here is day one of your mornings program." },
+    { call: "program_today", args: { language: "en" } },
+    { text: "You've already done today's session." }
+  ] });
+  setLLM(fake);
+  let clientToken;
+  const chat = async message => {
+    const res = fakeRes();
+    await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v3" }, body: { message, clientToken } }, res);
+    clientToken ||= res.body.clientToken;
+    return res.body;
+  };
+  const first = await chat("I want to feel calmer in the mornings this week");
+  assert.deepEqual([first.tool.result.category, first.tool.result.program.day], ["calm_breath", 1]);
+  const output = JSON.parse(fake.calls[1].input.find(i => i.type === "function_call_output").output);
+  assert.deepEqual([output.program.id, output.pacer.steps], ["calmer_mornings", undefined]);
+  assert.match(output.intro, /^7 Days of Calmer Mornings: day 1 of 7\./);
+
+  const second = await chat("how far along am I with the mornings thing?");
+  assert.equal(second.intent, "program_today");
+  const status = JSON.parse(fake.calls[3].input.find(i => i.type === "function_call_output").output);
+  assert.match(status.message, /^Today in 7 Days of Calmer Mornings: day 1 of 7, Calm Breath \(3 min\)/);
+});
+
+test("/api/programs lists the plan and, through a chat session, the user's progress", async () => {
+  const chatRes = fakeRes();
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2", "x-client-id": "web" }, body: { message: "empezar la semana de sueño" } }, chatRes);
+  let res = fakeRes();
+  await programs({ method: "GET", headers: {}, query: { language: "es" } }, res);
+  const sleep = res.body.programs.find(p => p.id === "sleep_week");
+  assert.equal(sleep.name, "Semana de sueño");
+  assert.deepEqual(sleep.days[0], { day: 1, id: "breath_478_2_es", category: "breath_478", title: "Respiración 4-7-8 • 2 min", minutes: 2 });
+  assert.equal(res.body.progress, undefined);
+
+  // A client id alone reads nothing; the session the chat issued does
+  res = fakeRes();
+  await programs({ method: "GET", headers: {}, query: { language: "es", clientId: "web" } }, res);
+  assert.equal(res.body.progress, undefined);
+  res = fakeRes();
+  await programs({ method: "GET", headers: {}, query: { language: "es", sessionId: "0f8fad5b-d9cb-469f-a165-70867728950e" } }, res);
+  assert.equal(res.code, 404);
+  res = fakeRes();
+  await programs({ method: "GET", headers: {}, query: { language: "es", sessionId: chatRes.body.sessionId } }, res);
+  assert.equal(res.body.progress.active, "sleep_week");
+  assert.deepEqual(res.body.progress.programs.map(p => [p.name, p.day, p.doneToday]), [["Semana de sueño", 1, false]]);
+  res = fakeRes();
+  await programs({ method: "GET", headers: {}, query: { language: "de" } }, res);
+  assert.equal(res.code, 400);
+});
+
+test("/api/programs refuses another client's progress to a session started with their client id", async () => {
+  await programTurn({ user: "client:victim-123", language: "en", action: "start", program: "sleep_week" }, { store, now: Date.now() });
+  const chatRes = fakeRes();
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2", "x-client-id": "victim-123" }, body: { message: "hi", clientId: "victim-123" } }, chatRes);
+  const { sessionId } = chatRes.body;
+  const res = fakeRes();
+  await programs({ method: "GET", headers: {}, query: { language: "en", sessionId } }, res);
+  assert.equal(res.code, 200);
+  assert.deepEqual([res.body.progress.active, res.body.progress.programs], [null, []]);
+
+  // Nor can a turn in that session move the victim's program on
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2", "x-client-id": "victim-123" }, body: { sessionId, message: "done", clientId: "victim-123" } }, fakeRes());
+  assert.equal((await programSummary("client:victim-123", { store })).programs[0].done, 0);
+});
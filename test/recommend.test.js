@@ -0,0 +1,79 @@
+// test/recommend.test.js
+// Need / time extraction, catalog ranking and the recommendation payload.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { needFromText, minutesFromText, extractNeeds, rankPractices, recommendPractice, recommendationResult, recommendationIntro, practiceReply, SHORT_MINUTES } from "../lib/recommend.js";
+import { t } from "../lib/i18n.js";
+
+const user = content => ({ role: "user", content });
+
+test("needs are found in every locale", () => {
+  assert.equal(needFromText("I can't sleep again"), "sleep");
+  assert.equal(needFromText("no puedo dormir"), "sleep");
+  assert.equal(needFromText("panic attack at work"), "grounding");
+  assert.equal(needFromText("tengo un ataque de pánico"), "grounding");
+  assert.equal(needFromText("je dois me concentrer pour un examen"), "focus");
+  assert.equal(needFromText("estou muito estressada"), "anxiety");
+  assert.equal(needFromText("hello there"), null);
+});
+
+test("available time comes from minutes or short cues", () => {
+  assert.equal(minutesFromText("I only have a minute"), 1);
+  assert.equal(minutesFromText("algo de 5 minutos"), 5);
+  assert.equal(minutesFromText("deux minutes"), 2);
+  assert.equal(minutesFromText("something quick"), SHORT_MINUTES);
+  assert.equal(minutesFromText("play something"), null);
+});
+
+test("the newest turn that says something wins", () => {
+  assert.deepEqual(extractNeeds([user("I'm so stressed"), user("and I can't sleep"), user("yes")]), { need: "sleep", minutes: null });
+  assert.deepEqual(extractNeeds([user("I have 3 minutes"), user("ok")]), { need: null, minutes: 3 });
+});
+
+test("ranking follows the need, the time and the usual practice", () => {
+  const top = opts => rankPractices(opts)[0].practice.category;
+  assert.equal(top({ need: "sleep" }), "body_scan");
+  assert.equal(top({ need: "anxiety" }), "calm_breath");
+  assert.equal(top({ need: "focus" }), "box_breath");
+  assert.equal(top({ need: "grounding" }), "grounding");
+  assert.equal(top({}), "calm_breath");
+  assert.equal(top({ preferCategory: "grounding" }), "grounding");
+  // Breathing patterns are built to any length, so a minute still gets the usual practice; a fixed script does not
+  assert.equal(top({ minutes: 1 }), "calm_breath");
+  assert.notEqual(top({ minutes: 1, preferCategory: "body_scan" }), "body_scan");
+});
+
+test("recommendations stay in the conversation's language and carry alternatives", () => {
+  const rec = recommendPractice({ messages: [user("no puedo dormir")], language: "es" });
+  assert.equal(rec.pick.id, "body_scan_5_es");
+  const result = recommendationResult(rec);
+  assert.equal(result.id, "body_scan_5_es");
+  assert.equal(result.recommendation.need, "sleep");
+  assert.equal(result.recommendation.alternatives.length, 2);
+  assert.ok(result.recommendation.alternatives.every(a => a.language === "es" && a.id !== result.id));
+  assert.ok(recommendationIntro(rec).includes(t("es", "recommend.sleep")));
+});
+
+test("explicit arguments override the conversation", () => {
+  const rec = recommendPractice({ messages: [user("I can't sleep")], need: "focus", minutes: 2, language: "fr" });
+  assert.deepEqual([rec.need, rec.minutes, rec.pick.id], ["focus", 2, "box_breath_2_fr"]);
+  assert.equal(recommendPractice({ need: "nonsense" }).need, null);
+});
+
+test("a capped pattern reports the length it builds, and only a result with the borrowed recording mentions it", () => {
+  const rec = recommendPractice({ language: "en", minutes: 10, preferCategory: "breath_478" });
+  assert.deepEqual([rec.pick.category, rec.reasons], ["breath_478", ["usual", "fits_time"]]);
+  assert.equal(recommendationResult(rec).duration, 3);
+  assert.match(recommendationIntro(rec), /This round is 3 min: 8 breaths/);
+
+  const full = practiceReply({ messages: [], language: "pt", category: "calm_breath" });
+  assert.match(full.message, /gravação está em espanhol/);
+  const custom = practiceReply({ messages: [], language: "pt", category: "calm_breath", duration: 1 });
+  assert.equal(custom.tool.result.audioUrl, null);
+  assert.doesNotMatch(custom.message, /gravação/);
+  const picked = recommendPractice({ messages: [user("tenho só um minuto")], language: "pt", preferCategory: "calm_breath" });
+  const result = recommendationResult(picked);
+  assert.equal(result.audioUrl, null);
+  assert.doesNotMatch(recommendationIntro(picked, "pt", result), /gravação/);
+});
@@ -0,0 +1,128 @@
+// test/redact.test.js
+// PII redaction before model calls (EN/ES): detection, stable placeholders, restoring replies and streams, v3 wiring.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { createRedactor, redacting } from "../lib/redact.js";
+import { setConfig, loadConfig } from "../lib/config.js";
+import { handleChat } from "../lib/chat.js";
+import { setLLM, createFakeProvider } from "../lib/llm.js";
+
+process.env.OPENAI_API_KEY ||= "test-key";
+after(() => { setConfig(null); setLLM(null); });
+
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end() { return this; }
+  };
+}
+
+test("emails, phones, addresses and IDs are replaced in English", () => {
+  const r = createRedactor({ names: false });
+  assert.equal(
+    r.redact("Email me at ana.lopez@gmail.com or call +1 (555) 123-4567. I live at 221 Baker Street, Apt 4."),
+    "Email me at [EMAIL_1] or call [PHONE_1]. I live at [ADDRESS_1]."
+  );
+  assert.equal(r.redact("My SSN is 123-45-6789 and my passport number is X1234567"), "My SSN is [ID_1] and my passport number is [ID_2]");
+  assert.equal(r.redact("card 4111 1111 1111 1111"), "card [ID_3]");
+});
+
+test("emails, phones, addresses and IDs are replaced in Spanish", () => {
+  const r = createRedactor({ names: false });
+  assert.equal(
+    r.redact("Mi DNI es 12345678Z, vivo en Calle Mayor 12, 3ºB y mi móvil es 612 345 678"),
+    "Mi DNI es [ID_1], vivo en [ADDRESS_1] y mi móvil es [PHONE_1]"
+  );
+  assert.equal(r.redact("mi número de cuenta: 12345678 y mi correo lucia@correo.es"), "mi número de cuenta: [ID_2] y mi correo [EMAIL_1]");
+  assert.equal(r.redact("Mi CURP es GOML850101HDFRRS09"), "Mi CURP es [ID_3]");
+});
+
+test("ordinary numbers and phrases are left alone", () => {
+  const r = createRedactor({ names: true });
+  for (const text of [
+    "I'd say 7/10 today", "box breathing for 2 minutes", "the 5-4-3-2-1 exercise", "my exam is on 12-05-2024",
+    "I am tired, it's 5 minutes down the road", "my account is locked", "I'm Fine, thanks", "soy Mexicana", "dormí 6 horas"
+  ]) assert.equal(r.redact(text), text);
+  assert.deepEqual(r.summary(), {});
+});
+
+test("names are optional and follow cues in both languages", () => {
+  const text = "My name is Ana and my boss Carlos Ruiz yells. Carlos is awful.";
+  assert.equal(createRedactor({ names: false }).redact(text), text);
+  const r = createRedactor({ names: true });
+  assert.equal(r.redact(text), "My name is [NAME_1] and my boss [NAME_2] yells. [NAME_2] is awful.");
+  assert.equal(r.redact("Me llamo Lucía y mi hermana Marta no me escucha"), "Me llamo [NAME_3] y mi hermana [NAME_4] no me escucha");
+  assert.equal(r.redact("Ana again"), "[NAME_1] again");
+});
+
+test("placeholders are stable within a request and restore to the original", () => {
+  const r = createRedactor({ names: true });
+  assert.equal(r.redact("write to ANA@mail.com"), "write to [EMAIL_1]");
+  assert.equal(r.redact("again: ana@mail.com, 612-345-678"), "again: [EMAIL_1], [PHONE_1]");
+  assert.equal(r.redact("or 612 345 678"), "or [PHONE_1]");
+  assert.equal(r.restore("I noted [EMAIL_1] and [PHONE_1]; [NAME_9] is unknown"), "I noted ANA@mail.com and 612-345-678; [NAME_9] is unknown");
+  assert.equal(createRedactor().restore("[EMAIL_1]"), "[EMAIL_1]");
+});
+
+test("the provider wrapper redacts input and restores text and tool arguments", async () => {
+  const fake = createFakeProvider({ script: [
+    { call: "get_meditation", args: { note: "[NAME_1]" } },
+    { text: "Thanks [NAME_1], I will not share [EMAIL_1]." }
+  ] });
+  const llm = redacting(fake, createRedactor({ names: true }));
+  const input = [{ role: "user", content: "I'm Jorge, jorge@x.com" }];
+  const first = await llm.responses.create({ input });
+  assert.equal(fake.calls[0].input[0].content, "I'm [NAME_1], [EMAIL_1]");
+  const call = first.output[0];
+  assert.equal(call.arguments, JSON.stringify({ note: "Jorge" }));
+  const second = await llm.responses.create({ input: [...input, call, { type: "function_call_output", call_id: call.call_id, output: "{}" }] });
+  assert.equal(fake.calls[1].input[1].arguments, JSON.stringify({ note: "[NAME_1]" }));
+  assert.equal(second.output_text, "Thanks Jorge, I will not share jorge@x.com.");
+});
+
+test("streamed placeholders split across deltas are restored whole", async () => {
+  const r = createRedactor({ names: true });
+  r.redact("my name is Ana");
+  const provider = {
+    responses: {
+      async create() {
+        return (async function* () {
+          for (const delta of ["Hi [NA", "ME_", "1]", ", welcome [", "back."]) yield { type: "response.output_text.delta", delta };
+          yield { type: "response.completed", response: { output_text: "Hi [NAME_1], welcome [back.", output: [] } };
+        })();
+      }
+    }
+  };
+  let text = "";
+  let completed = null;
+  for await (const ev of await redacting(provider, r).responses.create({ input: [], stream: true })) {
+    if (ev.type === "response.output_text.delta") text += ev.delta;
+    else completed = ev.response;
+  }
+  assert.equal(text, "Hi Ana, welcome [back.");
+  assert.equal(completed.output_text, "Hi Ana, welcome [back.");
+});
+
+test("v3 never sends the raw details and answers with them restored", async () => {
+  const fake = createFakeProvider({ script: [{ text: "Thank you for trusting me. I won't share [EMAIL_1] or [PHONE_1]." }] });
+  setLLM(fake);
+  const res = fakeRes();
+  const content = "My ex keeps writing to sam.j@mail.com and calling 555-201-3344, I'm exhausted";
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v3" }, body: { messages: [{ role: "user", content }] } }, res);
+  const sent = JSON.stringify(fake.calls[0].input);
+  assert.doesNotMatch(sent, /sam\.j@mail\.com|555-201-3344/);
+  assert.match(sent, /\[EMAIL_1\]/);
+  assert.equal(res.body.message, "Thank you for trusting me. I won't share sam.j@mail.com or 555-201-3344.");
+
+  setConfig(loadConfig({ OPENAI_API_KEY: "k", PII_REDACTION: "off" }));
+  const raw = createFakeProvider({ script: [{ text: "I hear you." }] });
+  setLLM(raw);
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v3" }, body: { messages: [{ role: "user", content }] } }, fakeRes());
+  assert.match(JSON.stringify(raw.calls[0].input), /sam\.j@mail\.com/);
+  setConfig(null);
+  setLLM(null);
+});
@@ -0,0 +1,65 @@
+// test/sessions.test.js
+// Conversation sessions: turns appended per request (none lost when requests overlap), state saves, expiry and deletion.
+
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { openConversation, closeConversation, loadSession, saveSession, deleteSession, MAX_TURNS } from "../lib/sessions.js";
+import { setStore, createMemoryStore, createFileStore } from "../lib/store.js";
+import { handleChat } from "../lib/chat.js";
+
+const dir = mkdtempSync(join(tmpdir(), "calmalink-sessions-"));
+after(() => { rmSync(dir, { recursive: true, force: true }); setStore(null); });
+
+beforeEach(() => setStore(createMemoryStore()));
+
+function fakeRes() {
+  return { headers: {}, code: 200, body: null, setHeader() {}, status(c) { this.code = c; return this; }, json(b) { this.body = b; return this; }, end() { return this; } };
+}
+
+async function chat(body) {
+  const res = fakeRes();
+  await handleChat({ method: "POST", headers: { "x-calmalink-engine": "v2" }, body }, res);
+  return res.body;
+}
+
+test("overlapping requests on one session keep every turn", async () => {
+  for (const store of [createMemoryStore(), createFileStore(join(dir, "overlap"))]) {
+    setStore(store);
+    const { sessionId } = await chat({ message: "hello" });
+    await Promise.all(["I feel tense", "work is a lot", "I can't sleep"].map(message => chat({ sessionId, message })));
+    const { turns } = await loadSession(sessionId, store);
+    assert.equal(turns.length, 8);
+    for (const text of ["hello", "I feel tense", "work is a lot", "I can't sleep"]) {
+      assert.equal(turns.filter(t => t.role === "user" && t.content === text).length, 1, text);
+    }
+    assert.equal(turns.filter(t => t.role === "assistant").length, 4);
+  }
+});
+
+test("state saves do not touch the turns, and only the last MAX_TURNS are kept", async () => {
+  const convo = await openConversation({ message: "first" });
+  await closeConversation(convo, { message: "reply" }, { language: "es" });
+  const session = await loadSession(convo.session.id);
+  assert.equal(session.language, "es");
+  session.turns = [];
+  session.checkin = { phase: "after" };
+  await saveSession(session);
+  const again = await loadSession(convo.session.id);
+  assert.deepEqual([again.checkin, again.turns.map(t => t.content)], [{ phase: "after" }, ["first", "reply"]]);
+
+  for (let i = 0; i < MAX_TURNS; i++) await openConversation({ sessionId: convo.session.id, message: `turn ${i}` });
+  const full = await loadSession(convo.session.id);
+  assert.equal(full.turns.length, MAX_TURNS);
+  assert.equal(full.turns.at(-1).content, `turn ${MAX_TURNS - 1}`);
+});
+
+test("deleting a session removes its turns too", async () => {
+  const { sessionId } = await chat({ message: "hello" });
+  await deleteSession(sessionId);
+  assert.equal(await loadSession(sessionId), null);
+  const next = await openConversation({ sessionId, message: "hi" });
+  assert.notEqual(next.session.id, sessionId);
+});
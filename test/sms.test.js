@@ -0,0 +1,155 @@
+// test/sms.test.js
+// SMS / WhatsApp webhook: Twilio signatures, per-number history, TwiML replies with audio media, STOP / START / AYUDA.
+
+import { test, before, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { twilioSignature, signatureValid, smsKeyword, smsReply, twiml } from "../lib/sms.js";
+import { setStore, createMemoryStore } from "../lib/store.js";
+import { setSinks } from "../lib/events.js";
+import { setConfig, loadConfig } from "../lib/config.js";
+import { findPractice, meditationResult } from "../lib/catalog.js";
+import handler from "../api/sms.js";
+
+const TOKEN = "tw1l10-auth";
+const URL = "https://calmalink.example/api/sms";
+
+let events;
+before(() => setConfig(loadConfig({ OPENAI_API_KEY: "k", TWILIO_AUTH_TOKEN: TOKEN })));
+beforeEach(() => {
+  setStore(createMemoryStore());
+  events = [];
+  setSinks([{ name: "capture", async write(e) { events.push(e); } }]);
+});
+after(() => { setSinks(null); setConfig(null); });
+
+function fakeRes() {
+  return {
+    headers: {}, code: 200, body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.code = c; return this; },
+    json(b) { this.body = b; return this; },
+    end(b) { this.body = b ?? this.body; return this; }
+  };
+}
+
+// A Twilio-style webhook: form-encoded body, signed over the public URL + sorted params
+async function sms(from, text, { sign = true, extra = {} } = {}) {
+  const params = { MessageSid: "SM123", AccountSid: "AC123", From: from, To: "+15550001111", Body: text, NumMedia: "0", ...extra };
+  const headers = { host: "calmalink.example", "x-forwarded-proto": "https", "content-type": "application/x-www-form-urlencoded" };
+  if (sign) headers["x-twilio-signature"] = twilioSignature(TOKEN, URL, params);
+  const res = fakeRes();
+  await handler({ method: "POST", url: "/api/sms", headers, body: new URLSearchParams(params).toString() }, res);
+  return res;
+}
+
+const bodyOf = res => /<Body>([\s\S]*)<\/Body>/.exec(res.body)?.[1] ?? null;
+const mediaOf = res => [...res.body.matchAll(/<Media>([^<]*)<\/Media>/g)].map(m => m[1].replace(/&amp;/g, "&"));
+
+test("signatures are HMAC-SHA1 over the URL and the sorted parameters", () => {
+  const params = { To: "+1", From: "+2", Body: "hi" };
+  const sig = twilioSignature(TOKEN, URL, params);
+  assert.equal(sig, twilioSignature(TOKEN, URL, { Body: "hi", From: "+2", To: "+1" }));
+  assert.ok(signatureValid(sig, TOKEN, URL, params));
+  assert.ok(!signatureValid(sig, TOKEN, URL, { ...params, Body: "hj" }));
+  assert.ok(!signatureValid(sig, TOKEN, `${URL}?x=1`, params));
+  assert.ok(!signatureValid(undefined, TOKEN, URL, params));
+});
+
+test("unsigned, forged or unconfigured webhooks are refused", async () => {
+  assert.equal((await sms("+34600111222", "hola", { sign: false })).code, 403);
+  const forged = fakeRes();
+  await handler({ method: "POST", url: "/api/sms", headers: { host: "calmalink.example", "x-twilio-signature": twilioSignature("other", URL, { From: "+1" }) }, body: "From=%2B1" }, forged);
+  assert.equal(forged.code, 403);
+
+  setConfig(loadConfig({ OPENAI_API_KEY: "k" }));
+  assert.equal((await sms("+34600111222", "hola")).code, 503);
+  setConfig(loadConfig({ OPENAI_API_KEY: "k", TWILIO_AUTH_TOKEN: TOKEN }));
+  assert.equal(events.length, 0);
+});
+
+test("a meditation comes back as TwiML with the audio link as media", async () => {
+  const res = await sms("+15551230000", "play the meditation");
+  assert.equal(res.code, 200);
+  assert.equal(res.headers["Content-Type"], "text/xml; charset=utf-8");
+  assert.match(res.body, /^<\?xml version="1.0" encoding="UTF-8"\?><Response><Message><Body>/);
+  assert.match(bodyOf(res), /Calm Breath • 3 min/);
+  const [audio] = mediaOf(res);
+  assert.match(audio, /^https:\/\/calmalink\.example\/api\/audio\/calm_breath_3_en\?exp=\d+&sig=/);
+  assert.deepEqual(events.map(e => [e.type, e.intent, e.tool]), [["sms", "get_meditation", "get_meditation"]]);
+});
+
+test("each number keeps its own history", async () => {
+  await sms("whatsapp:+34600111222", "español");
+  const es = await sms("whatsapp:+34600111222", "reproduce la meditación");
+  assert.match(bodyOf(es), /Respiración Calma • 3 min$/);
+  assert.match(mediaOf(es)[0], /calm_breath_3_es\?/);
+
+  const other = await sms("+34600999888", "play the meditation");
+  assert.match(mediaOf(other)[0], /calm_breath_3_en\?/);
+});
+
+test("STOP silences the number until START; AYUDA answers in Spanish", async () => {
+  const from = "+34600111222";
+  const stopped = await sms(from, "BAJA");
+  assert.equal(bodyOf(stopped), "No recibirás más mensajes de CalmaLink. Responde ALTA para volver.");
+  const silent = await sms(from, "play the meditation");
+  assert.equal(silent.body, '<?xml version="1.0" encoding="UTF-8"?><Response/>');
+  assert.equal((await sms(from, "ayuda")).body, silent.body);
+
+  assert.match(bodyOf(await sms(from, "Alta")), /^Bienvenido de nuevo a CalmaLink/);
+  const help = bodyOf(await sms(from, "¡AYUDA!"));
+  assert.match(help, /^Puedes decir .*Responde BAJA o STOP/);
+  assert.ok(mediaOf(await sms(from, "play the meditation")).length === 1);
+  assert.deepEqual(events.slice(0, 3).map(e => e.outcome), ["opted_out", "opted_out", "opted_out"]);
+  assert.ok(events.every(e => !JSON.stringify(e).includes("600111222")));
+});
+
+test("keywords only count as the whole message", () => {
+  assert.deepEqual(smsKeyword(" Stop. "), { keyword: "stop", language: null });
+  assert.deepEqual(smsKeyword("Ajuda"), { keyword: "help", language: "pt" });
+  assert.equal(smsKeyword("stop worrying about work"), null);
+  for (const text of ["constructor", "toString", "__proto__", "hasOwnProperty", "valueOf"]) assert.equal(smsKeyword(text), null, text);
+});
+
+test("text-only practices send their script; bodies are escaped and capped", () => {
+  const p = findPractice({ category: "box_breath", language: "en" });
+  const reply = smsReply({ message: "Try this <now> & relax", tool: { name: "get_meditation", result: meditationResult(p) } }, "https://x.example");
+  assert.deepEqual(reply.media, []);
+  assert.ok(reply.body.endsWith(`Box Breathing • 2 min\n${p.script}`));
+  assert.match(twiml(reply), /Try this &lt;now&gt; &amp; relax/);
+  assert.equal(smsReply({ message: "x".repeat(2000) }).body.length, 1600);
+});
+
+test("a store or engine failure still answers, in the line's language", async () => {
+  const healthy = createMemoryStore();
+  let failing = null;
+  setStore({
+    ...healthy,
+    async get(k) { if (failing === "get") throw new Error("store down"); return healthy.get(k); },
+    async set(k, v, ttl) { if (failing === "set" && k.startsWith("session:")) throw new Error("store down"); return healthy.set(k, v, ttl); }
+  });
+  const from = "+34600333444";
+  await sms(from, "español");
+  failing = "set";
+  const failed = await sms(from, "reproduce la meditación");
+  assert.equal(failed.code, 200);
+  assert.equal(bodyOf(failed), "Lo siento, algo salió mal de nuestro lado. Inténtalo de nuevo en un momento.");
+  assert.deepEqual([events.at(-1).outcome, events.at(-1).language], ["error", "es"]);
+
+  // An unreadable line may have opted out, so nothing is sent
+  failing = "get";
+  assert.equal((await sms(from, "hola")).body, '<?xml version="1.0" encoding="UTF-8"?><Response/>');
+});
+
+test("the per-number limit has its own setting", async () => {
+  setConfig(loadConfig({ OPENAI_API_KEY: "k", TWILIO_AUTH_TOKEN: TOKEN, GUARD_SMS_PER_MINUTE: "2", GUARD_SESSION_PER_MINUTE: "50" }));
+  try {
+    const from = "+15557654321";
+    assert.ok(bodyOf(await sms(from, "play the meditation")));
+    assert.ok(bodyOf(await sms(from, "play the meditation")));
+    assert.equal((await sms(from, "play the meditation")).body, '<?xml version="1.0" encoding="UTF-8"?><Response/>');
+    assert.equal(events.at(-1).outcome, "rate_limited");
+  } finally {
+    setConfig(loadConfig({ OPENAI_API_KEY: "k", TWILIO_AUTH_TOKEN: TOKEN }));
+  }
+});